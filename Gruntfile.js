@@ -156,7 +156,7 @@ module.exports = function(grunt) {
       },
       data: {
         files: [
-          {expand: true, cwd: path.src + 'data', src: ['**', '!tpl/**', '!ejs/**', '!js/quickaccess/popup/**'], dest: path.build + 'data'}
+          {expand: true, cwd: path.src + 'data', src: ['**', '!tpl/**', '!ejs/**', '!js/quickaccess/popup/**', '!js/quickaccess/*.test.js'], dest: path.build + 'data'}
         ]
       },
       // switch manifest file to firefox or chrome
@@ -305,7 +305,7 @@ module.exports = function(grunt) {
       },
       test_quickaccess: {
         stdout: true,
-        command: "jest --config ./src/all/data/js/quickaccess/popup/.jest.config.json --no-cache ./src/all/data/js/quickaccess/popup --maxWorkers=4"
+        command: "jest --config ./src/all/data/js/quickaccess/popup/.jest.config.json --no-cache ./src/all/data/js/quickaccess --maxWorkers=4"
       },
 
       /**
@@ -34,10 +34,13 @@ events.groupAutocomplete = require('./event/groupAutocompleteEvents');
 events.importPasswordsIframe = require('./event/importPasswordsIframeEvents');
 events.importPasswords = require('./event/importPasswordsEvents');
 events.keyring = require('./event/keyringEvents');
+events.keySettings = require('./event/keySettingsEvents');
 events.masterPasswordIframe = require('./event/masterPasswordIframeEvents');
 events.masterPassword = require('./event/masterPasswordEvents');
 events.passboltPage = require('./event/passboltPageEvents');
+events.permissionAudit = require('./event/permissionAuditEvents');
 events.quickAccess = require('./event/quickAccessEvents');
+events.quickAccessShortcut = require('./event/quickAccessShortcutEvents');
 events.resource = require('./event/resourceEvents');
 events.secret = require('./event/secretEvents');
 events.setup = require('./event/setupEvents');
@@ -47,6 +50,7 @@ events.tab = require('./event/tabEvents');
 events.tag = require('./event/tagEvents');
 events.user = require('./event/userEvents');
 events.siteSettings = require('./event/siteSettingsEvents');
+events.submittedCredentials = require('./event/submittedCredentialsEvents');
 
 exports.events = events;
 
@@ -116,6 +120,11 @@ pageMods.Setup = require('./pagemod/setupPagemod').Setup;
  */
 pageMods.QuickAccess = require('./pagemod/quickAccessPagemod').QuickAccess;
 
+/*
+ * This pagemod drives the dialog displayed in the pages when the user uses a keyboard shortcut
+ */
+pageMods.QuickAccessShortcutDialog = require('./pagemod/quickAccessShortcutPagemod').QuickAccessShortcutDialog;
+
 /*
  * This pagemod drives the main addon app
  * It is inserted in all the pages of a domain that is trusted.
@@ -187,6 +196,18 @@ pageMods.ExportPasswordsDialog = require('./pagemod/exportPasswordsDialogPagemod
  */
 pageMods.DebugPage = require('./pagemod/debugPagePagemod').DebugPage;
 
+/*
+ * This page mod drives the permission audit page
+ * It lists who can access a selection of passwords and exports it as CSV
+ */
+pageMods.PermissionAuditPage = require('./pagemod/permissionAuditPagemod').PermissionAuditPage;
+
+/*
+ * This page mod drives the key settings page
+ * It backs up the user key, verifies the keys of the other users and changes the passphrase
+ */
+pageMods.KeySettingsPage = require('./pagemod/keySettingsPagemod').KeySettingsPage;
+
 /*
  * This page mod allow inserting the debug tools needed by developers on all
  * pages.
@@ -9,10 +9,13 @@
 const app = require('../app');
 var Config = require('../model/config');
 const GpgAuth = require('../model/gpgauth').GpgAuth;
+const ServerKeyChangedError = require('../error/serverKeyChangedError').ServerKeyChangedError;
+const ServerKeyDecision = require('../model/serverKeyDecision').ServerKeyDecision;
 
 const User = require('../model/user').User;
 const __ = require('../sdk/l10n').get;
 const Worker = require('../model/worker');
+const Uuid = require('../utils/uuid');
 
 /**
  * Auth Controller constructor.
@@ -36,11 +39,92 @@ AuthController.prototype.verify = async function () {
     msg = __('The server key is verified. The server can use it to sign and decrypt content.');
     this.worker.port.emit(this.requestId, 'SUCCESS', msg);
   } catch (error) {
+    // If the server advertises another key, let the user decide to trust it.
+    const serverKeyChange = await this._findServerKeyChange();
+    if (serverKeyChange) {
+      const serverKeyChangedError = new ServerKeyChangedError(serverKeyChange.oldKey, serverKeyChange.newKey);
+      this.worker.port.emit(this.requestId, 'ERROR', this.worker.port.getEmitableError(serverKeyChangedError));
+      return;
+    }
     msg = __('Could not verify server key.') + ' ' + error.message;
     this.worker.port.emit(this.requestId, 'ERROR', msg);
   }
 };
 
+/**
+ * Trust the new key advertised by the server, and verify the server with it.
+ *
+ * @param {string} fingerprint The fingerprint of the key the user accepted
+ * @returns {Promise<void>}
+ */
+AuthController.prototype.acceptNewServerKey = async function (fingerprint) {
+  let serverKeyChange;
+  try {
+    serverKeyChange = await this.auth.findServerKeyChange();
+  } catch (error) {
+    this.worker.port.emit(this.requestId, 'ERROR', __('Could not retrieve the server key.') + ' ' + error.message);
+    return;
+  }
+  // The key could have changed again since the user saw it.
+  if (!serverKeyChange || serverKeyChange.newKey.fingerprint !== fingerprint) {
+    this.worker.port.emit(this.requestId, 'ERROR', __('The server key is not the one you accepted, reload the page to check it again.'));
+    return;
+  }
+
+  try {
+    const domain = this.auth.getDomain();
+    await this.auth.keyring.importServerPublicKey(serverKeyChange.newKey.key, domain);
+    const oldFingerprint = serverKeyChange.oldKey ? serverKeyChange.oldKey.fingerprint : null;
+    await ServerKeyDecision.log(domain, ServerKeyDecision.ACCEPTED, oldFingerprint, fingerprint);
+  } catch (error) {
+    this.worker.port.emit(this.requestId, 'ERROR', __('Could not import the server key.') + ' ' + error.message);
+    return;
+  }
+  await this.verify();
+};
+
+/**
+ * Reject the new key advertised by the server.
+ *
+ * @param {string} fingerprint The fingerprint of the key the user rejected
+ * @returns {Promise<void>}
+ */
+AuthController.prototype.rejectNewServerKey = async function (fingerprint) {
+  const domain = this.auth.getDomain();
+  const oldKey = this.auth.keyring.findPublic(Uuid.get(domain));
+  await ServerKeyDecision.log(domain, ServerKeyDecision.REJECTED, oldKey ? oldKey.fingerprint : null, fingerprint);
+  this.worker.port.emit(this.requestId, 'SUCCESS');
+};
+
+/**
+ * Find if the server advertises another key than the trusted one.
+ *
+ * @returns {Promise<object|null>} The keys info without the armored keys, see GpgAuth.findServerKeyChange
+ * @private
+ */
+AuthController.prototype._findServerKeyChange = async function () {
+  let serverKeyChange;
+  try {
+    serverKeyChange = await this.auth.findServerKeyChange();
+  } catch (error) {
+    // The server key cannot be retrieved, the verify error is reported instead.
+    return null;
+  }
+  if (!serverKeyChange) {
+    return null;
+  }
+  const keyInfoSummary = keyInfo => {
+    if (!keyInfo) {
+      return null;
+    }
+    const summary = Object.assign({}, keyInfo);
+    delete summary.key;
+    return summary;
+  };
+
+  return {oldKey: keyInfoSummary(serverKeyChange.oldKey), newKey: keyInfoSummary(serverKeyChange.newKey)};
+};
+
 /**
  * Handle the click on the passbolt toolbar icon.
  *
@@ -9,6 +9,11 @@ var fileController = require('../controller/fileController');
 var masterPasswordController = require('../controller/masterPasswordController');
 var KeepassDb = require('../model/keepassDb').KeepassDb;
 var CsvDb = require('../model/csvDb').CsvDb;
+var PassboltDb = require('../model/passboltDb').PassboltDb;
+var Resource = require('../model/resource').Resource;
+var Secret = require('../model/secret').Secret;
+var Keyring = require('../model/keyring').Keyring;
+var User = require('../model/user').User;
 var Crypto = require('../model/crypto').Crypto;
 var progressDialogController = require('../controller/progressDialogController');
 
@@ -25,21 +30,26 @@ var ExportPasswordsController = function(tabid) {
   this.format = "";
   this.csvFormat = "";
   this.credentials = null;
+  this.recipient = null;
+  // The decrypted private key of the user, to sign the passbolt exports with.
+  this.signingKey = null;
 };
 
 /**
  * Initialize export controller.
  * @param Array resources list of resources
  * @param object options options
- *   format: the format of the export (csv-xxx or kdbx)
+ *   format: the format of the export (csv-xxx, kdbx or passbolt)
  *   credentials: credentials if required (mainly for kdbx)
  *     - password (string)
  *     - keyFile (string) base64 encoded file
+ *   recipient: the user id to encrypt a passbolt export for, the current user if not provided
  * @return void
  */
 ExportPasswordsController.prototype.init = function(resources, options) {
   var format = options.format || "";
   this.credentials = options.credentials || null;
+  this.recipient = options.recipient || null;
   this.resources = resources;
   // CSV formats are given in the format "csv-subformat". We need to extract the subformat.
   var isCsv = format.match(/csv-(.*)/);
@@ -49,6 +59,8 @@ ExportPasswordsController.prototype.init = function(resources, options) {
     this.csvFormat = isCsv[1];
   } else if (format === 'kdbx') {
     this.format = "kdbx"
+  } else if (format === 'passbolt') {
+    this.format = "passbolt";
   } else {
     throw error('Export format is not supported');
   }
@@ -104,6 +116,33 @@ ExportPasswordsController.prototype.convertResourcesToKdbx = function(options) {
   return keepassDb.fromResources(this.resources, password, keyFile);
 };
 
+/**
+ * Convert a list of resources into a passbolt export.
+ * The permissions of the resources are retrieved to be part of the export.
+ * @param options
+ *   recipient: the user id to encrypt the export for, the current user if null.
+ * @return {Promise.<string>} the armored export
+ */
+ExportPasswordsController.prototype.convertResourcesToPassbolt = async function(options) {
+  var resourcesIds = this.resources.map(resource => resource.id);
+  var shareResources = await Resource.findShareResources(resourcesIds);
+  if (shareResources instanceof Error) {
+    throw shareResources;
+  }
+  this.resources.forEach(resource => {
+    var shareResource = shareResources.find(shareResource => shareResource.id === resource.id);
+    resource.permissions = shareResource ? shareResource.permissions : [];
+  });
+
+  // The recipient public key is retrieved from the keyring.
+  var keyring = new Keyring();
+  await keyring.sync();
+  var recipient = options.recipient || User.getInstance().get().id;
+  var passboltDb = new PassboltDb();
+
+  return passboltDb.fromResources(this.resources, recipient, this.signingKey);
+};
+
 /**
  * Add decrypted secrets to the corresponding resources.
  * @param resources
@@ -113,7 +152,10 @@ ExportPasswordsController.prototype.convertResourcesToKdbx = function(options) {
  */
 ExportPasswordsController.prototype._addDecryptedSecretsToResources = function(resources, secrets) {
   for (var i in resources) {
-    resources[i].secretClear = secrets[i];
+    var message = Secret.parseMessage(secrets[i]);
+    resources[i].secretClear = message.password;
+    resources[i].totp = message.totp;
+    resources[i].secretExtras = message.extras;
   }
   return resources;
 };
@@ -128,6 +170,8 @@ ExportPasswordsController.prototype.convertResourcesToFile = function() {
     return this.convertResourcesToCsv({format: this.csvFormat});
   } else if (this.format === 'kdbx') {
     return this.convertResourcesToKdbx({credentials: this.credentials});
+  } else if (this.format === 'passbolt') {
+    return this.convertResourcesToPassbolt({recipient: this.recipient});
   }
 };
 
@@ -166,6 +210,16 @@ ExportPasswordsController.prototype._decryptSecrets = function(secrets) {
 
   // Master password required to decrypt a secret before sharing it.
   return masterPasswordController.get(worker)
+  .then(function (masterPassword) {
+    // The passbolt exports are signed with the user private key.
+    if (self.format === 'passbolt') {
+      return crypto.getAndDecryptPrivateKey(masterPassword).then(function (privateKey) {
+        self.signingKey = privateKey;
+        return masterPassword;
+      });
+    }
+    return masterPassword;
+  })
   .then(function (masterPassword) {
     progressDialogController.open(worker, 'Decrypting...', self.resources.length);
     var armored = self._prepareArmoredList();
@@ -0,0 +1,343 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const CryptoJob = require('../../model/cryptoJob').CryptoJob;
+const Group = require('../../model/group').Group;
+const GroupUpdateJob = require('../../model/groupUpdateJob').GroupUpdateJob;
+const Keyring = require('../../model/keyring').Keyring;
+const masterPasswordController = require('../masterPasswordController');
+const progressDialogController = require('../progressDialogController');
+const ResourceService = require('../../service/resource').ResourceService;
+
+/**
+ * The maximum number of secrets sent to the API in a single group update.
+ * A member who needs more secrets than this limit is sent alone.
+ */
+const CHUNK_SECRETS = 100;
+
+/**
+ * Group update controller.
+ * Add members to a group. The secrets of the group are encrypted for the new members, and the members are added
+ * to the group by chunks. The operation is tracked by a job, see GroupUpdateJob, it can be resumed if interrupted.
+ */
+class GroupUpdateController {
+
+  /**
+   * Constructor
+   * @param {Worker} worker The App worker, associated with the progress and the passphrase dialogs
+   */
+  constructor(worker) {
+    this.worker = worker;
+    this.group = new Group();
+    this.keyring = new Keyring();
+    this.progress = 0;
+  }
+
+  /**
+   * Update a group with new members.
+   *
+   * @param {string} groupId The group id
+   * @param {object} groupJson The group data, as returned by GroupForm.getPostJson
+   * @return {Promise<object>} The saved group
+   */
+  async main(groupId, groupJson) {
+    const newGroupUsers = groupJson.GroupUsers.filter(groupUser => !groupUser.id);
+    const groupUsers = groupJson.GroupUsers.filter(groupUser => groupUser.id);
+    // The members of an unfinished update would be lost, it has to be resumed first.
+    await GroupUpdateJob.assertNotPending(groupId);
+    const keyringSyncPromise = this.keyring.sync();
+    const masterPassword = await masterPasswordController.get(this.worker);
+
+    await progressDialogController.open(this.worker, 'Updating group ...', 100);
+    progressDialogController.update(this.worker, this.progress, 'Updating group');
+    // The group name and the changes of the existing members do not require any secret, save them first.
+    let groupSaved = await this.group.save({Group: groupJson.Group, GroupUsers: groupUsers}, groupId);
+    await keyringSyncPromise;
+
+    const job = await GroupUpdateJob.create(groupId, groupJson.Group.name, newGroupUsers);
+    groupSaved = await this._runJob(job, masterPassword) || groupSaved;
+
+    return groupSaved;
+  }
+
+  /**
+   * Resume the group update that was interrupted.
+   *
+   * @param {string} groupId The group id
+   * @return {Promise<object>} The saved group
+   */
+  async resume(groupId) {
+    const job = await GroupUpdateJob.get(groupId);
+    if (!job || !GroupUpdateJob.getRemainingEntries(job).length) {
+      throw new Error('There is no group update to resume');
+    }
+    const masterPassword = await masterPasswordController.get(this.worker);
+    await progressDialogController.open(this.worker, 'Updating group ...', 100);
+    await this.keyring.sync();
+
+    return this._runJob(job, masterPassword);
+  }
+
+  /**
+   * Add the remaining members of a job to the group.
+   * The job is saved after each chunk. A transient error stops the job, it can be resumed later. Any other error
+   * marks the members of the chunk as failed and the job continues with the next chunk.
+   *
+   * @param {object} job The job
+   * @param {string} masterPassword The user passphrase
+   * @return {Promise<object>} The last saved group, null if no member has been added
+   * @private
+   */
+  async _runJob(job, masterPassword) {
+    const entries = GroupUpdateJob.getRemainingEntries(job);
+    const groupJson = {Group: {name: job.groupName}, GroupUsers: entries.map(entry => entry.groupUser)};
+    let groupSaved = null;
+
+    progressDialogController.update(this.worker, this.progress, 'Retrieving the secrets to encrypt');
+    let dryRunResult;
+    try {
+      dryRunResult = await this.group.save(groupJson, job.groupId, true);
+    } catch (error) {
+      await this._markEntriesFailed(job, entries, error);
+      throw error;
+    }
+    const secretsNeeded = dryRunResult['dry-run'] ? dryRunResult['dry-run']['SecretsNeeded'] || [] : [];
+    const secretsOrigin = dryRunResult['dry-run'] ? dryRunResult['dry-run']['Secrets'] || [] : [];
+    const chunks = GroupUpdateController._chunkEntries(entries, secretsNeeded);
+    progressDialogController.updateGoals(this.worker, ++this.progress + secretsOrigin.length + secretsNeeded.length + chunks.length);
+
+    const cryptoJob = new CryptoJob();
+    await cryptoJob.unlockPrivateKey(masterPassword);
+    const messagesDecrypted = await this._decryptSecretsOrigin(cryptoJob, secretsOrigin);
+
+    for (const chunk of chunks) {
+      const usersIds = chunk.map(entry => entry.groupUser.user_id);
+      const chunkSecretsNeeded = secretsNeeded.filter(secretNeeded => usersIds.includes(secretNeeded.Secret.user_id));
+      let secrets;
+      try {
+        secrets = await this._encryptSecretsNeeded(cryptoJob, chunkSecretsNeeded, messagesDecrypted);
+      } catch (error) {
+        await this._markEntriesFailed(job, chunk, error, false);
+        continue;
+      }
+
+      try {
+        const chunkJson = {Group: groupJson.Group, GroupUsers: chunk.map(entry => entry.groupUser), Secrets: secrets};
+        groupSaved = await this.group.save(chunkJson, job.groupId);
+        chunk.forEach(entry => {
+          entry.status = GroupUpdateJob.STATUS_ADDED;
+          entry.error = null;
+          entry.retryable = false;
+          entry.resourcesIds = secrets.filter(secret => secret.Secret.user_id === entry.groupUser.user_id)
+            .map(secret => secret.Secret.resource_id);
+        });
+        await GroupUpdateJob.save(job);
+      } catch (error) {
+        await this._markEntriesFailed(job, chunk, error);
+        if (GroupUpdateController._isTransientError(error)) {
+          break;
+        }
+      }
+      progressDialogController.update(this.worker, this.progress++, `Adding members ${job.entries.filter(entry => entry.status === GroupUpdateJob.STATUS_ADDED).length}/${job.entries.length}`);
+    }
+
+    await this._showSummary(job);
+    if (!GroupUpdateJob.getRemainingEntries(job).length) {
+      await GroupUpdateJob.remove(job.groupId);
+    }
+
+    return groupSaved;
+  }
+
+  /**
+   * Decrypt the secrets the new members need, once for all the chunks.
+   *
+   * @param {CryptoJob} cryptoJob The crypto job
+   * @param {array} secretsOrigin The secrets of the current user, as returned by the dry-run
+   * @return {Promise<object>} The decrypted secrets indexed by resource id
+   * @private
+   */
+  async _decryptSecretsOrigin(cryptoJob, secretsOrigin) {
+    const progress = this.progress;
+    cryptoJob.progressCallback = completed => {
+      this.progress = progress + completed;
+      progressDialogController.update(this.worker, this.progress, `Decrypting ${completed}/${secretsOrigin.length}`);
+    };
+    const messagesDecrypted = await cryptoJob.decryptAll(secretsOrigin.map(secretOrigin => secretOrigin.Secret[0].data));
+
+    return secretsOrigin.reduce((result, secretOrigin, index) => {
+      result[secretOrigin.Secret[0].resource_id] = messagesDecrypted[index];
+      return result;
+    }, {});
+  }
+
+  /**
+   * Encrypt the secrets needed by a chunk of members.
+   *
+   * @param {CryptoJob} cryptoJob The crypto job
+   * @param {array} secretsNeeded The secrets needed, as returned by the dry-run
+   * @param {object} messagesDecrypted The decrypted secrets indexed by resource id
+   * @return {Promise<array>} The secrets, in the format expected by the API
+   * @private
+   */
+  async _encryptSecretsNeeded(cryptoJob, secretsNeeded, messagesDecrypted) {
+    const progress = this.progress;
+    cryptoJob.progressCallback = completed => {
+      this.progress = progress + completed;
+      progressDialogController.update(this.worker, this.progress, `Encrypting ${completed}/${secretsNeeded.length}`);
+    };
+    const data = secretsNeeded.map(secretNeeded => ({
+      userId: secretNeeded.Secret.user_id,
+      resourceId: secretNeeded.Secret.resource_id,
+      message: messagesDecrypted[secretNeeded.Secret.resource_id]
+    }));
+    const messagesEncrypted = await cryptoJob.encryptAll(data);
+
+    return secretsNeeded.map((secretNeeded, index) => ({
+      Secret: {
+        resource_id: secretNeeded.Secret.resource_id,
+        user_id: secretNeeded.Secret.user_id,
+        data: messagesEncrypted[index]
+      }
+    }));
+  }
+
+  /**
+   * Mark job entries as failed and save the job.
+   *
+   * @param {object} job The job
+   * @param {array} entries The entries that failed
+   * @param {Error} error The error
+   * @param {boolean} retryable (optional) Whether the entries can be retried. Default deduced from the error.
+   * @return {Promise}
+   * @private
+   */
+  async _markEntriesFailed(job, entries, error, retryable) {
+    entries.forEach(entry => {
+      entry.status = GroupUpdateJob.STATUS_FAILED;
+      // Errors cannot be persisted as they are.
+      entry.error = error.message;
+      entry.retryable = retryable !== undefined ? retryable : GroupUpdateController._isTransientError(error);
+    });
+    await GroupUpdateJob.save(job);
+  }
+
+  /**
+   * Display the summary of the job in the progress dialog.
+   *
+   * @param {object} job The job
+   * @return {Promise}
+   * @private
+   */
+  async _showSummary(job) {
+    const addedEntries = job.entries.filter(entry => entry.status === GroupUpdateJob.STATUS_ADDED);
+    const failedEntries = job.entries.filter(entry => entry.status === GroupUpdateJob.STATUS_FAILED);
+    const resourcesIds = addedEntries.reduce((result, entry) => [...new Set([...result, ...entry.resourcesIds])], []);
+    const resourcesNames = await this._findResourcesNames(resourcesIds);
+    let message = `${addedEntries.length} of ${job.entries.length} members have been added to the group ${job.groupName}.`;
+    if (GroupUpdateJob.getRemainingEntries(job).length) {
+      message += ' The update was interrupted, you can resume it from the group edit dialog.';
+    }
+
+    progressDialogController.showSummary(this.worker, message, [{
+      title: 'Members added',
+      items: addedEntries.map(entry => this._getUserName(entry.groupUser.user_id))
+    }, {
+      title: 'Members not added',
+      items: failedEntries.map(entry => `${this._getUserName(entry.groupUser.user_id)}: ${entry.error}`)
+    }, {
+      title: 'Passwords encrypted for the new members',
+      items: resourcesIds.map(resourceId => resourcesNames[resourceId] || resourceId)
+    }]);
+  }
+
+  /**
+   * Find the names of resources. The summary falls back on the resources ids if the names cannot be retrieved.
+   *
+   * @param {array} resourcesIds The resources ids
+   * @return {Promise<object>} The names indexed by resource id
+   * @private
+   */
+  async _findResourcesNames(resourcesIds) {
+    if (!resourcesIds.length) {
+      return {};
+    }
+    try {
+      const resources = await ResourceService.findAllByResourcesIds(resourcesIds.slice());
+      return resources.reduce((result, resource) => Object.assign(result, {[resource.id]: resource.name}), {});
+    } catch (error) {
+      console.error(error);
+      return {};
+    }
+  }
+
+  /**
+   * Get a readable name of a user from the keyring.
+   *
+   * @param {string} userId The user id
+   * @return {string}
+   * @private
+   */
+  _getUserName(userId) {
+    const publicKey = this.keyring.findPublic(userId);
+    if (!publicKey || !publicKey.userIds.length) {
+      return userId;
+    }
+    return `${publicKey.userIds[0].name} <${publicKey.userIds[0].email}>`;
+  }
+
+  /**
+   * Split the entries in chunks, so that each chunk needs at most CHUNK_SECRETS secrets.
+   *
+   * @param {array} entries The job entries
+   * @param {array} secretsNeeded The secrets needed, as returned by the dry-run
+   * @return {array} The chunks
+   * @private
+   */
+  static _chunkEntries(entries, secretsNeeded) {
+    const chunks = [];
+    let chunk = [];
+    let chunkSecretsCount = 0;
+    entries.forEach(entry => {
+      const secretsCount = secretsNeeded.filter(secretNeeded => secretNeeded.Secret.user_id === entry.groupUser.user_id).length;
+      if (chunk.length && chunkSecretsCount + secretsCount > CHUNK_SECRETS) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkSecretsCount = 0;
+      }
+      chunk.push(entry);
+      chunkSecretsCount += secretsCount;
+    });
+    if (chunk.length) {
+      chunks.push(chunk);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Check if an error is transient: a network failure, or a server error.
+   *
+   * @param {Error} error The error
+   * @return {boolean}
+   * @private
+   */
+  static _isTransientError(error) {
+    if (error.name !== 'PassboltApiFetchError') {
+      return false;
+    }
+    return !error.data.code || error.data.code >= 500;
+  }
+}
+
+exports.GroupUpdateController = GroupUpdateController;
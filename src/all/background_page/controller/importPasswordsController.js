@@ -8,12 +8,26 @@ var Worker = require('../model/worker');
 var fileController = require('../controller/fileController');
 var KeepassDb = require('../model/keepassDb').KeepassDb;
 var CsvDb = require('../model/csvDb').CsvDb;
+var BitwardenDb = require('../model/bitwardenDb').BitwardenDb;
+var OnePuxDb = require('../model/onePuxDb').OnePuxDb;
+var PassboltDb = require('../model/passboltDb').PassboltDb;
+var Share = require('../model/share').Share;
 var Keyring = require('../model/keyring').Keyring;
 var Resource = require('../model/resource').Resource;
+var Secret = require('../model/secret').Secret;
 var Crypto = require('../model/crypto').Crypto;
+var CryptoJob = require('../model/cryptoJob').CryptoJob;
 var progressDialogController = require('../controller/progressDialogController');
 var User = require('../model/user').User;
+var UserService = require('../service/user').UserService;
+var GroupService = require('../service/group').GroupService;
 var Tag = require('../model/tag').Tag;
+var ResourceService = require('../service/resource').ResourceService;
+var masterPasswordController = require('../controller/masterPasswordController');
+var ImportDuplicatesError = require('../error/importDuplicatesError').ImportDuplicatesError;
+var PassboltApiFetchError = require('../error/passboltApiFetchError').PassboltApiFetchError;
+var PassboltServiceUnavailableError = require('../error/passboltServiceUnavailableError').PassboltServiceUnavailableError;
+var ImportJob = require('../model/importJob').ImportJob;
 
 /**
  * Controller for Import passwords.
@@ -26,6 +40,14 @@ var ImportPasswordsController = function(tabid) {
   this.progressStatus = 0;
   this.resources = [];
   this.fileType = null;
+  this.unmappedItems = [];
+  this.duplicates = {
+    found: 0,
+    skipped: 0,
+    overwritten: 0,
+    kept: 0,
+    errors: []
+  };
 };
 
 /**
@@ -44,9 +66,99 @@ ImportPasswordsController.prototype.initFromKdbx = function(b64FileContent, cred
   }
 
   var keepassDb = new KeepassDb();
+  var self = this;
   return keepassDb.loadDb(kdbxFile, credentials.password, credentials.keyFile)
   .then(function(db) {
     return keepassDb.toResources(db);
+  })
+  .then(function(resources) {
+    self._extractUnmappedItems(resources);
+    return resources;
+  });
+};
+
+/**
+ * Initialize controller from a Bitwarden unencrypted json export.
+ * @param string b64FileContent json file content in base 64
+ * @returns {Promise}
+ */
+ImportPasswordsController.prototype.initFromBitwardenJson = function(b64FileContent) {
+  var jsonFile = fileController.b64ToBlob(b64FileContent);
+  var bitwardenDb = new BitwardenDb();
+  var self = this;
+  return bitwardenDb.loadDb(jsonFile)
+  .then(function(db) {
+    return bitwardenDb.toResources(db);
+  })
+  .then(function(resources) {
+    self.unmappedItems = self.unmappedItems.concat(bitwardenDb.unmappedItems);
+    self._extractUnmappedItems(resources);
+    return resources;
+  });
+};
+
+/**
+ * Initialize controller from a 1Password 1pux export.
+ * @param string b64FileContent 1pux file content in base 64
+ * @returns {Promise}
+ */
+ImportPasswordsController.prototype.initFromOnePux = function(b64FileContent) {
+  var onePuxFile = fileController.b64ToBlob(b64FileContent);
+  var onePuxDb = new OnePuxDb();
+  var self = this;
+  return onePuxDb.loadDb(onePuxFile)
+  .then(function(db) {
+    return onePuxDb.toResources(db);
+  })
+  .then(function(resources) {
+    self.unmappedItems = self.unmappedItems.concat(onePuxDb.unmappedItems);
+    self._extractUnmappedItems(resources);
+    return resources;
+  });
+};
+
+/**
+ * Initialize controller from a passbolt export.
+ * The user passphrase is requested to decrypt the file.
+ * The permissions are only restored if the file is signed by a user of this passbolt, otherwise anyone able to
+ * encrypt a file for the user could get the imported resources shared with them. They are reported as not imported.
+ * @param string b64FileContent passbolt file content in base 64
+ * @returns {Promise}
+ */
+ImportPasswordsController.prototype.initFromPassbolt = async function(b64FileContent) {
+  const passboltFile = fileController.b64ToBlob(b64FileContent);
+  const appWorker = Worker.get('App', this.tabid);
+  const masterPassword = await masterPasswordController.get(appWorker);
+  const passboltDb = new PassboltDb();
+  const db = await passboltDb.loadDb(passboltFile, masterPassword);
+  const resources = await passboltDb.toResources(db);
+
+  if (!passboltDb.signerId) {
+    resources.forEach(resource => {
+      if (resource.permissions.length) {
+        this.unmappedItems.push({resource: resource.name, type: 'permissions', name: 'not restored, the file signature could not be verified'});
+      }
+      resource.permissions = [];
+    });
+  }
+
+  return resources;
+};
+
+/**
+ * Extract the items of the resources that could not be mapped on a passbolt resource.
+ * They are kept to be reported at the end of the import.
+ * @param array resources
+ * @private
+ */
+ImportPasswordsController.prototype._extractUnmappedItems = function(resources) {
+  resources.forEach(resource => {
+    if (resource.unmappedItems) {
+      resource.unmappedItems.forEach(item => {
+        this.unmappedItems.push(Object.assign({resource: resource.name}, item));
+      });
+    }
+    delete resource.unmappedItems;
   });
 };
 
@@ -54,17 +166,206 @@ ImportPasswordsController.prototype.initFromKdbx = function(b64FileContent, cred
  * Initialize controller from a csv file.
  * @param string b64FileContent csv file content in base 64
  * @param object options
+ *   mapping: the mapping rules chosen by the user if the csv format is not recognized
+ *   formatName: the name to save the mapping rules with, if any
  * @returns {*}
  */
 ImportPasswordsController.prototype.initFromCsv = function(b64FileContent, options) {
+  options = options || {};
+  var self = this;
+  if (options.mapping) {
+    try {
+      Resource.validateCsvMapping(options.mapping);
+      if (options.formatName) {
+        CsvDb.validateCustomFormatName(options.formatName);
+      }
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
   var csvFile = fileController.b64ToBlob(b64FileContent);
   var csvDb = new CsvDb();
   return csvDb.loadDb(csvFile)
   .then(function(db) {
-    return csvDb.toResources(db);
+    return csvDb.toResources(db, options.mapping);
+  })
+  .then(function(resources) {
+    self._extractUnmappedItems(resources);
+    // Remember the mapping for the next imports of files of the same format.
+    if (options.mapping && options.formatName) {
+      CsvDb.saveCustomFormat(options.formatName, options.mapping);
+    }
+    return resources;
   });
 };
 
+/**
+ * Get the key used to compare an imported resource with the existing resources.
+ * @param object resource
+ * @returns {string}
+ * @private
+ */
+ImportPasswordsController._getDuplicateKey = function(resource) {
+  return [resource.name, resource.username, resource.uri]
+    .map(value => (value || '').trim().toLowerCase())
+    .join('\n');
+};
+
+/**
+ * Find the resources to import that already exist.
+ * A resource is considered as a duplicate if an existing resource has the same name, username and uri, and if
+ * requested the same secret.
+ * @param array resources The resources to import
+ * @param object options
+ *  * bool compareSecrets Compare the secrets as well, the user passphrase will be requested
+ * @returns {Promise<array>} Array of {index, resourceId, name, username, uri}
+ */
+ImportPasswordsController.prototype.findDuplicates = async function(resources, options) {
+  const compareSecrets = options.compareSecrets || false;
+  const existingResources = await ResourceService.findAll({contain: {secret: compareSecrets}});
+  const existingResourcesByKey = {};
+  existingResources.forEach(existingResource => {
+    const key = ImportPasswordsController._getDuplicateKey(existingResource);
+    existingResourcesByKey[key] = existingResourcesByKey[key] || [];
+    existingResourcesByKey[key].push(existingResource);
+  });
+
+  const duplicates = [];
+  resources.forEach((resource, index) => {
+    const candidates = existingResourcesByKey[ImportPasswordsController._getDuplicateKey(resource)];
+    if (candidates) {
+      duplicates.push({index, candidates, name: resource.name, username: resource.username, uri: resource.uri});
+    }
+  });
+
+  if (compareSecrets && duplicates.length) {
+    await this._filterDuplicatesBySecret(resources, duplicates);
+  }
+
+  return duplicates.filter(duplicate => duplicate.candidates.length)
+    .map(duplicate => ({
+      index: duplicate.index,
+      resourceId: duplicate.candidates[0].id,
+      name: duplicate.name,
+      username: duplicate.username,
+      uri: duplicate.uri
+    }));
+};
+
+/**
+ * Filter the duplicates candidates having a different secret than the resource to import.
+ * @param array resources The resources to import
+ * @param array duplicates The duplicates found by name, username and uri
+ * @returns {Promise}
+ * @private
+ */
+ImportPasswordsController.prototype._filterDuplicatesBySecret = async function(resources, duplicates) {
+  const appWorker = Worker.get('App', this.tabid);
+  const cryptoJob = new CryptoJob();
+  const masterPassword = await masterPasswordController.get(appWorker);
+  await cryptoJob.unlockPrivateKey(masterPassword);
+
+  // Decrypt all the candidates secrets at once.
+  const candidates = duplicates.reduce((carry, duplicate) => [...carry, ...duplicate.candidates], []);
+  const candidatesSecretsClear = await cryptoJob.decryptAll(candidates.map(candidate => candidate.secrets[0].data));
+
+  for (let i in duplicates) {
+    const secretClear = resources[duplicates[i].index].secretClear;
+    duplicates[i].candidates = duplicates[i].candidates.filter(candidate => {
+      return Secret.parseMessage(candidatesSecretsClear[candidates.indexOf(candidate)]).password === secretClear;
+    });
+  }
+};
+
+/**
+ * Resolve the duplicates of the resources to import.
+ * @param array resources The resources to import
+ * @param object options
+ *  * string duplicatesStrategy The strategy to apply on duplicates: ask, skip, overwrite or keep (both)
+ *  * object duplicatesResolutions The strategy chosen by the user for each duplicate, indexed by resource position
+ *  * bool compareSecrets Compare the secrets as well to find the duplicates
+ * @throws {ImportDuplicatesError} If duplicates are found and the user has to choose what to do with them
+ * @returns {Promise<object>} Object of {resources: the resources to import, overwrites: array of {resourceId, resource}}
+ */
+ImportPasswordsController.prototype.resolveDuplicates = async function(resources, options) {
+  const strategy = options.duplicatesStrategy || 'keep';
+  const resolutions = options.duplicatesResolutions || null;
+  if (strategy === 'keep' && !resolutions) {
+    return {resources, overwrites: []};
+  }
+
+  const duplicates = await this.findDuplicates(resources, options);
+  if (strategy === 'ask' && !resolutions && duplicates.length) {
+    throw new ImportDuplicatesError('Some passwords already exist', {duplicates});
+  }
+
+  const duplicatesByIndex = {};
+  duplicates.forEach(duplicate => duplicatesByIndex[duplicate.index] = duplicate);
+  const result = {resources: [], overwrites: []};
+  this.duplicates.found = duplicates.length;
+
+  resources.forEach((resource, index) => {
+    const duplicate = duplicatesByIndex[index];
+    if (!duplicate) {
+      result.resources.push(resource);
+      return;
+    }
+    const resolution = resolutions && resolutions[index] ? resolutions[index] : strategy;
+    if (resolution === 'skip') {
+      this.duplicates.skipped++;
+    } else if (resolution === 'overwrite') {
+      result.overwrites.push({resourceId: duplicate.resourceId, resource});
+    } else {
+      this.duplicates.kept++;
+      result.resources.push(resource);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Overwrite existing resources with the resources to import.
+ * The secret is encrypted for all the users having access to the existing resource.
+ * @param array overwrites Array of {resourceId, resource}
+ * @returns {Promise}
+ */
+ImportPasswordsController.prototype.overwriteResources = async function(overwrites) {
+  if (!overwrites.length) {
+    return;
+  }
+
+  const appWorker = Worker.get('App', this.tabid);
+  const cryptoJob = new CryptoJob();
+  const keyring = new Keyring();
+  const user = User.getInstance();
+  progressDialogController.open(appWorker, 'Updating existing passwords...', overwrites.length);
+  await keyring.sync();
+
+  for (let i in overwrites) {
+    const resource = overwrites[i].resource;
+    progressDialogController.update(appWorker, i, `Updating... ${parseInt(i) + 1}/${overwrites.length}`);
+    try {
+      const users = await UserService.findAll(user, {filter: {hasAccess: overwrites[i].resourceId}});
+      const usersIds = users.map(user => user.id);
+      const armoredSecrets = await cryptoJob.encryptForMany(Secret.buildMessage(resource.secretClear, resource.totp, resource.secretExtras), usersIds);
+      const secrets = armoredSecrets.map((data, j) => ({user_id: usersIds[j], data}));
+      await ResourceService.update(overwrites[i].resourceId, {
+        name: resource.name,
+        username: resource.username,
+        uri: resource.uri,
+        description: resource.description,
+        secrets
+      });
+      this.duplicates.overwritten++;
+    } catch (error) {
+      this.duplicates.errors.push({resource: {name: resource.name, username: resource.username, uri: resource.uri}, serverError: error.data || error.message});
+    }
+  }
+
+  progressDialogController.close(appWorker);
+};
+
 /**
  * Encrypt a resource clear password into an armored message.
  * @param resources
@@ -144,67 +445,248 @@ ImportPasswordsController.prototype._importResourceTags = function(resourceId, c
 };
 
 /**
- * Import a batch of resources.
- * @param array resources batch of resources to save.
- * @param int batchNumber batch number
- * @param int batchSize maximum number of resources a batch can contain
+ * The delays to wait before retrying to import a resource that failed because of a transient error, in ms.
+ */
+ImportPasswordsController.IMPORT_RETRY_DELAYS = [1000, 2000, 4000];
+
+/**
+ * Check if an import error is transient (network failure, server error) and worth a retry.
+ * The validation errors and the other client errors would fail again, they are not retried.
+ * @param error The error as rejected by Resource.import
+ * @returns {boolean}
+ * @private
+ */
+ImportPasswordsController._isTransientError = function(error) {
+  if (error instanceof PassboltServiceUnavailableError) {
+    return true;
+  }
+  // The non API responses are rejected as PassboltApiFetchError, the API errors as API responses.
+  if (error instanceof PassboltApiFetchError) {
+    return error.data.code >= 500;
+  }
+  return error !== undefined && error !== null && !(error instanceof Error) && error.header !== undefined && error.header.code >= 500;
+};
+
+/**
+ * Import a resource, retry with backoff if the import fails because of a transient error.
+ * @param object resource
+ * @return Promise
+ * @private
+ */
+ImportPasswordsController.prototype._importResource = async function(resource) {
+  const delays = ImportPasswordsController.IMPORT_RETRY_DELAYS;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await Resource.import(resource);
+    } catch (error) {
+      if (!ImportPasswordsController._isTransientError(error) || attempt >= delays.length) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, delays[attempt]));
+    }
+  }
+};
+
+/**
+ * Import a batch of job entries.
+ * @param array entries batch of job entries to import.
+ * @param int counter position of the first entry of the batch
  * @param int totalResources total number of resources to import
  * @param object options
  *  * bool categoriesAsTags
  * @return Promise
  */
-ImportPasswordsController.prototype._importBatchResources = async function(resources, batchNumber, batchSize, totalResources, options) {
+ImportPasswordsController.prototype._importBatchResources = async function(entries, counter, totalResources, options) {
   const appWorker = Worker.get('App', this.tabid);
-  let counter = batchNumber * batchSize + 1;
-  let importResults = [];
   const promises = [];
 
-  for (var i in resources) {
-    const resource = resources[i];
-    const promise = Resource.import(resource)
+  for (var i in entries) {
+    const entry = entries[i];
+    const promise = this._importResource(entry.resource)
       .then(importedResource => {
-        importResults.push(importedResource);
-        return this._importResourceTags(importedResource.id, resource.tags, options);
+        entry.status = ImportJob.STATUS_IMPORTED;
+        entry.response = importedResource;
+        entry.retryable = false;
+        return Promise.resolve(this._importResourceTags(importedResource.id, entry.resource.tags, options))
+          .catch(error => console.error(error));
       }, error => {
-        importResults.push(error);
+        entry.status = ImportJob.STATUS_FAILED;
+        // Errors cannot be persisted as they are.
+        entry.response = error instanceof Error ? {message: error.message} : error;
+        entry.retryable = ImportPasswordsController._isTransientError(error);
       })
       .then(() => progressDialogController.update(appWorker, this.progressStatus++, `Importing...  ${counter++}/${totalResources}`));
     promises.push(promise);
   }
 
   await Promise.all(promises);
-  return importResults;
 };
 
 /**
  * Import a list of resources.
+ * The import is tracked by a job, see ImportJob.
  * @param array resources list of resources to save.
  * @param object options
  *  * bool categoriesAsTags
- * @return Promise
+ * @return Promise The import result, see getJobResult
  */
 ImportPasswordsController.prototype.saveResources = async function(resources, options) {
   options = options || {};
+  const job = await ImportJob.create(resources, {
+    fileType: this.fileType,
+    // Only the options required to complete the import are kept, the file credentials are not persisted.
+    options: {
+      tagsIntegration: options.tagsIntegration || false,
+      categoriesAsTags: options.categoriesAsTags || false,
+      importTag: options.importTag || null
+    },
+    unmappedItems: this.unmappedItems,
+    duplicates: this.duplicates
+  });
+
+  return this.runJob(job);
+};
+
+/**
+ * Import the remaining entries of a job.
+ * @param object job
+ * @return Promise The import result, see getJobResult
+ */
+ImportPasswordsController.prototype.runJob = async function(job) {
   const appWorker = Worker.get('App', this.tabid);
+  const entries = ImportJob.getRemainingEntries(job);
 
-  // Split the resources in batches of equal size.
+  // Import the entries by batches, sequentially. Save the job progress after each batch.
   const batchSize = 5;
-  const chunks = resources.length / batchSize;
-  const batches = [];
-  for (var i = 0, j = 0; i < chunks; i++, j += batchSize) {
-    batches.push(resources.slice(j, j + batchSize));
+  for (let i = 0; i < entries.length; i += batchSize) {
+    await this._importBatchResources(entries.slice(i, i + batchSize), i + 1, entries.length, job.options);
+    await ImportJob.save(job);
   }
+  await this._restorePermissions(job);
+  await ImportJob.complete(job);
 
-  let batchNumber = 0;
-  let importResults = [];
-  // Import the batches sequentially
-  for (var i in batches) {
-    const importBatchResult = await this._importBatchResources(batches[i], batchNumber++, batchSize, resources.length, options);
-    importResults = [...importResults, ...importBatchResult];
+  progressDialogController.close(appWorker);
+  return this.getJobResult(job);
+};
+
+/**
+ * Restore the permissions of the imported resources, as defined in the imported file (passbolt exports).
+ * The users are matched by username and the groups by name. The permissions of the users and groups that do not
+ * exist on this passbolt are reported as not imported.
+ * @param object job
+ * @return Promise
+ * @private
+ */
+ImportPasswordsController.prototype._restorePermissions = async function(job) {
+  const entries = ImportJob.getEntriesToShare(job);
+  if (!entries.length) {
+    return;
   }
 
-  progressDialogController.close(appWorker);
-  return importResults;
+  const appWorker = Worker.get('App', this.tabid);
+  const user = User.getInstance();
+  const currentUserId = user.get().id;
+  const keyring = new Keyring();
+  const masterPassword = await masterPasswordController.get(appWorker);
+  progressDialogController.update(appWorker, this.progressStatus, 'Restoring permissions...');
+  const users = await UserService.findAll(user);
+  const groups = await GroupService.findAll();
+  await keyring.sync();
+
+  for (let i in entries) {
+    const entry = entries[i];
+    const changes = [];
+    entry.permissions.forEach(permission => {
+      const aro = permission.aro === 'Group'
+        ? groups.find(group => group.name === permission.name)
+        : users.find(aroUser => aroUser.username === permission.username);
+      if (!aro) {
+        job.unmappedItems.push({resource: entry.resource.name, type: 'permission', name: PassboltDb.getPermissionName(permission)});
+        return;
+      }
+      // The user importing the resource is already its owner.
+      if (aro.id === currentUserId) {
+        return;
+      }
+      changes.push({is_new: true, aro: permission.aro, aro_foreign_key: aro.id, aco: 'Resource', aco_foreign_key: entry.response.id, type: permission.type});
+    });
+
+    if (changes.length) {
+      const resource = {id: entry.response.id, name: entry.resource.name, secrets: entry.resource.secrets};
+      const report = await Share.bulkShare([resource], changes, masterPassword, message => {
+        progressDialogController.update(appWorker, this.progressStatus, message);
+      });
+      report.filter(item => !item.success).forEach(item => {
+        job.unmappedItems.push({resource: entry.resource.name, type: 'permissions', name: `not restored, ${item.error}`});
+      });
+    }
+    entry.permissions = [];
+    await ImportJob.save(job);
+  }
+};
+
+/**
+ * Resume the job that was interrupted.
+ * @return Promise The import result, see getJobResult
+ */
+ImportPasswordsController.prototype.resumeJob = async function() {
+  const job = await ImportJob.get();
+  if (!job || !ImportJob.getRemainingEntries(job).length) {
+    throw new Error('There is no import to resume');
+  }
+
+  const appWorker = Worker.get('App', this.tabid);
+  this.progressStatus = 0;
+  this.progressObjective = ImportJob.getRemainingEntries(job).length;
+  progressDialogController.open(appWorker, 'Importing...', this.progressObjective);
+
+  return this.runJob(job);
+};
+
+/**
+ * Get the result of a job, as expected by the import report.
+ * @param object job
+ * @return object
+ */
+ImportPasswordsController.prototype.getJobResult = function(job) {
+  return {
+    "resources": job.entries.map(entry => entry.resource),
+    "responses": job.entries.map(entry => entry.response),
+    "importTag": job.options.importTag,
+    "unmappedItems": job.unmappedItems,
+    "duplicates": job.duplicates
+  };
+};
+
+/**
+ * Download the entries of the last job that failed to be imported, as a csv file that can be fixed and imported again.
+ * @return Promise
+ */
+ImportPasswordsController.prototype.downloadFailedResources = async function() {
+  const job = await ImportJob.get();
+  const entries = job ? ImportJob.getFailedEntries(job) : [];
+  if (!entries.length) {
+    throw new Error('There is no failed import to download');
+  }
+
+  // Master password required to decrypt the secrets.
+  const appWorker = Worker.get('App', this.tabid);
+  const masterPassword = await masterPasswordController.get(appWorker);
+  const cryptoJob = new CryptoJob();
+  await cryptoJob.unlockPrivateKey(masterPassword);
+  const resources = entries.map(entry => Object.assign({}, entry.resource));
+  const encryptedResources = resources.filter(resource => resource.secrets);
+  const secretsClear = await cryptoJob.decryptAll(encryptedResources.map(resource => resource.secrets[0].data));
+  resources.forEach(resource => {
+    const index = encryptedResources.indexOf(resource);
+    resource.secretClear = index !== -1 ? Secret.parseMessage(secretsClear[index]).password : '';
+  });
+
+  const csvContent = await new CsvDb().fromResources(resources, 'kdbx');
+  const date = new Date().toISOString().slice(0, 10);
+  await fileController.saveFile(`passbolt-import-failed-${date}.csv`, csvContent, this.tabid);
+  // The failed entries can be imported again from the file.
+  await ImportJob.remove();
 };
 
 /**
@@ -271,8 +753,10 @@ ImportPasswordsController.prototype._addArmoredSecretsToResources = function(arm
 ImportPasswordsController._prepareResources = function(resources, userId) {
   var resourcesToEncrypt = resources.map(function(resource) {
     resource.userId = userId;
-    resource.message = resource.secretClear;
+    resource.message = Secret.buildMessage(resource.secretClear, resource.totp, resource.secretExtras);
     delete resource.secretClear;
+    delete resource.totp;
+    delete resource.secretExtras;
     return resource;
   });
   return resourcesToEncrypt;
@@ -0,0 +1,120 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const __ = require('../../sdk/l10n').get;
+const Config = require('../../model/config');
+const fileController = require('../fileController');
+const Key = require('../../model/key').Key;
+const KeyBackup = require('../../model/keyBackup').KeyBackup;
+const Keyring = require('../../model/keyring').Keyring;
+
+/**
+ * Key backup controller.
+ */
+class KeyBackupController {
+
+  /**
+   * Constructor
+   * @param {Worker} worker The worker requesting the backup
+   */
+  constructor(worker) {
+    this.worker = worker;
+    this.keyring = new Keyring();
+  }
+
+  /**
+   * Download the armored private key.
+   *
+   * @return {Promise}
+   */
+  async download() {
+    return this._saveFile('passbolt_private.asc', this.keyring.findPrivate().key);
+  }
+
+  /**
+   * Download the private key in an encrypted container.
+   *
+   * @param {string} backupPassphrase The passphrase protecting the container
+   * @return {Promise}
+   */
+  async downloadEncrypted(backupPassphrase) {
+    // The backup passphrase follows the same rules as the key passphrase.
+    try {
+      new Key().validate({passphrase: backupPassphrase}, ['passphrase']);
+    } catch (error) {
+      throw new Error(__('The backup passphrase should be at least 8 characters'));
+    }
+    const privateKey = this.keyring.findPrivate();
+    const armoredContainer = await KeyBackup.encrypt(privateKey.key, privateKey.fingerprint, backupPassphrase);
+
+    return this._saveFile('passbolt_private_backup.asc', armoredContainer);
+  }
+
+  /**
+   * Build the paper backup of the private key.
+   *
+   * @return {Promise<object>} The key info, without the armored key, and the QR codes
+   */
+  async paperBackup() {
+    const privateKey = this.keyring.findPrivate();
+    const qrCodes = await KeyBackup.toQrCodes(privateKey.key, privateKey.fingerprint);
+    const keyInfo = Object.assign({}, privateKey);
+    delete keyInfo.key;
+
+    return {keyInfo, qrCodes};
+  }
+
+  /**
+   * Read a private key from the pictures of its paper backup QR codes.
+   *
+   * @param {array} dataUrls The pictures, as data urls
+   * @return {Promise<string>} The armored key
+   */
+  async readQrCodes(dataUrls) {
+    if (!dataUrls || !dataUrls.length) {
+      throw new Error(__('Select the pictures of the QR codes.'));
+    }
+
+    return KeyBackup.fromQrCodes(dataUrls);
+  }
+
+  /**
+   * Read a private key from an encrypted container.
+   *
+   * @param {string} armoredContainer The armored container
+   * @param {string} backupPassphrase The passphrase protecting the container
+   * @return {Promise<string>} The armored key
+   */
+  async decrypt(armoredContainer, backupPassphrase) {
+    return KeyBackup.decrypt(armoredContainer, backupPassphrase);
+  }
+
+  /**
+   * Save a file.
+   *
+   * @param {string} filename The file name
+   * @param {string} content The file content
+   * @return {Promise}
+   * @private
+   */
+  async _saveFile(filename, content) {
+    // If debug mode is enabled, add .txt at the end of filename.
+    if (Config.isDebug() == true) {
+      filename += '.txt';
+    }
+
+    return fileController.saveFile(filename, content, this.worker.tab.id);
+  }
+}
+
+exports.KeyBackupController = KeyBackupController;
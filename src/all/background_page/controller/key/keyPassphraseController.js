@@ -0,0 +1,67 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const __ = require('../../sdk/l10n').get;
+const Key = require('../../model/key').Key;
+const KeyBackupController = require('./keyBackupController').KeyBackupController;
+const Keyring = require('../../model/keyring').Keyring;
+const User = require('../../model/user').User;
+
+/**
+ * Key passphrase controller.
+ */
+class KeyPassphraseController {
+
+  /**
+   * Constructor
+   * @param {Worker} worker The key settings page worker
+   */
+  constructor(worker) {
+    this.worker = worker;
+    this.keyring = new Keyring();
+  }
+
+  /**
+   * Change the passphrase of the user private key.
+   * The key is protected with the new passphrase, and a backup of it is downloaded.
+   *
+   * @param {string} passphrase The current passphrase
+   * @param {string} newPassphrase The new passphrase
+   * @return {Promise}
+   */
+  async main(passphrase, newPassphrase) {
+    await this.keyring.checkPassphrase(passphrase);
+    // Validate the new passphrase as the setup does.
+    try {
+      new Key().validate({passphrase: newPassphrase}, ['passphrase']);
+    } catch (error) {
+      throw new Error(__('The new passphrase should be at least 8 characters'));
+    }
+    if (passphrase === newPassphrase) {
+      throw new Error(__('The new passphrase should be different from the current one.'));
+    }
+
+    const privateKey = (await openpgp.key.readArmored(this.keyring.findPrivate().key)).keys[0];
+    await privateKey.decrypt(passphrase);
+    await privateKey.encrypt(newPassphrase);
+    const armoredKey = privateKey.armor();
+    await this.keyring.replaceMyKey(armoredKey, User.getInstance().get().id);
+    // The passphrase kept in memory is not the one of the key anymore.
+    User.getInstance().flushMasterPassword();
+
+    const keyBackupController = new KeyBackupController(this.worker);
+    await keyBackupController.download();
+  }
+}
+
+exports.KeyPassphraseController = KeyPassphraseController;
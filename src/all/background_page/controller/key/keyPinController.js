@@ -0,0 +1,86 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const __ = require('../../sdk/l10n').get;
+const Keyring = require('../../model/keyring').Keyring;
+const KeyPin = require('../../model/keyPin').KeyPin;
+const User = require('../../model/user').User;
+
+/**
+ * Key pin controller.
+ */
+class KeyPinController {
+
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.keyring = new Keyring();
+  }
+
+  /**
+   * Find the pinned keys of the other users.
+   * The keys that changed come first.
+   *
+   * @return {Promise<array>} The pins
+   */
+  async findAll() {
+    const userId = User.getInstance().get().id;
+    const pins = KeyPin.getAll();
+
+    return Object.keys(pins)
+      .filter(pinUserId => pinUserId !== userId)
+      .map(pinUserId => pins[pinUserId])
+      .sort((pinA, pinB) => {
+        if (Boolean(pinA.changedFingerprint) !== Boolean(pinB.changedFingerprint)) {
+          return pinA.changedFingerprint ? -1 : 1;
+        }
+        return (pinA.name || '').localeCompare(pinB.name || '');
+      });
+  }
+
+  /**
+   * Mark the key of a user as verified.
+   *
+   * @param {string} userId The user id
+   * @param {string} fingerprint The fingerprint given by the user, obtained from the key owner
+   * @return {Promise<object>} The pin
+   * @throw Error if the fingerprint does not match the pinned key
+   */
+  async verify(userId, fingerprint) {
+    fingerprint = (fingerprint || '').replace(/\s/g, '').toLowerCase();
+    if (!fingerprint) {
+      throw new Error(__('Enter the fingerprint given by the owner of the key.'));
+    }
+
+    return KeyPin.verify(userId, fingerprint);
+  }
+
+  /**
+   * Trust the new key of a user, it replaces the pinned key.
+   *
+   * @param {string} userId The user id
+   * @return {Promise<object>} The pin
+   */
+  async trustNewKey(userId) {
+    const pin = KeyPin.get(userId);
+    const keyInfo = this.keyring.findPublic(userId);
+    if (!pin || !pin.changedFingerprint || !keyInfo || keyInfo.fingerprint !== pin.changedFingerprint) {
+      throw new Error(__('The key of this user did not change.'));
+    }
+
+    return KeyPin.pin(keyInfo);
+  }
+}
+
+exports.KeyPinController = KeyPinController;
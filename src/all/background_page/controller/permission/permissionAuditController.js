@@ -0,0 +1,96 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const fileController = require('../fileController');
+const Group = require('../../model/group').Group;
+const PermissionAudit = require('../../model/permissionAudit').PermissionAudit;
+const Resource = require('../../model/resource').Resource;
+const TabStorage = require('../../model/tabStorage').TabStorage;
+const User = require('../../model/user').User;
+const UserService = require('../../service/user').UserService;
+
+/**
+ * Permission audit controller.
+ */
+class PermissionAuditController {
+
+  /**
+   * Constructor
+   * @param {Worker} worker The permission audit page worker
+   */
+  constructor(worker) {
+    this.worker = worker;
+  }
+
+  /**
+   * Audit the permissions of a selection of resources.
+   * The report is kept in the tab storage to be exported.
+   *
+   * @param {object} selection The resources to audit
+   * - {array} resourcesIds The resources ids
+   * - {string} tag The slug of a tag, all the resources having this tag are audited
+   * @return {Promise<object>} The report
+   */
+  async main(selection) {
+    const resourcesIds = await this._findResourcesIds(selection);
+    const resourcesPromise = resourcesIds.length ? Resource.findShareResources(resourcesIds.slice()) : [];
+    const groupsPromise = Group.findAll({contain: {groupUser: 1}});
+    const usersPromise = UserService.findAll(User.getInstance());
+    const resources = await resourcesPromise;
+    if (resources instanceof Error) {
+      throw resources;
+    }
+    const groups = await groupsPromise;
+    const users = await usersPromise;
+    const report = PermissionAudit.build(resources, groups, users.filter(user => user.active).length);
+    TabStorage.set(this.worker.tab.id, 'permissionAuditReport', report);
+
+    return report;
+  }
+
+  /**
+   * Download the last report as a CSV file.
+   *
+   * @return {Promise}
+   */
+  async exportCsv() {
+    const report = TabStorage.get(this.worker.tab.id, 'permissionAuditReport');
+    if (!report) {
+      throw new Error('There is no permission audit to export');
+    }
+    const date = new Date().toISOString().slice(0, 10);
+
+    return fileController.saveFile(`passbolt-permissions-${date}.csv`, PermissionAudit.toCsv(report), this.worker.tab.id);
+  }
+
+  /**
+   * Find the ids of the resources to audit.
+   *
+   * @param {object} selection See main
+   * @return {Promise<array>}
+   * @private
+   */
+  async _findResourcesIds(selection) {
+    if (selection.tag) {
+      const resources = await Resource.findAll({filter: {hasTag: selection.tag}});
+      return resources.map(resource => resource.id);
+    }
+    if (!selection.resourcesIds || !selection.resourcesIds.length) {
+      throw new Error('Select the passwords or the tag to audit');
+    }
+
+    return selection.resourcesIds;
+  }
+}
+
+exports.PermissionAuditController = PermissionAuditController;
@@ -57,12 +57,32 @@ var updateGoals = function (worker, goals) {
 };
 exports.updateGoals = updateGoals;
 
+/**
+ * Display a summary in the progress dialog once the operation is completed.
+ * The dialog stays open until the user closes it.
+ *
+ * @param worker The worker associated with the progress dialog.
+ * @param message The summary message
+ * @param sections (optional) The details of the summary, array of {title, items}
+ */
+var showSummary = function (worker, message, sections) {
+  var progressWorker = Worker.get('Progress', worker.tab.id);
+  if (progressWorker) {
+    progressWorker.port.emit('passbolt.progress.show-summary', message, sections || []);
+  }
+};
+exports.showSummary = showSummary;
+
 /**
  * Close the progress dialog.
  *
  * @param worker The worker associated with the progress dialog.
  */
 var close = function (worker) {
-  worker.port.emit('passbolt.progress.close-dialog');
+  try {
+    worker.port.emit('passbolt.progress.close-dialog');
+  } catch (error) {
+    // The worker has been disconnected, the dialog is gone with it.
+  }
 };
 exports.close = close;
@@ -0,0 +1,269 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const __ = require('../../sdk/l10n').get;
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const Clipboard = require('../../model/clipboard').Clipboard;
+const Crypto = require('../../model/crypto').Crypto;
+const FillFormError = require('../../error/fillFormError').FillFormError;
+const FillFormRisk = require('../../model/fillFormRisk').FillFormRisk;
+const Resource = require('../../model/resource').Resource;
+const ResourceMatchMode = require('../../model/resourceMatchMode').ResourceMatchMode;
+const Secret = require('../../model/secret').Secret;
+const SuggestedResources = require('../../model/suggestedResources').SuggestedResources;
+const TabStorage = require('../../model/tabStorage').TabStorage;
+const UnsafeFillFormError = require('../../error/unsafeFillFormError').UnsafeFillFormError;
+const User = require('../../model/user').User;
+const Worker = require('../../model/worker');
+
+/**
+ * The maximum number of resources the user can choose from.
+ */
+const CHOOSER_RESOURCES_LIMIT = 10;
+
+/**
+ * Quickaccess shortcut controller.
+ * Use the resource matching the current tab with a keyboard shortcut, without opening the quickaccess. When several
+ * resources match, the user chooses the resource to use in a dialog displayed in the page.
+ *
+ * The passphrase cannot be requested without the quickaccess, the shortcuts requiring to decrypt a secret are only
+ * available when the passphrase is remembered.
+ */
+class QuickAccessShortcutController {
+
+  /**
+   * Constructor
+   * @param {object} tab The tab the shortcut is used on
+   */
+  constructor(tab) {
+    this.tab = tab;
+  }
+
+  /**
+   * Execute a shortcut command on the tab.
+   * @param {string} command The command, see QuickAccessShortcutController.COMMANDS
+   * @return {Promise}
+   */
+  async main(command) {
+    // The extension cannot interact with the pages it is not running on, such as the browser pages.
+    if (!Worker.exists('Bootstrap', this.tab.id)) {
+      return;
+    }
+
+    try {
+      const resources = await this._findResources();
+      const matchModes = await ResourceMatchMode.findAll();
+      const matchingResources = SuggestedResources.find(resources, this.tab.url, {limit: CHOOSER_RESOURCES_LIMIT, matchModes});
+      if (matchingResources.length === 0) {
+        this._openDialog({command: command, message: __('No password matches this page.'), error: true});
+      } else if (matchingResources.length === 1) {
+        await this._useResource(command, matchingResources[0]);
+      } else {
+        this._openDialog({
+          command: command,
+          resources: matchingResources.map(resource => ({
+            id: resource.id,
+            name: resource.name,
+            username: resource.username || ''
+          }))
+        });
+      }
+    } catch (error) {
+      this._openDialog({command: command, message: error.message, error: true});
+    }
+  }
+
+  /**
+   * Use the resource the user chose in the dialog.
+   * @param {string} resourceId The resource identifier
+   * @return {Promise}
+   * @throw {Error} if the resource was not offered to the user
+   */
+  async useChosenResource(resourceId) {
+    const dialog = TabStorage.get(this.tab.id, 'quickAccessShortcut');
+    if (!dialog || !dialog.resources || !dialog.resources.some(resource => resource.id === resourceId)) {
+      throw new Error(__('The resource was not offered for this page.'));
+    }
+
+    try {
+      const resources = await this._findResources();
+      const resource = resources.find(resource => resource.id === resourceId);
+      if (!resource) {
+        throw new Error(__('The resource does not exist anymore.'));
+      }
+      await this._useResource(dialog.command, resource);
+    } catch (error) {
+      this._openDialog({command: dialog.command, message: error.message, error: true});
+    }
+  }
+
+  /**
+   * Close the dialog displayed in the tab.
+   */
+  closeDialog() {
+    if (TabStorage.get(this.tab.id, 'quickAccessShortcut')) {
+      TabStorage.remove(this.tab.id, 'quickAccessShortcut');
+    }
+    Worker.get('Bootstrap', this.tab.id).port.emit('passbolt.quickaccess.close-shortcut');
+  }
+
+  /**
+   * Use a resource on the tab.
+   * @param {string} command The command
+   * @param {object} resource The resource
+   * @return {Promise}
+   * @private
+   */
+  async _useResource(command, resource) {
+    switch (command) {
+      case QuickAccessShortcutController.COMMANDS.AUTOFILL: {
+        // The page could have changed since the resource was offered. The risks can only be confirmed in the quickaccess.
+        const matchModes = await ResourceMatchMode.findAll();
+        const risks = FillFormRisk.evaluate(resource, this.tab.url, matchModes[resource.id]);
+        if (risks.length) {
+          const origin = FillFormRisk.getOrigin(this.tab.url);
+          const message = `${FillFormRisk.describe(risks, origin)} ${__('Use the quickaccess to fill it anyway.')}`;
+          throw new UnsafeFillFormError(message, origin, risks);
+        }
+        const password = await this._decryptPassword(resource.id);
+        this.closeDialog();
+        await this._fillForm(resource.username, password);
+        break;
+      }
+      case QuickAccessShortcutController.COMMANDS.COPY_PASSWORD: {
+        const password = await this._decryptPassword(resource.id);
+        Clipboard.copy(password);
+        const pendingClear = Clipboard.scheduleClear(password);
+        let message = __('The password of %0 has been copied to the clipboard.').replace('%0', resource.name);
+        if (pendingClear.expiresAt) {
+          message += ' ' + __('It will be cleared in %0 seconds.').replace('%0', pendingClear.delay);
+        }
+        this._openDialog({command: command, message: message});
+        break;
+      }
+      case QuickAccessShortcutController.COMMANDS.COPY_USERNAME:
+        if (!resource.username) {
+          throw new Error(__('%0 has no username.').replace('%0', resource.name));
+        }
+        Clipboard.copy(resource.username);
+        this._openDialog({command: command, message: __('The username of %0 has been copied to the clipboard.').replace('%0', resource.name)});
+        break;
+      default:
+        throw new Error(__('Unknown shortcut command.'));
+    }
+  }
+
+  /**
+   * Find the resources the user has access to.
+   * @return {Promise<array>}
+   * @private
+   */
+  async _findResources() {
+    let { resources } = await browser.storage.local.get("resources");
+    if (!resources) {
+      try {
+        await Resource.updateLocalStorage();
+      } catch (error) {
+        throw new Error(__('Sign in to passbolt to use the keyboard shortcuts.'));
+      }
+      ({ resources } = await browser.storage.local.get("resources"));
+    }
+
+    return resources;
+  }
+
+  /**
+   * Decrypt the password of a resource with the remembered passphrase.
+   * @param {string} resourceId The resource identifier
+   * @return {Promise<string>}
+   * @throw {Error} if the passphrase is not remembered
+   * @private
+   */
+  async _decryptPassword(resourceId) {
+    const crypto = new Crypto();
+    let masterPassword;
+    try {
+      masterPassword = await User.getInstance().getStoredMasterPassword();
+    } catch (error) {
+      throw new Error(__('Your passphrase is required. Open the quickaccess, enter your passphrase and remember it to use the keyboard shortcuts.'));
+    }
+    const secret = await Secret.findByResourceId(resourceId);
+    const message = await crypto.decrypt(secret.data, masterPassword);
+
+    return Secret.parseMessage(message).password;
+  }
+
+  /**
+   * Request the page to fill its login form.
+   * @param {string} username The username to fill
+   * @param {string} password The password to fill
+   * @return {Promise<object>} The report of the filled fields {username: boolean, password: boolean}
+   * @throws {FillFormError} If no field could be filled
+   * @private
+   */
+  async _fillForm(username, password) {
+    let report;
+
+    try {
+      report = await Worker.get('Bootstrap', this.tab.id).port.request('passbolt.quickaccess.fill-form', username, password);
+    } catch (error) {
+      throw new FillFormError(__('Unable to find a login form on this page. Copy and paste the information instead.'), {cause: error.message});
+    }
+
+    if (!report.password && !report.username) {
+      throw new FillFormError(__('Unable to fill the login form of this page. Copy and paste the information instead.'), {report});
+    }
+
+    return report;
+  }
+
+  /**
+   * Open the dialog in the tab.
+   * A dialog already opened is replaced.
+   * @param {object} dialog The dialog to display
+   * - {string} command The command the dialog is opened for
+   * - {array} resources (optional) The resources to choose from
+   * - {string} message (optional) The message to display instead of the resources
+   * - {boolean} error (optional) Whether the message is an error
+   * @private
+   */
+  _openDialog(dialog) {
+    TabStorage.set(this.tab.id, 'quickAccessShortcut', Object.assign({
+      title: QuickAccessShortcutController.TITLES[dialog.command] || 'passbolt',
+      resources: [],
+      message: null,
+      error: false
+    }, dialog));
+    Worker.get('Bootstrap', this.tab.id).port.emit('passbolt.quickaccess.open-shortcut');
+  }
+}
+
+/**
+ * The shortcut commands, as defined in the manifest.
+ */
+QuickAccessShortcutController.COMMANDS = {
+  AUTOFILL: 'passbolt-autofill',
+  COPY_PASSWORD: 'passbolt-copy-password',
+  COPY_USERNAME: 'passbolt-copy-username'
+};
+
+/**
+ * The title of the dialog of each command.
+ */
+QuickAccessShortcutController.TITLES = {
+  [QuickAccessShortcutController.COMMANDS.AUTOFILL]: __('Fill the login form'),
+  [QuickAccessShortcutController.COMMANDS.COPY_PASSWORD]: __('Copy the password'),
+  [QuickAccessShortcutController.COMMANDS.COPY_USERNAME]: __('Copy the username')
+};
+
+exports.QuickAccessShortcutController = QuickAccessShortcutController;
@@ -0,0 +1,86 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const __ = require('../../sdk/l10n').get;
+const ResourceCreateController = require('../resource/resourceCreateController').ResourceCreateController;
+const SecretUpdateController = require('../secret/secretUpdateController').SecretUpdateController;
+const SubmittedCredentials = require('../../model/submittedCredentials').SubmittedCredentials;
+
+/**
+ * Save the credentials submitted on a web page controller
+ */
+class SaveSubmittedCredentialsController {
+
+  constructor(worker, requestId) {
+    this.worker = worker;
+    this.requestId = requestId;
+  }
+
+  /**
+   * Save the credentials submitted on a tab.
+   * Create a new resource, or update the password of an existing resource if a resource id is given.
+   *
+   * @param {int} tabId The tab the credentials were submitted on
+   * @param {object} options The save options
+   * - {string} name The name of the resource to create
+   * - {string} resourceId The resource to update the password of
+   * @return {Promise<object>} The created or updated resource
+   */
+  async main(tabId, options) {
+    const credentials = SubmittedCredentials.get(tabId);
+    if (!credentials) {
+      throw new Error(__('No credentials to save were found for this page.'));
+    }
+
+    let resource;
+    if (options.resourceId) {
+      resource = await this._updateSecret(options.resourceId, credentials.password);
+    } else {
+      resource = await this._create(options.name, credentials);
+    }
+    SubmittedCredentials.remove(tabId);
+
+    return resource;
+  }
+
+  /**
+   * Create a resource with the submitted credentials.
+   * @param {string} name The resource name
+   * @param {object} credentials The submitted credentials
+   * @return {Promise<object>} The created resource
+   */
+  async _create(name, credentials) {
+    const resourceCreateController = new ResourceCreateController(this.worker, this.requestId);
+    const resource = {
+      name: name || SubmittedCredentials.getHost(credentials.url),
+      username: credentials.username,
+      uri: credentials.url
+    };
+
+    return resourceCreateController.main(resource, credentials.password);
+  }
+
+  /**
+   * Update the password of a resource.
+   * The TOTP of the resource, if any, is kept.
+   * @param {string} resourceId The resource identifier
+   * @param {string} password The new password
+   * @return {Promise<object>} The updated resource
+   */
+  async _updateSecret(resourceId, password) {
+    const secretUpdateController = new SecretUpdateController(this.worker);
+    return secretUpdateController.main(resourceId, {password});
+  }
+}
+
+exports.SaveSubmittedCredentialsController = SaveSubmittedCredentialsController;
@@ -11,11 +11,16 @@
  * @link          https://www.passbolt.com Passbolt(tm)
  * @since         2.8.0
  */
+const __ = require('../../sdk/l10n').get;
 const browser = require("webextension-polyfill/dist/browser-polyfill");
 const Crypto = require('../../model/crypto').Crypto;
+const FillFormError = require('../../error/fillFormError').FillFormError;
+const FillFormRisk = require('../../model/fillFormRisk').FillFormRisk;
 const masterPasswordController = require('../masterPasswordController');
+const ResourceMatchMode = require('../../model/resourceMatchMode').ResourceMatchMode;
 const ResourceService = require('../../service/resource').ResourceService;
 const Secret = require('../../model/secret').Secret;
+const UnsafeFillFormError = require('../../error/unsafeFillFormError').UnsafeFillFormError;
 const Worker = require('../../model/worker');
 
 /**
@@ -30,28 +35,117 @@ class UseResourceOnCurrentTabController {
 
   /**
    * Execute the controller
+   * The page is evaluated before the secret is decrypted. A page not served over HTTPS or not matching the resource
+   * uri is filled only if the user confirmed the risks for its origin.
    * @param {array} resourceId The resource identifier to decrypt the secret of.
+   * @param {object} options (optional)
+   * - {string} confirmedOrigin The page origin the user confirmed to fill despite the risks
    * @return {Promise}
    */
-  async main(resourceId) {
+  async main(resourceId, options) {
+    options = options || {};
     const crypto = new Crypto();
     const { resources } = await browser.storage.local.get("resources");
     const resource = resources.find(resource => resource.id == resourceId);
 
     try {
+      const tab = await this._getCurrentTab();
+      const risks = await this._evaluateRisks(resource, tab.url, options.confirmedOrigin);
       const secretPromise = this._getSecret(resourceId);
       const masterPassword = await masterPasswordController.get(this.worker);
       const secret = await secretPromise;
       const message = await crypto.decrypt(secret.data, masterPassword);
+      // The user could have navigated while entering the passphrase.
+      const currentTab = await this._getCurrentTab();
+      if (currentTab.id !== tab.id || FillFormRisk.getOrigin(currentTab.url) !== FillFormRisk.getOrigin(tab.url)) {
+        throw new FillFormError(__('The page changed while the password was decrypted. Try again.'));
+      }
+      if (risks.length) {
+        await FillFormRisk.logOverride(resource, FillFormRisk.getOrigin(tab.url), risks);
+      }
+      const report = await this._fillForm(tab.id, resource.username, Secret.parseMessage(message).password);
+      this.worker.port.emit(this.requestId, 'SUCCESS', report);
+    } catch (error) {
+      this.worker.port.emit(this.requestId, 'ERROR', this.worker.port.getEmitableError(error));
+    }
+  }
+
+  /**
+   * Fill a TOTP code on the current tab.
+   * The code is computed by the quickaccess, the TOTP secret does not leave the extension.
+   * @param {string} code The TOTP code
+   * @return {Promise}
+   */
+  async fillTotpCode(code) {
+    try {
       const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-      const tabId = tabs[0].id;
-      await Worker.get('Bootstrap', tabId).port.request('passbolt.quickaccess.fill-form', resource.username, message);
+      try {
+        await Worker.get('Bootstrap', tabs[0].id).port.request('passbolt.quickaccess.fill-totp', code);
+      } catch (error) {
+        throw new FillFormError(__('Unable to find the code field on this page. Copy and paste the code instead.'), {cause: error.message});
+      }
       this.worker.port.emit(this.requestId, 'SUCCESS');
     } catch (error) {
       this.worker.port.emit(this.requestId, 'ERROR', this.worker.port.getEmitableError(error));
     }
   }
 
+  /**
+   * Get the current tab.
+   * @return {Promise<object>}
+   */
+  async _getCurrentTab() {
+    const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+    return tabs[0];
+  }
+
+  /**
+   * Evaluate the risks of filling a resource on a page.
+   * @param {object} resource The resource to fill
+   * @param {string} url The page url
+   * @param {string} confirmedOrigin (optional) The page origin the user confirmed to fill despite the risks
+   * @return {Promise<array>} The risks the user confirmed, empty if the page is safe
+   * @throws {FillFormError} If the page is not a web page
+   * @throws {UnsafeFillFormError} If the page is not safe and the user did not confirm its origin
+   */
+  async _evaluateRisks(resource, url, confirmedOrigin) {
+    const origin = FillFormRisk.getOrigin(url);
+    if (!origin) {
+      throw new FillFormError(__('Passwords can only be filled on web pages.'));
+    }
+    const matchModes = await ResourceMatchMode.findAll();
+    const risks = FillFormRisk.evaluate(resource, url, matchModes[resource.id]);
+    if (risks.length && confirmedOrigin !== origin) {
+      throw new UnsafeFillFormError(FillFormRisk.describe(risks, origin), origin, risks);
+    }
+
+    return risks;
+  }
+
+  /**
+   * Request the page to fill its login form.
+   * @param {int} tabId The tab to fill the form of
+   * @param {string} username The username to fill
+   * @param {string} password The password to fill
+   * @return {Promise<object>} The report of the filled fields {username: boolean, password: boolean}
+   * @throws {FillFormError} If no field could be filled
+   */
+  async _fillForm(tabId, username, password) {
+    let report;
+
+    try {
+      report = await Worker.get('Bootstrap', tabId).port.request('passbolt.quickaccess.fill-form', username, password);
+    } catch (error) {
+      throw new FillFormError(__('Unable to find a login form on this page. Copy and paste the information instead.'), {cause: error.message});
+    }
+
+    if (!report.password && !report.username) {
+      throw new FillFormError(__('Unable to fill the login form of this page. Copy and paste the information instead.'), {report});
+    }
+
+    return report;
+  }
+
   /**
    * Get the resource secret to decrypt
    * @param {string} resourceId The resource identifier to decrypt the secret of.
@@ -13,7 +13,9 @@
  */
 const progressDialogController = require('../../controller/progressDialogController');
 const ResourceService = require('../../service/resource').ResourceService;
+const SiteSettings = require('../../model/siteSettings').SiteSettings;
 const TabStorage = require('../../model/tabStorage').TabStorage;
+const User = require('../../model/user').User;
 const Worker = require('../../model/worker');
 
 /**
@@ -29,7 +31,10 @@ class ResourceExportController {
     const appWorker = Worker.get('App', worker.tab.id);
     try {
       const progressDialogPromise = progressDialogController.open(appWorker, 'Retrieving passwords...');
-      const resources = await ResourceService.findAllByResourcesIds(resourcesIds, {contain:{secret: 1}});
+      const siteSettings = new SiteSettings(User.getInstance().settings.getDomain());
+      // Export the tags as well if the server supports them, they are used to organize the exported passwords.
+      const tag = await siteSettings.isPluginEnabled('tags');
+      const resources = await ResourceService.findAllByResourcesIds(resourcesIds, {contain:{secret: 1, tag: tag}});
       progressDialogController.close(appWorker);
       TabStorage.set(worker.tab.id, 'exportedResources', resources);
       await progressDialogPromise;
@@ -16,6 +16,7 @@ const masterPasswordController = require('../masterPasswordController');
 const progressDialogController = require('../progressDialogController');
 const ResourceService = require('../../service/resource').ResourceService;
 const Secret = require('../../model/secret').Secret;
+const TabStorage = require('../../model/tabStorage').TabStorage;
 const Worker = require('../../model/worker');
 
 /**
@@ -30,6 +31,8 @@ class SecretDecryptController {
 
   /**
    * Execute the controller
+   * Only the password is sent back. When the secret is decrypted to be edited in the application, its TOTP and its
+   * extras are kept in the tab storage to be encrypted again with the edited password.
    * @param {array} resourceId The resource identifier to decrypt the secret of.
    * @return {Promise}
    */
@@ -41,8 +44,12 @@ class SecretDecryptController {
       const masterPassword = await masterPasswordController.get(this.worker);
       await this._showProgress();
       const secret = await secretPromise;
-      const message = await crypto.decrypt(secret.data, masterPassword);
-      this.worker.port.emit(this.requestId, 'SUCCESS', message);
+      const message = Secret.parseMessage(await crypto.decrypt(secret.data, masterPassword));
+      if (this.worker.pageMod) {
+        TabStorage.set(this.worker.tab.id, 'editedPasswordTotp', message.totp);
+        TabStorage.set(this.worker.tab.id, 'editedPasswordExtras', message.extras);
+      }
+      this.worker.port.emit(this.requestId, 'SUCCESS', message.password);
     } catch (error) {
       this.worker.port.emit(this.requestId, 'ERROR', this.worker.port.getEmitableError(error));
     }
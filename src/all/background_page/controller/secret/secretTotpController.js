@@ -0,0 +1,86 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const __ = require('../../sdk/l10n').get;
+const Crypto = require('../../model/crypto').Crypto;
+const masterPasswordController = require('../masterPasswordController');
+const qrCode = require('../../utils/qrCode');
+const Secret = require('../../model/secret').Secret;
+const SecretUpdateController = require('./secretUpdateController').SecretUpdateController;
+const Totp = require('../../model/totp').Totp;
+
+/**
+ * Secret TOTP controller.
+ * The TOTP of a resource is stored in its encrypted secret, next to the password.
+ */
+class SecretTotpController {
+
+  /**
+   * Constructor
+   * @param {Worker} worker The worker requesting the TOTP
+   */
+  constructor(worker) {
+    this.worker = worker;
+  }
+
+  /**
+   * Get the TOTP of a resource.
+   *
+   * @param {string} resourceId The resource identifier
+   * @return {Promise<string|null>} The otpauth URI, null if the resource has no TOTP
+   */
+  async get(resourceId) {
+    const crypto = new Crypto();
+    const secretPromise = Secret.findByResourceId(resourceId);
+    const masterPassword = await masterPasswordController.get(this.worker);
+    const secret = await secretPromise;
+    const message = await crypto.decrypt(secret.data, masterPassword);
+
+    return Secret.parseMessage(message).totp;
+  }
+
+  /**
+   * Set the TOTP of a resource.
+   *
+   * @param {string} resourceId The resource identifier
+   * @param {string|null} totp The otpauth URI, null to remove the TOTP
+   * @return {Promise<object>} The updated resource
+   * @throw {Error} if the TOTP is not valid
+   */
+  async update(resourceId, totp) {
+    if (totp) {
+      totp = Totp.buildUri(Totp.parseUri(totp));
+    }
+    const secretUpdateController = new SecretUpdateController(this.worker);
+
+    return secretUpdateController.main(resourceId, {totp: totp || null});
+  }
+
+  /**
+   * Read a TOTP from the picture of its QR code.
+   *
+   * @param {string} dataUrl The picture, as data url
+   * @return {Promise<string>} The otpauth URI
+   * @throw {Error} if the picture does not contain a TOTP QR code
+   */
+  async readQrCode(dataUrl) {
+    const content = await qrCode.decode(dataUrl);
+    try {
+      return Totp.buildUri(Totp.parseUri(content));
+    } catch (error) {
+      throw new Error(__('The QR code does not contain a TOTP. %0').replace('%0', error.message));
+    }
+  }
+}
+
+exports.SecretTotpController = SecretTotpController;
@@ -0,0 +1,76 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ * @since         2.11.0
+ */
+const Crypto = require('../../model/crypto').Crypto;
+const Keyring = require('../../model/keyring').Keyring;
+const masterPasswordController = require('../masterPasswordController');
+const Resource = require('../../model/resource').Resource;
+const ResourceService = require('../../service/resource').ResourceService;
+const Secret = require('../../model/secret').Secret;
+const User = require('../../model/user').User;
+const UserService = require('../../service/user').UserService;
+
+/**
+ * Secret update controller.
+ * Update a part of a resource secret, the password or the TOTP, and keep the other part.
+ */
+class SecretUpdateController {
+
+  /**
+   * Constructor
+   * @param {Worker} worker The worker requesting the update
+   */
+  constructor(worker) {
+    this.worker = worker;
+  }
+
+  /**
+   * Update the secret of a resource.
+   * The secret is encrypted for all the users having access to the resource.
+   *
+   * @param {string} resourceId The resource identifier
+   * @param {object} changes The secret parts to update
+   * - {string} password The new password
+   * - {string|null} totp The new TOTP otpauth URI, null to remove it
+   * @return {Promise<object>} The updated resource
+   */
+  async main(resourceId, changes) {
+    const crypto = new Crypto();
+    const keyring = new Keyring();
+    const user = User.getInstance();
+    const secretPromise = Secret.findByResourceId(resourceId);
+    const masterPassword = await masterPasswordController.get(this.worker);
+    const secret = await secretPromise;
+    const current = Secret.parseMessage(await crypto.decrypt(secret.data, masterPassword));
+    const password = typeof changes.password !== 'undefined' ? changes.password : current.password;
+    const totp = typeof changes.totp !== 'undefined' ? changes.totp : current.totp;
+    const message = Secret.buildMessage(password, totp, current.extras);
+
+    const privateKey = await crypto.getAndDecryptPrivateKey(masterPassword);
+    const [users] = await Promise.all([
+      UserService.findAll(user, {filter: {hasAccess: resourceId}}),
+      keyring.sync()
+    ]);
+    const secrets = [];
+    for (let i in users) {
+      const data = await crypto.encrypt(message, users[i].id, privateKey);
+      secrets.push({user_id: users[i].id, data: data});
+    }
+    const resource = await ResourceService.update(resourceId, {secrets});
+    await Resource.updateLocalStorage();
+
+    return resource;
+  }
+}
+
+exports.SecretUpdateController = SecretUpdateController;
@@ -5,6 +5,8 @@
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
 
+var browser = require("webextension-polyfill/dist/browser-polyfill");
+var QuickAccessShortcutController = require('./quickaccess/quickAccessShortcutController').QuickAccessShortcutController;
 var tabsController = require('./tabsController');
 var Toolbar = require('../model/toolbar').Toolbar;
 
@@ -18,9 +20,7 @@ var ToolbarController = function() {
     _this.onButtonClick();
   });
   chrome.commands.onCommand.addListener(function(command) {
-    if (command === "passbolt-open") {
-      _this.onButtonClick();
-    }
+    _this.onShortcutPressed(command);
   });
 };
 
@@ -33,9 +33,21 @@ ToolbarController.prototype.onButtonClick = function() {
 
 /**
  * Handle the shortcut pressed event.
+ * @param command {string} The command of the shortcut, as defined in the manifest
  */
-ToolbarController.prototype.onShortcutPressed = function() {
-  this.openPassboltTab();
+ToolbarController.prototype.onShortcutPressed = async function(command) {
+  if (command === "passbolt-open") {
+    this.openPassboltTab();
+    return;
+  }
+  if (!Object.values(QuickAccessShortcutController.COMMANDS).includes(command)) {
+    return;
+  }
+  var tabs = await browser.tabs.query({active: true, currentWindow: true});
+  if (tabs.length) {
+    var controller = new QuickAccessShortcutController(tabs[0]);
+    controller.main(command);
+  }
 };
 
 /**
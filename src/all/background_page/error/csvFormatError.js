@@ -0,0 +1,16 @@
+/**
+ * Csv format error
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+class CsvFormatError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'CsvFormatError';
+    this.data = data || {};
+  }
+}
+
+exports.CsvFormatError = CsvFormatError;
@@ -0,0 +1,16 @@
+/**
+ * Fill form error
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+class FillFormError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'FillFormError';
+    this.data = data || {};
+  }
+}
+
+exports.FillFormError = FillFormError;
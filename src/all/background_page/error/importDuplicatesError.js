@@ -0,0 +1,16 @@
+/**
+ * Import duplicates error
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+class ImportDuplicatesError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'ImportDuplicatesError';
+    this.data = data || {};
+  }
+}
+
+exports.ImportDuplicatesError = ImportDuplicatesError;
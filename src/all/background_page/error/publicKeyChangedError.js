@@ -0,0 +1,18 @@
+/**
+ * Public key changed error
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+var __ = require('../sdk/l10n').get;
+
+class PublicKeyChangedError extends Error {
+  constructor(userId, name){
+    const message = __('The key of %0 has changed since it was first seen. Verify the new key fingerprint in the key settings before encrypting for this user.').replace('%0', name || userId);
+    super(message);
+    this.name = 'PublicKeyChangedError';
+    this.userId = userId;
+  }
+}
+
+exports.PublicKeyChangedError = PublicKeyChangedError;
@@ -0,0 +1,17 @@
+/**
+ * Server key changed error
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+var __ = require('../sdk/l10n').get;
+
+class ServerKeyChangedError extends Error {
+  constructor(oldKey, newKey){
+    super(__('The server key has changed since it was trusted.'));
+    this.name = 'ServerKeyChangedError';
+    this.data = {oldKey, newKey};
+  }
+}
+
+exports.ServerKeyChangedError = ServerKeyChangedError;
@@ -0,0 +1,16 @@
+/**
+ * Unsafe fill form error
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+class UnsafeFillFormError extends Error {
+  constructor(message, origin, risks) {
+    super(message);
+    this.name = 'UnsafeFillFormError';
+    this.data = {origin, risks};
+  }
+}
+
+exports.UnsafeFillFormError = UnsafeFillFormError;
@@ -7,6 +7,7 @@
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
 const __ = require('../sdk/l10n').get;
+const Clipboard = require('../model/clipboard').Clipboard;
 var Crypto = require('../model/crypto').Crypto;
 const InvalidMasterPasswordError = require('../error/invalidMasterPasswordError').InvalidMasterPasswordError;
 var Keyring = require('../model/keyring').Keyring;
@@ -102,7 +103,7 @@ var listen = function (worker) {
         var encryptAllData = usersIds.map(function(userId) {
           return {
             userId: userId,
-            message: editedPassword.secret
+            message: Secret.buildMessage(editedPassword.secret, TabStorage.get(worker.tab.id, 'editedPasswordTotp'), TabStorage.get(worker.tab.id, 'editedPasswordExtras'))
           }
         });
 
@@ -135,6 +136,8 @@ var listen = function (worker) {
   worker.port.on('passbolt.app.share-init', function (requestId, resourcesIds) {
     // Store some variables in the tab storage in order to make it accessible by other workers.
     TabStorage.set(worker.tab.id, 'shareResourcesIds', resourcesIds);
+    // The resources the permissions can be copied from are retrieved again for each share dialog.
+    TabStorage.remove(worker.tab.id, 'shareSearchableResources');
     worker.port.emit(requestId, 'SUCCESS');
   });
 
@@ -156,8 +159,10 @@ var listen = function (worker) {
         return crypto.decrypt(armored, masterPassword)
       })
       .then(function (decrypted) {
+        decrypted = Secret.parseMessage(decrypted).password;
         var clipboardWorker = Worker.get('ClipboardIframe', worker.tab.id);
         clipboardWorker.port.emit('passbolt.clipboard-iframe.copy', decrypted);
+        Clipboard.scheduleClear(decrypted);
         worker.port.emit('passbolt.progress.close-dialog');
         worker.port.emit(requestId, 'SUCCESS', decrypted);
       })
@@ -185,9 +190,10 @@ var listen = function (worker) {
       const masterPassword = await masterPasswordController.get(worker);
       await progressDialogController.open(worker, 'Decrypting...');
       const secret = await secretPromise;
-      const message = await crypto.decrypt(secret.data, masterPassword);
+      const message = Secret.parseMessage(await crypto.decrypt(secret.data, masterPassword)).password;
       const clipboardWorker = Worker.get('ClipboardIframe', worker.tab.id);
       clipboardWorker.port.emit('passbolt.clipboard-iframe.copy', message);
+      Clipboard.scheduleClear(message);
       worker.port.emit(requestId, 'SUCCESS', message);
     } catch (error) {
       if (error instanceof InvalidMasterPasswordError || error instanceof UserAbortsOperationError) {
@@ -57,6 +57,30 @@ const listen = function (worker) {
     auth.verify();
   });
 
+  /*
+   * Trust the new key advertised by the server, and verify the server identity with it.
+   *
+   * @listens passbolt.auth.accept-new-server-key
+   * @param requestId {uuid} The request identifier
+   * @param fingerprint {string} The fingerprint of the key the user accepted
+   */
+  worker.port.on('passbolt.auth.accept-new-server-key', function (requestId, fingerprint) {
+    var auth = new AuthController(worker, requestId);
+    auth.acceptNewServerKey(fingerprint);
+  });
+
+  /*
+   * Reject the new key advertised by the server.
+   *
+   * @listens passbolt.auth.reject-new-server-key
+   * @param requestId {uuid} The request identifier
+   * @param fingerprint {string} The fingerprint of the key the user rejected
+   */
+  worker.port.on('passbolt.auth.reject-new-server-key', function (requestId, fingerprint) {
+    var auth = new AuthController(worker, requestId);
+    auth.rejectNewServerKey(fingerprint);
+  });
+
   /*
    * Get the password server key for a given domain.
    *
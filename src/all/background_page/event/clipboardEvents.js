@@ -4,6 +4,7 @@
  * @copyright (c) 2017 Passbolt SARL
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
+const Clipboard = require('../model/clipboard').Clipboard;
 var Worker = require('../model/worker');
 
 var listen = function (worker) {
@@ -20,5 +21,45 @@ var listen = function (worker) {
     worker.port.emit(requestId, 'SUCCESS');
   });
 
+  /*
+   * Clear a secret copied to the clipboard after the configured delay.
+   *
+   * @listens passbolt.clipboard.schedule-clear
+   * @param requestId {uuid} The request identifier
+   * @param secret {string} The copied secret
+   */
+  worker.port.on('passbolt.clipboard.schedule-clear', function (requestId, secret) {
+    try {
+      worker.port.emit(requestId, 'SUCCESS', Clipboard.scheduleClear(secret));
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Get the status of the pending clipboard clear.
+   *
+   * @listens passbolt.clipboard.get-pending-clear
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.clipboard.get-pending-clear', function (requestId) {
+    worker.port.emit(requestId, 'SUCCESS', Clipboard.getPendingClear());
+  });
+
+  /*
+   * Set the delay after which a copied secret is cleared from the clipboard.
+   *
+   * @listens passbolt.clipboard.set-clear-delay
+   * @param requestId {uuid} The request identifier
+   * @param delay {int} The delay in seconds, 0 to never clear the clipboard
+   */
+  worker.port.on('passbolt.clipboard.set-clear-delay', function (requestId, delay) {
+    try {
+      worker.port.emit(requestId, 'SUCCESS', Clipboard.setClearDelay(delay));
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
 };
 exports.listen = listen;
\ No newline at end of file
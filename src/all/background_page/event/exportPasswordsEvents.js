@@ -9,6 +9,8 @@ var Worker = require('../model/worker');
 var TabStorage = require('../model/tabStorage').TabStorage;
 var progressDialogController = require('../controller/progressDialogController');
 var fileController = require('../controller/fileController');
+var Keyring = require('../model/keyring').Keyring;
+var User = require('../model/user').User;
 
 var listen = function (worker) {
 
@@ -24,12 +26,42 @@ var listen = function (worker) {
     worker.port.emit(requestId, 'SUCCESS', details);
   });
 
+  /**
+   * Get the keys a passbolt export can be encrypted for.
+   * The current user key is returned first.
+   */
+  worker.port.on('passbolt.export-passwords.get-recipients', async function (requestId) {
+    try {
+      var keyring = new Keyring();
+      await keyring.sync();
+      var currentUserId = User.getInstance().get().id;
+      var publicKeys = Keyring.getPublicKeys();
+      var recipients = Object.keys(publicKeys).map(function(userId) {
+        var key = publicKeys[userId];
+        return {
+          userId: userId,
+          name: key.userIds.length ? key.userIds[0].name : '',
+          email: key.userIds.length ? key.userIds[0].email : '',
+          fingerprint: key.fingerprint,
+          isCurrentUser: userId === currentUserId
+        };
+      });
+      recipients.sort(function(a, b) {
+        return b.isCurrentUser - a.isCurrentUser || a.name.localeCompare(b.name);
+      });
+      worker.port.emit(requestId, 'SUCCESS', recipients);
+    } catch (e) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(e));
+    }
+  });
+
   /**
    * Export resources into a file, according to options parameters.
    * @param requestId the requestId
    * @param options (refer to exportPasswordsController).
    *   format
    *   credentials
+   *   recipient
    */
   worker.port.on('passbolt.export-passwords.export-to-file', function (requestId, options) {
     var resources = TabStorage.get(worker.tab.id, 'exportedResources');
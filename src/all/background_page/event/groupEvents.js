@@ -12,9 +12,8 @@ var User = require('../model/user').User;
 var Group = require('../model/group').Group;
 var GroupForm = require('../model/groupForm').GroupForm;
 var InvalidMasterPasswordError = require('../error/invalidMasterPasswordError').InvalidMasterPasswordError;
-var Keyring = require('../model/keyring').Keyring;
-var Crypto = require('../model/crypto').Crypto;
-var masterPasswordController = require('../controller/masterPasswordController');
+var GroupUpdateController = require('../controller/group/groupUpdateController').GroupUpdateController;
+var GroupUpdateJob = require('../model/groupUpdateJob').GroupUpdateJob;
 var progressDialogController = require('../controller/progressDialogController');
 var UserAbortsOperationError = require('../error/userAbortsOperationError').UserAbortsOperationError;
 
@@ -114,10 +113,13 @@ var listen = function (worker) {
       } else if (!groupForm.hasNewUsers()) {
         groupSaved = await updateGroup(worker, groupId, groupJson);
       } else {
-        groupSaved = await updateGroupWithNewUsers(worker, groupId, groupJson);
+        const groupUpdateController = new GroupUpdateController(worker);
+        groupSaved = await groupUpdateController.main(groupId, groupJson);
       }
       worker.port.emit(requestId, 'SUCCESS', groupSaved);
     } catch (error) {
+      // On success the progress dialog is left open, it can display a summary the user has to close.
+      progressDialogController.close(worker);
       if (error instanceof InvalidMasterPasswordError || error instanceof UserAbortsOperationError) {
         // The save operation has been aborted.
       } else if (error instanceof Error) {
@@ -125,8 +127,6 @@ var listen = function (worker) {
       } else {
         worker.port.emit(requestId, 'ERROR', error);
       }
-    } finally {
-      progressDialogController.close(worker);
     }
   });
 
@@ -168,72 +168,48 @@ var listen = function (worker) {
     return groupSaved;
   };
 
-  /**
-   * Update a group with new users.
-   * @param worker {object} The worker associated with the progress dialog.
-   * @param groupId {string} The group id
-   * @param groupJson {object } The form data
-   * @return {object} The API result
+  /*
+   * Get the group update that was interrupted and can be resumed, if any.
+   *
+   * @listens passbolt.group.edit.get-pending-job
+   * @param requestId {uuid} The request identifier
    */
-  const updateGroupWithNewUsers = async function(worker, groupId, groupJson) {
-    const keyring = new Keyring();
-    let progressGoals = 100;
-    let progress = 0;
-    const group = new Group();
-
-    const dryRunPromise = group.save(groupJson, groupId, true);
-    const keyringSyncPromise = keyring.sync();
-    const masterPassword = await masterPasswordController.get(worker);
-    await progressDialogController.open(worker, 'Updating group ...', progressGoals);
-    const dryRunResult = await dryRunPromise;
-    await keyringSyncPromise;
-
-    progress += 2; // Keyring sync + dryrun
-    progressGoals = dryRunResult['dry-run']['SecretsNeeded'].length + dryRunResult['dry-run']['Secrets'].length + progress;
-    progressDialogController.updateGoals(worker, progressGoals);
-    progressDialogController.update(worker, progress++);
-
-    groupJson['Secrets'] = await encryptSaveGroupSecrets(
-      dryRunResult,
-      masterPassword,
-      () => progressDialogController.update(worker, progress++),
-      message => { return index => progressDialogController.update(worker, progress, message.replace('%0', parseInt(index) + 1)) }
-    );
-    const groupSaved = await group.save(groupJson, groupId);
-    progressDialogController.close(worker);
-
-    return groupSaved;
-  };
+  worker.port.on('passbolt.group.edit.get-pending-job', async function (requestId) {
+    try {
+      const groupForm = new GroupForm(worker.tab.id);
+      const groupId = groupForm.get('currentGroup.Group.id');
+      const job = groupId ? await GroupUpdateJob.get(groupId) : null;
+      const remainingEntries = job ? GroupUpdateJob.getRemainingEntries(job) : [];
+      const pendingJob = remainingEntries.length ? {total: job.entries.length, remaining: remainingEntries.length} : null;
+      worker.port.emit(requestId, 'SUCCESS', pendingJob);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
 
-  /**
-   * Encrypt the secrets needed by a save group operation
-   * @param dryRunResult {object} the group response returned from a dry-run call.
-   * @param masterPassword {string} the private key master password
+  /*
+   * Resume the group update that was interrupted.
+   * The progress and the passphrase dialogs are displayed by the App.
+   *
+   * @listens passbolt.group.edit.resume-job
+   * @param requestId {uuid} The request identifier
    */
-  const encryptSaveGroupSecrets = async function (dryRunResult, masterPassword, completeCallback, startCallback) {
-    if (dryRunResult['dry-run'] == undefined || dryRunResult['dry-run'] == 0 || dryRunResult['dry-run']['SecretsNeeded'] == 0) {
-      return;
+  worker.port.on('passbolt.group.edit.resume-job', async function (requestId) {
+    const appWorker = Worker.get('App', worker.tab.id);
+    try {
+      const groupForm = new GroupForm(worker.tab.id);
+      const groupUpdateController = new GroupUpdateController(appWorker);
+      const groupSaved = await groupUpdateController.resume(groupForm.get('currentGroup.Group.id'));
+      worker.port.emit(requestId, 'SUCCESS', groupSaved);
+    } catch (error) {
+      progressDialogController.close(appWorker);
+      if (error instanceof InvalidMasterPasswordError || error instanceof UserAbortsOperationError) {
+        worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(new Error('The group update has been aborted.')));
+      } else {
+        worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+      }
     }
-
-    const crypto = new Crypto();
-    const secretsNeeded = dryRunResult['dry-run']['SecretsNeeded'];
-    const secretsOrigin = dryRunResult['dry-run']['Secrets'];
-
-    // Decrypt all the secrets.
-    const messagesOriginEncrypted = secretsOrigin.reduce((result, item) => [...result, item.Secret[0].data], []);
-    const messagesOriginDecrypted = await crypto.decryptAll(messagesOriginEncrypted, masterPassword, completeCallback, startCallback(`Decrypting %0/${secretsOrigin.length}`));
-    secretsOrigin.forEach((secret, i) => secret['Secret'][0].dataDecrypted = messagesOriginDecrypted[i]);
-
-    // Encrypt all the secrets for the new users.
-    const encryptAllData = secretsNeeded.map(secretNeeded => {
-      const secretOrigin = secretsOrigin.find(secretOrigin => secretNeeded.Secret.resource_id == secretOrigin.Secret[0].resource_id);
-      return {userId: secretNeeded['Secret'].user_id, message: secretOrigin.Secret[0].dataDecrypted}
-    });
-    const messagesNeeededEncrypted = await crypto.encryptAll(encryptAllData, completeCallback, startCallback('Encrypting %0/' + secretsNeeded.length));
-    messagesNeeededEncrypted.forEach((messageEncrypted, i) => secretsNeeded[i].Secret.data = messageEncrypted);
-
-    return secretsNeeded;
-  };
+  });
 
   /*
    * A groupUser has been temporary deleted.
@@ -5,47 +5,142 @@
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
 var ImportController = require('../controller/importPasswordsController').ImportPasswordsController;
+var ImportJob = require('../model/importJob').ImportJob;
 var Worker = require('../model/worker');
 
 var listen = function (worker) {
 
   worker.port.on('passbolt.import-passwords.import-file', function (requestId, b64FileContent, fileType, options) {
     var importController = new ImportController(worker.tab.id);
+    importController.fileType = fileType;
 
     var loader = null;
     if (fileType == 'kdbx') {
       loader = importController.initFromKdbx(b64FileContent, options.credentials);
     } else if( fileType == 'csv') {
-      loader = importController.initFromCsv(b64FileContent, {});
+      loader = importController.initFromCsv(b64FileContent, {mapping: options.csvMapping, formatName: options.csvFormatName});
+    } else if (fileType == 'json') {
+      loader = importController.initFromBitwardenJson(b64FileContent);
+    } else if (fileType == '1pux') {
+      loader = importController.initFromOnePux(b64FileContent);
+    } else if (fileType == 'passbolt') {
+      loader = importController.initFromPassbolt(b64FileContent);
     }
 
     loader
     .then(function(resources) {
-      return importController.encryptSecrets(resources);
+      return importController.resolveDuplicates(resources, options);
+    })
+    .then(async function(resolved) {
+      await importController.overwriteResources(resolved.overwrites);
+      return importController.encryptSecrets(resolved.resources);
     })
     .then(function (resources) {
       options.importTag = ImportController._getUniqueImportTag(fileType);
       return importController.saveResources(resources, options);
     })
-    .then(function(responses) {
+    .then(function(result) {
       // Send results report to content code, in order to display report.
-      const result = {
-        "resources": importController.resources,
-        "responses": responses,
-        "importTag": options.importTag
-      };
-
-      // Inform the app-js that the import is complete.
-      var appWorker = Worker.get('App', worker.tab.id);
-      appWorker.port.emit('passbolt.import-passwords.complete', result);
-
-      worker.port.emit(requestId, 'SUCCESS', result);
+      complete(worker, requestId, result);
     })
     .catch(function(e) {
-      console.error(e);
-      worker.port.emit(requestId, 'ERROR', e);
+      error(worker, requestId, e);
     });
   });
+
+  /*
+   * Get the import that was interrupted and can be resumed, if any.
+   *
+   * @listens passbolt.import-passwords.get-pending-job
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.import-passwords.get-pending-job', async function (requestId) {
+    try {
+      const job = await ImportJob.get();
+      const remainingEntries = job ? ImportJob.getRemainingEntries(job) : [];
+      const pendingJob = remainingEntries.length ? {total: job.entries.length, remaining: remainingEntries.length} : null;
+      worker.port.emit(requestId, 'SUCCESS', pendingJob);
+    } catch (e) {
+      error(worker, requestId, e);
+    }
+  });
+
+  /*
+   * Resume the import that was interrupted.
+   *
+   * @listens passbolt.import-passwords.resume
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.import-passwords.resume', async function (requestId) {
+    try {
+      const importController = new ImportController(worker.tab.id);
+      const result = await importController.resumeJob();
+      complete(worker, requestId, result);
+    } catch (e) {
+      error(worker, requestId, e);
+    }
+  });
+
+  /*
+   * Discard the import that was interrupted.
+   *
+   * @listens passbolt.import-passwords.discard
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.import-passwords.discard', async function (requestId) {
+    try {
+      await ImportJob.remove();
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch (e) {
+      error(worker, requestId, e);
+    }
+  });
+
+  /*
+   * Download the passwords that failed to be imported as a csv file.
+   *
+   * @listens passbolt.import-passwords.download-failed
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.import-passwords.download-failed', async function (requestId) {
+    try {
+      const importController = new ImportController(worker.tab.id);
+      await importController.downloadFailedResources();
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch (e) {
+      error(worker, requestId, e);
+    }
+  });
+};
+
+/**
+ * Notify the import completion.
+ * @param worker The worker requesting the import
+ * @param requestId {uuid} The request identifier
+ * @param result {object} The import result
+ */
+var complete = function (worker, requestId, result) {
+  // Inform the app-js that the import is complete.
+  var appWorker = Worker.get('App', worker.tab.id);
+  appWorker.port.emit('passbolt.import-passwords.complete', result);
+
+  worker.port.emit(requestId, 'SUCCESS', result);
+};
+
+/**
+ * Notify an import error.
+ * @param worker The worker requesting the import
+ * @param requestId {uuid} The request identifier
+ * @param e The error
+ */
+var error = function (worker, requestId, e) {
+  console.error(e);
+  // Errors cannot be transferred as they are, by instance the csv format errors data are required to map the
+  // columns of the file.
+  if (e instanceof Error) {
+    e = worker.port.getEmitableError(e);
+  }
+  worker.port.emit(requestId, 'ERROR', e);
 };
 
 exports.listen = listen;
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Key settings Listeners
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+const KeyBackupController = require('../controller/key/keyBackupController').KeyBackupController;
+const KeyPinController = require('../controller/key/keyPinController').KeyPinController;
+const KeyPassphraseController = require('../controller/key/keyPassphraseController').KeyPassphraseController;
+const Keyring = require('../model/keyring').Keyring;
+
+const listen = function (worker) {
+  /*
+   * Get the information of the user key.
+   *
+   * @listens passbolt.key-settings.get-key-info
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.key-settings.get-key-info', async function (requestId) {
+    try {
+      const keyInfo = Object.assign({}, new Keyring().findPrivate());
+      // The armored private key does not need to leave the background page.
+      delete keyInfo.key;
+      worker.port.emit(requestId, 'SUCCESS', keyInfo);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Change the passphrase of the user key.
+   *
+   * @listens passbolt.key-settings.change-passphrase
+   * @param requestId {uuid} The request identifier
+   * @param passphrase {string} The current passphrase
+   * @param newPassphrase {string} The new passphrase
+   */
+  worker.port.on('passbolt.key-settings.change-passphrase', async function (requestId, passphrase, newPassphrase) {
+    try {
+      const keyPassphraseController = new KeyPassphraseController(worker);
+      await keyPassphraseController.main(passphrase, newPassphrase);
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Find the pinned keys of the other users.
+   *
+   * @listens passbolt.key-settings.find-pins
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.key-settings.find-pins', async function (requestId) {
+    try {
+      const keyPinController = new KeyPinController();
+      const pins = await keyPinController.findAll();
+      worker.port.emit(requestId, 'SUCCESS', pins);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Mark the key of a user as verified.
+   *
+   * @listens passbolt.key-settings.verify-pin
+   * @param requestId {uuid} The request identifier
+   * @param userId {string} The user id
+   * @param fingerprint {string} The fingerprint obtained from the key owner
+   */
+  worker.port.on('passbolt.key-settings.verify-pin', async function (requestId, userId, fingerprint) {
+    try {
+      const keyPinController = new KeyPinController();
+      const pin = await keyPinController.verify(userId, fingerprint);
+      worker.port.emit(requestId, 'SUCCESS', pin);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Trust the new key of a user.
+   *
+   * @listens passbolt.key-settings.trust-new-key
+   * @param requestId {uuid} The request identifier
+   * @param userId {string} The user id
+   */
+  worker.port.on('passbolt.key-settings.trust-new-key', async function (requestId, userId) {
+    try {
+      const keyPinController = new KeyPinController();
+      const pin = await keyPinController.trustNewKey(userId);
+      worker.port.emit(requestId, 'SUCCESS', pin);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Download the armored private key.
+   *
+   * @listens passbolt.key-settings.backup.download
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.key-settings.backup.download', async function (requestId) {
+    try {
+      const keyBackupController = new KeyBackupController(worker);
+      await keyBackupController.download();
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Download the private key in an encrypted container.
+   *
+   * @listens passbolt.key-settings.backup.download-encrypted
+   * @param requestId {uuid} The request identifier
+   * @param backupPassphrase {string} The passphrase protecting the container
+   */
+  worker.port.on('passbolt.key-settings.backup.download-encrypted', async function (requestId, backupPassphrase) {
+    try {
+      const keyBackupController = new KeyBackupController(worker);
+      await keyBackupController.downloadEncrypted(backupPassphrase);
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Build the paper backup of the private key.
+   *
+   * @listens passbolt.key-settings.backup.paper
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.key-settings.backup.paper', async function (requestId) {
+    try {
+      const keyBackupController = new KeyBackupController(worker);
+      const paperBackup = await keyBackupController.paperBackup();
+      worker.port.emit(requestId, 'SUCCESS', paperBackup);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+};
+exports.listen = listen;
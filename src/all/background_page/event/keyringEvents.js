@@ -15,6 +15,7 @@ var keyring = new Keyring();
 var key = new Key();
 
 var fileController = require('../controller/fileController');
+const KeyBackupController = require('../controller/key/keyBackupController').KeyBackupController;
 
 var listen = function (worker) {
 
@@ -213,6 +214,41 @@ var listen = function (worker) {
       });
   });
 
+  /*
+   * Read a private armored key from the pictures of its paper backup QR codes.
+   *
+   * @listens passbolt.keyring.key.backup-read-qr-codes
+   * @param requestId {uuid} The request identifier
+   * @param dataUrls {array} The pictures, as data urls
+   */
+  worker.port.on('passbolt.keyring.key.backup-read-qr-codes', async function (requestId, dataUrls) {
+    try {
+      const keyBackupController = new KeyBackupController(worker);
+      const armoredKey = await keyBackupController.readQrCodes(dataUrls);
+      worker.port.emit(requestId, 'SUCCESS', armoredKey);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Read a private armored key from an encrypted backup.
+   *
+   * @listens passbolt.keyring.key.backup-decrypt
+   * @param requestId {uuid} The request identifier
+   * @param armoredContainer {string} The encrypted backup
+   * @param backupPassphrase {string} The backup passphrase
+   */
+  worker.port.on('passbolt.keyring.key.backup-decrypt', async function (requestId, armoredContainer, backupPassphrase) {
+    try {
+      const keyBackupController = new KeyBackupController(worker);
+      const armoredKey = await keyBackupController.decrypt(armoredContainer, backupPassphrase);
+      worker.port.emit(requestId, 'SUCCESS', armoredKey);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
   /*
    * Generate a private armored key.
    *
@@ -0,0 +1,48 @@
+/**
+ * Permission audit Listeners
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+const PermissionAuditController = require('../controller/permission/permissionAuditController').PermissionAuditController;
+
+const listen = function (worker) {
+  /*
+   * Audit the permissions of a selection of resources.
+   *
+   * @listens passbolt.permission-audit.run
+   * @param requestId {uuid} The request identifier
+   * @param selection {object} The resources to audit, {resourcesIds} or {tag}
+   */
+  worker.port.on('passbolt.permission-audit.run', async function (requestId, selection) {
+    try {
+      const permissionAuditController = new PermissionAuditController(worker);
+      const report = await permissionAuditController.main(selection);
+      worker.port.emit(requestId, 'SUCCESS', report);
+    } catch (error) {
+      if (error instanceof Error) {
+        worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+      } else {
+        worker.port.emit(requestId, 'ERROR', error);
+      }
+    }
+  });
+
+  /*
+   * Download the last permission audit as a CSV file.
+   *
+   * @listens passbolt.permission-audit.export-csv
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.permission-audit.export-csv', async function (requestId) {
+    try {
+      const permissionAuditController = new PermissionAuditController(worker);
+      await permissionAuditController.exportCsv();
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+};
+exports.listen = listen;
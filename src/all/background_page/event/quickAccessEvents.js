@@ -5,6 +5,9 @@
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
 const __ = require('../sdk/l10n').get;
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const SaveSubmittedCredentialsController = require('../controller/quickaccess/saveSubmittedCredentialsController').SaveSubmittedCredentialsController;
+const SubmittedCredentials = require('../model/submittedCredentials').SubmittedCredentials;
 const UseResourceOnCurrentTabController = require('../controller/quickaccess/useResourceOnCurrentTabController').UseResourceOnCurrentTabController;
 
 const listen = function (worker) {
@@ -14,15 +17,106 @@ const listen = function (worker) {
    * @listens passbolt.quickaccess.use-resource-on-current-tab
    * @param requestId {uuid} The request identifier
    * @param resourceId {uuid} The resource identifier
+   * @param options {object} (optional) The options
+   * - confirmedOrigin {string} The page origin the user confirmed to fill despite the risks
    */
-  worker.port.on('passbolt.quickaccess.use-resource-on-current-tab', async function (requestId, resourceId) {
+  worker.port.on('passbolt.quickaccess.use-resource-on-current-tab', async function (requestId, resourceId, options) {
     if (!Validator.isUUID(resourceId)) {
       worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(new Error(__('The resource id should be a valid UUID'))));
       return;
     }
+    options = options || {};
+    if (typeof options.confirmedOrigin !== 'undefined' && typeof options.confirmedOrigin !== 'string') {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(new Error(__('The confirmed origin should be a string'))));
+      return;
+    }
 
     const controller = new UseResourceOnCurrentTabController(worker, requestId);
-    controller.main(resourceId);
+    controller.main(resourceId, {confirmedOrigin: options.confirmedOrigin});
+  });
+
+  /*
+   * Fill a TOTP code on the current tab.
+   *
+   * @listens passbolt.quickaccess.fill-totp-code
+   * @param requestId {uuid} The request identifier
+   * @param code {string} The TOTP code
+   */
+  worker.port.on('passbolt.quickaccess.fill-totp-code', async function (requestId, code) {
+    if (!/^\d{6,8}$/.test(code)) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(new Error(__('The TOTP code should be a 6 to 8 digits number'))));
+      return;
+    }
+
+    const controller = new UseResourceOnCurrentTabController(worker, requestId);
+    controller.fillTotpCode(code);
+  });
+
+  /*
+   * Get the credentials submitted on the current tab, if any.
+   * The password is not sent back, only the information required to offer to save the credentials.
+   *
+   * @listens passbolt.quickaccess.get-submitted-credentials
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.quickaccess.get-submitted-credentials', async function (requestId) {
+    try {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      const credentials = SubmittedCredentials.get(tabs[0].id);
+      if (!credentials) {
+        worker.port.emit(requestId, 'SUCCESS', null);
+        return;
+      }
+      const { resources } = await browser.storage.local.get("resources");
+      worker.port.emit(requestId, 'SUCCESS', {
+        username: credentials.username,
+        url: credentials.url,
+        host: SubmittedCredentials.getHost(credentials.url),
+        matchingResources: SubmittedCredentials.findMatchingResources(credentials, resources)
+      });
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Save the credentials submitted on the current tab.
+   *
+   * @listens passbolt.quickaccess.save-submitted-credentials
+   * @param requestId {uuid} The request identifier
+   * @param options {object} The save options {name} to create a resource, {resourceId} to update a resource password
+   */
+  worker.port.on('passbolt.quickaccess.save-submitted-credentials', async function (requestId, options) {
+    options = options || {};
+    if (options.resourceId && !Validator.isUUID(options.resourceId)) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(new Error(__('The resource id should be a valid UUID'))));
+      return;
+    }
+
+    const controller = new SaveSubmittedCredentialsController(worker, requestId);
+    try {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      const resource = await controller.main(tabs[0].id, options);
+      worker.port.emit(requestId, 'SUCCESS', resource);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Forget the credentials submitted on the current tab.
+   *
+   * @listens passbolt.quickaccess.dismiss-submitted-credentials
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.quickaccess.dismiss-submitted-credentials', async function (requestId) {
+    try {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      SubmittedCredentials.remove(tabs[0].id);
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
   });
 
 };
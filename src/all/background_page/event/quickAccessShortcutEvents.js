@@ -0,0 +1,58 @@
+/**
+ * Quick access shortcut events
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const __ = require('../sdk/l10n').get;
+const QuickAccessShortcutController = require('../controller/quickaccess/quickAccessShortcutController').QuickAccessShortcutController;
+const TabStorage = require('../model/tabStorage').TabStorage;
+
+const listen = function (worker) {
+  /*
+   * Get the dialog to display.
+   *
+   * @listens passbolt.quickaccess-shortcut.get
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.quickaccess-shortcut.get', function (requestId) {
+    const dialog = TabStorage.get(worker.tab.id, 'quickAccessShortcut');
+    if (!dialog) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(new Error(__('There is no shortcut dialog to display.'))));
+      return;
+    }
+    worker.port.emit(requestId, 'SUCCESS', dialog);
+  });
+
+  /*
+   * Use the resource chosen in the dialog.
+   *
+   * @listens passbolt.quickaccess-shortcut.use-resource
+   * @param requestId {uuid} The request identifier
+   * @param resourceId {uuid} The resource identifier
+   */
+  worker.port.on('passbolt.quickaccess-shortcut.use-resource', async function (requestId, resourceId) {
+    try {
+      if (!Validator.isUUID(resourceId)) {
+        throw new Error(__('The resource id should be a valid UUID'));
+      }
+      const controller = new QuickAccessShortcutController(worker.tab);
+      await controller.useChosenResource(resourceId);
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Close the dialog.
+   *
+   * @listens passbolt.quickaccess-shortcut.close
+   */
+  worker.port.on('passbolt.quickaccess-shortcut.close', function () {
+    const controller = new QuickAccessShortcutController(worker.tab);
+    controller.closeDialog();
+  });
+};
+
+exports.listen = listen;
@@ -4,7 +4,9 @@
  * @copyright (c) 2019 Passbolt SA
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
+const __ = require('../sdk/l10n').get;
 const Resource = require('../model/resource').Resource;
+const ResourceMatchMode = require('../model/resourceMatchMode').ResourceMatchMode;
 const ResourceCreateController = require('../controller/resource/resourceCreateController.js').ResourceCreateController;
 
 const listen = function (worker) {
@@ -70,6 +72,26 @@ const listen = function (worker) {
       }
     }
   });
+
+  /*
+   * Set the mode the pages are matched against the uri of a resource with.
+   *
+   * @listens passbolt.resources.set-match-mode
+   * @param requestId {uuid} The request identifier
+   * @param resourceId {uuid} The resource identifier
+   * @param mode {string|null} The match mode, null to use the default matching
+   */
+  worker.port.on('passbolt.resources.set-match-mode', async function (requestId, resourceId, mode) {
+    try {
+      if (!Validator.isUUID(resourceId)) {
+        throw new Error(__('The resource id should be a valid UUID'));
+      }
+      const resourcesMatchModes = await ResourceMatchMode.set(resourceId, mode);
+      worker.port.emit(requestId, 'SUCCESS', resourcesMatchModes);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
 }
 
 exports.listen = listen;
@@ -6,7 +6,9 @@
  * @copyright (c) 2019 Passbolt SA
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
+const __ = require('../sdk/l10n').get;
 const SecretDecryptController = require('../controller/secret/secretDecryptController').SecretDecryptController;
+const SecretTotpController = require('../controller/secret/secretTotpController').SecretTotpController;
 var Worker = require('../model/worker');
 var Secret = require('../model/secret').Secret;
 var secret = new Secret();
@@ -58,6 +60,64 @@ var listen = function (worker) {
     await controller.decrypt(resourceId);
   });
 
+  /*
+   * Get the TOTP of a resource.
+   *
+   * @listens passbolt.secret.get-totp
+   * @param requestId {uuid} The request identifier
+   * @param resourceId {uuid} The resource identifier
+   */
+  worker.port.on('passbolt.secret.get-totp', async function (requestId, resourceId) {
+    try {
+      if (!Validator.isUUID(resourceId)) {
+        throw new Error(__('The resource id should be a valid UUID'));
+      }
+      const secretTotpController = new SecretTotpController(worker);
+      const totp = await secretTotpController.get(resourceId);
+      worker.port.emit(requestId, 'SUCCESS', totp);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Set the TOTP of a resource.
+   *
+   * @listens passbolt.secret.update-totp
+   * @param requestId {uuid} The request identifier
+   * @param resourceId {uuid} The resource identifier
+   * @param totp {string|null} The otpauth URI, null to remove the TOTP
+   */
+  worker.port.on('passbolt.secret.update-totp', async function (requestId, resourceId, totp) {
+    try {
+      if (!Validator.isUUID(resourceId)) {
+        throw new Error(__('The resource id should be a valid UUID'));
+      }
+      const secretTotpController = new SecretTotpController(worker);
+      const resource = await secretTotpController.update(resourceId, totp);
+      worker.port.emit(requestId, 'SUCCESS', resource);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Read a TOTP from the picture of its QR code.
+   *
+   * @listens passbolt.secret.read-totp-qr-code
+   * @param requestId {uuid} The request identifier
+   * @param dataUrl {string} The picture, as data url
+   */
+  worker.port.on('passbolt.secret.read-totp-qr-code', async function (requestId, dataUrl) {
+    try {
+      const secretTotpController = new SecretTotpController(worker);
+      const totp = await secretTotpController.readQrCode(dataUrl);
+      worker.port.emit(requestId, 'SUCCESS', totp);
+    } catch (error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
   /*
    * Listen when the secret is updated.
    * Notify the application. The application needs to know if the secret has
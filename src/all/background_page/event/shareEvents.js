@@ -10,6 +10,7 @@ var Keyring = require('../model/keyring').Keyring;
 var masterPasswordController = require('../controller/masterPasswordController');
 var progressDialogController = require('../controller/progressDialogController');
 var Permission = require('../model/permission').Permission;
+var PermissionTemplate = require('../model/permissionTemplate').PermissionTemplate;
 var Resource = require('../model/resource').Resource;
 var Share = require('../model/share').Share;
 var TabStorage = require('../model/tabStorage').TabStorage;
@@ -63,38 +64,202 @@ var listen = function (worker) {
     worker.port.emit(requestId, 'SUCCESS', resources);
   });
 
+  /*
+   * Simulate permissions changes, to validate the changes prefilled by a template or copied from another resource.
+   * @listens passbolt.share.simulate
+   * @param requestId {uuid} The request identifier
+   * @param changes {array} The permissions changes
+   */
+  worker.port.on('passbolt.share.simulate', async function (requestId, changes) {
+    const resources = TabStorage.get(worker.tab.id, 'shareResources');
+    try {
+      const report = await Share.simulateBulkShare(resources, changes);
+      worker.port.emit(requestId, 'SUCCESS', report);
+    } catch(error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Search the resources the permissions can be copied from.
+   * The resources the user has access to are retrieved once per dialog.
+   * @listens passbolt.share.search-resources
+   * @param requestId {uuid} The request identifier
+   * @param keywords {string} The keywords to search
+   */
+  worker.port.on('passbolt.share.search-resources', async function (requestId, keywords) {
+    const resourcesIds = TabStorage.get(worker.tab.id, 'shareResourcesIds');
+    try {
+      let resources = TabStorage.get(worker.tab.id, 'shareSearchableResources');
+      if (!resources) {
+        resources = await Resource.findAll();
+        TabStorage.set(worker.tab.id, 'shareSearchableResources', resources);
+      }
+      const needle = keywords.toLowerCase();
+      const result = resources
+        .filter(resource => resourcesIds.indexOf(resource.id) == -1)
+        .filter(resource => [resource.name, resource.username, resource.uri].some(value => value && value.toLowerCase().indexOf(needle) != -1))
+        .slice(0, 10)
+        .map(resource => ({id: resource.id, name: resource.name, username: resource.username, uri: resource.uri}));
+      worker.port.emit(requestId, 'SUCCESS', result);
+    } catch(error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Get the users and groups permissions of a resource, to copy them.
+   * @listens passbolt.share.get-resource-aros-permissions
+   * @param requestId {uuid} The request identifier
+   * @param resourceId {string} The resource to copy the permissions from
+   */
+  worker.port.on('passbolt.share.get-resource-aros-permissions', async function (requestId, resourceId) {
+    try {
+      const arosPermissions = await Share.findResourceArosPermissions(resourceId);
+      worker.port.emit(requestId, 'SUCCESS', arosPermissions);
+    } catch(error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Find the permission templates.
+   * @listens passbolt.share.templates.find-all
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.share.templates.find-all', async function (requestId) {
+    try {
+      const templates = await PermissionTemplate.findAll();
+      worker.port.emit(requestId, 'SUCCESS', templates);
+    } catch(error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Save a permission template.
+   * @listens passbolt.share.templates.save
+   * @param requestId {uuid} The request identifier
+   * @param name {string} The template name
+   * @param arosPermissions {array} The users and groups permissions, array of {aro, type}
+   */
+  worker.port.on('passbolt.share.templates.save', async function (requestId, name, arosPermissions) {
+    try {
+      const template = await PermissionTemplate.save(name, arosPermissions);
+      worker.port.emit(requestId, 'SUCCESS', template);
+    } catch(error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Delete a permission template.
+   * @listens passbolt.share.templates.delete
+   * @param requestId {uuid} The request identifier
+   * @param name {string} The template name
+   */
+  worker.port.on('passbolt.share.templates.delete', async function (requestId, name) {
+    try {
+      await PermissionTemplate.remove(name);
+      worker.port.emit(requestId, 'SUCCESS');
+    } catch(error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
   /*
    * Encrypt the shared password for all the new users it has been shared with.
+   * The passwords that could not be shared are reported, they can be retried or the applied changes reverted.
    * @listens passbolt.share.submit
    * @param requestId {uuid} The request identifier
+   * @param changes {array} The permissions changes
    */
   worker.port.on('passbolt.share.submit', async function (requestId, changes) {
     const appWorker = Worker.get('App', worker.tab.id);
     const resources = TabStorage.get(worker.tab.id, 'shareResources');
-    const keyring = new Keyring();
-    let progress = 0;
-    // 3+1 :
-    // 3: the simulate call to the API + the encrypting step + the share call to the API
-    // 1: the initialization phase, in other words this function
-    const progressGoal = resources.length * 3 + 1;
+    TabStorage.set(worker.tab.id, 'shareChanges', changes);
 
     try {
-      const privateKeySecret = await masterPasswordController.get(worker);
-      progressDialogController.open(appWorker, `Share ${resources.length} passwords`, progressGoal);
-      progressDialogController.update(appWorker, progress++, 'Initialize');
-      await keyring.sync();
-      await Share.bulkShare(resources, changes, privateKeySecret, message => {
-        progressDialogController.update(appWorker, progress++, message);
+      const report = await runShareOperation(worker, `Share ${resources.length} passwords`, resources.length, (privateKeySecret, progressCallback) => {
+        return Share.bulkShare(resources, changes, privateKeySecret, progressCallback);
       });
-      worker.port.emit(requestId, 'SUCCESS');
-      progressDialogController.close(appWorker);
-      appWorker.port.emit('passbolt.share.complete', resources.map(resource => resource.id));
+      TabStorage.set(worker.tab.id, 'shareReport', report);
+      worker.port.emit(requestId, 'SUCCESS', report);
+      if (report.every(item => item.success)) {
+        appWorker.port.emit('passbolt.share.complete', resources.map(resource => resource.id));
+      }
+    } catch(error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Retry to share the passwords that could not be shared.
+   * @listens passbolt.share.retry
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.share.retry', async function (requestId) {
+    const appWorker = Worker.get('App', worker.tab.id);
+    const resources = TabStorage.get(worker.tab.id, 'shareResources');
+    const changes = TabStorage.get(worker.tab.id, 'shareChanges');
+    const report = TabStorage.get(worker.tab.id, 'shareReport');
+    const failedIds = report.filter(item => !item.success).map(item => item.resourceId);
+    const failedResources = resources.filter(resource => failedIds.indexOf(resource.id) != -1);
+
+    try {
+      const retryReport = await runShareOperation(worker, `Share ${failedResources.length} passwords`, failedResources.length, (privateKeySecret, progressCallback) => {
+        return Share.bulkShare(failedResources, changes, privateKeySecret, progressCallback);
+      });
+      retryReport.forEach(retryItem => {
+        const index = report.findIndex(item => item.resourceId == retryItem.resourceId);
+        report[index] = retryItem;
+      });
+      TabStorage.set(worker.tab.id, 'shareReport', report);
+      worker.port.emit(requestId, 'SUCCESS', report);
+      if (report.every(item => item.success)) {
+        appWorker.port.emit('passbolt.share.complete', resources.map(resource => resource.id));
+      }
+    } catch(error) {
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
+    }
+  });
+
+  /*
+   * Revert the permissions changes applied to the passwords that were shared.
+   * @listens passbolt.share.revert
+   * @param requestId {uuid} The request identifier
+   */
+  worker.port.on('passbolt.share.revert', async function (requestId) {
+    const resources = TabStorage.get(worker.tab.id, 'shareResources');
+    const report = TabStorage.get(worker.tab.id, 'shareReport');
+    const sharedIds = report.filter(item => item.success && !item.reverted).map(item => item.resourceId);
+
+    try {
+      const revertReport = await runShareOperation(worker, `Revert ${sharedIds.length} passwords`, sharedIds.length, (privateKeySecret, progressCallback) => {
+        return Share.revertBulkShare(resources, sharedIds, privateKeySecret, progressCallback);
+      });
+      revertReport.forEach(revertItem => {
+        const item = report.find(item => item.resourceId == revertItem.resourceId);
+        item.reverted = revertItem.success;
+        item.revertError = revertItem.error;
+      });
+      TabStorage.set(worker.tab.id, 'shareReport', report);
+      worker.port.emit(requestId, 'SUCCESS', report);
     } catch(error) {
-      progressDialogController.close(appWorker);
-      worker.port.emit(requestId, 'ERROR', error);
+      worker.port.emit(requestId, 'ERROR', worker.port.getEmitableError(error));
     }
   });
 
+  /*
+   * Close the share report. The application is notified of the passwords which permissions changed.
+   * @listens passbolt.share.close-report
+   */
+  worker.port.on('passbolt.share.close-report', function () {
+    const appWorker = Worker.get('App', worker.tab.id);
+    const report = TabStorage.get(worker.tab.id, 'shareReport') || [];
+    appWorker.port.emit('passbolt.share.complete', report.map(item => item.resourceId));
+  });
+
   /*
    * Close the share passwords dialog
    * @listens passbolt.share.close
@@ -116,4 +281,34 @@ var listen = function (worker) {
   });
 
 };
+
+/**
+ * Run a share operation, the user passphrase is requested and the progress displayed.
+ * @param {Worker} worker The share dialog worker
+ * @param {string} title The title of the progress dialog
+ * @param {int} resourcesCount The number of resources of the operation
+ * @param {function} operation The operation, called with the user private key secret and a progress callback
+ * @returns {Promise<array>} The report of the operation
+ */
+const runShareOperation = async function(worker, title, resourcesCount, operation) {
+  const appWorker = Worker.get('App', worker.tab.id);
+  const keyring = new Keyring();
+  let progress = 0;
+  // 3+1 :
+  // 3: the simulate call to the API + the encrypting step + the share call to the API
+  // 1: the initialization phase, in other words this function
+  const progressGoal = resourcesCount * 3 + 1;
+  const progressCallback = message => progressDialogController.update(appWorker, progress++, message);
+
+  const privateKeySecret = await masterPasswordController.get(worker);
+  progressDialogController.open(appWorker, title, progressGoal);
+  try {
+    progressCallback('Initialize');
+    await keyring.sync();
+    return await operation(privateKeySecret, progressCallback);
+  } finally {
+    progressDialogController.close(appWorker);
+  }
+};
+
 exports.listen = listen;
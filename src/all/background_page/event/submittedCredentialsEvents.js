@@ -0,0 +1,43 @@
+/**
+ * Submitted credentials events
+ *
+ * Used to handle the events related to the credentials submitted on web pages.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const SubmittedCredentials = require('../model/submittedCredentials').SubmittedCredentials;
+const User = require('../model/user').User;
+
+const listen = function (worker) {
+
+  /*
+   * Credentials have been submitted on a web page.
+   * Keep them so the quickaccess can offer to save them.
+   *
+   * @listens passbolt.quickaccess.credentials-submitted
+   * @param credentials {object} The submitted credentials {username, password, url}
+   */
+  worker.port.on('passbolt.quickaccess.credentials-submitted', function (credentials) {
+    if (!User.getInstance().isValid()) {
+      return;
+    }
+    if (!credentials || typeof credentials.password !== 'string' || !credentials.password.length) {
+      return;
+    }
+    // Do not offer to save the credentials of the passbolt application itself.
+    const trustedDomain = User.getInstance().settings.getDomain();
+    if (SubmittedCredentials.getHost(credentials.url) === SubmittedCredentials.getHost(trustedDomain)) {
+      return;
+    }
+
+    SubmittedCredentials.set(worker.tab.id, {
+      username: typeof credentials.username === 'string' ? credentials.username : '',
+      password: credentials.password,
+      url: typeof credentials.url === 'string' ? credentials.url : worker.tab.url
+    });
+  });
+
+};
+
+exports.listen = listen;
@@ -25,10 +25,11 @@ var main = function() {
 
   /* ==================================================================================
    *  Openpgp init
-   *  Init web worker
+   *  Init the pool of web workers the OpenPGP operations are run with
    * ==================================================================================
    */
-  openpgp.initWorker({ path:'/vendors/openpgp.worker.js' });
+  var CryptoJob = require('./model/cryptoJob').CryptoJob;
+  openpgp.initWorker({ path:'/vendors/openpgp.worker.js', n: CryptoJob.getPoolSize() });
 
   /* ==================================================================================
    *  Interface changes
@@ -83,6 +84,9 @@ var main = function() {
   pageMods.ImportPasswordsDialog.init();
   pageMods.ExportPasswordsDialog.init();
   pageMods.QuickAccess.init();
+  pageMods.QuickAccessShortcutDialog.init();
+  pageMods.PermissionAuditPage.init();
+  pageMods.KeySettingsPage.init();
 
   // Debug pagemod
   if (Config.isDebug()) {
@@ -0,0 +1,149 @@
+/**
+ * BitwardenDb model.
+ * Provides high level tools to work with a Bitwarden unencrypted json export.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+var Resource = require('./resource').Resource;
+var Totp = require('./totp').Totp;
+
+/**
+ * Constructor.
+ * @constructor
+ */
+var BitwardenDb = function() {
+  this.db = null;
+  // The items that could not be imported, see Resource.unmappedItems.
+  this.unmappedItems = [];
+};
+
+/**
+ * The Bitwarden items types.
+ */
+BitwardenDb.ITEM_TYPES = {
+  1: "login",
+  2: "secure note",
+  3: "card",
+  4: "identity"
+};
+
+/**
+ * The Bitwarden custom fields types.
+ */
+BitwardenDb.FIELD_TYPE_HIDDEN = 1;
+
+/**
+ * Load a db from file.
+ * @param Blob jsonFile file object as returned by the file field.
+ * @returns {Promise}
+ */
+BitwardenDb.prototype.loadDb = function(jsonFile) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function(e) {
+      try {
+        var db = JSON.parse(e.target.result);
+        if (db.encrypted === true) {
+          return reject(new Error('Encrypted Bitwarden exports are not supported, export the vault in the unencrypted json format'));
+        }
+        if (!Array.isArray(db.items)) {
+          return reject(new Error('This is not a valid Bitwarden json export'));
+        }
+        self.db = db;
+        resolve(db);
+      } catch (error) {
+        reject(new Error('This is not a valid Bitwarden json export'));
+      }
+    };
+    reader.readAsText(jsonFile);
+  });
+};
+
+/**
+ * Transform a Bitwarden export into a list of Resources.
+ * The folders are transformed into tags (/folder/subfolder), the cards and identities are not imported.
+ * @param object bitwardenDb
+ * @returns {Promise}
+ */
+BitwardenDb.prototype.toResources = function(bitwardenDb) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    var folders = {};
+    (bitwardenDb.folders || []).forEach(function(folder) {
+      folders[folder.id] = folder.name;
+    });
+
+    var resources = [];
+    bitwardenDb.items.forEach(function(item) {
+      var type = BitwardenDb.ITEM_TYPES[item.type];
+      if (type !== 'login' && type !== 'secure note') {
+        self.unmappedItems.push({resource: item.name, type: type || 'item', name: 'not imported'});
+        return;
+      }
+      var resource = self.itemToResource(item);
+      if (item.folderId && folders[item.folderId]) {
+        resource.tags.push('/' + folders[item.folderId]);
+      }
+      resources.push(resource);
+    });
+    resolve(resources);
+  });
+};
+
+/**
+ * Build a Resource from a Bitwarden login or secure note item.
+ * @param object item
+ * @returns {Resource}
+ */
+BitwardenDb.prototype.itemToResource = function(item) {
+  var resource = new Resource();
+  var login = item.login || {};
+  var uris = (login.uris || []).map(function(uri) {
+    return uri.uri;
+  }).filter(function(uri) {
+    return uri;
+  });
+  var extras = {fields: [], attachments: [], history: []};
+
+  resource.name = item.name || resource._defaultName;
+  resource.username = login.username || '';
+  resource.secretClear = login.password || '';
+  resource.uri = uris.length ? uris[0] : '';
+  resource.description = item.notes || '';
+  resource.tags = [];
+  resource.unmappedItems = [];
+
+  // The additional uris and the custom fields are stored in the secret.
+  uris.slice(1).forEach(function(uri, index) {
+    extras.fields.push({name: 'URL ' + (index + 2), value: uri, protected: false});
+  });
+  (item.fields || []).forEach(function(field) {
+    extras.fields.push({
+      name: field.name,
+      value: field.value === null ? '' : field.value,
+      protected: field.type === BitwardenDb.FIELD_TYPE_HIDDEN
+    });
+  });
+  // The TOTP is stored in the secret with the password, it is either an otpauth URI or a base32 secret.
+  if (login.totp) {
+    try {
+      resource.totp = Totp.fromKdbxFields({otp: login.totp}, {issuer: resource.name, account: resource.username});
+    } catch (error) {
+      resource.unmappedItems.push({type: 'TOTP', name: error.message});
+    }
+  }
+  (item.passwordHistory || []).forEach(function(version) {
+    extras.history.push({modified: version.lastUsedDate || null, fields: {Password: version.password || ''}});
+  });
+  // The export does not contain the attachments.
+  (item.attachments || []).forEach(function(attachment) {
+    resource.unmappedItems.push({type: 'attachment', name: attachment.fileName});
+  });
+  resource.secretExtras = extras;
+
+  return resource;
+};
+
+exports.BitwardenDb = BitwardenDb;
@@ -0,0 +1,175 @@
+/**
+ * Clipboard model.
+ *
+ * Clears the secrets copied to the clipboard after a configurable delay. If the user granted the optional permission
+ * to read the clipboard, it is cleared only if it still contains the copied secret, so that the user content copied in
+ * the meantime is left untouched. Otherwise it is cleared anyway. Only a hash of the secret is kept while the clear
+ * is pending.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const Config = require('./config');
+
+class Clipboard {}
+
+Clipboard.DEFAULT_CLEAR_DELAY = 30;
+Clipboard.MAX_CLEAR_DELAY = 3600;
+Clipboard.READ_PERMISSION = 'clipboardRead';
+
+/**
+ * The pending clear, {hash, expiresAt}
+ * @type {object|null}
+ * @private
+ */
+Clipboard._pendingClear = null;
+Clipboard._timeout = null;
+
+/**
+ * Get the delay in seconds after which a copied secret is cleared from the clipboard.
+ * @return {int} 0 if the clipboard is never cleared
+ */
+Clipboard.getClearDelay = function () {
+  const delay = Config.read('clipboard.clearDelay');
+  return typeof delay === 'undefined' ? Clipboard.DEFAULT_CLEAR_DELAY : delay;
+};
+
+/**
+ * Set the delay in seconds after which a copied secret is cleared from the clipboard.
+ * @param {int|string} delay The delay, 0 to never clear the clipboard
+ * @return {int} The delay
+ * @throw {Error} if the delay is not valid
+ */
+Clipboard.setClearDelay = function (delay) {
+  delay = parseInt(delay, 10);
+  if (isNaN(delay) || delay < 0 || delay > Clipboard.MAX_CLEAR_DELAY) {
+    throw new Error(`The clipboard clear delay should be a number of seconds between 0 and ${Clipboard.MAX_CLEAR_DELAY}`);
+  }
+  Config.write('clipboard.clearDelay', delay);
+  return delay;
+};
+
+/**
+ * Schedule the clear of a secret copied to the clipboard.
+ * It replaces the clear of a secret copied before.
+ * @param {string} secret The copied secret
+ * @return {object} The clear status, see getPendingClear
+ */
+Clipboard.scheduleClear = function (secret) {
+  Clipboard.cancelClear();
+  const delay = Clipboard.getClearDelay();
+  if (!delay) {
+    return Clipboard.getPendingClear();
+  }
+  Clipboard._pendingClear = {
+    hash: Clipboard._hash(secret),
+    expiresAt: Date.now() + delay * 1000
+  };
+  Clipboard._timeout = setTimeout(Clipboard._clearIfUnchanged, delay * 1000);
+
+  return Clipboard.getPendingClear();
+};
+
+/**
+ * Copy a text to the clipboard.
+ * @param {string} text The text to copy
+ */
+Clipboard.copy = function (text) {
+  Clipboard._write(text);
+};
+
+/**
+ * Cancel the pending clear.
+ */
+Clipboard.cancelClear = function () {
+  clearTimeout(Clipboard._timeout);
+  Clipboard._timeout = null;
+  Clipboard._pendingClear = null;
+};
+
+/**
+ * Get the status of the pending clear.
+ * @return {object} {delay, expiresAt}, the expiration date is a timestamp in milliseconds or null if no clear is pending
+ */
+Clipboard.getPendingClear = function () {
+  return {
+    delay: Clipboard.getClearDelay(),
+    expiresAt: Clipboard._pendingClear ? Clipboard._pendingClear.expiresAt : null
+  };
+};
+
+/**
+ * Clear the clipboard if it still contains the copied secret.
+ * Without the permission to read the clipboard, it is cleared whatever it contains.
+ * @return {Promise<boolean>} true if the clipboard was cleared
+ * @private
+ */
+Clipboard._clearIfUnchanged = async function () {
+  const pendingClear = Clipboard._pendingClear;
+  Clipboard.cancelClear();
+  if (!pendingClear) {
+    return false;
+  }
+  if (!await browser.permissions.contains({permissions: [Clipboard.READ_PERMISSION]})) {
+    Clipboard._write('');
+    return true;
+  }
+  let content;
+  try {
+    content = Clipboard._read();
+  } catch (error) {
+    console.error('The clipboard could not be read', error);
+    return false;
+  }
+  if (Clipboard._hash(content) !== pendingClear.hash) {
+    return false;
+  }
+  Clipboard._write('');
+  return true;
+};
+
+/**
+ * Read the clipboard text content.
+ * @return {string}
+ * @private
+ */
+Clipboard._read = function () {
+  const textarea = document.createElement('textarea');
+  document.body.appendChild(textarea);
+  textarea.focus();
+  document.execCommand('paste');
+  const content = textarea.value;
+  document.body.removeChild(textarea);
+  return content;
+};
+
+/**
+ * Write a text in the clipboard.
+ * @param {string} text The text to write
+ * @private
+ */
+Clipboard._write = function (text) {
+  const onCopy = function (event) {
+    event.clipboardData.setData('text/plain', text);
+    event.preventDefault();
+  };
+  document.addEventListener('copy', onCopy);
+  document.execCommand('copy');
+  document.removeEventListener('copy', onCopy);
+};
+
+/**
+ * Hash a text.
+ * The line breaks are normalized, as the clipboard read through a textarea does.
+ * @param {string} text The text to hash
+ * @return {string}
+ * @private
+ */
+Clipboard._hash = function (text) {
+  const shaObj = new jsSHA('SHA-256', 'TEXT');
+  shaObj.update(text.replace(/\r\n?/g, '\n'));
+  return shaObj.getHash('HEX');
+};
+
+exports.Clipboard = Clipboard;
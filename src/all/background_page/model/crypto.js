@@ -6,6 +6,8 @@
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
 const Keyring = require('./keyring').Keyring;
+const CryptoJob = require('./cryptoJob').CryptoJob;
+const KeyPin = require('./keyPin').KeyPin;
 const __ = require('../sdk/l10n').get;
 
 /**
@@ -22,6 +24,7 @@ const Crypto = function () {
  * @param privateKey {Key} (optional) The private key to use to sign the message
  * @throw Exception {Error} The public key is not found
  * @throw Exception {Error} The public key is not in a valid or supported format
+ * @throw Exception {PublicKeyChangedError} The public key is not the pinned one
  * @return {Promise} The encrypted message
  */
 Crypto.prototype.encrypt = async function (message, key, privateKey) {
@@ -34,6 +37,7 @@ Crypto.prototype.encrypt = async function (message, key, privateKey) {
     if (!keyInfo) {
       throw new Error(__('The public key could not be found for the user'));
     }
+    KeyPin.assertTrusted(keyInfo);
     key = keyInfo.key;
   }
 
@@ -61,7 +65,7 @@ Crypto.prototype.encrypt = async function (message, key, privateKey) {
 /**
  * Encrypt an array of messages.
  *
- * @param data {array} The list of message to encrypt associated to the user to encrypt for
+ * @param data {array} The list of message to encrypt associated to the user to encrypt for, see CryptoJob.encryptAll
  * @param startCallback {function} The callback to execute each time the function start to encrypt a message
  * @param completeCallback {function} The callback to execute each time the function complete to encrypt a message.
  * @throw Error if something goes wrong in openpgp methods
@@ -70,16 +74,17 @@ Crypto.prototype.encrypt = async function (message, key, privateKey) {
 Crypto.prototype.encryptAll = async function (data, completeCallback, startCallback) {
   const _startCallback = startCallback || function() {};
   const _completeCallback = completeCallback || function() {};
-  const result = [];
-
-  for (let i in data) {
-    _startCallback(i);
-    const messageEncrypted = await this.encrypt(data[i].message, data[i].userId);
-    result.push(messageEncrypted);
-    _completeCallback(messageEncrypted, data[i].userId, i);
-  }
-
-  return result;
+  const cryptoJob = new CryptoJob();
+  let completed = 0;
+
+  // The messages are encrypted in parallel, the start callback is notified with the position of the next message.
+  _startCallback(0);
+  return cryptoJob.encryptAll(data, (messageEncrypted, userId, i) => {
+    _completeCallback(messageEncrypted, userId, i);
+    if (++completed < data.length) {
+      _startCallback(completed);
+    }
+  });
 };
 
 /**
@@ -128,6 +133,42 @@ Crypto.prototype.decrypt = async function (armoredMessage, passphrase) {
   return message;
 };
 
+/**
+ * Decrypt an armored text and verify its signature against the public keys of the keyring.
+ *
+ * @param armoredMessage {string} The text to decrypt.
+ * @param passphrase {string} The passphrase to use to decrypt the private key.
+ * @throw Error if something goes wrong in openpgp methods
+ * @return {Promise} The decrypted message and the id of the user who signed it {data, signerId}. The signer id is
+ *   null if the message is not signed, if the signature is not valid or if it was not made with a trusted key of
+ *   the keyring.
+ */
+Crypto.prototype.decryptAndVerify = async function (armoredMessage, passphrase) {
+  const key = await this.getAndDecryptPrivateKey(passphrase);
+  const publicKeysInfo = Object.values(Keyring.getPublicKeys());
+  const publicKeys = [];
+  for (const keyInfo of publicKeysInfo) {
+    publicKeys.push((await openpgp.key.readArmored(keyInfo.key)).keys[0]);
+  }
+
+  const pgpMessage = await openpgp.message.readArmored(armoredMessage);
+  const decrypted = await openpgp.decrypt({privateKeys: [key], publicKeys: publicKeys.filter(Boolean), message: pgpMessage});
+
+  let signerId = null;
+  const signature = decrypted.signatures.find(signature => signature.valid);
+  if (signature) {
+    const signerKeyInfo = publicKeysInfo.find((keyInfo, i) => publicKeys[i] && publicKeys[i].getKeys(signature.keyid).length);
+    try {
+      KeyPin.assertTrusted(signerKeyInfo);
+      signerId = signerKeyInfo.user_id;
+    } catch (error) {
+      // The key changed since it was pinned, the signature cannot be trusted.
+    }
+  }
+
+  return {data: decrypted.data, signerId};
+};
+
 /**
  * Decrypt an array of armored text.
  *
@@ -139,19 +180,20 @@ Crypto.prototype.decrypt = async function (armoredMessage, passphrase) {
  * @return {Promise} The decrypted messages
  */
 Crypto.prototype.decryptAll = async function (armoredMessages, passphrase, completeCallback, startCallback) {
-  const privateKey = await this.getAndDecryptPrivateKey(passphrase);
   const _startCallback = startCallback || function() {};
   const _completeCallback = completeCallback || function() {};
-  const result = [];
+  const cryptoJob = new CryptoJob();
+  let completed = 0;
 
-  for (let index in armoredMessages) {
-    _startCallback(index);
-    const message = await this.decryptWithKey(armoredMessages[index], privateKey);
-    result.push(message);
+  await cryptoJob.unlockPrivateKey(passphrase);
+  // The messages are decrypted in parallel, the start callback is notified with the position of the next message.
+  _startCallback(0);
+  return cryptoJob.decryptAll(armoredMessages, (message, index) => {
     _completeCallback(message, index);
-  }
-
-  return result;
+    if (++completed < armoredMessages.length) {
+      _startCallback(completed);
+    }
+  });
 };
 
 // Make the object available to other scripts
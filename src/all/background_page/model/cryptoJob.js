@@ -0,0 +1,225 @@
+/**
+ * Crypto job model.
+ *
+ * Run a batch of OpenPGP operations in parallel. The operations are delegated by openpgp to its pool of web workers
+ * (see openpgp.initWorker in index.js), the job keeps as many operations in flight as there are workers.
+ * The user private key is decrypted once per job, and the public keys are read once per job.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const Keyring = require('./keyring').Keyring;
+const KeyPin = require('./keyPin').KeyPin;
+const __ = require('../sdk/l10n').get;
+
+/**
+ * The maximum number of web workers of the pool.
+ */
+const MAX_WORKERS = 4;
+
+class CryptoJob {
+  /**
+   * Constructor
+   * @param {object} options
+   * - {function} progressCallback Called each time an operation completes, with the number of completed operations
+   *   and the total number of operations
+   */
+  constructor(options) {
+    options = options || {};
+    this.progressCallback = options.progressCallback || function() {};
+    this.concurrency = CryptoJob.getPoolSize();
+    this.privateKey = null;
+    this.publicKeys = {};
+  }
+
+  /**
+   * Get the number of web workers to run the OpenPGP operations with.
+   * @return {int}
+   */
+  static getPoolSize() {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 1;
+    return Math.max(1, Math.min(cores, MAX_WORKERS));
+  }
+
+  /**
+   * Decrypt the user private key, once for the whole job.
+   * @param {string} passphrase The user passphrase
+   * @return {Promise<openpgp.key.Key>}
+   */
+  async unlockPrivateKey(passphrase) {
+    if (!this.privateKey) {
+      const armoredKey = new Keyring().findPrivate().key;
+      const privateKey = (await openpgp.key.readArmored(armoredKey)).keys[0];
+      if (!privateKey.isDecrypted()) {
+        await privateKey.decrypt(passphrase);
+      }
+      this.privateKey = privateKey;
+    }
+    return this.privateKey;
+  }
+
+  /**
+   * Get a public key, read once for the whole job.
+   * @param {string} key The user id or the public armored key
+   * @return {Promise<openpgp.key.Key>}
+   * @throw Error if the public key is not found or not valid
+   * @throw PublicKeyChangedError if the public key is not the pinned one
+   */
+  async getPublicKey(key) {
+    if (!this.publicKeys[key]) {
+      let armoredKey = key;
+      if (Validator.isUUID(key)) {
+        const keyInfo = new Keyring().findPublic(key);
+        if (!keyInfo) {
+          throw new Error(__('The public key could not be found for the user'));
+        }
+        KeyPin.assertTrusted(keyInfo);
+        armoredKey = keyInfo.key;
+      }
+      const publicKey = (await openpgp.key.readArmored(armoredKey)).keys[0];
+      if (!publicKey) {
+        throw new Error(__('The public key is not in a valid or supported format.'));
+      }
+      this.publicKeys[key] = publicKey;
+    }
+    return this.publicKeys[key];
+  }
+
+  /**
+   * Encrypt a message for a user.
+   * @param {string} message The message to encrypt
+   * @param {string} key The user id or the public armored key
+   * @return {Promise<string>} The armored message
+   */
+  async encrypt(message, key) {
+    const publicKey = await this.getPublicKey(key);
+    const encrypted = await openpgp.encrypt({message: openpgp.message.fromText(message), publicKeys: [publicKey]});
+    return encrypted.data;
+  }
+
+  /**
+   * Encrypt a message for several users, in a single pass.
+   * The message is encrypted once with a session key, the session key is then encrypted for each user. Each user gets
+   * a message containing only the session key encrypted for their key, as the API expects one secret per user.
+   * @param {string} message The message to encrypt
+   * @param {array} keys The users ids or the public armored keys
+   * @return {Promise<array>} The armored messages, in the order of the keys
+   */
+  async encryptForMany(message, keys) {
+    if (keys.length === 1) {
+      return [await this.encrypt(message, keys[0])];
+    }
+    const publicKeys = await Promise.all(keys.map(key => this.getPublicKey(key)));
+    const encrypted = await openpgp.encrypt({message: openpgp.message.fromText(message), publicKeys, armor: false});
+    const pkeskTag = openpgp.enums.packet.publicKeyEncryptedSessionKey;
+    const sessionKeysPackets = encrypted.message.packets.filterByTag(pkeskTag);
+    const dataPackets = encrypted.message.packets.filter(packet => packet.tag !== pkeskTag);
+
+    // The session keys packets are in the order of the public keys.
+    return sessionKeysPackets.map(sessionKeyPacket => {
+      const packets = new openpgp.packet.List();
+      packets.push(sessionKeyPacket);
+      dataPackets.forEach(packet => packets.push(packet));
+      return new openpgp.message.Message(packets).armor();
+    });
+  }
+
+  /**
+   * Encrypt a list of messages.
+   * The messages are encrypted one by one, two identical messages must not give away that they are identical. Only
+   * the secret of a same resource encrypted for several users is encrypted in a single pass, see encryptForMany.
+   * @param {array} data The messages to encrypt, array of {message, userId, resourceId}. The resource id is optional,
+   * the messages of a same resource are expected to be identical.
+   * @param {function} completeCallback (optional) Called each time a message is encrypted, with the armored message,
+   * the user id and the position of the message
+   * @return {Promise<array>} The armored messages, in the order of the data
+   */
+  async encryptAll(data, completeCallback) {
+    const _completeCallback = completeCallback || function() {};
+    const groups = [];
+    const resourcesGroups = {};
+    data.forEach((item, index) => {
+      if (!item.resourceId) {
+        groups.push([index]);
+      } else if (resourcesGroups[item.resourceId]) {
+        resourcesGroups[item.resourceId].push(index);
+      } else {
+        resourcesGroups[item.resourceId] = [index];
+        groups.push(resourcesGroups[item.resourceId]);
+      }
+    });
+
+    const result = [];
+    const tasks = groups.map(indexes => async() => {
+      const armoredMessages = await this.encryptForMany(data[indexes[0]].message, indexes.map(index => data[index].userId));
+      indexes.forEach((index, i) => {
+        result[index] = armoredMessages[i];
+        _completeCallback(armoredMessages[i], data[index].userId, index);
+      });
+      return indexes.length;
+    });
+    await this._schedule(tasks, data.length);
+
+    return result;
+  }
+
+  /**
+   * Decrypt a message with the job private key.
+   * @param {string} armoredMessage The message to decrypt
+   * @return {Promise<string>}
+   */
+  async decrypt(armoredMessage) {
+    if (!this.privateKey) {
+      throw new Error('The private key has to be unlocked before decrypting');
+    }
+    const message = await openpgp.message.readArmored(armoredMessage);
+    const decrypted = await openpgp.decrypt({privateKeys: [this.privateKey], message});
+    return decrypted.data;
+  }
+
+  /**
+   * Decrypt a list of messages with the job private key.
+   * @param {array} armoredMessages The messages to decrypt
+   * @param {function} completeCallback (optional) Called each time a message is decrypted, with the decrypted message
+   * and its position
+   * @return {Promise<array>} The decrypted messages, in the order of the armored messages
+   */
+  async decryptAll(armoredMessages, completeCallback) {
+    const _completeCallback = completeCallback || function() {};
+    const result = [];
+    const tasks = armoredMessages.map((armoredMessage, index) => async() => {
+      result[index] = await this.decrypt(armoredMessage);
+      _completeCallback(result[index], index);
+      return 1;
+    });
+    await this._schedule(tasks, armoredMessages.length);
+
+    return result;
+  }
+
+  /**
+   * Run tasks, keeping as many of them in flight as there are web workers.
+   * @param {array} tasks The tasks, functions returning a promise of the number of operations they completed
+   * @param {int} total The total number of operations
+   * @return {Promise}
+   * @private
+   */
+  async _schedule(tasks, total) {
+    let next = 0;
+    let completed = 0;
+    const runNext = async() => {
+      while (next < tasks.length) {
+        const task = tasks[next++];
+        completed += await task();
+        this.progressCallback(completed, total);
+      }
+    };
+    const runners = [];
+    for (let i = 0; i < Math.min(this.concurrency, tasks.length); i++) {
+      runners.push(runNext());
+    }
+    await Promise.all(runners);
+  }
+}
+
+exports.CryptoJob = CryptoJob;
@@ -2,6 +2,8 @@
  * CsvDb model.
  * Provides high level tools to work with a password csv file.
  */
+var Config = require('./config');
+var CsvFormatError = require('../error/csvFormatError').CsvFormatError;
 var Resource = require('./resource').Resource;
 
 /**
@@ -39,9 +41,105 @@ CsvDb.formats = {
     "secretClear": "Password",
     "description": "Notes",
     "tags": "Type"
+  },
+  "bitwarden": {
+    "name": "name",
+    "username": "login_username",
+    "uri": "login_uri",
+    "secretClear": "login_password",
+    "description": "notes",
+    "tags": "folder"
+  },
+  "dashlane": {
+    "name": "title",
+    "username": "username",
+    "uri": "url",
+    "secretClear": "password",
+    "description": "note",
+    "tags": "category"
+  },
+  "chromium": {
+    "name": "name",
+    "username": "username",
+    "uri": "url",
+    "secretClear": "password"
+  },
+  // Firefox does not export a name, the url is used instead.
+  "firefox": {
+    "name": "url",
+    "username": "username",
+    "uri": "url",
+    "secretClear": "password"
+  },
+  // KeePassXC exports the TOTP of the entries along with the KeePass columns.
+  "keepassxc": {
+    "tags": "Group",
+    "name": "Title",
+    "username" : "Username",
+    "secretClear": "Password",
+    "uri": "URL",
+    "description": "Notes",
+    "totp": "TOTP"
+  },
+  "keeper": {
+    "name": "Title",
+    "username": "Login",
+    "uri": "Website Address",
+    "secretClear": "Password",
+    "description": "Notes",
+    "tags": "Folder"
+  },
+  "enpass": {
+    "name": "Title",
+    "username": "Username",
+    "uri": "Website",
+    "secretClear": "Password",
+    "description": "Notes",
+    "tags": "Category"
   }
 };
 
+/**
+ * Get the custom formats the user saved while importing csv files of an unknown format.
+ * @returns {object} Object of {formatName: mapping}
+ */
+CsvDb.getCustomFormats = function() {
+  return Config.read('csvCustomFormats') || {};
+};
+
+/**
+ * Save a custom format.
+ * @param string formatName
+ * @param object mapping mapping rules, see CsvDb.formats
+ * @throw {Error} if the name is reserved or if the mapping rules are not valid, see Resource.validateCsvMapping
+ */
+CsvDb.saveCustomFormat = function(formatName, mapping) {
+  CsvDb.validateCustomFormatName(formatName);
+  Resource.validateCsvMapping(mapping);
+  var customFormats = CsvDb.getCustomFormats();
+  customFormats[formatName] = mapping;
+  Config.write('csvCustomFormats', customFormats);
+};
+
+/**
+ * Validate the name of a custom format. The names of the built-in formats are reserved.
+ * @param string formatName
+ * @throw {Error} if the name is reserved
+ */
+CsvDb.validateCustomFormatName = function(formatName) {
+  if (CsvDb.formats[formatName] !== undefined) {
+    throw new Error(`The format name ${formatName} is reserved`);
+  }
+};
+
+/**
+ * Get all the formats available to read a CSV entry, the custom formats included.
+ * @returns {object}
+ */
+CsvDb.getFormats = function() {
+  return Object.assign({}, CsvDb.getCustomFormats(), CsvDb.formats);
+};
+
 /**
  * load a db from file.
  * @param File kdbxFile file object as returned by the file field.
@@ -63,29 +161,78 @@ CsvDb.prototype.loadDb = function(csvFile) {
 
 /**
  * Transform a csv database into a list of Resources.
+ * If the format of the csv is not recognized, the promise is rejected with a CsvFormatError containing the
+ * csv headers and first rows, so the user can be asked to map the columns.
  * @param Array csvDb
+ * @param object mapping (optional) mapping rules to use instead of detecting the format, see CsvDb.formats
  * @returns {Promise}
  */
-CsvDb.prototype.toResources = function(csvDb) {
+CsvDb.prototype.toResources = function(csvDb, mapping) {
   var self = this;
   return new Promise(function(resolve, reject) {
     var resources = [];
+    var formats = CsvDb.getFormats();
+    var headers = csvDb['meta'] ? csvDb['meta']['fields'] : [];
+
+    if (mapping) {
+      try {
+        Resource.validateCsvMapping(mapping);
+      } catch (error) {
+        return reject(error);
+      }
+    }
+    if (mapping && (!Object.keys(mapping).length || !CsvDb._checkFormat(CsvDb._getHeadersEntry(headers), mapping))) {
+      return reject(new CsvFormatError('The columns to import do not exist in the CSV file', CsvDb._getPreview(csvDb)));
+    }
+
     for (var i in csvDb['data']) {
       var csvEntry = csvDb['data'][i];
-      var formatName = self.getCsvFormat(csvEntry);
-      if (formatName == false) {
-        reject('CSV format is not recognized');
+      var entryMapping = mapping;
+      if (!entryMapping) {
+        var formatName = self.getCsvFormat(csvEntry, formats);
+        if (formatName == false) {
+          return reject(new CsvFormatError('CSV format is not recognized', CsvDb._getPreview(csvDb)));
+        }
+        entryMapping = formats[formatName];
       }
 
       var resource = new Resource();
-      var mapping = CsvDb.formats[formatName];
-      resource.fromCsvEntry(csvEntry, mapping);
+      resource.fromCsvEntry(csvEntry, entryMapping);
       resources.push(resource);
     }
     resolve(resources);
   });
 };
 
+/**
+ * Get a preview of a csv database: its headers and first rows.
+ * The reserved format names are given so that the user is not asked to save the mapping under one of them.
+ * @param Array csvDb
+ * @returns {object} Object of {headers, rows, reservedFormatNames}
+ * @private
+ */
+CsvDb._getPreview = function(csvDb) {
+  return {
+    headers: csvDb['meta'] ? csvDb['meta']['fields'] : [],
+    rows: csvDb['data'].slice(0, 5),
+    reservedFormatNames: Object.keys(CsvDb.formats)
+  };
+};
+
+/**
+ * Get an entry having all the given headers as fields.
+ * @param Array headers
+ * @returns {object}
+ * @private
+ */
+CsvDb._getHeadersEntry = function(headers) {
+  var entry = {};
+  headers.forEach(function(header) {
+    entry[header] = '';
+  });
+  return entry;
+};
+
 /**
  * Transform a list of resources into a CSV file content.
  * @param array resources
@@ -117,19 +264,38 @@ CsvDb.prototype.fromResources = function(resources, format) {
 
 /**
  * Get CSV format name from a csv entry.
+ * The formats are checked from the one with the most columns to the one with the least, some formats columns
+ * are included in others (by instance chromium columns are part of the lastpass ones).
  * @param csvEntry
+ * @param object formats (optional) the formats to check, default CsvDb.formats
  * @returns {*}
  */
-CsvDb.prototype.getCsvFormat = function(csvEntry) {
-  var formats = CsvDb.formats;
-  for (var formatName in formats) {
-    if (CsvDb._checkFormat(csvEntry, formats[formatName])) {
-      return formatName;
+CsvDb.prototype.getCsvFormat = function(csvEntry, formats) {
+  formats = formats || CsvDb.formats;
+  var formatsNames = Object.keys(formats).sort(function(formatNameA, formatNameB) {
+    return CsvDb._countColumns(formats[formatNameB]) - CsvDb._countColumns(formats[formatNameA]);
+  });
+  for (var i in formatsNames) {
+    if (CsvDb._checkFormat(csvEntry, formats[formatsNames[i]])) {
+      return formatsNames[i];
     }
   }
   return false;
 };
 
+/**
+ * Count the distinct columns of a format.
+ * @param format
+ * @returns {int}
+ * @private
+ */
+CsvDb._countColumns = function(format) {
+  var columns = Object.values(format);
+  return columns.filter(function(column, index) {
+    return columns.indexOf(column) === index;
+  }).length;
+};
+
 /**
  * Check if a CSV entry matches the format provided.
  * @param csvEntry
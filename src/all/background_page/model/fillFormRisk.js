@@ -0,0 +1,128 @@
+/**
+ * Fill form risk model.
+ *
+ * Evaluate the risks of filling the credentials of a resource on a page: a page not served over HTTPS, or a page
+ * not matching the resource uri, a phishing page by instance. The user can override the risks of a page, the
+ * overrides are kept in the extension storage and written in the logs.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const __ = require('../sdk/l10n').get;
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const Log = require('./log').Log;
+const SuggestedResources = require('./suggestedResources').SuggestedResources;
+
+/**
+ * The page is not served over HTTPS.
+ */
+const INSECURE_PAGE = 'insecure-page';
+
+/**
+ * The page does not match the resource uri.
+ */
+const DOMAIN_MISMATCH = 'domain-mismatch';
+
+/**
+ * The hosts considered as secure without HTTPS, as the browsers do.
+ */
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * The maximum number of overrides kept in the storage, the oldest are removed first.
+ */
+const MAX_OVERRIDES = 100;
+
+class FillFormRisk {}
+
+FillFormRisk.INSECURE_PAGE = INSECURE_PAGE;
+FillFormRisk.DOMAIN_MISMATCH = DOMAIN_MISMATCH;
+
+/**
+ * Evaluate the risks of filling a resource on a page.
+ * @param {object} resource The resource
+ * @param {string} url The page url
+ * @param {string} matchMode (optional) The match mode of the resource, see UrlMatcher.MODES
+ * @return {array} The risks, INSECURE_PAGE and/or DOMAIN_MISMATCH. Empty if the page is safe.
+ */
+FillFormRisk.evaluate = function (resource, url, matchMode) {
+  const risks = [];
+  const origin = FillFormRisk.getOrigin(url);
+  const pageUrl = origin ? new URL(origin) : null;
+  if (!pageUrl || (pageUrl.protocol !== 'https:' && !LOCAL_HOSTS.includes(pageUrl.hostname))) {
+    risks.push(INSECURE_PAGE);
+  }
+  if (!SuggestedResources.getMatchLevel(resource, url, matchMode)) {
+    risks.push(DOMAIN_MISMATCH);
+  }
+
+  return risks;
+};
+
+/**
+ * Get the origin of a page.
+ * @param {string} url The page url
+ * @return {string|null} null if the page is not a web page
+ */
+FillFormRisk.getOrigin = function (url) {
+  try {
+    const pageUrl = new URL(url);
+    return ['http:', 'https:'].includes(pageUrl.protocol) ? pageUrl.origin : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Explain risks to the user.
+ * @param {array} risks The risks
+ * @param {string} origin The page origin
+ * @return {string}
+ */
+FillFormRisk.describe = function (risks, origin) {
+  const descriptions = [];
+  if (risks.includes(DOMAIN_MISMATCH)) {
+    descriptions.push(__('This page (%0) does not match the url of the password, it could be a phishing page.').replace('%0', origin));
+  }
+  if (risks.includes(INSECURE_PAGE)) {
+    descriptions.push(__('This page is not served over HTTPS, the password could be intercepted.'));
+  }
+
+  return descriptions.join(' ');
+};
+
+/**
+ * Record that the user chose to fill a resource on a page despite the risks.
+ * @param {object} resource The resource
+ * @param {string} origin The page origin
+ * @param {array} risks The risks overridden
+ * @return {Promise<object>} The override
+ */
+FillFormRisk.logOverride = async function (resource, origin, risks) {
+  const fillFormOverride = {
+    resourceId: resource.id,
+    origin,
+    risks,
+    created: new Date().toISOString()
+  };
+  const fillFormOverrides = await FillFormRisk.findAllOverrides();
+  fillFormOverrides.push(fillFormOverride);
+  await browser.storage.local.set({fillFormOverrides: fillFormOverrides.slice(-MAX_OVERRIDES)});
+  Log.write({
+    level: 'warning',
+    message: `Fill form risks ${risks.join(', ')} overridden on ${origin} for the resource ${resource.id}`
+  });
+
+  return fillFormOverride;
+};
+
+/**
+ * Find all the overrides.
+ * @return {Promise<array>}
+ */
+FillFormRisk.findAllOverrides = async function () {
+  const {fillFormOverrides} = await browser.storage.local.get('fillFormOverrides');
+  return fillFormOverrides || [];
+};
+
+exports.FillFormRisk = FillFormRisk;
@@ -118,6 +118,24 @@ GpgAuth.prototype.getServerKey = async function (serverUrl) {
   return json.body;
 };
 
+/**
+ * Compare the server key advertised by the server with the trusted one.
+ *
+ * @returns {Promise<object|null>} null if the key did not change, otherwise the keys info
+ *  {oldKey, newKey}
+ */
+GpgAuth.prototype.findServerKeyChange = async function () {
+  const domain = this.getDomain();
+  const oldKey = this.keyring.findPublic(Uuid.get(domain));
+  const serverKey = await this.getServerKey(domain);
+  const newKey = await this.keyring.keyInfo(serverKey.keydata);
+  if (oldKey && oldKey.fingerprint === newKey.fingerprint) {
+    return null;
+  }
+
+  return {oldKey, newKey};
+};
+
 /**
  * GPGAuth Logout
  *
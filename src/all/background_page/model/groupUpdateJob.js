@@ -0,0 +1,118 @@
+/**
+ * Group update job model.
+ *
+ * Keep track of the members being added to the groups in the extension storage, one job per group. Adding members
+ * requires to encrypt all the secrets the group has access to for each of them, for large groups the operation can be
+ * interrupted and resumed.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const User = require('./user').User;
+
+/**
+ * The entries status.
+ */
+const STATUS_PENDING = 'pending';
+const STATUS_ADDED = 'added';
+const STATUS_FAILED = 'failed';
+
+class GroupUpdateJob {}
+
+GroupUpdateJob.STATUS_PENDING = STATUS_PENDING;
+GroupUpdateJob.STATUS_ADDED = STATUS_ADDED;
+GroupUpdateJob.STATUS_FAILED = STATUS_FAILED;
+
+/**
+ * Create a job and persist it.
+ * @param {string} groupId The group identifier
+ * @param {string} groupName The group name
+ * @param {array} groupUsers The members to add, array of {user_id, is_admin}
+ * @return {Promise<object>} The job
+ * @throw {Error} if a job of the group is not finished
+ */
+GroupUpdateJob.create = async function (groupId, groupName, groupUsers) {
+  await GroupUpdateJob.assertNotPending(groupId);
+  const job = {
+    userId: User.getInstance().get().id,
+    groupId,
+    groupName,
+    created: Date.now(),
+    entries: groupUsers.map(groupUser => ({groupUser, status: STATUS_PENDING, error: null, retryable: false, resourcesIds: []}))
+  };
+  await GroupUpdateJob.save(job);
+
+  return job;
+};
+
+/**
+ * Check that a group has no unfinished job, its members would be lost if a new job replaced it.
+ * @param {string} groupId The group identifier
+ * @return {Promise}
+ * @throw {Error} if a job of the group is not finished
+ */
+GroupUpdateJob.assertNotPending = async function (groupId) {
+  const job = await GroupUpdateJob.get(groupId);
+  if (job && GroupUpdateJob.getRemainingEntries(job).length) {
+    throw new Error('The previous update of the group is not finished, resume it before updating the group again');
+  }
+};
+
+/**
+ * Get the job of the current user for a group.
+ * @param {string} groupId The group identifier
+ * @return {Promise<object|null>}
+ */
+GroupUpdateJob.get = async function (groupId) {
+  const groupUpdateJobs = await GroupUpdateJob._findAll();
+  const job = groupUpdateJobs[groupId];
+  if (!job || job.userId !== User.getInstance().get().id) {
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * Save a job.
+ * @param {object} job The job
+ * @return {Promise}
+ */
+GroupUpdateJob.save = async function (job) {
+  const groupUpdateJobs = await GroupUpdateJob._findAll();
+  groupUpdateJobs[job.groupId] = job;
+  await browser.storage.local.set({groupUpdateJobs});
+};
+
+/**
+ * Remove the job of a group.
+ * @param {string} groupId The group identifier
+ * @return {Promise}
+ */
+GroupUpdateJob.remove = async function (groupId) {
+  const groupUpdateJobs = await GroupUpdateJob._findAll();
+  delete groupUpdateJobs[groupId];
+  await browser.storage.local.set({groupUpdateJobs});
+};
+
+/**
+ * Get all the jobs, indexed by group id.
+ * @return {Promise<object>}
+ * @private
+ */
+GroupUpdateJob._findAll = async function () {
+  const {groupUpdateJobs} = await browser.storage.local.get('groupUpdateJobs');
+  return groupUpdateJobs || {};
+};
+
+/**
+ * Get the members that remain to be added: the pending ones, and the ones that failed because of a transient error.
+ * @param {object} job The job
+ * @return {array}
+ */
+GroupUpdateJob.getRemainingEntries = function (job) {
+  return job.entries.filter(entry => entry.status === STATUS_PENDING || (entry.status === STATUS_FAILED && entry.retryable));
+};
+
+exports.GroupUpdateJob = GroupUpdateJob;
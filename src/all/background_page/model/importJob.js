@@ -0,0 +1,165 @@
+/**
+ * Import job model.
+ *
+ * Keep track of a passwords import in the extension storage, so an import interrupted by a network failure or
+ * a tab reload can be resumed, and the entries that failed can be retrieved once the import is completed.
+ * Only the encrypted secrets are stored. The entries are stored once, when the job is created, the progress of the
+ * import is stored apart so that saving it does not rewrite all the entries.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const User = require('./user').User;
+
+/**
+ * The entries status.
+ */
+const STATUS_PENDING = 'pending';
+const STATUS_IMPORTED = 'imported';
+const STATUS_FAILED = 'failed';
+
+class ImportJob {}
+
+ImportJob.STATUS_PENDING = STATUS_PENDING;
+ImportJob.STATUS_IMPORTED = STATUS_IMPORTED;
+ImportJob.STATUS_FAILED = STATUS_FAILED;
+
+/**
+ * Create a job and persist it. It replaces any previous job.
+ * @param {array} resources The resources to import, with their secrets encrypted, and the permissions to restore if any
+ * @param {object} data The job data
+ * - {string} fileType The type of the imported file
+ * - {object} options The import options
+ * - {array} unmappedItems The items of the file that could not be imported
+ * - {object} duplicates The duplicates report
+ * @return {Promise<object>} The job
+ */
+ImportJob.create = async function (resources, data) {
+  const job = Object.assign({}, data, {
+    userId: User.getInstance().get().id,
+    created: Date.now(),
+    entries: resources.map(resource => {
+      // The permissions are restored once the resource is imported, they are not part of the imported resource.
+      const permissions = resource.permissions || [];
+      delete resource.permissions;
+      return {resource, permissions, status: STATUS_PENDING, response: null, retryable: false};
+    })
+  });
+  await ImportJob._saveEntries(job);
+  await ImportJob.save(job);
+
+  return job;
+};
+
+/**
+ * Get the job of the current user.
+ * @return {Promise<object|null>}
+ */
+ImportJob.get = async function () {
+  const {importJob, importJobProgress} = await browser.storage.local.get(['importJob', 'importJobProgress']);
+  if (!importJob || !importJobProgress || importJob.userId !== User.getInstance().get().id) {
+    return null;
+  }
+
+  importJob.unmappedItems = importJobProgress.unmappedItems;
+  importJob.entries.forEach((entry, index) => {
+    const progress = importJobProgress.entries[index];
+    Object.assign(entry, {status: progress.status, response: progress.response, retryable: progress.retryable});
+    if (progress.permissionsRestored) {
+      entry.permissions = [];
+    }
+  });
+
+  return importJob;
+};
+
+/**
+ * Save the progress of a job.
+ * Only the responses identifiers of the imported entries are kept, it is all the import report needs.
+ * @param {object} job The job
+ * @return {Promise}
+ */
+ImportJob.save = async function (job) {
+  const importJobProgress = {
+    unmappedItems: job.unmappedItems,
+    entries: job.entries.map(entry => ({
+      status: entry.status,
+      response: entry.status === STATUS_IMPORTED ? {id: entry.response.id} : entry.response,
+      retryable: entry.retryable,
+      permissionsRestored: !entry.permissions.length
+    }))
+  };
+  await browser.storage.local.set({importJobProgress});
+};
+
+/**
+ * Save the entries of a job.
+ * @param {object} job The job
+ * @return {Promise}
+ * @private
+ */
+ImportJob._saveEntries = async function (job) {
+  const importJob = Object.assign({}, job, {
+    entries: job.entries.map(entry => ({resource: entry.resource, permissions: entry.permissions}))
+  });
+  delete importJob.unmappedItems;
+  await browser.storage.local.set({importJob});
+};
+
+/**
+ * Complete a job.
+ * The imported entries are not needed anymore and are removed from the storage. The job is kept only if some entries
+ * failed, so that they can be retried or downloaded.
+ * @param {object} job The job
+ * @return {Promise}
+ */
+ImportJob.complete = async function (job) {
+  const failedEntries = ImportJob.getFailedEntries(job);
+  if (!failedEntries.length) {
+    await ImportJob.remove();
+    return;
+  }
+
+  const failedJob = Object.assign({}, job, {entries: failedEntries});
+  await ImportJob._saveEntries(failedJob);
+  await ImportJob.save(failedJob);
+};
+
+/**
+ * Remove the job.
+ * @return {Promise}
+ */
+ImportJob.remove = async function () {
+  await browser.storage.local.remove(['importJob', 'importJobProgress']);
+};
+
+/**
+ * Get the entries of a job that remain to be imported: the pending ones, and the ones that failed because of a
+ * transient error.
+ * @param {object} job The job
+ * @return {array}
+ */
+ImportJob.getRemainingEntries = function (job) {
+  return job.entries.filter(entry => entry.status === STATUS_PENDING || (entry.status === STATUS_FAILED && entry.retryable));
+};
+
+/**
+ * Get the imported entries of a job which permissions remain to be restored.
+ * @param {object} job The job
+ * @return {array}
+ */
+ImportJob.getEntriesToShare = function (job) {
+  return job.entries.filter(entry => entry.status === STATUS_IMPORTED && entry.permissions && entry.permissions.length);
+};
+
+/**
+ * Get the entries of a job that failed.
+ * @param {object} job The job
+ * @return {array}
+ */
+ImportJob.getFailedEntries = function (job) {
+  return job.entries.filter(entry => entry.status === STATUS_FAILED);
+};
+
+exports.ImportJob = ImportJob;
@@ -13,6 +13,11 @@ var KeepassDb = function() {
   this.db = null;
 };
 
+/**
+ * The name of the databases exported by passbolt, it is the name of their root group as well.
+ */
+KeepassDb.EXPORT_DB_NAME = 'passbolt export';
+
 /**
  * Create a Kdbx database.
  * @param string password
@@ -28,7 +33,7 @@ KeepassDb.prototype.createDb = function(password, keyFile) {
       // We don't handle the case where there is a password and it is an empty string. Why? It makes no sense.
       let protectedPassword = password === '' ? null : kdbxweb.ProtectedValue.fromString(password);
       let credentials = new kdbxweb.Credentials(protectedPassword, keyFile);
-      let newDb = kdbxweb.Kdbx.create(credentials, 'passbolt export');
+      let newDb = kdbxweb.Kdbx.create(credentials, KeepassDb.EXPORT_DB_NAME);
       self.db = newDb;
       resolve(this.db);
     });
@@ -118,19 +123,23 @@ KeepassDb.prototype.flattenParentGroups = function(entry) {
 
 /**
  * Calculate a resource tag name from a list of flattened groups.
+ * The root group of the databases exported by passbolt is not part of the tag name, so that the exported group path
+ * tags are imported back as they were. The root group of the other databases is kept, as it always was.
  * @param Array flattenedGroups
- * @returns {string}
+ * @returns {string} The tag name, empty string if the entry is in the root group of a passbolt export.
  */
 KeepassDb.prototype.getTagNameFromFlattenedGroups = function(flattenedGroups) {
   var tag = "";
-  flattenedGroups.forEach((group) => {
+  var isExportRoot = flattenedGroups.length && flattenedGroups[0].name === KeepassDb.EXPORT_DB_NAME;
+  flattenedGroups.slice(isExportRoot ? 1 : 0).forEach((group) => {
     tag += ( "/" + group.name );
-});
+  });
   return tag;
 };
 
 /**
  * Transform a kdbx database into a list of Resources.
+ * The group path of an entry is transformed into a tag (/a/b/c), the entry tags are kept as they are.
  * @param Kdbx kdbxDb
  * @returns {Promise}
  */
@@ -145,7 +154,12 @@ KeepassDb.prototype.toResources = function(kdbxDb) {
           var groups = self.flattenParentGroups(entry);
           var tag = self.getTagNameFromFlattenedGroups(groups);
           resource.tags = [];
-          resource.tags.push(tag);
+          if (tag !== "") {
+            resource.tags.push(tag);
+          }
+          if (entry.tags) {
+            resource.tags = resource.tags.concat(entry.tags.filter(entryTag => resource.tags.indexOf(entryTag) === -1));
+          }
           entries.push(resource);
         }
       });
@@ -157,6 +171,69 @@ KeepassDb.prototype.toResources = function(kdbxDb) {
   });
 };
 
+/**
+ * Get the name of the tags of a resource.
+ * The tags can be given as returned by the API ({slug}) or as strings.
+ * @param Resource resource
+ * @returns {Array}
+ */
+KeepassDb.getResourceTagsNames = function(resource) {
+  if (!resource.tags) {
+    return [];
+  }
+  return resource.tags.map(tag => typeof tag === 'string' ? tag : tag.slug)
+    .filter(tagName => tagName);
+};
+
+/**
+ * Check if a tag name is a group path, such as /a/b/c.
+ * @param string tagName
+ * @returns {boolean}
+ */
+KeepassDb.isGroupPathTagName = function(tagName) {
+  return /^\/[^\/]/.test(tagName);
+};
+
+/**
+ * Get the group matching a group path tag name, such as /a/b/c.
+ * The missing groups of the path are created.
+ * @param string tagName the group path
+ * @param Kdbx db
+ * @returns {KdbxGroup}
+ */
+KeepassDb.prototype.getGroupFromTagName = function(tagName, db) {
+  if (db == undefined || db == null) {
+    db = this.db;
+  }
+  var groupsNames = tagName.split('/').filter(groupName => groupName !== '');
+  var group = db.getDefaultGroup();
+
+  groupsNames.forEach(groupName => {
+    var childGroup = group.groups.find(child => child.name === groupName);
+    if (!childGroup) {
+      childGroup = db.createGroup(group, groupName);
+    }
+    group = childGroup;
+  });
+
+  return group;
+};
+
+/**
+ * Get the group a resource should be exported in.
+ * A resource is exported in the group matching its first group path tag.
+ * @param Resource resource
+ * @param Kdbx db
+ * @returns {KdbxGroup|null} null if the resource has no group path tag, it goes in the default group
+ */
+KeepassDb.prototype.getResourceGroup = function(resource, db) {
+  var groupTagName = KeepassDb.getResourceTagsNames(resource).find(KeepassDb.isGroupPathTagName);
+  if (!groupTagName) {
+    return null;
+  }
+  return this.getGroupFromTagName(groupTagName, db);
+};
+
 /**
  * Create an entry in the db from a Resource.
  * @param Resouce resource
@@ -176,12 +253,75 @@ KeepassDb.prototype.createEntry = function(resource, group, db) {
   entry.fields.UserName = resource.username;
   entry.fields.Password = kdbxweb.ProtectedValue.fromString(resource.secretClear);
   entry.fields.URL = resource.uri;
-  entry.fields.Notes = resource.description;
+  if (resource.totp) {
+    entry.fields.otp = kdbxweb.ProtectedValue.fromString(resource.totp);
+  }
+
+  // The custom fields appended to the description by the previous versions of the import are restored.
+  var description = Resource.extractCustomFieldsFromDescription(resource.description);
+  entry.fields.Notes = description.description;
+  for (var fieldName in description.fields) {
+    if (Resource.KDBX_STANDARD_FIELDS.indexOf(fieldName) === -1) {
+      entry.fields[fieldName] = description.fields[fieldName];
+    }
+  }
+  // The custom fields stored in the secret.
+  var extras = resource.secretExtras || {};
+  (extras.fields || []).forEach(function(field) {
+    if (Resource.KDBX_STANDARD_FIELDS.indexOf(field.name) === -1) {
+      entry.fields[field.name] = field.protected ? kdbxweb.ProtectedValue.fromString(field.value) : field.value;
+    }
+  });
+
+  // The tags not used to build the group hierarchy are kept as entry tags.
+  var groupTagName = group !== db.getDefaultGroup() ? KeepassDb.getResourceTagsNames(resource).find(KeepassDb.isGroupPathTagName) : null;
+  entry.tags = KeepassDb.getResourceTagsNames(resource).filter(tagName => tagName !== groupTagName);
+
   return entry;
 };
 
+/**
+ * Restore the previous versions and the attachments stored in the secret of a resource on its entry.
+ * @param KdbxEntry entry
+ * @param Resource resource
+ * @param Kdbx db
+ * @returns {Promise}
+ */
+KeepassDb.prototype.addEntrySecretExtras = function(entry, resource, db) {
+  if (db == undefined || db == null) {
+    db = this.db;
+  }
+  var extras = resource.secretExtras || {};
+
+  // The history is rebuilt by pushing the previous versions of the entry one after the other.
+  if (extras.history && extras.history.length) {
+    var currentFields = Object.assign({}, entry.fields);
+    extras.history.forEach(function(version) {
+      entry.fields = Object.assign({}, currentFields);
+      for (var fieldName in version.fields) {
+        var isProtected = fieldName === 'Password' || currentFields[fieldName] instanceof kdbxweb.ProtectedValue;
+        entry.fields[fieldName] = isProtected ? kdbxweb.ProtectedValue.fromString(version.fields[fieldName] || '') : version.fields[fieldName];
+      }
+      if (version.modified) {
+        entry.times.lastModTime = new Date(version.modified);
+      }
+      entry.pushHistory();
+    });
+    entry.fields = currentFields;
+    entry.times.update();
+  }
+
+  return Promise.all((extras.attachments || []).map(function(attachment) {
+    var value = kdbxweb.ProtectedValue.fromBinary(kdbxweb.ByteUtils.base64ToBytes(attachment.data));
+    return db.createBinary(value).then(function(binary) {
+      entry.binaries[attachment.name] = binary;
+    });
+  }));
+};
+
 /**
  * Build a Kdbx database from a list of Resources.
+ * The resources group path tags (/a/b/c) are transformed into nested groups.
  * @param Array resources array of Resources
  * @param string password the password to encrypt the db
  * @param keyFile the keyfile to encrypt the db
@@ -195,9 +335,14 @@ KeepassDb.prototype.fromResources = function(resources, password, keyFile) {
 
   return this.createDb(password, keyFile)
   .then(function(db) {
+    var extras = [];
     for(let i=0; i < resources.length; i++) {
-      self.createEntry(resources[i], null);
+      var entry = self.createEntry(resources[i], self.getResourceGroup(resources[i]));
+      extras.push(self.addEntrySecretExtras(entry, resources[i]));
     }
+    return Promise.all(extras);
+  })
+  .then(function() {
     return self.db.save();
   });
 };
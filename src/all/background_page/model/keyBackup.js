@@ -0,0 +1,135 @@
+/**
+ * Key backup model.
+ *
+ * Backups of the user private key other than the armored key file:
+ * - a paper backup, the armored key split into a sequence of QR codes;
+ * - an encrypted container, the armored key encrypted with an additional backup passphrase.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const __ = require('../sdk/l10n').get;
+const qrCode = require('../utils/qrCode');
+
+/**
+ * The number of characters of the armored key per QR code.
+ * Small enough to keep the QR codes readable once printed.
+ */
+const QR_CHUNK_LENGTH = 800;
+
+/**
+ * The prefix of the QR codes content, followed by the position of the QR code in the sequence, the number of QR
+ * codes and the end of the key fingerprint. Example: passbolt-key:1/9:0c1d1761:
+ */
+const QR_PREFIX = 'passbolt-key';
+
+/**
+ * The type of the encrypted container.
+ */
+const CONTAINER_TYPE = 'passbolt-key-backup';
+
+class KeyBackup {}
+
+/**
+ * Split an armored key into QR codes.
+ * @param {string} armoredKey The private armored key
+ * @param {string} fingerprint The key fingerprint
+ * @return {Promise<array>} The QR codes images, as data urls
+ */
+KeyBackup.toQrCodes = async function (armoredKey, fingerprint) {
+  const chunks = armoredKey.match(new RegExp(`[\\s\\S]{1,${QR_CHUNK_LENGTH}}`, 'g'));
+  const fingerprintEnd = fingerprint.slice(-8).toLowerCase();
+
+  return Promise.all(chunks.map((chunk, index) => {
+    const content = `${QR_PREFIX}:${index + 1}/${chunks.length}:${fingerprintEnd}:${chunk}`;
+    return QRCode.toDataURL(content, {errorCorrectionLevel: 'M', margin: 2, scale: 4});
+  }));
+};
+
+/**
+ * Rebuild an armored key from the pictures of its QR codes.
+ * The pictures can be given in any order.
+ * @param {array} dataUrls The pictures, as data urls
+ * @return {Promise<string>} The armored key
+ * @throw Error if a picture does not contain a key QR code, or if the sequence is not complete
+ */
+KeyBackup.fromQrCodes = async function (dataUrls) {
+  const contents = await Promise.all(dataUrls.map(dataUrl => qrCode.decode(dataUrl)));
+  const chunkRegex = new RegExp(`^${QR_PREFIX}:(\\d+)/(\\d+):([0-9a-f]{8}):([\\s\\S]*)$`);
+  const chunks = [];
+  let total, fingerprintEnd;
+
+  contents.forEach(content => {
+    const matches = content.match(chunkRegex);
+    if (!matches) {
+      throw new Error(__('A QR code is not part of a passbolt key backup.'));
+    }
+    if (typeof total === 'undefined') {
+      total = parseInt(matches[2]);
+      fingerprintEnd = matches[3];
+    } else if (total !== parseInt(matches[2]) || fingerprintEnd !== matches[3]) {
+      throw new Error(__('The QR codes are not part of the same key backup.'));
+    }
+    chunks[parseInt(matches[1]) - 1] = matches[4];
+  });
+
+  const missing = [];
+  for (let i = 0; i < total; i++) {
+    if (typeof chunks[i] === 'undefined') {
+      missing.push(i + 1);
+    }
+  }
+  if (missing.length) {
+    throw new Error(__('Some QR codes are missing: %0.').replace('%0', missing.join(', ')));
+  }
+
+  return chunks.join('');
+};
+
+/**
+ * Encrypt an armored key in a backup container.
+ * @param {string} armoredKey The private armored key
+ * @param {string} fingerprint The key fingerprint
+ * @param {string} backupPassphrase The passphrase protecting the container
+ * @return {Promise<string>} The armored container
+ */
+KeyBackup.encrypt = async function (armoredKey, fingerprint, backupPassphrase) {
+  const container = {
+    type: CONTAINER_TYPE,
+    version: 1,
+    fingerprint,
+    created: new Date().toISOString(),
+    armoredKey
+  };
+  const encrypted = await openpgp.encrypt({
+    message: openpgp.message.fromText(JSON.stringify(container)),
+    passwords: [backupPassphrase]
+  });
+
+  return encrypted.data;
+};
+
+/**
+ * Decrypt a backup container.
+ * @param {string} armoredContainer The armored container
+ * @param {string} backupPassphrase The passphrase protecting the container
+ * @return {Promise<string>} The armored key
+ * @throw Error if the passphrase is not valid or the message is not a backup container
+ */
+KeyBackup.decrypt = async function (armoredContainer, backupPassphrase) {
+  let container;
+  try {
+    const message = await openpgp.message.readArmored(armoredContainer);
+    const decrypted = await openpgp.decrypt({message, passwords: [backupPassphrase]});
+    container = JSON.parse(decrypted.data);
+  } catch (error) {
+    throw new Error(__('The backup could not be decrypted, check the backup passphrase.'));
+  }
+  if (!container || container.type !== CONTAINER_TYPE || !container.armoredKey) {
+    throw new Error(__('This file is not a passbolt key backup.'));
+  }
+
+  return container.armoredKey;
+};
+
+exports.KeyBackup = KeyBackup;
@@ -0,0 +1,158 @@
+/**
+ * Key pin model.
+ *
+ * The fingerprints of the users public keys, pinned the first time the keys are retrieved from the API (trust on
+ * first use). A key retrieved later for the same user with another fingerprint is not trusted until the user accepts
+ * it. The pins are not flushed with the public keyring.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const PublicKeyChangedError = require('../error/publicKeyChangedError').PublicKeyChangedError;
+const __ = require('../sdk/l10n').get;
+
+class KeyPin {}
+
+KeyPin.STORAGE_KEY = 'passbolt-gpgkeys-pins';
+
+/**
+ * Get all the pins.
+ * @return {object} The pins indexed by user id
+ */
+KeyPin.getAll = function () {
+  const pinsSerialized = storage.getItem(KeyPin.STORAGE_KEY);
+  if (pinsSerialized) {
+    return JSON.parse(pinsSerialized);
+  }
+  return {};
+};
+
+/**
+ * Get the pin of a user.
+ * @param {string} userId The user id
+ * @return {object|undefined}
+ */
+KeyPin.get = function (userId) {
+  return KeyPin.getAll()[userId];
+};
+
+/**
+ * Pin the key of a user seen for the first time, or flag the change if the user key is not the pinned one.
+ * @param {object} keyInfo The public key info, see Keyring.keyInfo
+ * @return {object} The pin
+ */
+KeyPin.check = function (keyInfo) {
+  return KeyPin.checkAll([keyInfo])[0];
+};
+
+/**
+ * Check the keys of several users, see check. The pins are read and stored once.
+ * @param {array} keyInfos The public keys info, see Keyring.keyInfo
+ * @return {array} The pins, in the order of the keys
+ */
+KeyPin.checkAll = function (keyInfos) {
+  const pins = KeyPin.getAll();
+  const checkedPins = keyInfos.map(keyInfo => {
+    const userId = keyInfo.user_id;
+    let pin = pins[userId];
+    if (!pin) {
+      pin = KeyPin._build(keyInfo);
+    } else if (pin.fingerprint !== keyInfo.fingerprint) {
+      pin.changedFingerprint = keyInfo.fingerprint;
+      pin.changed = pin.changed || new Date().toISOString();
+    } else {
+      // The key came back to the pinned one.
+      delete pin.changedFingerprint;
+      delete pin.changed;
+    }
+    pins[userId] = pin;
+    return pin;
+  });
+  KeyPin._store(pins);
+
+  return checkedPins;
+};
+
+/**
+ * Pin a key, replacing the existing pin of its user if any.
+ * @param {object} keyInfo The public key info, see Keyring.keyInfo
+ * @return {object} The pin
+ */
+KeyPin.pin = function (keyInfo) {
+  const pins = KeyPin.getAll();
+  const pin = KeyPin._build(keyInfo);
+  const previousPin = pins[keyInfo.user_id];
+  if (previousPin && previousPin.fingerprint !== pin.fingerprint) {
+    pin.previousFingerprint = previousPin.fingerprint;
+  }
+  pins[keyInfo.user_id] = pin;
+  KeyPin._store(pins);
+
+  return pin;
+};
+
+/**
+ * Assert a key can be used to encrypt for a user.
+ * @param {object} keyInfo The public key info, see Keyring.keyInfo
+ * @throw PublicKeyChangedError if the key is not the pinned one
+ */
+KeyPin.assertTrusted = function (keyInfo) {
+  const pin = KeyPin.get(keyInfo.user_id);
+  if (pin && pin.fingerprint !== keyInfo.fingerprint) {
+    throw new PublicKeyChangedError(keyInfo.user_id, pin.name);
+  }
+};
+
+/**
+ * Mark the key of a user as verified, after the fingerprint was compared with the one given by the user.
+ * @param {string} userId The user id
+ * @param {string} fingerprint The fingerprint the user verified
+ * @return {object} The pin
+ * @throw Error if the fingerprint is not the pinned one
+ */
+KeyPin.verify = function (userId, fingerprint) {
+  const pins = KeyPin.getAll();
+  const pin = pins[userId];
+  if (!pin || pin.fingerprint !== fingerprint) {
+    throw new Error(__('The verified fingerprint is not the one of the trusted key.'));
+  }
+  pin.verified = new Date().toISOString();
+  KeyPin._store(pins);
+
+  return pin;
+};
+
+/**
+ * Remove all the pins.
+ */
+KeyPin.flush = function () {
+  storage.removeItem(KeyPin.STORAGE_KEY);
+};
+
+/**
+ * Build a pin.
+ * @param {object} keyInfo The public key info, see Keyring.keyInfo
+ * @return {object}
+ * @private
+ */
+KeyPin._build = function (keyInfo) {
+  const uid = keyInfo.userIds && keyInfo.userIds.length ? keyInfo.userIds[0] : {};
+  return {
+    userId: keyInfo.user_id,
+    name: uid.name ? `${uid.name} <${uid.email}>` : uid.email,
+    fingerprint: keyInfo.fingerprint,
+    pinned: new Date().toISOString(),
+    verified: null
+  };
+};
+
+/**
+ * Store the pins.
+ * @param {object} pins The pins indexed by user id
+ * @private
+ */
+KeyPin._store = function (pins) {
+  storage.setItem(KeyPin.STORAGE_KEY, JSON.stringify(pins));
+};
+
+exports.KeyPin = KeyPin;
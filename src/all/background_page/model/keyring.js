@@ -9,6 +9,7 @@ const InvalidMasterPasswordError = require('../error/invalidMasterPasswordError'
 const __ = require('../sdk/l10n').get;
 const UserSettings = require('./userSettings').UserSettings;
 const Key = require('./key').Key;
+const KeyPin = require('./keyPin').KeyPin;
 const Uuid = require('../utils/uuid');
 const goog = require('../utils/format/emailaddress').goog;
 
@@ -219,6 +220,42 @@ Keyring.prototype.importPrivate = async function (armoredKey) {
   return true;
 };
 
+/**
+ * Replace the user key pair.
+ * Both keys are read before any of them is stored, the keyring is never left with a private key and a public key
+ * that do not match.
+ *
+ * @param armoredKey {string} The new private key
+ * @param userId {string} The user id
+ * @returns {bool}
+ * @throw Error
+ *  if the key cannot be read by openpgp
+ *  if the key is not private
+ */
+Keyring.prototype.replaceMyKey = async function (armoredKey, userId) {
+  armoredKey = Keyring.findArmoredKeyInText(armoredKey, Keyring.PRIVATE);
+  const privateKey = (await openpgp.key.readArmored(armoredKey)).keys[0];
+  if (!privateKey || !privateKey.isPrivate()) {
+    throw new Error(__('Expected a private key but got a public key instead'));
+  }
+  const armoredPublicKey = privateKey.toPublic().armor();
+  const privateKeyInfo = await this.keyInfo(armoredKey);
+  const publicKeyInfo = await this.keyInfo(armoredPublicKey);
+
+  const privateKeys = Keyring.getPrivateKeys();
+  privateKeys[Keyring.MY_KEY_ID] = privateKeyInfo;
+  privateKeys[Keyring.MY_KEY_ID].user_id = Keyring.MY_KEY_ID;
+  const publicKeys = Keyring.getPublicKeys();
+  publicKeys[userId] = publicKeyInfo;
+  publicKeys[userId].user_id = userId;
+  this.store(Keyring.PRIVATE, privateKeys);
+  this.store(Keyring.PUBLIC, publicKeys);
+  // The user chose this key, it replaces the pinned one.
+  KeyPin.pin(publicKeys[userId]);
+
+  return true;
+};
+
 /**
  * Import the server public armored key.
  *
@@ -428,6 +465,10 @@ Keyring.prototype.sync = async function () {
   }
   await Promise.all(imports);
 
+  // Pin the keys seen for the first time, and flag the keys that changed.
+  const publicKeys = Keyring.getPublicKeys();
+  KeyPin.checkAll(json.body.map(meta => publicKeys[meta.Gpgkey.user_id]));
+
   storage.setItem('latestSync', json.header.servertime);
   return (json.body.length);
 
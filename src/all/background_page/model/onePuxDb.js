@@ -0,0 +1,166 @@
+/**
+ * OnePuxDb model.
+ * Provides high level tools to work with a 1Password 1pux export.
+ * A 1pux file is a zip archive containing the vaults data in an export.data json file.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+var Resource = require('./resource').Resource;
+var Totp = require('./totp').Totp;
+
+/**
+ * Constructor.
+ * @constructor
+ */
+var OnePuxDb = function() {
+  this.db = null;
+  // The items that could not be imported, see Resource.unmappedItems.
+  this.unmappedItems = [];
+};
+
+/**
+ * The 1Password items categories.
+ */
+OnePuxDb.CATEGORIES = {
+  "001": "login",
+  "002": "credit card",
+  "003": "secure note",
+  "004": "identity",
+  "005": "password",
+  "006": "document"
+};
+
+/**
+ * The 1Password items categories that can be imported.
+ */
+OnePuxDb.IMPORTED_CATEGORIES = ["login", "secure note", "password"];
+
+/**
+ * Load a db from file.
+ * @param Blob onePuxFile file object as returned by the file field.
+ * @returns {Promise}
+ */
+OnePuxDb.prototype.loadDb = function(onePuxFile) {
+  var self = this;
+  return JSZip.loadAsync(onePuxFile)
+  .then(function(zip) {
+    var exportData = zip.file('export.data');
+    if (exportData === null) {
+      throw new Error('This is not a valid 1pux file');
+    }
+    return exportData.async('string');
+  })
+  .then(function(exportDataContent) {
+    var db = JSON.parse(exportDataContent);
+    if (!Array.isArray(db.accounts)) {
+      throw new Error('This is not a valid 1pux file');
+    }
+    self.db = db;
+    return db;
+  });
+};
+
+/**
+ * Transform a 1pux export into a list of Resources.
+ * The vaults are transformed into tags (/vault), the 1Password tags are kept.
+ * @param object onePuxDb
+ * @returns {Promise}
+ */
+OnePuxDb.prototype.toResources = function(onePuxDb) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    var resources = [];
+    onePuxDb.accounts.forEach(function(account) {
+      (account.vaults || []).forEach(function(vault) {
+        (vault.items || []).forEach(function(item) {
+          if (item.state === 'archived' || item.trashed) {
+            return;
+          }
+          var category = OnePuxDb.CATEGORIES[item.categoryUuid] || 'item';
+          if (OnePuxDb.IMPORTED_CATEGORIES.indexOf(category) === -1) {
+            self.unmappedItems.push({resource: item.overview.title, type: category, name: 'not imported'});
+            return;
+          }
+          var resource = self.itemToResource(item);
+          if (vault.attrs && vault.attrs.name) {
+            resource.tags.unshift('/' + vault.attrs.name);
+          }
+          resources.push(resource);
+        });
+      });
+    });
+    resolve(resources);
+  });
+};
+
+/**
+ * Build a Resource from a 1Password login, password or secure note item.
+ * @param object item
+ * @returns {Resource}
+ */
+OnePuxDb.prototype.itemToResource = function(item) {
+  var resource = new Resource();
+  var overview = item.overview || {};
+  var details = item.details || {};
+  var loginFields = details.loginFields || [];
+  var extras = {fields: [], attachments: [], history: []};
+
+  var getLoginField = function(designation) {
+    var field = loginFields.find(function(loginField) {
+      return loginField.designation === designation;
+    });
+    return field ? field.value : '';
+  };
+
+  resource.name = overview.title || resource._defaultName;
+  resource.uri = overview.url || '';
+  resource.username = getLoginField('username');
+  resource.secretClear = getLoginField('password') || details.password || '';
+  resource.description = details.notesPlain || '';
+  resource.tags = (overview.tags || []).slice();
+  resource.unmappedItems = [];
+
+  // The additional urls and the sections fields are stored in the secret.
+  (overview.urls || []).forEach(function(url, index) {
+    if (url.url !== resource.uri) {
+      extras.fields.push({name: url.label || 'URL ' + (index + 1), value: url.url, protected: false});
+    }
+  });
+  (details.sections || []).forEach(function(section) {
+    (section.fields || []).forEach(function(field) {
+      var valueType = Object.keys(field.value || {})[0];
+      if (valueType === undefined) {
+        return;
+      }
+      if (typeof field.value[valueType] === 'object' && field.value[valueType] !== null) {
+        resource.unmappedItems.push({type: valueType, name: field.title});
+      } else if (valueType === 'totp' && resource.totp === null) {
+        // The first TOTP is stored in the secret with the password, the others are kept as custom fields.
+        try {
+          resource.totp = Totp.fromKdbxFields({otp: field.value.totp}, {issuer: resource.name, account: resource.username});
+        } catch (error) {
+          resource.unmappedItems.push({type: 'TOTP', name: error.message});
+        }
+      } else {
+        extras.fields.push({
+          name: field.title,
+          value: String(field.value[valueType]),
+          protected: valueType === 'concealed' || valueType === 'totp'
+        });
+      }
+    });
+  });
+  (details.passwordHistory || []).forEach(function(version) {
+    var modified = version.time ? new Date(version.time * 1000).toISOString() : null;
+    extras.history.push({modified: modified, fields: {Password: version.value || ''}});
+  });
+  if (details.documentAttributes) {
+    resource.unmappedItems.push({type: 'attachment', name: details.documentAttributes.fileName});
+  }
+  resource.secretExtras = extras;
+
+  return resource;
+};
+
+exports.OnePuxDb = OnePuxDb;
@@ -0,0 +1,169 @@
+/**
+ * PassboltDb model.
+ * Provides high level tools to work with a passbolt export.
+ * A passbolt export is a json document encrypted with OpenPGP and signed by the user who made it, it contains the
+ * resources with their secret, tags, permissions and modification dates, so they can be restored on another passbolt
+ * instance.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+var Resource = require('./resource').Resource;
+var Crypto = require('./crypto').Crypto;
+var Permission = require('./permission').Permission;
+
+/**
+ * Constructor.
+ * @constructor
+ */
+var PassboltDb = function() {
+  this.db = null;
+  // The id of the user who signed the loaded export, null if the signature could not be verified.
+  this.signerId = null;
+};
+
+/**
+ * The format identifier and version of the export.
+ */
+PassboltDb.FORMAT = 'passbolt-export';
+PassboltDb.VERSION = 1;
+
+/**
+ * Load a db from file.
+ * @param Blob passboltFile file object as returned by the file field.
+ * @param string passphrase The passphrase of the user private key
+ * @returns {Promise}
+ */
+PassboltDb.prototype.loadDb = function(passboltFile, passphrase) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function(e) {
+      resolve(e.target.result);
+    };
+    reader.onerror = function() {
+      reject(new Error('The file could not be read'));
+    };
+    reader.readAsText(passboltFile);
+  })
+  .then(function(armored) {
+    var crypto = new Crypto();
+    return crypto.decryptAndVerify(armored, passphrase)
+    .catch(function(error) {
+      if (error.name === 'InvalidMasterPasswordError') {
+        throw error;
+      }
+      throw new Error('This file could not be decrypted, it was not exported for your key');
+    });
+  })
+  .then(function(decrypted) {
+    var db;
+    try {
+      db = JSON.parse(decrypted.data);
+    } catch (error) {
+      throw new Error('This is not a valid passbolt export');
+    }
+    if (db.format !== PassboltDb.FORMAT || !Array.isArray(db.resources)) {
+      throw new Error('This is not a valid passbolt export');
+    }
+    if (db.version > PassboltDb.VERSION) {
+      throw new Error('This passbolt export was made with a more recent version of passbolt');
+    }
+    self.db = db;
+    self.signerId = decrypted.signerId;
+    return db;
+  });
+};
+
+/**
+ * Transform a passbolt export into a list of Resources.
+ * The permissions are kept on the resources, they are restored once the resources are imported.
+ * @param object passboltDb
+ * @returns {Promise}
+ */
+PassboltDb.prototype.toResources = function(passboltDb) {
+  return new Promise(function(resolve, reject) {
+    var resources = passboltDb.resources.map(function(item) {
+      var resource = new Resource();
+      resource.name = item.name || resource._defaultName;
+      resource.username = item.username || '';
+      resource.uri = item.uri || '';
+      resource.description = item.description || '';
+      resource.secretClear = item.secret || '';
+      resource.totp = item.totp || null;
+      resource.secretExtras = item.extras || null;
+      resource.tags = (item.tags || []).slice();
+      resource.permissions = (item.permissions || []).slice();
+      return resource;
+    });
+    resolve(resources);
+  });
+};
+
+/**
+ * Create a passbolt export from a list of resources, encrypted for a given recipient.
+ * @param array resources The resources with their decrypted secret (secretClear), their tags and permissions
+ * @param string recipient The user id or the armored public key to encrypt the export for
+ * @param openpgp.key.Key privateKey The decrypted private key of the user, to sign the export with
+ * @returns {Promise<string>} The armored export
+ */
+PassboltDb.prototype.fromResources = function(resources, recipient, privateKey) {
+  var db = {
+    format: PassboltDb.FORMAT,
+    version: PassboltDb.VERSION,
+    exported: new Date().toISOString(),
+    resources: resources.map(function(resource) {
+      return PassboltDb.resourceToItem(resource);
+    })
+  };
+  var crypto = new Crypto();
+  return crypto.encrypt(JSON.stringify(db), recipient, privateKey);
+};
+
+/**
+ * Build an export item from a resource.
+ * The users and groups are identified by their username and name, their ids are not meaningful on another instance.
+ * @param object resource
+ * @returns {object}
+ */
+PassboltDb.resourceToItem = function(resource) {
+  return {
+    name: resource.name,
+    username: resource.username || '',
+    uri: resource.uri || '',
+    description: resource.description || '',
+    secret: resource.secretClear || '',
+    totp: resource.totp || null,
+    extras: resource.secretExtras || null,
+    tags: (resource.tags || []).map(function(tag) {
+      return typeof tag === 'string' ? tag : tag.slug;
+    }),
+    created: resource.created || null,
+    modified: resource.modified || null,
+    permissions: (resource.permissions || []).map(function(permission) {
+      if (permission.aro === 'Group') {
+        return {aro: 'Group', type: permission.type, name: permission.group ? permission.group.name : ''};
+      }
+      var user = permission.user || {};
+      var profile = user.profile || {};
+      return {
+        aro: 'User',
+        type: permission.type,
+        username: user.username || '',
+        name: [profile.first_name, profile.last_name].filter(Boolean).join(' ')
+      };
+    })
+  };
+};
+
+/**
+ * Get a readable name of an exported permission.
+ * @param object permission
+ * @returns {string}
+ */
+PassboltDb.getPermissionName = function(permission) {
+  var aroName = permission.aro === 'Group' ? 'group ' + permission.name : permission.username;
+  return aroName + ' (' + (Permission.TYPES[permission.type] || permission.type) + ')';
+};
+
+exports.PassboltDb = PassboltDb;
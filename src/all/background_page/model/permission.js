@@ -13,6 +13,22 @@ var __ = require('../sdk/l10n').get;
  */
 class Permission {}
 
+/**
+ * The permissions types.
+ */
+Permission.READ = 1;
+Permission.UPDATE = 7;
+Permission.OWNER = 15;
+
+/**
+ * The permissions types names.
+ */
+Permission.TYPES = {
+  [Permission.READ]: 'read',
+  [Permission.UPDATE]: 'update',
+  [Permission.OWNER]: 'owner'
+};
+
 /**
  * Find the permissions of a resource.
  * @param {string} resourceId
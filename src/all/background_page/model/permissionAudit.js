@@ -0,0 +1,135 @@
+/**
+ * Permission audit model.
+ *
+ * Aggregate the permissions of a selection of resources: who can access what, with which permission type.
+ * The resources with a single owner, and the resources shared with groups gathering most of the users are flagged.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const Permission = require('./permission').Permission;
+
+/**
+ * The proportion of the users a group has to gather to be considered as an "everyone" group.
+ */
+const LARGE_GROUP_RATIO = 0.5;
+
+/**
+ * The first characters making a spreadsheet evaluate a cell as a formula.
+ */
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+class PermissionAudit {}
+
+PermissionAudit.LARGE_GROUP_RATIO = LARGE_GROUP_RATIO;
+
+/**
+ * Build the audit report of a list of resources.
+ * @param {array} resources The resources with their permissions, as returned by Resource.findShareResources
+ * @param {array} groups The groups with their members, as returned by Group.findAll
+ * @param {int} usersCount The number of users of the organization
+ * @return {object} The report
+ */
+PermissionAudit.build = function(resources, groups, usersCount) {
+  const groupsMembersCount = groups.reduce((result, group) => {
+    result[group.id] = (group.groups_users || []).length;
+    return result;
+  }, {});
+  const largeGroupMembersCount = Math.max(2, Math.ceil(usersCount * LARGE_GROUP_RATIO));
+
+  return {
+    generated: new Date().toISOString(),
+    usersCount,
+    largeGroupMembersCount,
+    resources: resources.map(resource => {
+      const permissions = (resource.permissions || []).map(permission => PermissionAudit._buildPermission(permission, groupsMembersCount));
+      const owners = permissions.filter(permission => permission.type === Permission.OWNER);
+      return {
+        id: resource.id,
+        name: resource.name,
+        uri: resource.uri || '',
+        permissions,
+        singleOwner: owners.length === 1 && owners[0].aro === 'User',
+        largeGroups: permissions
+          .filter(permission => permission.aro === 'Group' && permission.membersCount >= largeGroupMembersCount)
+          .map(permission => permission.name)
+      };
+    })
+  };
+};
+
+/**
+ * Build a permission entry of the report.
+ * @param {object} permission The permission as returned by the API
+ * @param {object} groupsMembersCount The number of members indexed by group id
+ * @return {object}
+ * @private
+ */
+PermissionAudit._buildPermission = function(permission, groupsMembersCount) {
+  const typeName = Permission.TYPES[permission.type] || permission.type;
+  if (permission.aro === 'Group') {
+    return {
+      aro: 'Group',
+      aroId: permission.aro_foreign_key,
+      name: permission.group ? permission.group.name : permission.aro_foreign_key,
+      username: '',
+      type: permission.type,
+      typeName,
+      membersCount: groupsMembersCount[permission.aro_foreign_key] || 0
+    };
+  }
+  const user = permission.user || {};
+  const profile = user.profile || {};
+  return {
+    aro: 'User',
+    aroId: permission.aro_foreign_key,
+    name: [profile.first_name, profile.last_name].filter(Boolean).join(' '),
+    username: user.username || '',
+    type: permission.type,
+    typeName,
+    membersCount: 1
+  };
+};
+
+/**
+ * Transform a report into a CSV file content, one row per resource and user or group.
+ * @param {object} report The report
+ * @return {string}
+ */
+PermissionAudit.toCsv = function(report) {
+  const rows = [];
+  report.resources.forEach(resource => {
+    resource.permissions.forEach(permission => {
+      rows.push({
+        'Resource': PermissionAudit._escapeCsvValue(resource.name),
+        'Resource id': resource.id,
+        'URI': PermissionAudit._escapeCsvValue(resource.uri),
+        'Type': permission.aro,
+        'Name': PermissionAudit._escapeCsvValue(permission.name),
+        'Username': PermissionAudit._escapeCsvValue(permission.username),
+        'Members': permission.membersCount,
+        'Permission': permission.typeName,
+        'Single owner': resource.singleOwner ? 'yes' : 'no',
+        'Shared with a large group': resource.largeGroups.length ? 'yes' : 'no'
+      });
+    });
+  });
+
+  return PapaParse.unparse(rows, {header: true});
+};
+
+/**
+ * Escape a value of the CSV file so that a spreadsheet does not evaluate it as a formula.
+ * The values starting with a formula character are prefixed with a quote.
+ * @param {string} value The value
+ * @return {string}
+ * @private
+ */
+PermissionAudit._escapeCsvValue = function(value) {
+  if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+};
+
+exports.PermissionAudit = PermissionAudit;
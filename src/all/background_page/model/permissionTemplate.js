@@ -0,0 +1,75 @@
+/**
+ * Permission template model.
+ *
+ * A permission template is a named set of users and groups with their permission type, stored in the extension
+ * storage, that can be applied to the passwords to share.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const User = require('./user').User;
+
+class PermissionTemplate {}
+
+/**
+ * Find the templates of the current user.
+ * @return {Promise<array>} The templates, array of {name, arosPermissions}
+ */
+PermissionTemplate.findAll = async function () {
+  const templates = await PermissionTemplate._readAll();
+  return templates[User.getInstance().get().id] || [];
+};
+
+/**
+ * Save a template. It replaces any template having the same name.
+ * @param {string} name The template name
+ * @param {array} arosPermissions The users and groups permissions, array of {aro, type}
+ * @return {Promise<object>} The template
+ */
+PermissionTemplate.save = async function (name, arosPermissions) {
+  name = (name || '').trim();
+  if (!name) {
+    throw new Error('A permission template requires a name');
+  }
+  if (!arosPermissions || !arosPermissions.length) {
+    throw new Error('A permission template requires at least one user or group');
+  }
+  const template = {
+    name,
+    arosPermissions: arosPermissions.map(aroPermissions => ({aro: aroPermissions.aro, type: aroPermissions.type}))
+  };
+  const templates = await PermissionTemplate._readAll();
+  const userId = User.getInstance().get().id;
+  const userTemplates = (templates[userId] || []).filter(userTemplate => userTemplate.name !== name);
+  userTemplates.push(template);
+  userTemplates.sort((templateA, templateB) => templateA.name.localeCompare(templateB.name));
+  templates[userId] = userTemplates;
+  await browser.storage.local.set({permissionTemplates: templates});
+
+  return template;
+};
+
+/**
+ * Remove a template.
+ * @param {string} name The template name
+ * @return {Promise}
+ */
+PermissionTemplate.remove = async function (name) {
+  const templates = await PermissionTemplate._readAll();
+  const userId = User.getInstance().get().id;
+  templates[userId] = (templates[userId] || []).filter(userTemplate => userTemplate.name !== name);
+  await browser.storage.local.set({permissionTemplates: templates});
+};
+
+/**
+ * Read the templates of all the users, indexed by user id.
+ * @return {Promise<object>}
+ * @private
+ */
+PermissionTemplate._readAll = async function () {
+  const {permissionTemplates} = await browser.storage.local.get('permissionTemplates');
+  return permissionTemplates || {};
+};
+
+exports.PermissionTemplate = PermissionTemplate;
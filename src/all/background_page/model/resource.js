@@ -9,6 +9,9 @@ const Request = require('./request').Request;
 const User = require('./user').User;
 const browser = require("webextension-polyfill/dist/browser-polyfill");
 const ResourceService = require('../service/resource').ResourceService;
+const PassboltApiFetchError = require('../error/passboltApiFetchError').PassboltApiFetchError;
+const PassboltServiceUnavailableError = require('../error/passboltServiceUnavailableError').PassboltServiceUnavailableError;
+const Totp = require('./totp').Totp;
 
 /**
  * The class that deals with resources.
@@ -18,6 +21,8 @@ const Resource = function () {
   this.uri = "";
   this.username = "";
   this.secretClear = "";
+  this.totp = null;
+  this.secretExtras = null;
   this.description = "";
   this.secrets = [
     // Here a list of secrets.
@@ -46,23 +51,180 @@ Resource.prototype.fromKdbxEntry = function(kdbxEntry) {
   }
   this.description = kdbxEntry.fields.Notes;
 
+  // Custom fields, attachments and history are not supported by passbolt, they are stored in the secret with the
+  // password so that they are not exposed in clear. The attachments too large to be stored are reported.
+  const totpFields = {};
+  this.unmappedItems = [];
+  this.secretExtras = {
+    fields: Resource.getKdbxCustomFields(kdbxEntry.fields),
+    attachments: [],
+    history: []
+  };
+  for (let fieldName in kdbxEntry.fields) {
+    if (Resource.KDBX_TOTP_FIELDS.indexOf(fieldName) !== -1) {
+      const value = kdbxEntry.fields[fieldName];
+      totpFields[fieldName] = typeof value == 'object' ? value.getText() : value;
+    }
+  }
+  let attachmentsSize = 0;
+  for (let binaryName in kdbxEntry.binaries) {
+    const binary = kdbxEntry.binaries[binaryName];
+    const value = binary && binary.ref ? binary.value : binary;
+    const bytes = value && typeof value.getBinary == 'function' ? value.getBinary() : new Uint8Array(value || []);
+    if (attachmentsSize + bytes.byteLength > Resource.MAX_SECRET_ATTACHMENTS_SIZE) {
+      this.unmappedItems.push({type: 'attachment', name: `${binaryName}, too large to be stored with the password`});
+      continue;
+    }
+    attachmentsSize += bytes.byteLength;
+    this.secretExtras.attachments.push({name: binaryName, data: kdbxweb.ByteUtils.bytesToBase64(bytes)});
+  }
+  (kdbxEntry.history || []).forEach(historyEntry => {
+    const fields = {};
+    for (let fieldName in historyEntry.fields) {
+      const value = historyEntry.fields[fieldName];
+      fields[fieldName] = typeof value == 'object' && value !== null ? value.getText() : value;
+    }
+    const modified = historyEntry.times && historyEntry.times.lastModTime;
+    this.secretExtras.history.push({modified: modified ? modified.toISOString() : null, fields});
+  });
+
+  // The TOTP is stored in the secret with the password.
+  try {
+    this.totp = Totp.fromKdbxFields(totpFields, {issuer: this.name, account: this.username});
+  } catch (error) {
+    this.unmappedItems.push({type: 'TOTP', name: error.message});
+  }
+
   return this;
 };
 
+/**
+ * The kdbx entry fields mapped on the resource properties.
+ */
+Resource.KDBX_STANDARD_FIELDS = ['Title', 'UserName', 'Password', 'URL', 'Notes'];
+
+/**
+ * The kdbx entry fields holding a TOTP, the otp field of KeePassXC and the TimeOtp fields of KeePass.
+ */
+Resource.KDBX_TOTP_FIELDS = ['otp', 'TimeOtp-Secret-Base32', 'TimeOtp-Algorithm', 'TimeOtp-Length', 'TimeOtp-Period'];
+
+/**
+ * The resource properties a csv column can be mapped on.
+ * The totp property is only mapped by the formats exporting a TOTP column, such as KeePassXC.
+ */
+Resource.CSV_FIELDS = ['name', 'username', 'uri', 'secretClear', 'description', 'tags', 'totp'];
+
+/**
+ * Check that csv mapping rules only map columns on the resource properties allowed by Resource.CSV_FIELDS.
+ * @param object mapping mapping rules {property: column}
+ * @throw {Error} if a property is not allowed or a column name is not a string
+ */
+Resource.validateCsvMapping = function(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(__('The csv mapping rules are not valid.'));
+  }
+  for (var fieldName of Object.keys(mapping)) {
+    if (Resource.CSV_FIELDS.indexOf(fieldName) === -1) {
+      throw new Error(__('The csv column cannot be mapped on the field %0.').replace('%0', fieldName));
+    }
+    if (typeof mapping[fieldName] !== 'string') {
+      throw new Error(__('The csv column mapped on the field %0 is not valid.').replace('%0', fieldName));
+    }
+  }
+};
+
+/**
+ * The maximum size of the attachments stored in the secret of a resource, in bytes.
+ */
+Resource.MAX_SECRET_ATTACHMENTS_SIZE = 1024 * 1024;
+
+/**
+ * Get the custom fields of a kdbx entry, the fields that are neither standard nor TOTP fields.
+ * @param object fields The kdbx entry fields
+ * @returns {array} Array of {name, value, protected}
+ */
+Resource.getKdbxCustomFields = function(fields) {
+  const customFields = [];
+  for (let fieldName in fields) {
+    if (Resource.KDBX_STANDARD_FIELDS.indexOf(fieldName) !== -1 || Resource.KDBX_TOTP_FIELDS.indexOf(fieldName) !== -1) {
+      continue;
+    }
+    const value = fields[fieldName];
+    const isProtected = typeof value == 'object' && value !== null;
+    customFields.push({name: fieldName, value: isProtected ? value.getText() : value, protected: isProtected});
+  }
+  return customFields;
+};
+
+/**
+ * The separator between a description and its custom fields.
+ * Before the custom fields were stored in the secret, they were appended to the description of the resources.
+ */
+Resource.CUSTOM_FIELDS_SEPARATOR = '-- Custom fields --';
+
+/**
+ * Extract the custom fields appended to a description by the previous versions of the import.
+ * @param string description
+ * @returns {object} Object of {description, fields}
+ */
+Resource.extractCustomFieldsFromDescription = function(description) {
+  const result = {description: description, fields: {}};
+  if (!description) {
+    return result;
+  }
+  const separatorIndex = description.lastIndexOf(Resource.CUSTOM_FIELDS_SEPARATOR);
+  if (separatorIndex === -1 || (separatorIndex > 0 && description[separatorIndex - 1] !== '\n')) {
+    return result;
+  }
+
+  const fields = {};
+  let fieldName = null;
+  const lines = description.substring(separatorIndex + Resource.CUSTOM_FIELDS_SEPARATOR.length + 1).split('\n');
+  for (let line of lines) {
+    if (fieldName !== null && line.startsWith('  ')) {
+      fields[fieldName] += `\n${line.substring(2)}`;
+      continue;
+    }
+    const nameEndIndex = line.indexOf(': ');
+    if (nameEndIndex <= 0) {
+      // The description does not end with custom fields, leave it as it is.
+      return result;
+    }
+    fieldName = line.substring(0, nameEndIndex);
+    fields[fieldName] = line.substring(nameEndIndex + 2);
+  }
+
+  result.description = description.substring(0, separatorIndex).replace(/\n\n$/, '');
+  result.fields = fields;
+  return result;
+};
+
 
 /**
  * Build a Resource object from a csv entry.
  * @param Array csvEntry
  * @param Array mapping mapping rules
+ * @throw {Error} if the mapping rules are not valid, see Resource.validateCsvMapping
  * @returns {Resource}
  */
 Resource.prototype.fromCsvEntry = function(csvEntry, mapping) {
+  Resource.validateCsvMapping(mapping);
   for (var fieldName in mapping) {
     this[fieldName] = csvEntry[mapping[fieldName]];
   }
   if (this.name === "") {
     this.name = this._defaultName;
   }
+  // The TOTP column of KeePassXC holds the value of its otp field.
+  if (this.totp !== null) {
+    this.unmappedItems = [];
+    try {
+      this.totp = Totp.fromKdbxFields({otp: this.totp || ''}, {issuer: this.name, account: this.username});
+    } catch (error) {
+      this.totp = null;
+      this.unmappedItems.push({type: 'TOTP', name: error.message});
+    }
+  }
   return this;
 };
 
@@ -75,7 +237,12 @@ Resource.prototype.fromCsvEntry = function(csvEntry, mapping) {
 Resource.prototype.toCsvEntry = function(resource, mapping) {
   var csvEntry = {};
   for (var fieldName in mapping) {
-    csvEntry[mapping[fieldName]] = resource[fieldName];
+    var value = resource[fieldName];
+    // The tags retrieved from the API are objects, only their names are exported.
+    if (Array.isArray(value)) {
+      value = value.map(tag => typeof tag === 'string' ? tag : tag.slug).join(',');
+    }
+    csvEntry[mapping[fieldName]] = value;
   }
   return csvEntry;
 };
@@ -115,10 +282,13 @@ Resource.import = function(resource) {
           } else {
             reject(json);
           }
+        }, function () {
+          // The response is not a Passbolt API response, it can be a nginx error (504).
+          reject(new PassboltApiFetchError(response.statusText, {code: response.status}));
         });
       },
       function error() {
-        reject(new Error(__('There was a problem while trying to connect to the API.')));
+        reject(new PassboltServiceUnavailableError(__('There was a problem while trying to connect to the API.')));
       }
     );
   });
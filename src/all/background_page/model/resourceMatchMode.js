@@ -0,0 +1,48 @@
+/**
+ * Resource match mode model.
+ *
+ * The match modes overriding how the pages are matched against the uri of a resource, see UrlMatcher.MODES.
+ * The modes are kept in the extension storage, by resource id, so that the quickaccess can read them with the
+ * resources.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const __ = require('../sdk/l10n').get;
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const UrlMatcher = require('./urlMatcher').UrlMatcher;
+
+class ResourceMatchMode {}
+
+/**
+ * Find all the match modes.
+ * @return {Promise<object>} The modes by resource id
+ */
+ResourceMatchMode.findAll = async function () {
+  const {resourcesMatchModes} = await browser.storage.local.get('resourcesMatchModes');
+  return resourcesMatchModes || {};
+};
+
+/**
+ * Set the match mode of a resource.
+ * @param {string} resourceId The resource identifier
+ * @param {string|null} mode The match mode, null to use the default matching
+ * @return {Promise<object>} The modes by resource id
+ * @throw {Error} if the mode is not valid
+ */
+ResourceMatchMode.set = async function (resourceId, mode) {
+  if (mode !== null && !Object.values(UrlMatcher.MODES).includes(mode)) {
+    throw new Error(__('The match mode should be one of the following: %0.').replace('%0', Object.values(UrlMatcher.MODES).join(', ')));
+  }
+  const resourcesMatchModes = await ResourceMatchMode.findAll();
+  if (mode === null || mode === UrlMatcher.MODES.DOMAIN) {
+    delete resourcesMatchModes[resourceId];
+  } else {
+    resourcesMatchModes[resourceId] = mode;
+  }
+  await browser.storage.local.set({resourcesMatchModes});
+
+  return resourcesMatchModes;
+};
+
+exports.ResourceMatchMode = ResourceMatchMode;
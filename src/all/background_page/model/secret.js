@@ -79,7 +79,66 @@ class Secret {
   static findByResourceId (resourceId) {
     return SecretService.findByResourceId(resourceId);
   };
+
+  /**
+   * Build the message to encrypt for a resource.
+   * A secret having a TOTP or extras is serialized in a JSON container. A secret having only a password remains the
+   * password itself, so that the simple secrets can still be read by the previous versions of the extension.
+   * @param {string} password The password
+   * @param {string|null} totp (optional) The TOTP otpauth URI
+   * @param {object|null} extras (optional) The data imported with the password that should not be stored in clear
+   * - {array} fields The custom fields, array of {name, value, protected}
+   * - {array} attachments The attachments, array of {name, data}, the data being base64 encoded
+   * - {array} history The previous versions, array of {modified, fields}, the fields being an object of {name: value}
+   * @return {string}
+   */
+  static buildMessage(password, totp, extras) {
+    extras = Secret.hasExtras(extras) ? extras : null;
+    if (!totp && !extras) {
+      return password;
+    }
+    const container = {type: MESSAGE_CONTAINER_TYPE, password: password, totp: totp || null};
+    if (extras) {
+      container.extras = {
+        fields: extras.fields || [],
+        attachments: extras.attachments || [],
+        history: extras.history || []
+      };
+    }
+    return JSON.stringify(container);
+  }
+
+  /**
+   * Read a decrypted message built with buildMessage.
+   * @param {string} message The decrypted message
+   * @return {object} {password, totp, extras}, the totp and the extras are null if the secret has none
+   */
+  static parseMessage(message) {
+    if (message.startsWith(`{"type":"${MESSAGE_CONTAINER_TYPE}"`)) {
+      try {
+        const container = JSON.parse(message);
+        return {password: container.password || '', totp: container.totp || null, extras: container.extras || null};
+      } catch (error) {
+        // The password looks like a container, but it is not one.
+      }
+    }
+    return {password: message, totp: null, extras: null};
+  }
+
+  /**
+   * Check if secret extras hold any data.
+   * @param {object|null} extras The extras, see buildMessage
+   * @return {boolean}
+   */
+  static hasExtras(extras) {
+    return Boolean(extras) && ['fields', 'attachments', 'history'].some(name => extras[name] && extras[name].length);
+  }
 }
 
+/**
+ * The type of the JSON container of the secrets having a TOTP.
+ */
+const MESSAGE_CONTAINER_TYPE = 'passbolt-secret';
+
 // Exports the Secret object.
 exports.Secret = Secret;
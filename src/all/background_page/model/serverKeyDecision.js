@@ -0,0 +1,72 @@
+/**
+ * Server key decision model.
+ *
+ * The decisions taken by the user when the server advertised a new key: the new key accepted or rejected, with
+ * the old and new fingerprints. The decisions are kept in the extension storage and written in the logs.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const Log = require('./log').Log;
+
+/**
+ * The decision taken when the new key is accepted.
+ */
+const ACCEPTED = 'accepted';
+
+/**
+ * The decision taken when the new key is rejected.
+ */
+const REJECTED = 'rejected';
+
+/**
+ * The maximum number of decisions kept in the storage, the oldest are removed first.
+ */
+const MAX_DECISIONS = 100;
+
+class ServerKeyDecision {}
+
+ServerKeyDecision.ACCEPTED = ACCEPTED;
+ServerKeyDecision.REJECTED = REJECTED;
+
+/**
+ * Record a decision.
+ * @param {string} domain The server domain
+ * @param {string} decision The decision, ACCEPTED or REJECTED
+ * @param {string} oldFingerprint The fingerprint of the trusted key
+ * @param {string} newFingerprint The fingerprint of the key advertised by the server
+ * @return {Promise<object>} The decision
+ */
+ServerKeyDecision.log = async function (domain, decision, oldFingerprint, newFingerprint) {
+  const serverKeyDecision = {
+    domain,
+    decision,
+    oldFingerprint,
+    newFingerprint,
+    created: new Date().toISOString()
+  };
+  const serverKeyDecisions = await ServerKeyDecision.findAll();
+  serverKeyDecisions.push(serverKeyDecision);
+  await browser.storage.local.set({serverKeyDecisions: serverKeyDecisions.slice(-MAX_DECISIONS)});
+  const change = decision === ACCEPTED
+    ? `${oldFingerprint} replaced by ${newFingerprint}`
+    : `kept ${oldFingerprint}, rejected ${newFingerprint}`;
+  Log.write({
+    level: 'warning',
+    message: `Server key change ${decision} for ${domain}: ${change}`
+  });
+
+  return serverKeyDecision;
+};
+
+/**
+ * Find all the decisions.
+ * @return {Promise<array>}
+ */
+ServerKeyDecision.findAll = async function () {
+  const {serverKeyDecisions} = await browser.storage.local.get('serverKeyDecisions');
+  return serverKeyDecisions || [];
+};
+
+exports.ServerKeyDecision = ServerKeyDecision;
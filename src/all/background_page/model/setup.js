@@ -5,6 +5,7 @@
  * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
  */
 var Keyring = require('./keyring').Keyring;
+var KeyPin = require('./keyPin').KeyPin;
 var Auth = require('./gpgauth').GpgAuth;
 var User = require('./user').User;
 var jsonQ = require('../sdk/jsonQ').jsonQ;
@@ -335,6 +336,8 @@ Setup.prototype.saveSettings = async function (setupData) {
   keyring.flush(Keyring.PUBLIC);
   // Flush the private keyring.
   keyring.flush(Keyring.PRIVATE);
+  // Flush the pinned keys, they were trusted for another account.
+  KeyPin.flush();
 
   // Import server key into keyring.
   try {
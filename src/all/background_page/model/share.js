@@ -11,7 +11,9 @@
  * @link          https://www.passbolt.com Passbolt(tm)
  * @since         2.4.0
  */
-const Crypto = require('../model/crypto').Crypto;
+const CryptoJob = require('../model/cryptoJob').CryptoJob;
+const Permission = require('../model/permission').Permission;
+const Resource = require('../model/resource').Resource;
 const ShareService = require('../service/share').ShareService;
 
 class Share {}
@@ -40,23 +42,146 @@ Share.searchResourceAros = function(resourceId, keywords) {
 
 /**
  * Bulk share multiple resources.
+ * The resources are shared one by one. A resource that cannot be shared does not prevent the others to be shared,
+ * the failures are reported.
  * @param {object} resources The resources to share
  * @param {object} changes The permissions changes to apply
  * @param {string} privateKeySecret The user private key secret
  * @param {function} progressCallback Notify the user with this callback
+ * @returns {array} The report of the operation, one entry per resource
+ * [
+ *  {
+ *    resourceId: UUID,
+ *    name: string,
+ *    success: boolean,
+ *    error: string // The reason of the failure, if any
+ *  }
+ * ]
  */
 Share.bulkShare = async function(resources, changes, privateKeySecret, progressCallback) {
   const resourcesChanges = bulkShareAggregateChangesByResource(resources, changes);
-  const resourcesNewUsers = await bulkShareSimulate(resources, resourcesChanges, progressCallback);
-  const resourcesSecrets = await bulkShareEncrypt(resources, resourcesNewUsers, privateKeySecret, progressCallback);
+  const cryptoJob = new CryptoJob();
+  const report = [];
+  await cryptoJob.unlockPrivateKey(privateKeySecret);
 
   for (const resourceId in resourcesChanges) {
     const resource = resources.find(resource => resource.id == resourceId);
-    const permissions = resourcesChanges[resourceId];
-    let secrets = resourcesSecrets[resourceId] || [];
-    progressCallback(`Sharing password ${resource.name}`);
-    await ShareService.share(resourceId, {permissions, secrets});
+    report.push(await shareResource(resource, resourcesChanges[resourceId], cryptoJob, progressCallback));
+  }
+
+  return report;
+};
+
+/**
+ * Simulate the permissions changes of a bulk share, without applying them.
+ * It is used to validate the changes prefilled by a template or copied from another resource before they are
+ * submitted.
+ * @param {object} resources The resources to share
+ * @param {object} changes The permissions changes to simulate
+ * @returns {array} The report of the simulation, see bulkShare
+ */
+Share.simulateBulkShare = async function(resources, changes) {
+  const resourcesChanges = bulkShareAggregateChangesByResource(resources, changes);
+  const report = [];
+
+  for (const resourceId in resourcesChanges) {
+    const resource = resources.find(resource => resource.id == resourceId);
+    try {
+      await ShareService.simulateShare(resource.id, resourcesChanges[resourceId]);
+      report.push({resourceId: resource.id, name: resource.name, success: true});
+    } catch (error) {
+      report.push({resourceId: resource.id, name: resource.name, success: false, error: error.message});
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Find the users and groups permissions of a resource, to copy them on other resources.
+ * @param {string} resourceId The resource identifier
+ * @returns {array} The permissions, array of {aro, type}. The aro is the user with its profile, or the group.
+ */
+Share.findResourceArosPermissions = async function(resourceId) {
+  const permissions = await Permission.findResourcePermissions(resourceId);
+  if (permissions instanceof Error) {
+    throw permissions;
+  }
+
+  return permissions.map(permission => ({aro: permission.user || permission.group, type: permission.type}));
+};
+
+/**
+ * Revert the permissions changes applied on resources by a bulk share.
+ * The current permissions of the resources are compared to their permissions before the share, the differences
+ * are reverted.
+ * @param {array} resources The resources as they were before the share, with their permissions
+ * @param {array} resourcesIds The identifiers of the resources to revert
+ * @param {string} privateKeySecret The user private key secret
+ * @param {function} progressCallback Notify the user with this callback
+ * @returns {array} The report of the operation, see bulkShare
+ */
+Share.revertBulkShare = async function(resources, resourcesIds, privateKeySecret, progressCallback) {
+  const cryptoJob = new CryptoJob();
+  const report = [];
+  await cryptoJob.unlockPrivateKey(privateKeySecret);
+  progressCallback('Retrieving the current permissions');
+  const currentResources = await Resource.findShareResources(resourcesIds.slice());
+  if (currentResources instanceof Error) {
+    throw currentResources;
+  }
+
+  for (const i in resourcesIds) {
+    const resource = resources.find(resource => resource.id == resourcesIds[i]);
+    const currentResource = currentResources.find(currentResource => currentResource.id == resourcesIds[i]);
+    if (!currentResource) {
+      report.push({resourceId: resource.id, name: resource.name, success: false, error: 'The password does not exist anymore'});
+      continue;
+    }
+    const changes = Share.buildRevertChanges(resource, currentResource.permissions);
+    if (changes.length) {
+      report.push(await shareResource(resource, changes, cryptoJob, progressCallback));
+    } else {
+      report.push({resourceId: resource.id, name: resource.name, success: true});
+    }
   }
+
+  return report;
+};
+
+/**
+ * Build the permissions changes to restore the original permissions of a resource.
+ * @param {object} resource The resource with its original permissions
+ * @param {array} currentPermissions The current permissions of the resource
+ * @returns {array} The changes, in the format expected by the share API. The existing permissions are only
+ *   identified by their id, the other properties of a permission cannot be updated.
+ */
+Share.buildRevertChanges = function(resource, currentPermissions) {
+  const changes = [];
+
+  currentPermissions.forEach(permission => {
+    const originalPermission = resource.permissions.find(original => original.aro_foreign_key == permission.aro_foreign_key);
+    if (!originalPermission) {
+      changes.push({id: permission.id, delete: true});
+    } else if (originalPermission.type != permission.type) {
+      changes.push({id: permission.id, type: originalPermission.type});
+    }
+  });
+  resource.permissions.forEach(originalPermission => {
+    const permission = currentPermissions.find(permission => permission.aro_foreign_key == originalPermission.aro_foreign_key);
+    if (!permission) {
+      changes.push({
+        is_new: true,
+        aro: originalPermission.aro,
+        aro_foreign_key: originalPermission.aro_foreign_key,
+        aco: 'Resource',
+        aco_foreign_key: resource.id,
+        type: originalPermission.type
+      });
+    }
+  });
+
+  return changes;
 };
 
 /**
@@ -80,34 +205,37 @@ const bulkShareAggregateChangesByResource = function(resources, changes) {
 };
 
 /**
- * Simulate the changes to apply to the resources
- * @param {object} resourcesChanges The changes aggregated by resource
+ * Share a resource: simulate the changes, encrypt the secret for the new users and apply the changes.
+ * @param {object} resource The resource to share
+ * @param {array} permissions The permissions changes to apply
+ * @param {CryptoJob} cryptoJob The crypto job of the bulk operation, with the user private key unlocked
  * @param {function} progressCallback Notify the user with this callback
- * @returns {object}
+ * @returns {object} The report of the operation for this resource, see bulkShare
  */
-const bulkShareSimulate = async function(resources, resourcesChanges, progressCallback) {
-  const usersToEncryptFor = {};
-
-  for (const resourceId in resourcesChanges) {
-    const resource = resources.find(resource => resource.id == resourceId);
+const shareResource = async function(resource, permissions, cryptoJob, progressCallback) {
+  try {
     progressCallback(`Validating share operation for ${resource.name}`);
-    const simulateResult = await ShareService.simulateShare(resourceId, resourcesChanges[resourceId]);
-    const simulateAddedUsers = simulateResult.changes.added;
-    if (simulateAddedUsers.length) {
-      usersToEncryptFor[resourceId] = simulateAddedUsers.reduce((carry, user) => [...carry, user.User.id], []);
-    }
+    const simulateResult = await ShareService.simulateShare(resource.id, permissions);
+    const usersIds = simulateResult.changes.added.reduce((carry, user) => [...carry, user.User.id], []);
+    progressCallback(`Encrypting for ${resource.name}`);
+    const secrets = await encryptResourceSecret(resource, usersIds, cryptoJob);
+    progressCallback(`Sharing password ${resource.name}`);
+    await ShareService.share(resource.id, {permissions, secrets});
+  } catch (error) {
+    console.error(error);
+    return {resourceId: resource.id, name: resource.name, success: false, error: error.message};
   }
 
-  return usersToEncryptFor;
+  return {resourceId: resource.id, name: resource.name, success: true};
 };
 
 /**
- * Encrypt the resources secrets for all the new users
- * @param {array} resources The resources to share
- * @param {object} resourcesNewUsers The list of new users to share the resources aggregated by resource
- * @param {string} privateKeySecret The current user private key
- * @param {function} progressCallback Notify the user with this callback
- * @returns {object} A list of secrets as expected by the passbolt API
+ * Encrypt a resource secret for new users
+ * The secret is decrypted once and encrypted for all the users in a single pass.
+ * @param {object} resource The resource to share
+ * @param {array} usersIds The users to encrypt the secret for
+ * @param {CryptoJob} cryptoJob The crypto job of the bulk operation, with the user private key unlocked
+ * @returns {array} A list of secrets as expected by the passbolt API
  * [
  *  {
  *    resource_id: UUID,
@@ -116,30 +244,21 @@ const bulkShareSimulate = async function(resources, resourcesChanges, progressCa
  *  }
  * ]
  */
-const bulkShareEncrypt = async function(resources, resourcesNewUsers, privateKeySecret, progressCallback) {
-  const crypto = new Crypto();
-  const secrets = {};
-
-  for (const resourceId in resourcesNewUsers) {
-    const resource = resources.find(resource => resource.id == resourceId);
-    const originalArmored = resource.secrets[0].data;
-    const users = resourcesNewUsers[resourceId];
-    progressCallback(`Encrypting for ${resource.name}`);
-    if (users && users.length) {
-      const message = await crypto.decrypt(originalArmored, privateKeySecret);
-      const encryptAllData = users.reduce((carry, userId) => [...carry, {userId, message}], []);
-      const result = await crypto.encryptAll(encryptAllData);
-      secrets[resourceId] = result.map((armored, i) => {
-        return {
-          resource_id: resourceId,
-          user_id: users[i],
-          data: armored
-        }
-      });
-    }
+const encryptResourceSecret = async function(resource, usersIds, cryptoJob) {
+  if (!usersIds.length) {
+    return [];
   }
 
-  return secrets;
+  const message = await cryptoJob.decrypt(resource.secrets[0].data);
+  const result = await cryptoJob.encryptForMany(message, usersIds);
+
+  return result.map((armored, i) => {
+    return {
+      resource_id: resource.id,
+      user_id: usersIds[i],
+      data: armored
+    }
+  });
 };
 
 exports.Share = Share;
@@ -50,6 +50,17 @@ SiteSettings.prototype.getRememberMeOptions = function() {
   });
 };
 
+/**
+ * Check if a plugin is enabled on the server
+ * @param {string} pluginName The plugin name, by instance tags
+ * @returns {Promise<boolean>}
+ */
+SiteSettings.prototype.isPluginEnabled = async function(pluginName) {
+  const data = await this.get();
+  return data !== undefined && data.passbolt !== undefined && data.passbolt.plugins !== undefined
+    && data.passbolt.plugins[pluginName] !== undefined;
+};
+
 /**
  * Get remote settings
  * @return {Promise}
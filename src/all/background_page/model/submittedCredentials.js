@@ -0,0 +1,90 @@
+/**
+ * Submitted credentials model.
+ *
+ * Keep track of the credentials the user typed and submitted on a web page,
+ * so the quickaccess can offer to save them in passbolt.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const browser = require("webextension-polyfill/dist/browser-polyfill");
+const TabStorage = require('./tabStorage').TabStorage;
+const UrlMatcher = require('./urlMatcher').UrlMatcher;
+
+/**
+ * The time after which submitted credentials are not offered to be saved anymore.
+ */
+const SUBMITTED_CREDENTIALS_EXPIRY_TIME = 5 * 60 * 1000;
+
+class SubmittedCredentials {}
+
+/**
+ * Store the credentials submitted on a tab.
+ * Flag the toolbar icon of the tab to notify the user.
+ * @param {int} tabId The tab identifier
+ * @param {object} credentials The credentials {username, password, url}
+ */
+SubmittedCredentials.set = function (tabId, credentials) {
+  const data = Object.assign({}, credentials, {created: Date.now()});
+  TabStorage.set(tabId, 'submittedCredentials', data);
+  browser.browserAction.setBadgeText({text: '1', tabId: tabId});
+};
+
+/**
+ * Get the credentials submitted on a tab.
+ * @param {int} tabId The tab identifier
+ * @return {object|undefined} The credentials {username, password, url, created}
+ */
+SubmittedCredentials.get = function (tabId) {
+  const credentials = TabStorage.get(tabId, 'submittedCredentials');
+  if (!credentials) {
+    return undefined;
+  }
+  if (Date.now() - credentials.created > SUBMITTED_CREDENTIALS_EXPIRY_TIME) {
+    SubmittedCredentials.remove(tabId);
+    return undefined;
+  }
+
+  return credentials;
+};
+
+/**
+ * Remove the credentials submitted on a tab.
+ * @param {int} tabId The tab identifier
+ */
+SubmittedCredentials.remove = function (tabId) {
+  if (TabStorage.get(tabId, 'submittedCredentials')) {
+    TabStorage.remove(tabId, 'submittedCredentials');
+  }
+  browser.browserAction.setBadgeText({text: '', tabId: tabId});
+};
+
+/**
+ * Find the resources the submitted credentials could be a new password of.
+ * A resource matches if it has the same username and the page is on its uri host.
+ * @param {object} credentials The credentials {username, password, url}
+ * @param {array} resources The resources to search in
+ * @return {array} The matching resources
+ */
+SubmittedCredentials.findMatchingResources = function (credentials, resources) {
+  if (!resources) {
+    return [];
+  }
+
+  return resources.filter(resource => {
+    return UrlMatcher.evaluate(resource.uri, credentials.url) >= UrlMatcher.LEVELS.HOST
+      && (resource.username || '') === credentials.username;
+  });
+};
+
+/**
+ * Get the host of an url, without the www. prefix.
+ * @param {string} url The url. If no protocol defined, http is considered.
+ * @return {string|null} null if the url is not valid, see UrlMatcher.parse
+ */
+SubmittedCredentials.getHost = function (url) {
+  const parsedUrl = UrlMatcher.parse(url);
+  return parsedUrl ? parsedUrl.host : null;
+};
+
+exports.SubmittedCredentials = SubmittedCredentials;
@@ -0,0 +1,64 @@
+/**
+ * Suggested resources model.
+ *
+ * Find the resources matching a page url, as suggested by the quickaccess and used by the keyboard shortcuts.
+ * It is shared with the quickaccess popup, it should not depend on the background page.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const UrlMatcher = require('./urlMatcher').UrlMatcher;
+
+class SuggestedResources {
+
+  /**
+   * Find the resources matching a url, the best matches first.
+   * The resources matching equally keep their order.
+   * @param {array} resources The resources to search in
+   * @param {string} url The url to match, generally the url of the current tab
+   * @param {object} options (optional)
+   * - {int} limit The maximum number of resources to return
+   * - {object} matchModes The match modes of the resources overriding the default matching, by resource id
+   * @return {array} The matching resources
+   */
+  static find(resources, url, options) {
+    options = options || {};
+    const matchModes = options.matchModes || {};
+    if (!resources || !url) {
+      return [];
+    }
+
+    const matches = [];
+    resources.forEach((resource, index) => {
+      const level = SuggestedResources.getMatchLevel(resource, url, matchModes[resource.id]);
+      if (level !== UrlMatcher.LEVELS.NONE) {
+        matches.push({resource, level, index});
+      }
+    });
+    matches.sort((match1, match2) => (match2.level - match1.level) || (match1.index - match2.index));
+
+    return matches.slice(0, options.limit || matches.length).map(match => match.resource);
+  }
+
+  /**
+   * Get the level a resource matches a url with.
+   * @param {object} resource The resource
+   * @param {string} url The url to match
+   * @param {string} matchMode (optional) The match mode of the resource, see UrlMatcher.MODES
+   * @return {int} The match level, see UrlMatcher.LEVELS. NONE if the level is lower than the one required by the
+   * resource match mode.
+   */
+  static getMatchLevel(resource, url, matchMode) {
+    if (!resource.uri) {
+      return UrlMatcher.LEVELS.NONE;
+    }
+    const level = UrlMatcher.evaluate(resource.uri, url);
+    if (level < UrlMatcher.getMinimumLevel(resource.uri, matchMode)) {
+      return UrlMatcher.LEVELS.NONE;
+    }
+
+    return level;
+  }
+}
+
+exports.SuggestedResources = SuggestedResources;
@@ -0,0 +1,203 @@
+/**
+ * TOTP model.
+ *
+ * Time based one time passwords (RFC 6238), configured with otpauth:// URIs as in the key format of the authenticator
+ * applications. The codes are computed locally with the WebCrypto API.
+ * This model is also used by the quickaccess popup to display the live codes, it should not depend on the background
+ * page.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+/**
+ * The base32 alphabet (RFC 4648).
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * The otpauth URI parts: the type, the label and the parameters.
+ */
+const URI_REGEX = /^otpauth:\/\/([^/?#]+)\/([^?#]*)(?:\?([^#]*))?/i;
+
+class Totp {}
+
+/**
+ * The supported algorithms, indexed by their otpauth name.
+ */
+Totp.ALGORITHMS = {SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512'};
+Totp.DEFAULT_ALGORITHM = 'SHA1';
+Totp.DEFAULT_DIGITS = 6;
+Totp.DEFAULT_PERIOD = 30;
+
+/**
+ * Parse an otpauth URI.
+ * @param {string} uri The URI, example: otpauth://totp/ACME:ada@passbolt.com?secret=JBSWY3DPEHPK3PXP&issuer=ACME
+ * @return {object} {secret, algorithm, digits, period, issuer, account}, the secret is normalized
+ * @throw {Error} if the URI is not a valid TOTP URI
+ */
+Totp.parseUri = function (uri) {
+  const matches = URI_REGEX.exec(String(uri || '').trim());
+  if (!matches) {
+    throw new Error('The TOTP should be an otpauth:// URI');
+  }
+  if (matches[1].toLowerCase() !== 'totp') {
+    throw new Error('Only the time based one time passwords (TOTP) are supported');
+  }
+
+  const params = new URLSearchParams(matches[3] || '');
+  const label = decodeURIComponent(matches[2]);
+  const labelSeparatorIndex = label.indexOf(':');
+  const totp = {
+    secret: Totp._normalizeSecret(params.get('secret')),
+    algorithm: (params.get('algorithm') || Totp.DEFAULT_ALGORITHM).toUpperCase(),
+    digits: params.has('digits') ? parseInt(params.get('digits'), 10) : Totp.DEFAULT_DIGITS,
+    period: params.has('period') ? parseInt(params.get('period'), 10) : Totp.DEFAULT_PERIOD,
+    issuer: params.get('issuer') || (labelSeparatorIndex !== -1 ? label.substring(0, labelSeparatorIndex).trim() : ''),
+    account: labelSeparatorIndex !== -1 ? label.substring(labelSeparatorIndex + 1).trim() : label.trim()
+  };
+  if (!Totp.ALGORITHMS[totp.algorithm]) {
+    throw new Error(`The TOTP algorithm ${totp.algorithm} is not supported`);
+  }
+  if (isNaN(totp.digits) || totp.digits < 6 || totp.digits > 8) {
+    throw new Error('The TOTP codes should have between 6 and 8 digits');
+  }
+  if (isNaN(totp.period) || totp.period <= 0) {
+    throw new Error('The TOTP period should be a positive number of seconds');
+  }
+
+  return totp;
+};
+
+/**
+ * Build an otpauth URI.
+ * @param {object} totp {secret, algorithm, digits, period, issuer, account}, only the secret is required
+ * @return {string}
+ * @throw {Error} if the TOTP is not valid
+ */
+Totp.buildUri = function (totp) {
+  const issuer = totp.issuer || '';
+  const account = totp.account || '';
+  const label = issuer ? `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}` : encodeURIComponent(account);
+  const params = new URLSearchParams();
+  params.set('secret', Totp._normalizeSecret(totp.secret));
+  if (issuer) {
+    params.set('issuer', issuer);
+  }
+  params.set('algorithm', (totp.algorithm || Totp.DEFAULT_ALGORITHM).toUpperCase());
+  params.set('digits', totp.digits || Totp.DEFAULT_DIGITS);
+  params.set('period', totp.period || Totp.DEFAULT_PERIOD);
+  const uri = `otpauth://totp/${label}?${params.toString()}`;
+  // Validate the result.
+  Totp.parseUri(uri);
+
+  return uri;
+};
+
+/**
+ * Read a TOTP from the fields of a KeePass entry.
+ * Support the otp field of KeePassXC, an otpauth URI or the legacy key=...&step=...&size=... format, and the
+ * TimeOtp-* fields of KeePass.
+ * @param {object} fields The fields as text, indexed by their names
+ * @param {object} label {issuer, account} used if the fields do not name the TOTP
+ * @return {string|null} The otpauth URI, null if the entry has no TOTP
+ * @throw {Error} if the TOTP is not valid
+ */
+Totp.fromKdbxFields = function (fields, label) {
+  if (fields.otp) {
+    const otp = fields.otp.trim();
+    if (/^otpauth:/i.test(otp)) {
+      return Totp.buildUri(Totp.parseUri(otp));
+    }
+    const params = new URLSearchParams(otp);
+    return Totp.buildUri(Object.assign({}, label, {
+      secret: params.get('key') || otp,
+      digits: params.get('size') ? parseInt(params.get('size'), 10) : undefined,
+      period: params.get('step') ? parseInt(params.get('step'), 10) : undefined
+    }));
+  }
+  if (fields['TimeOtp-Secret-Base32']) {
+    return Totp.buildUri(Object.assign({}, label, {
+      secret: fields['TimeOtp-Secret-Base32'],
+      algorithm: fields['TimeOtp-Algorithm'] ? fields['TimeOtp-Algorithm'].replace(/^HMAC-/i, '').replace('-', '') : undefined,
+      digits: fields['TimeOtp-Length'] ? parseInt(fields['TimeOtp-Length'], 10) : undefined,
+      period: fields['TimeOtp-Period'] ? parseInt(fields['TimeOtp-Period'], 10) : undefined
+    }));
+  }
+
+  return null;
+};
+
+/**
+ * Generate the code of a TOTP at a given time.
+ * @param {string} uri The otpauth URI
+ * @param {int} time (optional) The timestamp in milliseconds, now by default
+ * @return {Promise<object>} {code, expiresAt}, the expiration date is a timestamp in milliseconds
+ */
+Totp.generate = async function (uri, time) {
+  const totp = Totp.parseUri(uri);
+  time = typeof time === 'undefined' ? Date.now() : time;
+  const counter = Math.floor(time / 1000 / totp.period);
+
+  // The counter is hashed as a 8 bytes big endian integer.
+  const counterBytes = new Uint8Array(8);
+  let value = counter;
+  for (let i = 7; i >= 0; i--) {
+    counterBytes[i] = value & 0xff;
+    value = Math.floor(value / 256);
+  }
+  const hmacAlgorithm = {name: 'HMAC', hash: {name: Totp.ALGORITHMS[totp.algorithm]}};
+  const key = await window.crypto.subtle.importKey('raw', Totp._base32Decode(totp.secret), hmacAlgorithm, false, ['sign']);
+  const hmac = new Uint8Array(await window.crypto.subtle.sign('HMAC', key, counterBytes));
+
+  // Dynamic truncation (RFC 4226).
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  const code = String(binary % Math.pow(10, totp.digits)).padStart(totp.digits, '0');
+
+  return {code, expiresAt: (counter + 1) * totp.period * 1000};
+};
+
+/**
+ * Normalize a base32 secret: upper case, without spaces nor padding.
+ * @param {string} secret The secret
+ * @return {string}
+ * @throw {Error} if the secret is not base32 encoded
+ * @private
+ */
+Totp._normalizeSecret = function (secret) {
+  const normalized = String(secret || '').replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+  if (!normalized) {
+    throw new Error('The TOTP secret is required');
+  }
+  if (!new RegExp(`^[${BASE32_ALPHABET}]+$`).test(normalized)) {
+    throw new Error('The TOTP secret should be base32 encoded');
+  }
+
+  return normalized;
+};
+
+/**
+ * Decode a normalized base32 secret.
+ * @param {string} secret The secret
+ * @return {Uint8Array}
+ * @private
+ */
+Totp._base32Decode = function (secret) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (let i = 0; i < secret.length; i++) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(secret[i]);
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((value >>> bits) & 0xff);
+      value &= (1 << bits) - 1;
+    }
+  }
+
+  return new Uint8Array(bytes);
+};
+
+exports.Totp = Totp;
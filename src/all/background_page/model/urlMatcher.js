@@ -0,0 +1,178 @@
+/**
+ * Url matcher model.
+ *
+ * Evaluate how well a page url matches the uri of a resource. The domains are compared on their registrable part,
+ * according to the public suffix list, so that a lookalike domain such as bank.com.attacker.io never matches bank.com.
+ * It is shared with the quickaccess popup, it should not depend on the background page.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const psl = require('psl');
+
+class UrlMatcher {
+
+  /**
+   * Evaluate the match level of a url for a resource uri.
+   * @param {string} resourceUri The resource uri. If no protocol defined, http and https are considered.
+   * @param {string} url The url to match, generally the url of a tab
+   * @return {int} The match level, see UrlMatcher.LEVELS
+   */
+  static evaluate(resourceUri, url) {
+    const resourceUrl = UrlMatcher.parse(resourceUri);
+    const pageUrl = UrlMatcher.parse(url);
+    if (!resourceUrl || !pageUrl || !pageUrl.hasProtocol) {
+      return UrlMatcher.LEVELS.NONE;
+    }
+
+    // A resource defined for https is never offered on http.
+    if (resourceUrl.hasProtocol && resourceUrl.protocol === 'https:' && pageUrl.protocol !== 'https:') {
+      return UrlMatcher.LEVELS.NONE;
+    }
+    if (resourceUrl.port !== pageUrl.port) {
+      return UrlMatcher.LEVELS.NONE;
+    }
+
+    if (resourceUrl.host === pageUrl.host) {
+      if (UrlMatcher._isPathMatching(resourceUrl.pathname, pageUrl.pathname)) {
+        return UrlMatcher.LEVELS.PATH;
+      }
+      return UrlMatcher.LEVELS.HOST;
+    }
+    // A resource defined for a public suffix, such as co.uk, does not match its subdomains.
+    if (resourceUrl.domain && pageUrl.host.endsWith(`.${resourceUrl.host}`)) {
+      return UrlMatcher.LEVELS.SUBDOMAIN;
+    }
+    if (resourceUrl.domain && resourceUrl.domain === pageUrl.domain) {
+      return UrlMatcher.LEVELS.DOMAIN;
+    }
+
+    return UrlMatcher.LEVELS.NONE;
+  }
+
+  /**
+   * Check if a url matches a resource uri.
+   * @param {string} resourceUri The resource uri
+   * @param {string} url The url to match
+   * @param {string} mode (optional) The match mode of the resource, see UrlMatcher.MODES. Default DOMAIN.
+   * @return {boolean}
+   */
+  static isMatching(resourceUri, url, mode) {
+    return UrlMatcher.evaluate(resourceUri, url) >= UrlMatcher.getMinimumLevel(resourceUri, mode);
+  }
+
+  /**
+   * Get the minimum match level required by a match mode.
+   * @param {string} resourceUri The resource uri
+   * @param {string} mode (optional) The match mode, see UrlMatcher.MODES. Default DOMAIN.
+   * @return {int} The match level, a level higher than PATH if the resource should never match
+   */
+  static getMinimumLevel(resourceUri, mode) {
+    switch (mode) {
+      case UrlMatcher.MODES.NEVER:
+        return UrlMatcher.LEVELS.PATH + 1;
+      case UrlMatcher.MODES.URL: {
+        // The uri of the resource has no path, the pages of its host match.
+        const resourceUrl = UrlMatcher.parse(resourceUri);
+        return resourceUrl && resourceUrl.pathname !== '/' ? UrlMatcher.LEVELS.PATH : UrlMatcher.LEVELS.HOST;
+      }
+      case UrlMatcher.MODES.HOST:
+        return UrlMatcher.LEVELS.HOST;
+      default:
+        return UrlMatcher.LEVELS.DOMAIN;
+    }
+  }
+
+  /**
+   * Parse a url.
+   * @param {string} url The url. If no protocol defined, http is considered.
+   * @return {object|null} null if the url is not valid or its protocol is not http or https
+   * - {string} protocol The protocol, http: or https:
+   * - {boolean} hasProtocol Whether the protocol was defined by the url
+   * - {string} host The host, lower cased, without the www. prefix
+   * - {string} port The port, empty for the default port of the protocol
+   * - {string} pathname The path
+   * - {string|null} domain The registrable domain, null for the ip addresses and the hosts without public suffix
+   * - {boolean} isIp Whether the host is an ip address
+   */
+  static parse(url) {
+    if (!url || typeof url !== 'string') {
+      return null;
+    }
+    url = url.trim();
+    const hasProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(url);
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(hasProtocol ? url : `http://${url}`);
+    } catch (error) {
+      return null;
+    }
+    if (!SUPPORTED_PROTOCOLS.includes(parsedUrl.protocol) || !parsedUrl.hostname) {
+      return null;
+    }
+
+    const host = parsedUrl.hostname.toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+    const isIp = /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[');
+
+    return {
+      protocol: parsedUrl.protocol,
+      hasProtocol: hasProtocol,
+      host: host,
+      port: parsedUrl.port,
+      pathname: parsedUrl.pathname,
+      domain: isIp ? null : psl.get(host),
+      isIp: isIp
+    };
+  }
+
+  /**
+   * Check if a page path is the path of a resource, or one of its sub paths.
+   * @param {string} resourcePath The resource uri path
+   * @param {string} pagePath The page url path
+   * @return {boolean}
+   * @private
+   */
+  static _isPathMatching(resourcePath, pagePath) {
+    if (resourcePath === '/') {
+      return false;
+    }
+    const path = resourcePath.replace(/\/$/, '');
+    return pagePath === path || pagePath.startsWith(`${path}/`);
+  }
+}
+
+/**
+ * The match levels, from the weakest to the strongest.
+ * - DOMAIN: the page is on the same registrable domain, e.g. signin.aws.amazon.com for amazon.com
+ * - SUBDOMAIN: the page is on a subdomain of the resource host, e.g. accounts.example.com for example.com
+ * - HOST: the page is on the resource host
+ * - PATH: the page is on the resource host, under the resource path
+ */
+UrlMatcher.LEVELS = {
+  NONE: 0,
+  DOMAIN: 1,
+  SUBDOMAIN: 2,
+  HOST: 3,
+  PATH: 4
+};
+
+/**
+ * The match modes a resource can override the default matching with.
+ * - DOMAIN: the pages of the same registrable domain match, the default
+ * - HOST: only the pages of the resource host match
+ * - URL: only the pages under the resource uri path match
+ * - NEVER: the resource is never suggested
+ */
+UrlMatcher.MODES = {
+  DOMAIN: 'domain',
+  HOST: 'host',
+  URL: 'url',
+  NEVER: 'never'
+};
+
+/**
+ * The protocols of the pages credentials can be used on.
+ */
+const SUPPORTED_PROTOCOLS = ['http:', 'https:'];
+
+exports.UrlMatcher = UrlMatcher;
@@ -34,12 +34,15 @@ Bootstrap.init = function () {
       'data/js/lib/request.js',
       'data/js/lib/message.js',
       'data/js/lib/html.js',
+      'data/js/quickaccess/formDetection.js',
       'data/js/quickaccess/quickaccess.js',
+      'content_scripts/js/quickaccess/shortcutIframe.js',
       'content_scripts/js/bootstrap.js'
     ],
     onAttach: function (worker) {
       Worker.add('Bootstrap', worker);
       app.events.config.listen(worker);
+      app.events.submittedCredentials.listen(worker);
     }
   });
 };
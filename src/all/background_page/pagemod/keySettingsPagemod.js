@@ -0,0 +1,43 @@
+/**
+ * Key settings pagemod.
+ *
+ * This page mod drives the key settings page, where the user manages their key.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+var pageMod = require('../sdk/page-mod');
+var app = require('../app');
+var Worker = require('../model/worker');
+
+var KeySettingsPage = function () {};
+KeySettingsPage._pageMod = undefined;
+
+KeySettingsPage.init = function () {
+
+  if (typeof KeySettingsPage._pageMod !== 'undefined') {
+    KeySettingsPage._pageMod.destroy();
+    KeySettingsPage._pageMod = undefined;
+  }
+
+  KeySettingsPage._pageMod = pageMod.PageMod({
+    name: 'KeySettingsPage',
+    include: chrome.runtime.getURL('data/key-settings.html'),
+
+    contentScriptWhen: 'end',
+    contentScriptFile: [
+      // Warning: modify the page scripts and styles in
+      // chrome/data/key-settings.html and chrome/data/js/include/key-settings.js
+    ],
+    onAttach: function (worker) {
+      Worker.add('KeySettingsPage', worker);
+      app.events.clipboard.listen(worker);
+      app.events.config.listen(worker);
+      app.events.file.listen(worker);
+      app.events.keyring.listen(worker);
+      app.events.user.listen(worker);
+      app.events.keySettings.listen(worker);
+    }
+  });
+};
+exports.KeySettingsPage = KeySettingsPage;
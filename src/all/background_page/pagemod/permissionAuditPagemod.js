@@ -0,0 +1,43 @@
+/**
+ * Permission audit pagemod.
+ *
+ * This page mod drives the permission audit page: who can access what, exported as CSV.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+var pageMod = require('../sdk/page-mod');
+var app = require('../app');
+var Worker = require('../model/worker');
+
+var PermissionAuditPage = function () {};
+PermissionAuditPage._pageMod = undefined;
+
+PermissionAuditPage.init = function () {
+
+  if (typeof PermissionAuditPage._pageMod !== 'undefined') {
+    PermissionAuditPage._pageMod.destroy();
+    PermissionAuditPage._pageMod = undefined;
+  }
+
+  PermissionAuditPage._pageMod = pageMod.PageMod({
+    name: 'PermissionAuditPage',
+    include: chrome.runtime.getURL('data/permission-audit.html'),
+
+    contentScriptWhen: 'end',
+    contentScriptFile: [
+      // Warning: modify the page scripts and styles in
+      // chrome/data/permission-audit.html and chrome/data/js/include/permission-audit.js
+    ],
+    onAttach: function (worker) {
+      Worker.add('PermissionAuditPage', worker);
+      app.events.config.listen(worker);
+      app.events.file.listen(worker);
+      app.events.user.listen(worker);
+      app.events.resource.listen(worker);
+      app.events.tag.listen(worker);
+      app.events.permissionAudit.listen(worker);
+    }
+  });
+};
+exports.PermissionAuditPage = PermissionAuditPage;
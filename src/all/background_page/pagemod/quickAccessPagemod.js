@@ -30,6 +30,7 @@ QuickAccess.init = function () {
       });
 
       app.events.auth.listen(this._worker);
+      app.events.clipboard.listen(this._worker);
       app.events.config.listen(this._worker);
       app.events.keyring.listen(this._worker);
       app.events.masterPassword.listen(this._worker);
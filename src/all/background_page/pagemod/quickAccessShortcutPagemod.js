@@ -0,0 +1,37 @@
+/**
+ * QuickAccess shortcut dialog pagemod.
+ *
+ * This pagemod drives the dialog displayed in the page when the user uses a keyboard shortcut.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const app = require('../app');
+const pageMod = require('../sdk/page-mod');
+const Worker = require('../model/worker');
+
+const QuickAccessShortcutDialog = function () {};
+QuickAccessShortcutDialog._pageMod = undefined;
+
+QuickAccessShortcutDialog.init = function () {
+
+  if (typeof QuickAccessShortcutDialog._pageMod !== 'undefined') {
+    QuickAccessShortcutDialog._pageMod.destroy();
+    QuickAccessShortcutDialog._pageMod = undefined;
+  }
+
+  QuickAccessShortcutDialog._pageMod = pageMod.PageMod({
+    name: 'QuickAccessShortcut',
+    include: 'about:blank?passbolt=passbolt-iframe-quickaccess-shortcut',
+    contentScriptFile: [
+      // Warning: script and styles need to be modified in
+      // src/all/data/passbolt-iframe-quickaccess-shortcut.html
+    ],
+    contentScriptWhen: 'ready',
+    onAttach: function (worker) {
+      Worker.add('QuickAccessShortcut', worker);
+      app.events.quickAccessShortcut.listen(worker);
+    }
+  });
+};
+exports.QuickAccessShortcutDialog = QuickAccessShortcutDialog;
@@ -42,6 +42,8 @@ SecretEditDialog.init = function () {
         // on destroy, clean.
         onDestroy: function () {
           TabStorage.remove(worker.tab.id, 'editedPassword');
+          TabStorage.remove(worker.tab.id, 'editedPasswordTotp');
+          TabStorage.remove(worker.tab.id, 'editedPasswordExtras');
         }
       });
     }
@@ -42,6 +42,9 @@ GroupService.findAll = async function (options) {
       url.searchParams.append(`filter[has-users][]`, userId);
     });
   }
+  if (options.contain && options.contain.groupUser) {
+    url.searchParams.append('contain[group_user]', '1');
+  }
   let response, responseJson;
 
   try {
@@ -61,6 +61,9 @@ ResourceService.findOne = async function (resourceId, options) {
   if (options.contain && options.contain.secret) {
     url.searchParams.append('contain[secret]', '1');
   }
+  if (options.contain && options.contain.tag) {
+    url.searchParams.append('contain[tag]', '1');
+  }
   let response, responseJson;
 
   try {
@@ -109,6 +112,9 @@ ResourceService.findAll = async function (options) {
   if (options.contain && options.contain.secret) {
     url.searchParams.append('contain[secret]', '1');
   }
+  if (options.contain && options.contain.tag) {
+    url.searchParams.append('contain[tag]', '1');
+  }
   if (options.filter && options.filter.hasId) {
     options.filter.hasId.forEach(resourceId => {
       url.searchParams.append(`filter[has-id][]`, resourceId);
@@ -206,4 +212,51 @@ ResourceService.save = async function (data) {
   return responseJson.body;
 };
 
+/**
+ * Update a resource
+ * @param {string} resourceId The resource identifier
+ * @param {object} data The resource data
+ */
+ResourceService.update = async function (resourceId, data) {
+  data = data || {};
+  const user = User.getInstance();
+  const domain = user.settings.getDomain();
+  const fetchOptions = {
+    method: 'PUT',
+    credentials: 'include',
+    body: JSON.stringify(data),
+    headers: {
+      'Accept': 'application/json',
+      'content-type': 'application/json'
+    }
+  };
+  await Request.setCsrfHeader(fetchOptions);
+  const url = `${domain}/resources/${resourceId}.json?api-version=v2`;
+  let response, responseJson;
+
+  try {
+    response = await fetch(url, fetchOptions);
+  } catch (error) {
+    // Catch Network error such as connection lost.
+    throw new PassboltServiceUnavailableError(error.message);
+  }
+
+  try {
+    responseJson = await response.json();
+  } catch (error) {
+    // If the response cannot be parsed, it's not a Passbolt API response. It can be a nginx error (504).
+    throw new PassboltBadResponseError(response.statusText, {code: response.status});
+  }
+
+  if (!response.ok) {
+    const message = responseJson.header.message;
+    throw new PassboltApiFetchError(message, {
+      code: response.status,
+      body: responseJson.body
+    });
+  }
+
+  return responseJson.body;
+};
+
 exports.ResourceService = ResourceService;
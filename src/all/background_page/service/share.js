@@ -11,6 +11,9 @@
  * @link          https://www.passbolt.com Passbolt(tm)
  * @since         2.4.0
  */
+const PassboltApiFetchError = require('../error/passboltApiFetchError').PassboltApiFetchError;
+const PassboltBadResponseError = require('../error/passboltBadResponseError').PassboltBadResponseError;
+const PassboltServiceUnavailableError = require('../error/passboltServiceUnavailableError').PassboltServiceUnavailableError;
 const User = require('../model/user').User;
 const Request = require('../model/request').Request;
 
@@ -87,6 +90,9 @@ ShareService.searchResourceAros = async function(resourceId, keywords) {
  * @param {string} resourceId The resource id to share
  * @param {object} data The request body data
  * @returns {*}
+ * @throws {PassboltServiceUnavailableError} if the API cannot be reached
+ * @throws {PassboltBadResponseError} if the response is not a passbolt API response
+ * @throws {PassboltApiFetchError} if the API responded with an error
  */
 ShareService.share = async function(resourceId, data) {
   const user = User.getInstance();
@@ -102,17 +108,8 @@ ShareService.share = async function(resourceId, data) {
   };
   Request.setCsrfHeader(fetchOptions);
   const url = new URL(`${domain}/share/resource/` + resourceId + `.json?api-version=v1`);
-  let response, json;
 
-  try {
-    response = await fetch(url, fetchOptions);
-    json = await response.json();
-  } catch (error) {
-    console.error(error);
-    return new Error(__('There was a problem when trying to share'));
-  }
-
-  return json.body;
+  return ShareService._fetchJson(url, fetchOptions);
 };
 
 /**
@@ -125,6 +122,7 @@ ShareService.share = async function(resourceId, data) {
  * @param resourceId
  * @param permissions
  * @returns {*}
+ * @throws {PassboltApiFetchError} if the changes cannot be applied, see ShareService.share for the other errors
  */
 ShareService.simulateShare = async function (resourceId, permissions) {
   const user = User.getInstance();
@@ -141,17 +139,46 @@ ShareService.simulateShare = async function (resourceId, permissions) {
     }
   };
   Request.setCsrfHeader(fetchOptions);
-  let response, json;
+
+  return ShareService._fetchJson(url, fetchOptions);
+};
+
+/**
+ * Fetch an API url and return the body of the response.
+ * @param {URL} url The url to fetch
+ * @param {object} fetchOptions The fetch options
+ * @returns {*}
+ * @throws {PassboltServiceUnavailableError} if the API cannot be reached
+ * @throws {PassboltBadResponseError} if the response is not a passbolt API response
+ * @throws {PassboltApiFetchError} if the API responded with an error
+ * @private
+ */
+ShareService._fetchJson = async function (url, fetchOptions) {
+  let response, responseJson;
 
   try {
     response = await fetch(url, fetchOptions);
-    json = await response.json();
   } catch (error) {
-    console.error(error);
-    return new Error(__('There was a problem when trying to simulate the share'));
+    // Catch Network error such as connection lost.
+    throw new PassboltServiceUnavailableError(error.message);
   }
 
-  return json.body;
+  try {
+    responseJson = await response.json();
+  } catch (error) {
+    // If the response cannot be parsed, it's not a Passbolt API response. It can be a nginx error (504).
+    throw new PassboltBadResponseError(response.statusText, {code: response.status});
+  }
+
+  if (!response.ok) {
+    const message = responseJson.header.message;
+    throw new PassboltApiFetchError(message, {
+      code: response.status,
+      body: responseJson.body
+    });
+  }
+
+  return responseJson.body;
 };
 
 exports.ShareService = ShareService;
@@ -0,0 +1,35 @@
+/**
+ * QR code helpers.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+const __ = require('../sdk/l10n').get;
+
+/**
+ * Read the content of a QR code picture.
+ * @param {string} dataUrl The picture, as data url
+ * @return {Promise<string>}
+ */
+const decode = function (dataUrl) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0);
+      const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+      const code = jsQR(imageData.data, imageData.width, imageData.height);
+      if (!code) {
+        reject(new Error(__('No QR code could be found in a picture.')));
+        return;
+      }
+      resolve(code.data);
+    };
+    image.onerror = () => reject(new Error(__('A picture could not be read.')));
+    image.src = dataUrl;
+  });
+};
+exports.decode = decode;
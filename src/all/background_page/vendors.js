@@ -23,6 +23,9 @@ window.Validator.isUtf8Extended = require('./utils/validatorRules').isUtf8Extend
 window._ = require('underscore/underscore-min');
 window.kdbxweb = require('kdbxweb/dist/kdbxweb');
 window.PapaParse = require('papaparse/papaparse');
+window.JSZip = require('jszip');
+window.QRCode = require('qrcode');
+window.jsQR = require('jsqr');
 
 /**
  * Crypto/sec libraries
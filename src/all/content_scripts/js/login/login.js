@@ -54,16 +54,14 @@ $(function () {
   passbolt.login.onStep0CheckServerKey = function () {
 
     passbolt.request('passbolt.auth.verify').then(
-      function success(msg) {
-        $('.plugin-check.gpg')
-          .removeClass('notice')
-          .addClass('success');
-
-        passbolt.html.loadTemplate('.plugin-check.gpg', 'login/message.ejs', 'html', {message: msg});
-
-        $('html').addClass('server-verified');
-      },
+      passbolt.login.onServerKeyVerified,
       function error(msg) {
+        // The server advertises another key than the trusted one.
+        if (msg && msg.name === 'ServerKeyChangedError') {
+          passbolt.login.onServerKeyChanged(msg);
+          return;
+        }
+
         $('.plugin-check.gpg')
           .removeClass('notice')
           .addClass('error');
@@ -89,6 +87,58 @@ $(function () {
     passbolt.login.onStep1RequestPassphrase();
   };
 
+  /**
+   * The server key is verified.
+   * @param msg {string} The verification message
+   */
+  passbolt.login.onServerKeyVerified = function (msg) {
+    $('.plugin-check.gpg')
+      .removeClass('notice error')
+      .addClass('success');
+
+    passbolt.html.loadTemplate('.plugin-check.gpg', 'login/message.ejs', 'html', {message: msg});
+
+    $('html').removeClass('server-not-verified').addClass('server-verified');
+  };
+
+  /**
+   * The server advertises another key than the trusted one.
+   * Display the old and new keys, and let the user accept the new key or abort.
+   * @param serverKeyChangedError {object} The ServerKeyChangedError
+   */
+  passbolt.login.onServerKeyChanged = function (serverKeyChangedError) {
+    var newFingerprint = serverKeyChangedError.data.newKey.fingerprint;
+
+    $('.plugin-check.gpg')
+      .removeClass('notice')
+      .addClass('error');
+    passbolt.html.loadTemplate('.plugin-check.gpg', 'login/message.ejs', 'html', {message: serverKeyChangedError.message});
+    $('html').addClass('server-not-verified');
+
+    passbolt.html.loadTemplate('.login.form', 'login/serverKeyChanged.ejs', 'html', serverKeyChangedError.data)
+      .then(function () {
+        $('#js_server_key_accept').on('click', function (ev) {
+          ev.preventDefault();
+          passbolt.request('passbolt.auth.accept-new-server-key', newFingerprint).then(
+            function success(msg) {
+              passbolt.login.onServerKeyVerified(msg);
+              passbolt.login.onStep1RequestPassphrase();
+            },
+            function error(msg) {
+              passbolt.html.loadTemplate('.login.form', 'login/feedbackLoginError.ejs', 'html', {message: msg.message || msg});
+            }
+          );
+        });
+        $('#js_server_key_reject').on('click', function (ev) {
+          ev.preventDefault();
+          passbolt.request('passbolt.auth.reject-new-server-key', newFingerprint).then(function () {
+            var message = 'You did not accept the new server key. Contact your administrator before logging in.';
+            passbolt.html.loadTemplate('.login.form', 'login/feedbackLoginError.ejs', 'html', {message: message});
+          });
+        });
+      });
+  };
+
   /**
    * Insert the passphrase dialog iframe.
    */
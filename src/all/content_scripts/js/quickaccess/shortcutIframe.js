@@ -0,0 +1,34 @@
+/**
+ * Quickaccess shortcut iframe control.
+ *
+ * It has for aim to control the dialog displayed when the user uses a keyboard shortcut.
+ * 	- Add the iframe to the page. The quickAccessShortcutPagemod will detect it and will control it.
+ * 	- Close the iframe.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+$(function () {
+  const iframeId = 'passbolt-iframe-quickaccess-shortcut';
+
+  /**
+   * Open the shortcut dialog.
+   * A dialog already opened is replaced.
+   * @listens passbolt.quickaccess.open-shortcut
+   */
+  passbolt.message.on('passbolt.quickaccess.open-shortcut', function () {
+    $(`#${iframeId}`).remove();
+    const style = 'position:fixed;top:16px;right:16px;width:380px;height:320px;z-index:2147483647;border:0;box-shadow:0 2px 12px rgba(0,0,0,0.3);';
+    const $iframe = passbolt.html.insertIframe(iframeId, 'body', undefined, undefined, 'append', style);
+    $iframe.on('load', () => $iframe[0].focus());
+  });
+
+  /**
+   * Close the shortcut dialog.
+   * @listens passbolt.quickaccess.close-shortcut
+   */
+  passbolt.message.on('passbolt.quickaccess.close-shortcut', function () {
+    $(`#${iframeId}`).remove();
+  });
+});
+undefined; // result must be structured-clonable data
@@ -0,0 +1,102 @@
+/**
+ * Dialog controller to choose the key a passbolt export is encrypted for.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+/**
+ * Constructor.
+ * @param object settings
+ *   onSubmit (compulsory): on submit handler, called with the id of the recipient user
+ * @constructor
+ */
+var ExportRecipientDialog = function(settings) {
+  this.$html = null;
+  this.$recipientSelect = null;
+  this.$fingerprint = null;
+  this.$closeButton = null;
+  this.$cancelButton = null;
+  this.$submitButton = null;
+  this.recipients = [];
+  this.onSubmit = settings.onSubmit;
+};
+
+/**
+ * Show dialog.
+ */
+ExportRecipientDialog.prototype.show = function() {
+  var self = this;
+  passbolt.request('passbolt.export-passwords.get-recipients').then(function(recipients) {
+    self.recipients = recipients;
+    passbolt.html.getTemplate('export/exportRecipientDialog.ejs').then(function(tpl) {
+      self.$html = $(tpl.call(self));
+      $('body').append(self.$html);
+      self._initElements();
+      self._initEvents();
+      self._renderFingerprint();
+    });
+  });
+};
+
+/**
+ * Close dialog.
+ */
+ExportRecipientDialog.prototype.close = function() {
+  this.$html.remove();
+};
+
+/**
+ * Initialize elements.
+ * @private
+ */
+ExportRecipientDialog.prototype._initElements = function() {
+  this.$recipientSelect = $('#js_field_recipient', this.$html);
+  this.$fingerprint = $('#js_field_recipient_fingerprint', this.$html);
+  this.$closeButton = $('.dialog-close', this.$html);
+  this.$cancelButton = $('.cancel', this.$html);
+  this.$submitButton = $(':submit', this.$html);
+};
+
+/**
+ * Initialize events.
+ * @private
+ */
+ExportRecipientDialog.prototype._initEvents = function() {
+  var self = this;
+
+  this.$recipientSelect.on('change', function() {
+    self._renderFingerprint();
+  });
+
+  this.$closeButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.close();
+    return false;
+  });
+
+  this.$cancelButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.close();
+    return false;
+  });
+
+  this.$submitButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.onSubmit(self.$recipientSelect.val());
+    self.close();
+    return false;
+  });
+};
+
+/**
+ * Display the fingerprint of the selected key, so the user can verify it.
+ * @private
+ */
+ExportRecipientDialog.prototype._renderFingerprint = function() {
+  var userId = this.$recipientSelect.val();
+  var recipient = this.recipients.find(function(recipient) {
+    return recipient.userId === userId;
+  });
+  this.$fingerprint.text(recipient ? recipient.fingerprint : '');
+};
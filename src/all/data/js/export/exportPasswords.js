@@ -30,6 +30,9 @@ $(function () {
     if (selectedFormat == 'kdbx') {
       requestKdbxCredentials();
     }
+    else if (selectedFormat == 'passbolt') {
+      requestRecipient();
+    }
     else {
       exportFile(selectedFormat);
     }
@@ -41,11 +44,13 @@ $(function () {
    *
    * @param string fileBase64 the file converted into a base64 string
    * @param object credentials the credentials to decrypt the file, if necessary.
+   * @param string recipient the user to encrypt the file for, if necessary.
    */
-  var exportFile = function(selectedFormat, credentials) {
+  var exportFile = function(selectedFormat, credentials, recipient) {
     var options = {
       "format": selectedFormat,
-      "credentials": credentials
+      "credentials": credentials,
+      "recipient": recipient
     };
     passbolt.request('passbolt.export-passwords.export-to-file', options)
     .then(function() {
@@ -72,6 +77,19 @@ $(function () {
     kdbxCredentials.show();
   };
 
+  /**
+   * Get the recipient of a passbolt export.
+   * Display a window that will request the user the export is encrypted for.
+   */
+  var requestRecipient = function() {
+    var exportRecipientDialog = new ExportRecipientDialog({
+      onSubmit: function(recipient) {
+        exportFile('passbolt', null, recipient);
+      }
+    });
+    exportRecipientDialog.show();
+  };
+
   /**
    * Transforms kdbxcredentials into a messageable format.
    * The keyfile will be transformed into a base64 content if any.
@@ -25,6 +25,8 @@ $(function () {
             .then(initSecurityToken)
             // Init the event listeners.
             .then(initEventsListeners)
+            // Notify the user if a previous update of the group was interrupted.
+            .then(initPendingJob)
             // Mark the iframe container as ready.
             .then(function () {
                 passbolt.message.emit('passbolt.passbolt-page.remove-class', '#passbolt-iframe-group-edit', 'loading');
@@ -61,6 +63,20 @@ $(function () {
         passbolt.message.on('passbolt.group.edit.reset', resetHandler);
     };
 
+    /**
+     * Check if a previous update of the group was interrupted, and offer to resume it.
+     * @returns {Promise}
+     */
+    var initPendingJob = async function () {
+        var pendingJob = await passbolt.request('passbolt.group.edit.get-pending-job');
+        if (!pendingJob) {
+            return;
+        }
+        await passbolt.html.loadTemplate('#js_group_edit_form_feedback', 'group/editPendingJob.ejs', 'html', pendingJob);
+        $('#js_group_edit_form_feedback').addClass('warning');
+        $('#js_group_edit_resume_job').on('click', resumeJobClicked);
+    };
+
     /* ==================================================================================
      *  Addon events handlers
      * ================================================================================== */
@@ -92,6 +108,21 @@ $(function () {
         }, 300);
     };
 
+    /**
+     * When the resume of the interrupted update is requested.
+     */
+    var resumeJobClicked = function (ev) {
+        ev.preventDefault();
+        var $feedback = $('#js_group_edit_form_feedback');
+        $(this).addClass('processing');
+        passbolt.request('passbolt.group.edit.resume-job')
+            .then(function () {
+                $feedback.removeClass('warning').text('');
+            }, function (error) {
+                $feedback.removeClass('warning').addClass('error').text(error.message || 'The group update could not be resumed.');
+            });
+    };
+
     // Init the autocomplete search field component.
     init();
 
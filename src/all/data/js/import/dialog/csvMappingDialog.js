@@ -0,0 +1,195 @@
+/**
+ * Dialog controller to map the columns of a csv file of an unknown format.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+/**
+ * Constructor.
+ * @param object settings
+ *   headers (compulsory): the csv headers
+ *   rows (compulsory): the first rows of the csv, used to preview the import
+ *   reservedFormatNames (optional): the names the mapping cannot be saved with
+ *   onSubmit (compulsory): on submit handler, called with the mapping and the name to save it with
+ * @constructor
+ */
+var CsvMappingDialog = function(settings) {
+  this.$html = null;
+  this.$mappingSelects = null;
+  this.$formatName = null;
+  this.$preview = null;
+  this.$feedback = null;
+  this.$closeButton = null;
+  this.$cancelButton = null;
+  this.$submitButton = null;
+  this.headers = settings.headers || [];
+  this.rows = settings.rows || [];
+  this.reservedFormatNames = settings.reservedFormatNames || [];
+  this.onSubmit = settings.onSubmit;
+  this.fields = CsvMappingDialog.FIELDS;
+  this.mapping = CsvMappingDialog.guessMapping(this.headers);
+};
+
+/**
+ * The resource fields a column can be mapped on, and their label.
+ */
+CsvMappingDialog.FIELDS = {
+  "name": "Name",
+  "username": "Username",
+  "uri": "URL",
+  "secretClear": "Password",
+  "description": "Description",
+  "tags": "Category"
+};
+
+/**
+ * Patterns used to guess the column to map on a field.
+ */
+CsvMappingDialog.FIELDS_PATTERNS = {
+  "name": /^(name|title)$/i,
+  "username": /^(user|username|login|email|e-mail)$/i,
+  "uri": /^(url|uri|website|site|address)$/i,
+  "secretClear": /^(password|pass|secret)$/i,
+  "description": /^(description|notes?|comments?|extra)$/i,
+  "tags": /^(tags?|groups?|folders?|categor(y|ies))$/i
+};
+
+/**
+ * Guess the mapping of a csv file based on its headers names.
+ * @param array headers
+ * @returns {object}
+ */
+CsvMappingDialog.guessMapping = function(headers) {
+  var mapping = {};
+  for (var field in CsvMappingDialog.FIELDS_PATTERNS) {
+    var header = headers.find(function(header) {
+      return CsvMappingDialog.FIELDS_PATTERNS[field].test(header.trim());
+    });
+    if (header !== undefined) {
+      mapping[field] = header;
+    }
+  }
+  return mapping;
+};
+
+/**
+ * Show dialog.
+ */
+CsvMappingDialog.prototype.show = function() {
+  var self = this;
+  passbolt.html.getTemplate('import/csvMappingDialog.ejs').then(function(tpl) {
+    self.$html = $(tpl.call(self));
+    $('body').append(self.$html);
+    self._initElements();
+    self._initEvents();
+    self._renderPreview();
+  });
+};
+
+/**
+ * Close dialog.
+ */
+CsvMappingDialog.prototype.close = function() {
+  this.$html.remove();
+};
+
+/**
+ * Initialize elements.
+ * @private
+ */
+CsvMappingDialog.prototype._initElements = function() {
+  this.$mappingSelects = $('.js_field_mapping', this.$html);
+  this.$formatName = $('#js_field_format_name', this.$html);
+  this.$preview = $('.csv-mapping-preview', this.$html);
+  this.$feedback = $('#js_field_mapping_feedback', this.$html);
+  this.$closeButton = $('.dialog-close', this.$html);
+  this.$cancelButton = $('.cancel', this.$html);
+  this.$submitButton = $(':submit', this.$html);
+};
+
+/**
+ * Initialize events.
+ * @private
+ */
+CsvMappingDialog.prototype._initEvents = function() {
+  var self = this;
+
+  this.$mappingSelects.on('change', function() {
+    var $select = $(this);
+    if ($select.val() === '') {
+      delete self.mapping[$select.data('field')];
+    } else {
+      self.mapping[$select.data('field')] = $select.val();
+    }
+    self.clearError();
+    self._renderPreview();
+  });
+
+  this.$formatName.on('input', function() {
+    self.clearError();
+  });
+
+  this.$closeButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.close();
+    return false;
+  });
+
+  this.$cancelButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.close();
+    return false;
+  });
+
+  this.$submitButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    if (self.mapping.secretClear === undefined) {
+      self.showError('Select the column containing the passwords.');
+      return false;
+    }
+    var formatName = self.$formatName.val().trim();
+    if (self.reservedFormatNames.indexOf(formatName) !== -1) {
+      self.showError('The name ' + formatName + ' is reserved, choose another name to save the columns mapping with.');
+      self.$formatName.focus();
+      return false;
+    }
+    self.onSubmit(Object.assign({}, self.mapping), formatName !== '' ? formatName : null);
+    self.close();
+    return false;
+  });
+};
+
+/**
+ * Render the preview of the resources resulting of the current mapping.
+ * @private
+ */
+CsvMappingDialog.prototype._renderPreview = function() {
+  var self = this;
+  var resources = this.rows.map(function(row) {
+    var resource = {};
+    for (var field in self.fields) {
+      resource[field] = self.mapping[field] !== undefined ? row[self.mapping[field]] : '';
+    }
+    return resource;
+  });
+
+  passbolt.html.getTemplate('import/csvMappingPreview.ejs').then(function(tpl) {
+    self.$preview.html(tpl.call({fields: self.fields, resources: resources}));
+  });
+};
+
+/**
+ * Show error.
+ * @param string error
+ */
+CsvMappingDialog.prototype.showError = function(error) {
+  this.$feedback.addClass('error').text(error);
+};
+
+/**
+ * Clear error (if any).
+ */
+CsvMappingDialog.prototype.clearError = function() {
+  this.$feedback.removeClass('error').text('');
+};
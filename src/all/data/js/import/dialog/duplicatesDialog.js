@@ -0,0 +1,98 @@
+/**
+ * Dialog controller to choose what to do with the imported passwords that already exist.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+/**
+ * Constructor.
+ * @param object settings
+ *   duplicates (compulsory): the duplicates, array of {index, resourceId, name, username, uri}
+ *   onSubmit (compulsory): on submit handler, called with the resolutions indexed by resource position
+ * @constructor
+ */
+var DuplicatesDialog = function(settings) {
+  this.$html = null;
+  this.$allSelect = null;
+  this.$resolutionSelects = null;
+  this.$closeButton = null;
+  this.$cancelButton = null;
+  this.$submitButton = null;
+  this.duplicates = settings.duplicates || [];
+  this.onSubmit = settings.onSubmit;
+};
+
+/**
+ * Show dialog.
+ */
+DuplicatesDialog.prototype.show = function() {
+  var self = this;
+  passbolt.html.getTemplate('import/duplicatesDialog.ejs').then(function(tpl) {
+    self.$html = $(tpl.call(self));
+    $('body').append(self.$html);
+    self._initElements();
+    self._initEvents();
+  });
+};
+
+/**
+ * Close dialog.
+ */
+DuplicatesDialog.prototype.close = function() {
+  this.$html.remove();
+};
+
+/**
+ * Initialize elements.
+ * @private
+ */
+DuplicatesDialog.prototype._initElements = function() {
+  this.$allSelect = $('#js_field_duplicates_all', this.$html);
+  this.$resolutionSelects = $('.js_field_duplicate_resolution', this.$html);
+  this.$closeButton = $('.dialog-close', this.$html);
+  this.$cancelButton = $('.cancel', this.$html);
+  this.$submitButton = $(':submit', this.$html);
+};
+
+/**
+ * Initialize events.
+ * @private
+ */
+DuplicatesDialog.prototype._initEvents = function() {
+  var self = this;
+
+  this.$allSelect.on('change', function() {
+    var resolution = self.$allSelect.val();
+    if (resolution !== '') {
+      self.$resolutionSelects.val(resolution);
+    }
+  });
+
+  this.$resolutionSelects.on('change', function() {
+    self.$allSelect.val('');
+  });
+
+  this.$closeButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.close();
+    return false;
+  });
+
+  this.$cancelButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.close();
+    return false;
+  });
+
+  this.$submitButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    var resolutions = {};
+    self.$resolutionSelects.each(function() {
+      resolutions[$(this).data('index')] = $(this).val();
+    });
+    self.onSubmit(resolutions);
+    self.close();
+    return false;
+  });
+};
@@ -18,7 +18,7 @@ var ImportPasswordsDialog = function(settings) {
   this.$html = null;
   this.$file = null;
   this.$fileFeedback = null;
-  this.supportedExtensions = ['csv', 'kdbx'];
+  this.supportedExtensions = ['csv', 'kdbx', 'json', '1pux', 'passbolt'];
   this.$submit = null;
   this.$closeButton = null;
   this.$cancelButton = null;
@@ -30,6 +30,14 @@ var ImportPasswordsDialog = function(settings) {
   if (settings != undefined && settings.tagsIntegration != undefined) {
     this.tagsIntegration = settings.tagsIntegration;
   }
+
+  // The import that was interrupted, if any, and the handlers to resume or discard it.
+  this.pendingJob = null;
+  if (settings != undefined && settings.pendingJob != undefined) {
+    this.pendingJob = settings.pendingJob;
+    this.onResume = settings.onResume;
+    this.onDiscard = settings.onDiscard;
+  }
 };
 
 /**
@@ -73,6 +81,11 @@ ImportPasswordsDialog.prototype._initElements = function() {
   this.$closeButton = $('.dialog-close', this.$html);
   this.$cancelButton = $('.cancel', this.$html);
   this.$categoriesAsTagsCheckbox = $('#js_field_category_as_tags');
+  this.$duplicatesStrategySelect = $('#js_field_duplicates_strategy', this.$html);
+  this.$compareSecretsCheckbox = $('#js_field_compare_secrets', this.$html);
+  this.$pendingJob = $('.pending-import', this.$html);
+  this.$resumeButton = $('.js-import-resume', this.$html);
+  this.$discardButton = $('.js-import-discard', this.$html);
 
   this._initFileChooser();
 
@@ -95,7 +108,9 @@ ImportPasswordsDialog.prototype._initEvents = function() {
   this.$submit.on('click', function(evt) {
     evt.stopImmediatePropagation();
     var options = {
-      categoriesAsTags : false
+      categoriesAsTags : false,
+      duplicatesStrategy: self.$duplicatesStrategySelect.val(),
+      compareSecrets: self.$compareSecretsCheckbox.prop('checked')
     };
     if (self.tagsIntegration === true && self.$categoriesAsTagsCheckbox.prop('checked')) {
       options.categoriesAsTags = true;
@@ -104,6 +119,19 @@ ImportPasswordsDialog.prototype._initEvents = function() {
     return false;
   });
 
+  this.$resumeButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.onResume();
+    return false;
+  });
+
+  this.$discardButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    self.onDiscard();
+    self.$pendingJob.remove();
+    return false;
+  });
+
   this.$closeButton.on('click', function(ev) {
     ev.stopImmediatePropagation();
     self.destroy();
@@ -149,7 +177,7 @@ ImportPasswordsDialog.prototype.onFileSelect = function(evt) {
 ImportPasswordsDialog.prototype.validateFileExtension = function(fileName) {
   let ext = ImportPasswordsDialog.getFileExtension(fileName);
   if (this.supportedExtensions.indexOf(ext) == -1) {
-    this.showError('The file extension is invalid. Supported extensions are .csv and .kdbx');
+    this.showError('The file extension is invalid. Supported extensions are .csv, .kdbx, .json, .1pux and .passbolt');
     return false;
   }
   this.clearError();
@@ -17,12 +17,15 @@ var ImportPasswordsReportDialog = function(results) {
   this.errorsList = [];
   this.importTag = results.importTag;
   this.tagsIntegration = results.tagsIntegration;
+  this.unmappedItems = results.unmappedItems || [];
+  this.duplicates = results.duplicates || {found: 0, skipped: 0, overwritten: 0, kept: 0, errors: []};
 
   // elements.
   this.$html = null;
   this.$closeButton = null;
   this.$okButton = null;
   this.$accordionHeader = null;
+  this.$downloadFailedButton = null;
 
   this._processResults();
 };
@@ -44,6 +47,8 @@ ImportPasswordsReportDialog.prototype._processResults = function() {
       this.errorsList.push(error);
     }
   }
+  // The errors that occurred while overwriting existing passwords.
+  this.errorsList = this.errorsList.concat(this.duplicates.errors);
 };
 
 /**
@@ -54,6 +59,7 @@ ImportPasswordsReportDialog.prototype._initElements = function() {
   this.$closeButton = $('.dialog-close', this.$html);
   this.$okButton = $(':submit', this.$html);
   this.$accordionHeader = $('.accordion-header', this.$html);
+  this.$downloadFailedButton = $('.js-download-failed', this.$html);
 };
 
 /**
@@ -74,6 +80,12 @@ ImportPasswordsReportDialog.prototype._initEvents = function() {
     return false;
   });
 
+  this.$downloadFailedButton.on('click', function(ev) {
+    ev.stopImmediatePropagation();
+    passbolt.request('passbolt.import-passwords.download-failed');
+    return false;
+  });
+
   this.$closeButton.on('click', function(ev) {
     ev.stopImmediatePropagation();
     self.destroy();
@@ -40,15 +40,44 @@ $(function () {
           siteSettings.passbolt.plugins !== undefined && siteSettings.passbolt.plugins.tags !== undefined) {
           importOptions.tagsIntegration = true;
         }
-
+        return passbolt.request('passbolt.import-passwords.get-pending-job');
+      })
+    .then(
+      function(pendingJob) {
         importPasswordsDialog = new ImportPasswordsDialog({
           "onSubmit":onSubmit,
-          "tagsIntegration": importOptions.tagsIntegration
+          "tagsIntegration": importOptions.tagsIntegration,
+          "pendingJob": pendingJob,
+          "onResume": onResume,
+          "onDiscard": onDiscard
         });
         importPasswordsDialog.show();
       });
   };
 
+  /**
+   * onResume handler.
+   * Resume the import that was interrupted.
+   */
+  var onResume = function() {
+    passbolt.request('passbolt.import-passwords.resume')
+    .then(function(result) {
+      importPasswordsDialog.close();
+      displayReport(result);
+    })
+    .catch(function(e) {
+      importPasswordsDialog.showError(e.message || "The import could not be resumed.");
+    });
+  };
+
+  /**
+   * onDiscard handler.
+   * Discard the import that was interrupted.
+   */
+  var onDiscard = function() {
+    passbolt.request('passbolt.import-passwords.discard');
+  };
+
   /**
    * onSubmit handler.
    * @param selectedFile
@@ -73,6 +102,10 @@ $(function () {
       displayReport(result);
     })
     .catch(function(e) {
+      if (e.name == 'ImportDuplicatesError') {
+        requestDuplicatesResolutions(e.data.duplicates);
+        return;
+      }
       // if file extension is kdbx,
       if (fileExtension == 'kdbx') {
         if (e.code == 'InvalidKey') {
@@ -80,6 +113,11 @@ $(function () {
         } else if (e.code == 'BadSignature') {
           importPasswordsDialog.showError("This is not a valid kdbx file");
         }
+      } else if (fileExtension == 'json' || fileExtension == '1pux' || fileExtension == 'passbolt') {
+        importPasswordsDialog.showError(e.message || "This file is invalid and can't be imported.");
+      } else if (e.name == 'CsvFormatError') {
+        // CSV case, the format is not recognized, the user has to map the columns.
+        requestCsvMapping(e.data);
       } else {
         // CSV case.
         importPasswordsDialog.showError("This file is invalid and can't be imported.");
@@ -147,7 +185,9 @@ $(function () {
           displayReport(result);
         })
         .catch(function(e) {
-          if (e.code == 'InvalidKey' || e.code == 'InvalidArg') {
+          if (e.name == 'ImportDuplicatesError') {
+            requestDuplicatesResolutions(e.data.duplicates);
+          } else if (e.code == 'InvalidKey' || e.code == 'InvalidArg') {
             importPasswordsDialog.showError("Invalid password / keyfile provided. Please try again.");
           } else if (e.code == 'BadSignature') {
             importPasswordsDialog.showError("This is not a valid kdbx file");
@@ -160,6 +200,59 @@ $(function () {
     kdbxCredentials.show();
   };
 
+  /**
+   * Get the csv mapping.
+   * Display a window that will request the user to map the columns of a csv file of an unknown format.
+   * @param object preview the csv headers and first rows
+   */
+  var requestCsvMapping = function(preview) {
+    var csvMapping = new CsvMappingDialog({
+      headers: preview.headers,
+      rows: preview.rows,
+      reservedFormatNames: preview.reservedFormatNames,
+      onSubmit: function(mapping, formatName) {
+        importOptions.csvMapping = mapping;
+        importOptions.csvFormatName = formatName;
+        importFile(selectedFileBase64, {password: null, keyFile: null})
+        .then(function(result) {
+          importPasswordsDialog.close();
+          displayReport(result);
+        })
+        .catch(function(e) {
+          if (e.name == 'ImportDuplicatesError') {
+            requestDuplicatesResolutions(e.data.duplicates);
+          } else {
+            importPasswordsDialog.showError(e.message || "This file is invalid and can't be imported.");
+          }
+        });
+      }
+    });
+    csvMapping.show();
+  };
+
+  /**
+   * Get the duplicates resolutions.
+   * Display a window that will request the user what to do with the passwords that already exist.
+   * @param array duplicates
+   */
+  var requestDuplicatesResolutions = function(duplicates) {
+    var duplicatesDialog = new DuplicatesDialog({
+      duplicates: duplicates,
+      onSubmit: function(resolutions) {
+        importOptions.duplicatesResolutions = resolutions;
+        importFile(selectedFileBase64, importOptions.credentials || {password: null, keyFile: null})
+        .then(function(result) {
+          importPasswordsDialog.close();
+          displayReport(result);
+        })
+        .catch(function(e) {
+          importPasswordsDialog.showError(e.message || "This file is invalid and can't be imported.");
+        });
+      }
+    });
+    duplicatesDialog.show();
+  };
+
   var getKdbxCredentials = function(password, keyFile) {
     var credentials = {
       password: password,
@@ -0,0 +1,22 @@
+var portname = 'key-settings';
+var scripts = [
+  'vendors/jquery.js',
+  'vendors/sha.js',
+  'js/lib/port.js',
+  'tpl/keySettings.js',
+  'tpl/secret.js'
+];
+loadScripts(scripts).then(function () {
+  var scripts = [
+    'js/lib/message.js',
+    'js/lib/request.js',
+    'js/lib/html.js',
+    'js/lib/pwnedpasswords.js',
+    'js/lib/secretComplexity.js',
+    'js/file/file.js',
+    'js/keySettings/keySettings.js'
+  ];
+  loadScripts(scripts).then(function () {
+    // all done!
+  });
+});
@@ -0,0 +1,17 @@
+var portname = 'permission-audit';
+var scripts = [
+  'vendors/jquery.js',
+  'js/lib/port.js',
+  'tpl/permissionAudit.js'
+];
+loadScripts(scripts).then(function () {
+  var scripts = [
+    'js/lib/message.js',
+    'js/lib/request.js',
+    'js/lib/html.js',
+    'js/permissionAudit/permissionAudit.js'
+  ];
+  loadScripts(scripts).then(function () {
+    // all done!
+  });
+});
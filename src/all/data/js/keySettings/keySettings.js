@@ -0,0 +1,345 @@
+/**
+ * Key settings page.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+var passbolt = passbolt || {};
+
+$(function () {
+
+  // shortcut for selectors
+  var $keyInfo = $('#js_key_info'),
+    $keyInfoFeedback = $('.key-info.feedback'),
+    $pins = $('#js_key_pins'),
+    $pinsFeedback = $('.pins.feedback'),
+    $backupFeedback = $('.backup.feedback'),
+    $backupPassphrase = $('#js_backup_passphrase'),
+    $backupPassphraseConfirm = $('#js_backup_passphrase_confirm'),
+    $paperBackup = $('#js_paper_backup'),
+    $passphraseFeedback = $('.passphrase.feedback'),
+    $passphraseCurrent = $('#js_passphrase_current'),
+    $passphraseNew = $('#js_passphrase_new'),
+    $passphraseConfirm = $('#js_passphrase_confirm'),
+    $passphraseStrength = $('#js_passphrase_strength'),
+    $passphraseCriterias = $('#js_passphrase_criterias'),
+    $passphraseButton = $('#js_passphrase_change'),
+    $clipboardFeedback = $('.clipboard.feedback'),
+    $clipboardClearDelay = $('#js_clipboard_clear_delay');
+
+  // The new passphrase strength and criterias, computed as in the setup secret step.
+  var passphraseStrength = 0,
+    passphraseCriterias = {};
+
+  /**
+   * Initialize the key settings page.
+   */
+  var init = function () {
+    loadKeyInfo()
+      .then(loadPins)
+      .then(updatePassphraseComplexity)
+      .then(loadClipboardClearDelay)
+      .then(function () {
+        initEventListeners();
+        $('.config.page').addClass('ready');
+      }, function (error) {
+        showFeedback($keyInfoFeedback, 'error', error.message || 'The key could not be retrieved, make sure you are logged in.');
+      });
+  };
+
+  /**
+   * Display the information of the user key.
+   * @returns {Promise}
+   */
+  var loadKeyInfo = function () {
+    return passbolt.request('passbolt.key-settings.get-key-info')
+      .then(function (keyInfo) {
+        return passbolt.html.loadTemplate($keyInfo, 'keySettings/keyInfo.ejs', 'html', {keyInfo: keyInfo});
+      });
+  };
+
+  /**
+   * Display the pinned keys of the other users.
+   * @returns {Promise}
+   */
+  var loadPins = function () {
+    return passbolt.request('passbolt.key-settings.find-pins')
+      .then(function (pins) {
+        return passbolt.html.loadTemplate($pins, 'keySettings/pins.ejs', 'html', {pins: pins});
+      });
+  };
+
+  /**
+   * Select the delay after which the copied passwords are cleared from the clipboard.
+   * @returns {Promise}
+   */
+  var loadClipboardClearDelay = function () {
+    return passbolt.request('passbolt.clipboard.get-pending-clear')
+      .then(function (pendingClear) {
+        var delay = String(pendingClear.delay);
+        // Keep a delay set before which is not part of the options.
+        if (!$('option[value="' + delay + '"]', $clipboardClearDelay).length) {
+          $clipboardClearDelay.append($('<option>').val(delay).text('after ' + delay + ' seconds'));
+        }
+        $clipboardClearDelay.val(delay);
+      });
+  };
+
+  /**
+   * Initialize the event listeners.
+   */
+  var initEventListeners = function () {
+    $pins.on('click', '.js_pin_verify', verifyPin);
+    $pins.on('click', '.js_pin_trust_new_key', trustNewKey);
+    $('#js_backup_download').on('click', downloadBackup);
+    $('#js_backup_paper').on('click', printPaperBackup);
+    $('#js_backup_download_encrypted').on('click', downloadEncryptedBackup);
+    $passphraseNew.on('input change', onNewPassphraseInput);
+    $passphraseConfirm.on('input change', updatePassphraseButtonState);
+    $passphraseButton.on('click', changePassphrase);
+    $clipboardClearDelay.on('change', setClipboardClearDelay);
+  };
+
+  /**
+   * Display a feedback message.
+   * @param $feedback {jQuery} The feedback container
+   * @param status {string} The message status: success, warning or error
+   * @param message {string} The message
+   */
+  var showFeedback = function ($feedback, status, message) {
+    $feedback.empty().append($('<div>').addClass('message ' + status).text(message));
+  };
+
+  /**
+   * Display the strength and the criterias of the new passphrase.
+   * @returns {Promise}
+   */
+  var updatePassphraseComplexity = function () {
+    return passbolt.html.loadTemplate($passphraseStrength, 'secret/strength.ejs', 'html', {
+      strengthId: secretComplexity.STRENGTH[passphraseStrength].id,
+      strengthLabel: secretComplexity.STRENGTH[passphraseStrength].label
+    })
+      .then(function () {
+        return passbolt.html.loadTemplate($passphraseCriterias, 'secret/criterias.ejs', 'html', {criterias: passphraseCriterias});
+      });
+  };
+
+  /**
+   * Enable the change passphrase button if the new passphrase is valid and confirmed.
+   * @returns {Promise}
+   */
+  var updatePassphraseButtonState = function () {
+    var passphrase = $passphraseNew.val();
+    var disable = function () {
+      $passphraseButton.addClass('disabled').prop('disabled', true);
+    };
+    if (passphrase !== $passphraseConfirm.val()) {
+      disable();
+      return Promise.resolve();
+    }
+    return passbolt.request('passbolt.keyring.key.validate', {passphrase: passphrase}, ['passphrase'])
+      .then(function () {
+        $passphraseButton.removeClass('disabled').prop('disabled', false);
+      }, disable);
+  };
+
+  /**
+   * Check if the new passphrase is part of a dictionary.
+   * @param passphrase {string} The passphrase
+   * @returns {Promise}
+   */
+  var checkPassphrasePwned = function (passphrase) {
+    return secretComplexity.ispwned(passphrase)
+      .then(function (isPwned) {
+        passphraseCriterias.dictionary_error = undefined;
+        return isPwned;
+      }, function (error) {
+        // something went wrong (like a network issue)
+        passphraseCriterias.dictionary_error = error.message;
+        return true;
+      })
+      .then(function (isPwned) {
+        if ($passphraseNew.val() !== passphrase) {
+          // the passphrase changed in meantime, ignore this request
+          return;
+        }
+        passphraseCriterias.dictionary = !isPwned;
+        if (isPwned) {
+          passphraseStrength = 1;
+        }
+        return updatePassphraseComplexity();
+      });
+  };
+
+  /* ==================================================================================
+   *  DOM events handlers
+   * ================================================================================== */
+
+  /**
+   * Mark a key as verified.
+   * @param ev {Event}
+   */
+  var verifyPin = function (ev) {
+    ev.preventDefault();
+    var $pin = $(this).closest('.key-pin');
+    $pinsFeedback.empty();
+    passbolt.request('passbolt.key-settings.verify-pin', $pin.data('user-id'), $('.js_pin_fingerprint', $pin).val())
+      .then(loadPins, function (error) {
+        showFeedback($pinsFeedback, 'error', error.message || 'The key could not be verified.');
+      });
+  };
+
+  /**
+   * Trust the new key of a user.
+   * @param ev {Event}
+   */
+  var trustNewKey = function (ev) {
+    ev.preventDefault();
+    var $pin = $(this).closest('.key-pin');
+    $pinsFeedback.empty();
+    passbolt.request('passbolt.key-settings.trust-new-key', $pin.data('user-id'))
+      .then(function () {
+        showFeedback($pinsFeedback, 'warning', 'The new key is trusted. Verify its fingerprint with its owner.');
+        return loadPins();
+      }, function (error) {
+        showFeedback($pinsFeedback, 'error', error.message || 'The new key could not be trusted.');
+      });
+  };
+
+  /**
+   * Download the key.
+   * @param ev {Event}
+   */
+  var downloadBackup = function (ev) {
+    ev.preventDefault();
+    $backupFeedback.empty();
+    passbolt.request('passbolt.key-settings.backup.download')
+      .then(null, function (error) {
+        showFeedback($backupFeedback, 'error', error.message || 'The key could not be downloaded.');
+      });
+  };
+
+  /**
+   * Print the paper backup of the key.
+   * @param ev {Event}
+   */
+  var printPaperBackup = function (ev) {
+    ev.preventDefault();
+    $backupFeedback.empty();
+    passbolt.request('passbolt.key-settings.backup.paper')
+      .then(function (paperBackup) {
+        return passbolt.html.loadTemplate($paperBackup, 'keySettings/paperBackup.ejs', 'html', paperBackup);
+      })
+      .then(function () {
+        window.print();
+        // The printed backup does not need to stay in the page.
+        $paperBackup.empty();
+      }, function (error) {
+        showFeedback($backupFeedback, 'error', error.message || 'The paper backup could not be built.');
+      });
+  };
+
+  /**
+   * Download the key in an encrypted container.
+   * @param ev {Event}
+   */
+  var downloadEncryptedBackup = function (ev) {
+    ev.preventDefault();
+    $backupFeedback.empty();
+    if ($backupPassphrase.val() !== $backupPassphraseConfirm.val()) {
+      showFeedback($backupFeedback, 'error', 'The backup passphrases do not match.');
+      return;
+    }
+    passbolt.request('passbolt.key-settings.backup.download-encrypted', $backupPassphrase.val())
+      .then(function () {
+        $backupPassphrase.val('');
+        $backupPassphraseConfirm.val('');
+        showFeedback($backupFeedback, 'success', 'Keep the backup passphrase apart from the backup file.');
+      }, function (error) {
+        showFeedback($backupFeedback, 'error', error.message || 'The encrypted backup could not be downloaded.');
+      });
+  };
+
+  /**
+   * The new passphrase changed.
+   */
+  var onNewPassphraseInput = function () {
+    var passphrase = $passphraseNew.val();
+    passphraseStrength = secretComplexity.strength(passphrase);
+    passphraseCriterias = {};
+    if (passphrase.length > 0) {
+      passphraseCriterias = secretComplexity.matchMasks(passphrase);
+      passphraseCriterias.minLength = passphrase.length >= 8;
+      if (passphraseCriterias.minLength) {
+        checkPassphrasePwned(passphrase);
+      } else {
+        passphraseCriterias.dictionary = false;
+      }
+    }
+    updatePassphraseComplexity();
+    updatePassphraseButtonState();
+  };
+
+  /**
+   * Change the passphrase.
+   * @param ev {Event}
+   */
+  var changePassphrase = function (ev) {
+    ev.preventDefault();
+    $passphraseFeedback.empty();
+    $passphraseButton.addClass('processing').prop('disabled', true);
+    passbolt.request('passbolt.key-settings.change-passphrase', $passphraseCurrent.val(), $passphraseNew.val())
+      .then(function () {
+        $passphraseCurrent.val('');
+        $passphraseNew.val('').trigger('change');
+        $passphraseConfirm.val('');
+        showFeedback($passphraseFeedback, 'success', 'Your passphrase has been changed. Keep the downloaded key backup in a safe place.');
+      }, function (error) {
+        showFeedback($passphraseFeedback, 'error', error.message || 'The passphrase could not be changed.');
+      })
+      .then(function () {
+        $passphraseButton.removeClass('processing');
+        return updatePassphraseButtonState();
+      });
+  };
+
+  /**
+   * Request the permission to read the clipboard, to check it still contains the copied password before clearing it.
+   * It has to be requested while handling the user action.
+   * @returns {Promise<boolean>} true if the permission is granted
+   */
+  var requestClipboardReadPermission = function () {
+    return new Promise(function (resolve) {
+      chrome.permissions.request({permissions: ['clipboardRead']}, function (granted) {
+        resolve(Boolean(granted));
+      });
+    });
+  };
+
+  /**
+   * Save the delay after which the copied passwords are cleared from the clipboard.
+   */
+  var setClipboardClearDelay = function () {
+    var delay = $clipboardClearDelay.val(),
+      permissionRequest = delay === '0' ? Promise.resolve(true) : requestClipboardReadPermission();
+
+    permissionRequest
+      .then(function (canRead) {
+        return passbolt.request('passbolt.clipboard.set-clear-delay', delay)
+          .then(function () {
+            var message = 'The clipboard setting has been saved.';
+            if (!canRead) {
+              message += ' Without the permission to read the clipboard, it will be cleared even if you copied something else in the meantime.';
+            }
+            showFeedback($clipboardFeedback, canRead ? 'success' : 'warning', message);
+          });
+      })
+      .then(null, function (error) {
+        showFeedback($clipboardFeedback, 'error', error.message || 'The clipboard setting could not be saved.');
+      });
+  };
+
+  init();
+
+});
@@ -0,0 +1,148 @@
+/**
+ * Permission audit page.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+var passbolt = passbolt || {};
+
+$(function () {
+
+  // shortcut for selectors
+  var $tag = $('#js_audit_tag'),
+    $resourcesFilter = $('#js_audit_resources_filter'),
+    $resources = $('#js_audit_resources'),
+    $runButton = $('#js_audit_run'),
+    $exportButton = $('#js_audit_export'),
+    $feedback = $('.selection.feedback'),
+    $report = $('#js_audit_report');
+
+  /**
+   * Initialize the permission audit page.
+   */
+  var init = function () {
+    initTagsSection()
+      .then(initResourcesSection)
+      .then(function () {
+        initEventListeners();
+        $('.config.page').addClass('ready');
+      }, function (error) {
+        showFeedback('error', error.message || 'The passwords could not be retrieved, make sure you are logged in.');
+      });
+  };
+
+  /**
+   * Initialize the tags selection.
+   * The tags are optional, the page works without them if the plugin is not enabled on the server.
+   * @returns {Promise}
+   */
+  var initTagsSection = function () {
+    return passbolt.request('passbolt.tags.find-all')
+      .then(function (tags) {
+        tags.forEach(function (tag) {
+          $tag.append($('<option>').val(tag.slug).text(tag.slug));
+        });
+      }, function () {
+        $tag.prop('disabled', true);
+      });
+  };
+
+  /**
+   * Initialize the resources selection.
+   * @returns {Promise}
+   */
+  var initResourcesSection = function () {
+    return passbolt.request('passbolt.resources.find-all')
+      .then(function (resources) {
+        resources.sort(function (resourceA, resourceB) {
+          return resourceA.name.localeCompare(resourceB.name);
+        });
+        return passbolt.html.loadTemplate($resources, 'permissionAudit/resources.ejs', 'html', {resources: resources});
+      });
+  };
+
+  /**
+   * Initialize the event listeners.
+   */
+  var initEventListeners = function () {
+    $resourcesFilter.on('input', filterResources);
+    $tag.on('change', function () {
+      // A tag selection replaces the passwords selection.
+      $('.js_audit_resource', $resources).prop('checked', false);
+    });
+    $resources.on('change', '.js_audit_resource', function () {
+      $tag.val('');
+    });
+    $runButton.on('click', runAudit);
+    $exportButton.on('click', exportCsv);
+  };
+
+  /**
+   * Display a feedback message.
+   * @param status {string} The message status: success, warning or error
+   * @param message {string} The message
+   */
+  var showFeedback = function (status, message) {
+    $feedback.empty().append($('<div>').addClass('message ' + status).text(message));
+  };
+
+  /* ==================================================================================
+   *  DOM events handlers
+   * ================================================================================== */
+
+  /**
+   * Filter the resources list.
+   */
+  var filterResources = function () {
+    var keywords = $resourcesFilter.val().toLowerCase();
+    $('.audit-resource', $resources).each(function () {
+      $(this).toggle($(this).data('search').indexOf(keywords) !== -1);
+    });
+  };
+
+  /**
+   * Run the audit of the selected passwords.
+   * @param ev {Event}
+   */
+  var runAudit = function (ev) {
+    ev.preventDefault();
+    var selection = {
+      tag: $tag.val(),
+      resourcesIds: $('.js_audit_resource:checked', $resources).map(function () {
+        return $(this).val();
+      }).get()
+    };
+
+    $feedback.empty();
+    $runButton.addClass('processing');
+    passbolt.request('passbolt.permission-audit.run', selection)
+      .then(function (report) {
+        $exportButton.removeClass('disabled').prop('disabled', false);
+        return passbolt.html.loadTemplate($report, 'permissionAudit/report.ejs', 'html', {report: report});
+      })
+      .then(function () {
+        window.location.hash = 'reportanchor';
+      }, function (error) {
+        showFeedback('error', error.message || 'The permissions could not be audited.');
+      })
+      .then(function () {
+        $runButton.removeClass('processing');
+      });
+  };
+
+  /**
+   * Export the report as a CSV file.
+   * @param ev {Event}
+   */
+  var exportCsv = function (ev) {
+    ev.preventDefault();
+    passbolt.request('passbolt.permission-audit.export-csv')
+      .then(null, function (error) {
+        showFeedback('error', error.message || 'The report could not be exported.');
+      });
+  };
+
+  init();
+
+});
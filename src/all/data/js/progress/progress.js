@@ -40,6 +40,17 @@ $(function () {
     goals = data;
   };
 
+  /**
+   * Display the summary of the operation, and let the user close the dialog.
+   */
+  var showSummary = function (message, sections) {
+    updateProgressBar(null, goals);
+    passbolt.html.loadTemplate('.js_dialog_content .form-content', 'progress/summary.ejs', 'html', {message: message, sections: sections})
+      .then(function () {
+        $('#progress-waiting').removeClass('processing').on('click', closeDialog);
+      });
+  };
+
   /**
    * Init all the event listeners relative to view events.
    */
@@ -48,6 +59,7 @@ $(function () {
       $('.js-dialog-close').on('click', closeDialog);
       passbolt.message.on('passbolt.progress.update', updateProgressBar);
       passbolt.message.on('passbolt.progress.update-goals', updateGoals);
+      passbolt.message.on('passbolt.progress.show-summary', showSummary);
       resolve();
     });
   };
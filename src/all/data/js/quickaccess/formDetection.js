@@ -0,0 +1,377 @@
+/**
+ * Login form detection.
+ *
+ * Find the login form the quickaccess should fill on a page. Every form of the
+ * page, and of its same-origin child frames, is scored according to how much
+ * it looks like a login form. Handle the username-first flows where the
+ * password field is displayed only after the username has been submitted.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+var passbolt = window.passbolt || {};
+passbolt.quickaccess = passbolt.quickaccess || {};
+
+(function (passbolt) {
+
+  const formDetection = {};
+
+  /**
+   * Patterns used to recognize a field or a form by its attributes.
+   */
+  const USERNAME_PATTERN = /user|login|email|e-mail|mail|identifier|account|ident/i;
+  const LOGIN_FORM_PATTERN = /login|log-in|log_in|signin|sign-in|sign_in|auth|session/i;
+  const REGISTER_FORM_PATTERN = /register|registration|signup|sign-up|sign_up|join|create|subscribe|reset|forgot|change/i;
+  const SEARCH_FIELD_PATTERN = /search|query|q$/i;
+  const TOTP_FIELD_PATTERN = /otp|totp|2fa|mfa|one.?time|verification.?code|auth.?code|security.?code|token/i;
+
+  /**
+   * Selectors of the fields that can hold a username.
+   */
+  const USERNAME_FIELD_SELECTOR = "input[type='text'], input[type='email'], input[type='tel'], input:not([type])";
+  const PASSWORD_FIELD_SELECTOR = "input[type='password']";
+  const TOTP_FIELD_SELECTOR = "input[type='text'], input[type='number'], input[type='tel'], input:not([type])";
+
+  /**
+   * The minimum time between two checks of a page waited for a password field, in ms.
+   */
+  const PASSWORD_FIELD_CHECK_INTERVAL = 250;
+
+  /**
+   * Check if an element is visible and can be interacted with.
+   * @param {HTMLElement} element The element to check
+   * @return {boolean}
+   */
+  const isUsable = function (element) {
+    if (element.disabled || element.readOnly) {
+      return false;
+    }
+    if (!(element.offsetWidth || element.offsetHeight || element.getClientRects().length)) {
+      return false;
+    }
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
+    return style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  /**
+   * Get a string describing an element, based on the attributes a developer
+   * usually uses to name a field or a form.
+   * @param {HTMLElement} element The element
+   * @return {string}
+   */
+  const getElementSignature = function (element) {
+    return ['id', 'name', 'class', 'action', 'placeholder', 'aria-label']
+      .map(attribute => element.getAttribute(attribute) || '')
+      .join(' ');
+  };
+
+  /**
+   * Get the usable fields of a container matching a selector.
+   * @param {HTMLElement|Document} container The container to search in
+   * @param {string} selector The fields selector
+   * @return {array<HTMLInputElement>}
+   */
+  const getUsableFields = function (container, selector) {
+    return Array.prototype.slice.call(container.querySelectorAll(selector)).filter(isUsable);
+  };
+
+  /**
+   * Get the documents to search login forms in: the document itself and the
+   * documents of its same-origin child frames. Cross-origin frames cannot be
+   * accessed and are ignored.
+   * @param {Document} doc The root document
+   * @return {array<Document>}
+   */
+  const getDocuments = formDetection.getDocuments = function (doc) {
+    let documents = [doc];
+    const frames = doc.querySelectorAll('iframe, frame');
+    for (let i = 0; i < frames.length; i++) {
+      let frameDocument = null;
+      try {
+        frameDocument = frames[i].contentDocument;
+      } catch (error) {
+        // Cross-origin frame.
+      }
+      if (frameDocument && frameDocument.documentElement && isUsable(frames[i])) {
+        documents = documents.concat(getDocuments(frameDocument));
+      }
+    }
+    return documents;
+  };
+
+  /**
+   * Get the candidate forms of a document. The usable fields not belonging to
+   * any form are grouped into a virtual form, a lot of pages do not wrap their
+   * login fields into a form element.
+   * @param {Document} doc The document
+   * @return {array<object>} Array of {element, passwordFields, usernameFields}
+   */
+  const getCandidates = function (doc) {
+    const candidates = [];
+    const forms = doc.querySelectorAll('form');
+    for (let i = 0; i < forms.length; i++) {
+      candidates.push({
+        element: forms[i],
+        passwordFields: getUsableFields(forms[i], PASSWORD_FIELD_SELECTOR),
+        usernameFields: getUsableFields(forms[i], USERNAME_FIELD_SELECTOR)
+      });
+    }
+
+    const notInForm = field => !field.form;
+    candidates.push({
+      element: doc.body || doc.documentElement,
+      passwordFields: getUsableFields(doc, PASSWORD_FIELD_SELECTOR).filter(notInForm),
+      usernameFields: getUsableFields(doc, USERNAME_FIELD_SELECTOR).filter(notInForm)
+    });
+
+    return candidates.filter(candidate => candidate.passwordFields.length || candidate.usernameFields.length);
+  };
+
+  /**
+   * Score a username field. The higher the more likely it holds a username.
+   * @param {HTMLInputElement} field The field
+   * @return {int}
+   */
+  const scoreUsernameField = function (field) {
+    const autocomplete = (field.getAttribute('autocomplete') || '').toLowerCase();
+    const signature = getElementSignature(field);
+    let score = 0;
+    if (autocomplete.indexOf('username') !== -1 || autocomplete.indexOf('email') !== -1) {
+      score += 10;
+    }
+    if (field.type === 'email') {
+      score += 5;
+    }
+    if (USERNAME_PATTERN.test(signature)) {
+      score += 5;
+    }
+    if (SEARCH_FIELD_PATTERN.test(field.name || '') || field.getAttribute('role') === 'search') {
+      score -= 10;
+    }
+    return score;
+  };
+
+  /**
+   * Select the password field to fill among the candidate password fields.
+   * On forms with several password fields (change password) the current
+   * password is the one to fill.
+   * @param {array<HTMLInputElement>} passwordFields The password fields
+   * @return {HTMLInputElement|null}
+   */
+  const selectPasswordField = function (passwordFields) {
+    if (!passwordFields.length) {
+      return null;
+    }
+    const currentPasswordField = passwordFields.find(field => field.getAttribute('autocomplete') === 'current-password');
+    return currentPasswordField || passwordFields[0];
+  };
+
+  /**
+   * Select the username field to fill among the candidate username fields.
+   * When a password field is given, only the fields preceding it are
+   * considered, the closest ones being preferred.
+   * @param {array<HTMLInputElement>} usernameFields The username fields
+   * @param {HTMLInputElement} [passwordField] The password field to fill
+   * @return {HTMLInputElement|null}
+   */
+  const selectUsernameField = function (usernameFields, passwordField) {
+    let fields = usernameFields;
+    if (passwordField) {
+      fields = fields.filter(field => field.compareDocumentPosition(passwordField) & Node.DOCUMENT_POSITION_FOLLOWING);
+    }
+    let selected = null;
+    let selectedScore = -Infinity;
+    fields.forEach((field, index) => {
+      // The closer to the password field the better.
+      const score = scoreUsernameField(field) + (passwordField ? index : 0);
+      if (score >= selectedScore && score > -10) {
+        selected = field;
+        selectedScore = score;
+      }
+    });
+    return selected;
+  };
+
+  /**
+   * Score a candidate form. The higher the more likely it is a login form.
+   * @param {object} candidate The candidate form
+   * @return {int}
+   */
+  const scoreCandidate = function (candidate) {
+    const signature = getElementSignature(candidate.element);
+    const passwordCount = candidate.passwordFields.length;
+    let score = 0;
+
+    if (passwordCount === 1) {
+      score += 20;
+    } else if (passwordCount > 1) {
+      // Sign up or change password forms.
+      score += 5;
+    }
+    if (candidate.passwordFields.some(field => field.getAttribute('autocomplete') === 'current-password')) {
+      score += 10;
+    }
+    if (candidate.passwordFields.length && candidate.passwordFields.every(field => field.getAttribute('autocomplete') === 'new-password')) {
+      score -= 15;
+    }
+    if (candidate.usernameField) {
+      score += 5 + Math.max(0, scoreUsernameField(candidate.usernameField));
+    }
+    if (LOGIN_FORM_PATTERN.test(signature)) {
+      score += 10;
+    }
+    if (REGISTER_FORM_PATTERN.test(signature)) {
+      score -= 10;
+    }
+    // A login form rarely has more than a few text fields.
+    if (candidate.usernameFields.length > 3) {
+      score -= 5 * (candidate.usernameFields.length - 3);
+    }
+    return score;
+  };
+
+  /**
+   * Find the login form to fill on a document and its same-origin frames.
+   *
+   * The returned form can be:
+   * - a classic login form: usernameField and passwordField are set;
+   * - a password only form (second step of a username-first flow, or a form
+   *   where the username is already filled): usernameField is null;
+   * - a username only form (first step of a username-first flow):
+   *   passwordField is null.
+   *
+   * @param {Document} doc The document to search in
+   * @return {object|null} Object {element, usernameField, passwordField, passwordFields, score} or null if no login form is found
+   */
+  formDetection.findLoginForm = function (doc) {
+    let best = null;
+    getDocuments(doc).forEach(frameDocument => {
+      getCandidates(frameDocument).forEach(candidate => {
+        candidate.passwordField = selectPasswordField(candidate.passwordFields);
+        candidate.usernameField = selectUsernameField(candidate.usernameFields, candidate.passwordField);
+        // A username only form needs a good reason to be considered as a login form.
+        if (!candidate.passwordField && (!candidate.usernameField || scoreUsernameField(candidate.usernameField) <= 0)) {
+          return;
+        }
+        candidate.score = scoreCandidate(candidate);
+        if (!best || candidate.score > best.score) {
+          best = candidate;
+        }
+      });
+    });
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      element: best.element,
+      usernameField: best.usernameField,
+      passwordField: best.passwordField,
+      passwordFields: best.passwordFields,
+      score: best.score
+    };
+  };
+
+  /**
+   * Find the field to fill a TOTP code in, on a document and its same-origin
+   * frames.
+   * @param {Document} doc The document to search in
+   * @return {HTMLInputElement|null} null if no TOTP field is found
+   */
+  formDetection.findTotpField = function (doc) {
+    let best = null;
+    let bestScore = 0;
+    getDocuments(doc).forEach(frameDocument => {
+      getUsableFields(frameDocument, TOTP_FIELD_SELECTOR).forEach(field => {
+        const maxLength = parseInt(field.getAttribute('maxlength'), 10);
+        let score = 0;
+        if ((field.getAttribute('autocomplete') || '').toLowerCase() === 'one-time-code') {
+          score += 10;
+        }
+        if (TOTP_FIELD_PATTERN.test(getElementSignature(field))) {
+          score += 5;
+        }
+        if (maxLength >= 6 && maxLength <= 8) {
+          score += 2;
+        }
+        if (field.getAttribute('inputmode') === 'numeric') {
+          score += 1;
+        }
+        if (score > bestScore) {
+          best = field;
+          bestScore = score;
+        }
+      });
+    });
+
+    return best;
+  };
+
+  /**
+   * Wait for a password field to appear on a document. Used by the
+   * username-first flows, where the password field is displayed once the
+   * username step is submitted.
+   *
+   * The page is checked at most once per PASSWORD_FIELD_CHECK_INTERVAL, a
+   * page can mutate its DOM a lot while the user navigates its login steps.
+   *
+   * @param {Document} doc The document to observe
+   * @param {int} timeout The time to wait in ms
+   * @return {object} Object {promise, abandon}
+   * - {Promise<HTMLInputElement>} promise Reject if no password field appeared in time, or if the wait is abandoned
+   * - {function} abandon Stop waiting
+   */
+  formDetection.waitForPasswordField = function (doc, timeout) {
+    let abandon = null;
+    const promise = new Promise((resolve, reject) => {
+      let observer = null;
+      let timer = null;
+      let checkTimer = null;
+
+      const stop = function () {
+        observer.disconnect();
+        clearTimeout(timer);
+        clearTimeout(checkTimer);
+      };
+
+      const check = function () {
+        checkTimer = null;
+        // Do not score the forms as long as there is no password field at all.
+        if (!doc.querySelector(PASSWORD_FIELD_SELECTOR)) {
+          return;
+        }
+        const loginForm = formDetection.findLoginForm(doc);
+        if (loginForm && loginForm.passwordField) {
+          stop();
+          resolve(loginForm.passwordField);
+        }
+      };
+
+      const scheduleCheck = function () {
+        if (!checkTimer) {
+          checkTimer = setTimeout(check, PASSWORD_FIELD_CHECK_INTERVAL);
+        }
+      };
+
+      observer = new MutationObserver(scheduleCheck);
+      observer.observe(doc.documentElement, {childList: true, subtree: true, attributes: true, attributeFilter: ['style', 'class', 'type', 'hidden']});
+      timer = setTimeout(() => {
+        stop();
+        reject(new Error('No password field appeared on the page'));
+      }, timeout);
+      abandon = function () {
+        stop();
+        reject(new Error('The wait for the password field was abandoned'));
+      };
+    });
+
+    return {promise, abandon};
+  };
+
+  passbolt.quickaccess.formDetection = formDetection;
+
+})(passbolt);
+
+window.passbolt = passbolt;
@@ -0,0 +1,257 @@
+require("./formDetection");
+
+const formDetection = window.passbolt.quickaccess.formDetection;
+
+/**
+ * jsdom does not lay out the pages, consider the elements of a window as displayed.
+ * The elements hidden with their style are still detected as such.
+ * @param {Window} win The window
+ */
+const layOut = function(win) {
+  Object.defineProperty(win.HTMLElement.prototype, 'offsetWidth', {configurable: true, get: () => 100});
+  Object.defineProperty(win.HTMLElement.prototype, 'offsetHeight', {configurable: true, get: () => 20});
+};
+
+/**
+ * Fake mutation observer, jsdom does not provide one.
+ */
+class FakeMutationObserver {
+  constructor(callback) {
+    this.callback = callback;
+    FakeMutationObserver.instances.push(this);
+  }
+  observe() {}
+  disconnect() {
+    this.disconnected = true;
+  }
+  mutate() {
+    if (!this.disconnected) {
+      this.callback([]);
+    }
+  }
+}
+FakeMutationObserver.instances = [];
+
+beforeEach(() => {
+  layOut(window);
+  document.body.innerHTML = '';
+});
+
+describe("formDetection.findLoginForm", () => {
+
+  it("should find the username and password fields of a login page", () => {
+    document.body.innerHTML = `
+      <form id="login-form" action="/login">
+        <input type="text" name="username" autocomplete="username"/>
+        <input type="password" name="password" autocomplete="current-password"/>
+        <button type="submit">Sign in</button>
+      </form>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.element.id).toBe("login-form");
+    expect(loginForm.usernameField.name).toBe("username");
+    expect(loginForm.passwordField.name).toBe("password");
+  });
+
+  it("should find the login fields when they are not wrapped in a form", () => {
+    document.body.innerHTML = `
+      <div>
+        <input type="email" name="email"/>
+        <input type="password" name="pass"/>
+      </div>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.element).toBe(document.body);
+    expect(loginForm.usernameField.name).toBe("email");
+    expect(loginForm.passwordField.name).toBe("pass");
+  });
+
+  it("should prefer the login form to the signup form of a page", () => {
+    document.body.innerHTML = `
+      <form id="signup" class="register-form">
+        <input type="text" name="firstname"/>
+        <input type="email" name="signup-email"/>
+        <input type="password" name="new-password" autocomplete="new-password"/>
+        <input type="password" name="confirm-password" autocomplete="new-password"/>
+      </form>
+      <form id="signin">
+        <input type="email" name="login-email"/>
+        <input type="password" name="login-password"/>
+      </form>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.element.id).toBe("signin");
+    expect(loginForm.usernameField.name).toBe("login-email");
+    expect(loginForm.passwordField.name).toBe("login-password");
+  });
+
+  it("should select the current password on a form having several password fields", () => {
+    document.body.innerHTML = `
+      <form id="change-password">
+        <input type="password" name="new" autocomplete="new-password"/>
+        <input type="password" name="current" autocomplete="current-password"/>
+      </form>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.passwordField.name).toBe("current");
+    expect(loginForm.passwordFields.length).toBe(2);
+  });
+
+  it("should select the username field preceding the password field", () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="text" name="q" role="search"/>
+        <input type="text" name="company"/>
+        <input type="text" name="login"/>
+        <input type="password" name="password"/>
+        <input type="text" name="captcha"/>
+      </form>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.usernameField.name).toBe("login");
+  });
+
+  it("should ignore the hidden and disabled fields", () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="text" name="user" disabled/>
+        <input type="email" name="email"/>
+        <input type="password" name="hidden-password" style="display: none"/>
+        <input type="password" name="password"/>
+      </form>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.usernameField.name).toBe("email");
+    expect(loginForm.passwordField.name).toBe("password");
+  });
+
+  it("should find the username step of a username-first page", () => {
+    document.body.innerHTML = `
+      <form id="identifier-form" class="login">
+        <input type="email" name="identifier" autocomplete="username"/>
+        <button type="submit">Next</button>
+      </form>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.usernameField.name).toBe("identifier");
+    expect(loginForm.passwordField).toBeNull();
+  });
+
+  it("should find the password step of a username-first page", () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="password" name="password" autocomplete="current-password"/>
+      </form>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.usernameField).toBeNull();
+    expect(loginForm.passwordField.name).toBe("password");
+  });
+
+  it("should not consider a search field as a login form", () => {
+    document.body.innerHTML = `
+      <form role="search">
+        <input type="text" name="q"/>
+      </form>`;
+    expect(formDetection.findLoginForm(document)).toBeNull();
+  });
+
+  it("should find a login form in a same-origin iframe", () => {
+    document.body.innerHTML = `
+      <form role="search"><input type="text" name="search"/></form>
+      <iframe></iframe>`;
+    const frame = document.querySelector('iframe');
+    layOut(frame.contentWindow);
+    frame.contentDocument.body.innerHTML = `
+      <form id="frame-login">
+        <input type="text" name="username" autocomplete="username"/>
+        <input type="password" name="password"/>
+      </form>`;
+    const loginForm = formDetection.findLoginForm(document);
+    expect(loginForm.element.id).toBe("frame-login");
+    expect(loginForm.usernameField.ownerDocument).toBe(frame.contentDocument);
+    expect(loginForm.passwordField.name).toBe("password");
+  });
+
+  it("should ignore the login forms of hidden iframes", () => {
+    document.body.innerHTML = `<iframe style="display: none"></iframe>`;
+    const frame = document.querySelector('iframe');
+    layOut(frame.contentWindow);
+    frame.contentDocument.body.innerHTML = `<form><input type="password" name="password"/></form>`;
+    expect(formDetection.findLoginForm(document)).toBeNull();
+  });
+});
+
+describe("formDetection.findTotpField", () => {
+
+  it("should find the one time code field", () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="text" name="remember-label"/>
+        <input type="text" name="code" autocomplete="one-time-code" inputmode="numeric" maxlength="6"/>
+      </form>`;
+    expect(formDetection.findTotpField(document).name).toBe("code");
+  });
+
+  it("should recognize a TOTP field by its name", () => {
+    document.body.innerHTML = `<input type="tel" id="totp-input" name="otp"/>`;
+    expect(formDetection.findTotpField(document).id).toBe("totp-input");
+  });
+
+  it("should not find a TOTP field on a login page", () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="text" name="username"/>
+        <input type="password" name="password"/>
+      </form>`;
+    expect(formDetection.findTotpField(document)).toBeNull();
+  });
+});
+
+describe("formDetection.waitForPasswordField", () => {
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    FakeMutationObserver.instances = [];
+    window.MutationObserver = FakeMutationObserver;
+  });
+
+  afterEach(() => {
+    delete window.MutationObserver;
+    jest.useRealTimers();
+  });
+
+  it("should resolve with the password field once it is displayed", async () => {
+    document.body.innerHTML = `<form><input type="email" name="email"/></form>`;
+    const wait = formDetection.waitForPasswordField(document, 30000);
+    document.querySelector('form').insertAdjacentHTML('beforeend', '<input type="password" name="password"/>');
+    FakeMutationObserver.instances[0].mutate();
+    jest.advanceTimersByTime(250);
+    const passwordField = await wait.promise;
+    expect(passwordField.name).toBe("password");
+    expect(FakeMutationObserver.instances[0].disconnected).toBe(true);
+  });
+
+  it("should check the page at most once per interval", async () => {
+    document.body.innerHTML = `<form><input type="email" name="email"/></form>`;
+    const findLoginForm = jest.spyOn(formDetection, 'findLoginForm');
+    const wait = formDetection.waitForPasswordField(document, 30000);
+    document.querySelector('form').insertAdjacentHTML('beforeend', '<input type="password" name="password" style="display: none"/>');
+    for (let i = 0; i < 50; i++) {
+      FakeMutationObserver.instances[0].mutate();
+    }
+    jest.advanceTimersByTime(250);
+    expect(findLoginForm).toHaveBeenCalledTimes(1);
+    wait.abandon();
+    await expect(wait.promise).rejects.toThrow();
+    findLoginForm.mockRestore();
+  });
+
+  it("should reject if no password field appears in time", async () => {
+    document.body.innerHTML = `<form><input type="email" name="email"/></form>`;
+    const wait = formDetection.waitForPasswordField(document, 30000);
+    jest.advanceTimersByTime(30000);
+    await expect(wait.promise).rejects.toThrow("No password field appeared on the page");
+    expect(FakeMutationObserver.instances[0].disconnected).toBe(true);
+  });
+
+  it("should reject and stop observing the page when abandoned", async () => {
+    document.body.innerHTML = `<form><input type="email" name="email"/></form>`;
+    const wait = formDetection.waitForPasswordField(document, 30000);
+    wait.abandon();
+    await expect(wait.promise).rejects.toThrow("The wait for the password field was abandoned");
+    expect(FakeMutationObserver.instances[0].disconnected).toBe(true);
+  });
+});
@@ -14,6 +14,7 @@ import LoginPage from "./components/LoginPage/LoginPage";
 import MoreFiltersPage from "./components/MoreFiltersPage/MoreFiltersPage";
 import ResourceCreatePage from "./components/ResourceCreatePage/ResourceCreatePage";
 import ResourceViewPage from "./components/ResourceViewPage/ResourceViewPage";
+import SaveCredentialsPage from "./components/SaveCredentialsPage/SaveCredentialsPage";
 import Search from "./components/Search/Search";
 import { BrowserRouter as Router, Route } from "react-router-dom";
 import PrivateRoute from "./components/PrivateRoute/PrivateRoute";
@@ -185,6 +186,7 @@ class QuickAccess extends React.Component {
                       <PrivateRoute path="/data/quickaccess/resources/create" component={ResourceCreatePage} />
                       <PrivateRoute path="/data/quickaccess/resources/view/:id" component={ResourceViewPage} />
                       <PrivateRoute exact path="/data/quickaccess/more-filters" component={MoreFiltersPage} />
+                      <PrivateRoute exact path="/data/quickaccess/credentials/save" component={SaveCredentialsPage} />
                       <PrivateRoute exact path="/data/quickaccess.html" component={HomePage} />
                     </AnimatedSwitch>
                   </div>
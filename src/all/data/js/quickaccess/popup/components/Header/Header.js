@@ -1,5 +1,6 @@
 import React from "react";
 import PropTypes from "prop-types";
+import browser from "webextension-polyfill/dist/browser-polyfill";
 import AppContext from "../../contexts/AppContext";
 
 class Header extends React.Component {
@@ -11,6 +12,15 @@ class Header extends React.Component {
 
   initEventHandlers() {
     this.handleLogoutClick = this.handleLogoutClick.bind(this);
+    this.handleKeySettingsClick = this.handleKeySettingsClick.bind(this);
+  }
+
+  /**
+   * Open the key settings page: change the passphrase, verify the other users keys and back up the key.
+   */
+  handleKeySettingsClick() {
+    browser.tabs.create({ url: browser.runtime.getURL("/data/key-settings.html") });
+    window.close();
   }
 
   async handleLogoutClick() {
@@ -26,6 +36,16 @@ class Header extends React.Component {
             <span className="visually-hidden">Passbolt</span>
           </a>
         </h1>
+        {this.context.isLoggedIn &&
+          <a role="button" className={`option-link button button-icon`} onClick={this.handleKeySettingsClick} title="key settings">
+            <span className="visually-hidden">key settings</span>
+            <span className="fa icon">
+              <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false" data-prefix="fas" data-icon="key" className="svg-inline--fa fa-key fa-w-16" role="img" viewBox="0 0 512 512">
+                <path fill="currentColor" d="M512 176.001C512 273.203 433.202 352 336 352c-11.22 0-22.19-1.062-32.827-3.069l-24.012 27.014A23.999 23.999 0 0 1 261.223 384H224v40c0 13.255-10.745 24-24 24h-40v40c0 13.255-10.745 24-24 24H24c-13.255 0-24-10.745-24-24v-78.059c0-6.365 2.529-12.47 7.029-16.971l161.802-161.802C163.108 213.814 160 195.271 160 176 160 78.798 238.797.001 335.999 0 433.488-.001 512 78.511 512 176.001zM336 128c0 26.51 21.49 48 48 48s48-21.49 48-48-21.49-48-48-48-48 21.49-48 48z" />
+              </svg>
+            </span>
+          </a>
+        }
         {this.context.isLoggedIn &&
           <a role="button" className={`option-link button button-icon`} onClick={this.handleLogoutClick} title="logout">
             <span className="visually-hidden">logout</span>
@@ -3,6 +3,7 @@ import React from "react";
 import { Link } from "react-router-dom";
 import AppContext from "../../contexts/AppContext";
 import SimpleBar from "../SimpleBar/SimpleBar";
+import { SuggestedResources } from "../../../../../../background_page/model/suggestedResources";
 
 const SUGGESTED_RESOURCES_LIMIT = 3;
 const BROWSED_RESOURCES_LIMIT = 500;
@@ -21,6 +22,7 @@ class HomePage extends React.Component {
     this.context.focusSearch();
     this.findResources();
     this.getTabUrl();
+    this.getSubmittedCredentials();
   }
 
   initEventHandlers() {
@@ -31,7 +33,9 @@ class HomePage extends React.Component {
   initState() {
     this.state = {
       resources: null,
-      tabUrl: null
+      matchModes: {},
+      tabUrl: null,
+      submittedCredentials: null
     };
   }
 
@@ -41,15 +45,21 @@ class HomePage extends React.Component {
       this.sortResourcesAlphabetically(resources);
       this.setState({ resources });
     }
+    if (changes.resourcesMatchModes) {
+      this.setState({ matchModes: changes.resourcesMatchModes.newValue || {} });
+    }
   }
 
   async findResources() {
-    const storageData = await browser.storage.local.get(["resources"]);
+    const storageData = await browser.storage.local.get(["resources", "resourcesMatchModes"]);
     if (storageData.resources) {
       const resources = storageData.resources;
       this.sortResourcesAlphabetically(resources);
       this.setState({ resources });
     }
+    if (storageData.resourcesMatchModes) {
+      this.setState({ matchModes: storageData.resourcesMatchModes });
+    }
     passbolt.request("passbolt.resources.update-local-storage");
   }
 
@@ -76,31 +86,24 @@ class HomePage extends React.Component {
     this.setState({ tabUrl })
   }
 
+  async getSubmittedCredentials() {
+    try {
+      const submittedCredentials = await passbolt.request("passbolt.quickaccess.get-submitted-credentials");
+      this.setState({ submittedCredentials });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
   /**
-   * Get the resources for the suggested section.
+   * Get the resources for the suggested section, the best matches first.
    * @return {array} The list of resources.
    */
   getSuggestedResources() {
-    const suggestedResources = [];
-
-    for (let i in this.state.resources) {
-      const resource = this.state.resources[i];
-      if (resource.uri) {
-        // Extract the domain from the resource uri, it ensures a higher matching rate :
-        // - By instance at amazon the same credentials can be used on different subdomains: www.amazon.com; signin.aws.amazon.com; etc ..
-        // - Removing the final part of the urls allows to match DOMAIN/user/login as well as DOMAIN/ap/signin that can vary from a domain service to another.
-        const resourceUriToMatch = resource.uri.replace(/^((http|https):\/\/)?(www\.)?([^\/]*)(\/.*)?/, "$4");
-        const regex = new RegExp(this.escapeRegExp(resourceUriToMatch), 'i');
-        if (regex.test(this.state.tabUrl)) {
-          suggestedResources.push(resource);
-          if (suggestedResources.length == SUGGESTED_RESOURCES_LIMIT) {
-            break;
-          }
-        }
-      }
-    }
-
-    return suggestedResources;
+    return SuggestedResources.find(this.state.resources, this.state.tabUrl, {
+      limit: SUGGESTED_RESOURCES_LIMIT,
+      matchModes: this.state.matchModes
+    });
   }
 
   /**
@@ -175,6 +178,23 @@ class HomePage extends React.Component {
     return (
       <div className="index-list">
         <SimpleBar className="list-container">
+          {(showSuggestedSection && this.state.submittedCredentials) &&
+            <div className="list-section">
+              <div className="list-title">
+                <h2>Save password</h2>
+              </div>
+              <ul className="list-items">
+                <li className="filter-entry">
+                  <Link to={"/data/quickaccess/credentials/save"}>
+                    <span className="filter">
+                      Save the password used on {this.state.submittedCredentials.host}
+                      {this.state.submittedCredentials.username ? ` (${this.state.submittedCredentials.username})` : ""}
+                    </span>
+                  </Link>
+                </li>
+              </ul>
+            </div>
+          }
           {showSuggestedSection &&
             <div className={`list-section`}>
               <div className="list-title">
@@ -0,0 +1,237 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Totp } from "../../../../../../background_page/model/totp";
+
+class ResourceTotp extends React.Component {
+  constructor(props) {
+    super(props);
+    this.initEventHandlers();
+    this.initState();
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.codeInterval);
+  }
+
+  initEventHandlers() {
+    this.handleShowClick = this.handleShowClick.bind(this);
+    this.handleCopyClick = this.handleCopyClick.bind(this);
+    this.handleUseOnThisTabClick = this.handleUseOnThisTabClick.bind(this);
+    this.handleEditClick = this.handleEditClick.bind(this);
+    this.handleRemoveClick = this.handleRemoveClick.bind(this);
+    this.handleCancelClick = this.handleCancelClick.bind(this);
+    this.handleInputChange = this.handleInputChange.bind(this);
+    this.handleQrCodeChange = this.handleQrCodeChange.bind(this);
+    this.handleFormSubmit = this.handleFormSubmit.bind(this);
+  }
+
+  initState() {
+    this.state = {
+      // undefined until the secret is decrypted, null if the resource has no TOTP.
+      totp: undefined,
+      code: "",
+      countdown: 0,
+      processing: false,
+      editing: false,
+      uri: "",
+      error: ""
+    };
+  }
+
+  async handleShowClick(event) {
+    event.preventDefault();
+    this.setState({ processing: true, error: "" });
+    try {
+      const totp = await passbolt.request('passbolt.secret.get-totp', this.props.resourceId);
+      this.setState({ totp, processing: false });
+      this.startCodes(totp);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Display the codes of a TOTP, renewed at the end of each period.
+   * @param {string|null} totp The otpauth URI
+   */
+  startCodes(totp) {
+    clearInterval(this.codeInterval);
+    if (!totp) {
+      this.setState({ code: "", countdown: 0 });
+      return;
+    }
+    let expiresAt = 0;
+    const updateCode = async () => {
+      if (Date.now() >= expiresAt) {
+        const generated = await Totp.generate(totp);
+        expiresAt = generated.expiresAt;
+        this.setState({ code: generated.code });
+      }
+      this.setState({ countdown: Math.ceil((expiresAt - Date.now()) / 1000) });
+    };
+    const tick = () => updateCode().catch(error => {
+      clearInterval(this.codeInterval);
+      this.handleError(error);
+    });
+    this.codeInterval = setInterval(tick, 1000);
+    tick();
+  }
+
+  async handleCopyClick(event) {
+    event.preventDefault();
+    if (!this.state.code) {
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(this.state.code);
+      const pendingClear = await passbolt.request('passbolt.clipboard.schedule-clear', this.state.code);
+      this.props.onCopy(pendingClear);
+    } catch (error) {
+      console.error('An unexpected error occured', error);
+    }
+  }
+
+  async handleUseOnThisTabClick(event) {
+    event.preventDefault();
+    this.setState({ error: "" });
+    try {
+      await passbolt.request('passbolt.quickaccess.fill-totp-code', this.state.code);
+      window.close();
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  handleEditClick(event) {
+    event.preventDefault();
+    this.setState({ editing: true, uri: "", error: "" });
+  }
+
+  handleCancelClick(event) {
+    event.preventDefault();
+    this.setState({ editing: false, error: "" });
+  }
+
+  async handleRemoveClick(event) {
+    event.preventDefault();
+    await this.save(null);
+  }
+
+  handleInputChange(event) {
+    this.setState({ uri: event.target.value });
+  }
+
+  handleQrCodeChange(event) {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        const uri = await passbolt.request('passbolt.secret.read-totp-qr-code', reader.result);
+        this.setState({ uri, error: "" });
+      } catch (error) {
+        this.handleError(error);
+      }
+    };
+    reader.readAsDataURL(file);
+  }
+
+  async handleFormSubmit(event) {
+    event.preventDefault();
+    if (!this.state.uri) {
+      this.setState({ error: "Enter the otpauth:// URI or upload the QR code of the TOTP." });
+      return;
+    }
+    await this.save(this.state.uri);
+  }
+
+  /**
+   * Save the TOTP of the resource.
+   * @param {string|null} uri The otpauth URI, null to remove the TOTP
+   */
+  async save(uri) {
+    this.setState({ processing: true, error: "" });
+    try {
+      await passbolt.request('passbolt.secret.update-totp', this.props.resourceId, uri);
+      const totp = uri ? await passbolt.request('passbolt.secret.get-totp', this.props.resourceId) : null;
+      this.setState({ totp, editing: false, processing: false });
+      this.startCodes(totp);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  handleError(error) {
+    if (error.name == "UserAbortsOperationError") {
+      this.setState({ processing: false });
+      return;
+    }
+    this.setState({ processing: false, error: error.message || "An unexpected error occured." });
+  }
+
+  renderEditForm() {
+    return (
+      <form className="totp-edit" onSubmit={this.handleFormSubmit}>
+        <div className="input text">
+          <label htmlFor="totp-uri">TOTP</label>
+          <input name="totp" id="totp-uri" type="text" placeholder="otpauth://totp/..." value={this.state.uri}
+            onChange={this.handleInputChange} disabled={this.state.processing} autoComplete="off" />
+        </div>
+        <div className="input file">
+          <label htmlFor="totp-qr-code">Or upload its QR code</label>
+          <input name="qrCode" id="totp-qr-code" type="file" accept="image/*" onChange={this.handleQrCodeChange} disabled={this.state.processing} />
+        </div>
+        <div className="submit-wrapper">
+          <input type="submit" className={`button primary ${this.state.processing ? "processing" : ""}`} value="save" disabled={this.state.processing} />
+          <a href="#" className="cancel" role="button" onClick={this.handleCancelClick}>cancel</a>
+        </div>
+      </form>
+    );
+  }
+
+  render() {
+    return (
+      <li className="property totp">
+        <a role="button" className={`button button-icon property-action ${!this.state.code ? "disabled" : ""}`} onClick={this.handleCopyClick} title="copy to clipboard">
+          <span className="fa icon">
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512"><path d="M336 64h-80c0-35.29-28.71-64-64-64s-64 28.71-64 64H48C21.49 64 0 85.49 0 112v352c0 26.51 21.49 48 48 48h288c26.51 0 48-21.49 48-48V112c0-26.51-21.49-48-48-48zm-6 400H54a6 6 0 0 1-6-6V118a6 6 0 0 1 6-6h42v36c0 6.627 5.373 12 12 12h168c6.627 0 12-5.373 12-12v-36h42a6 6 0 0 1 6 6v340a6 6 0 0 1-6 6zM192 40c13.255 0 24 10.745 24 24s-10.745 24-24 24-24-10.745-24-24 10.745-24 24-24" /></svg>
+          </span>
+          <span className="visually-hidden">Copy to clipboard</span>
+        </a>
+        <span className="property-name">TOTP</span>
+        {this.state.totp === undefined &&
+          <a href="#" role="button" className={`property-value ${this.state.processing ? "processing" : ""}`} onClick={this.handleShowClick}>
+            show the code
+          </a>
+        }
+        {this.state.totp === null && !this.state.editing &&
+          <span className="property-value empty">
+            no TOTP <a href="#" role="button" className="totp-add" onClick={this.handleEditClick}>add one</a>
+          </span>
+        }
+        {this.state.totp && !this.state.editing &&
+          <span className="property-value">
+            <a href="#" role="button" className="totp-code" onClick={this.handleCopyClick}>{this.state.code}</a>
+            <span className="totp-countdown"> {this.state.countdown}s</span>
+            <a href="#" role="button" className="totp-use" onClick={this.handleUseOnThisTabClick}> use on this page</a>
+            <a href="#" role="button" className="totp-edit" onClick={this.handleEditClick}> edit</a>
+            <a href="#" role="button" className="totp-remove" onClick={this.handleRemoveClick}> remove</a>
+          </span>
+        }
+        {this.state.editing && this.renderEditForm()}
+        {this.state.error &&
+          <div className="error-message">{this.state.error}</div>
+        }
+      </li>
+    );
+  }
+}
+
+ResourceTotp.propTypes = {
+  resourceId: PropTypes.string,
+  onCopy: PropTypes.func
+};
+
+export default ResourceTotp;
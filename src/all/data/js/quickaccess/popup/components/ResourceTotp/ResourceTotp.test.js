@@ -0,0 +1,71 @@
+import React from "react";
+import { render, fireEvent, wait, cleanup } from 'react-testing-library';
+import ResourceTotp from "./ResourceTotp";
+
+// Reset the modules before each test.
+beforeEach(() => {
+  jest.resetModules();
+  // The codes are computed with the WebCrypto API, not provided by jsdom.
+  window.crypto = require('crypto').webcrypto;
+});
+
+// Cleanup after each test.
+afterEach(() => {
+  cleanup();
+  delete window.passbolt;
+  jest.restoreAllMocks();
+});
+
+describe("ResourceTotp", () => {
+
+  it("should display the code of the resource TOTP once decrypted", async () => {
+    // Test vector of the RFC 6238.
+    jest.spyOn(Date, 'now').mockReturnValue(59000);
+    window.passbolt = {
+      request: (event) => new Promise(resolve => {
+        if (event == "passbolt.secret.get-totp") {
+          resolve("otpauth://totp/ACME:ada@passbolt.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&digits=8");
+        }
+      })
+    };
+
+    const component = render(<ResourceTotp resourceId="resource-id" onCopy={jest.fn()} />);
+    fireEvent.click(component.getByText("show the code"));
+
+    // Wait the passbolt.request and the code generation are completed.
+    await wait(() => expect(component.container.querySelector('.totp-code').textContent).toBe("94287082"));
+    expect(component.container.querySelector('.totp-countdown').textContent).toBe(" 1s");
+  });
+
+  it("should request to save the TOTP entered for a resource having none", async () => {
+    const updateEventMockCallback = jest.fn();
+    window.passbolt = {
+      request: function (event) {
+        return new Promise(resolve => {
+          if (event === "passbolt.secret.get-totp") {
+            resolve(null);
+          } else if (event === "passbolt.secret.update-totp") {
+            updateEventMockCallback(arguments[1], arguments[2]);
+            resolve({});
+          }
+        });
+      }
+    };
+
+    const component = render(<ResourceTotp resourceId="resource-id" onCopy={jest.fn()} />);
+    fireEvent.click(component.getByText("show the code"));
+    await wait();
+
+    // Add a TOTP.
+    fireEvent.click(component.getByText("add one"));
+    const uri = "otpauth://totp/ACME:ada@passbolt.com?secret=JBSWY3DPEHPK3PXP";
+    fireEvent.change(component.container.querySelector('[name="totp"]'), { target: { value: uri } });
+    fireEvent.click(component.container.querySelector('input[type="submit"]'), { button: 0 });
+
+    // Wait the passbolt.request that request the addon code to save the TOTP is completed.
+    await wait();
+
+    expect(updateEventMockCallback).toHaveBeenCalledWith("resource-id", uri);
+  });
+
+});
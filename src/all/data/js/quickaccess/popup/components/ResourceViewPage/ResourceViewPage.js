@@ -3,6 +3,8 @@ import { Link } from "react-router-dom";
 import Transition from 'react-transition-group/Transition';
 import browser from "webextension-polyfill/dist/browser-polyfill";
 import AppContext from "../../contexts/AppContext";
+import ResourceTotp from "../ResourceTotp/ResourceTotp";
+import { UrlMatcher } from "../../../../../../background_page/model/urlMatcher";
 
 class ResourceViewPage extends React.Component {
   constructor(props) {
@@ -12,22 +14,37 @@ class ResourceViewPage extends React.Component {
     this.loadResource();
   }
 
+  componentDidMount() {
+    this.loadClipboardPendingClear();
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.clipboardCountdownInterval);
+  }
+
   initEventHandlers() {
     this.handleGoBackClick = this.handleGoBackClick.bind(this);
     this.handleCopyLoginClick = this.handleCopyLoginClick.bind(this);
     this.handleCopyPasswordClick = this.handleCopyPasswordClick.bind(this);
+    this.handleCopyTotpCode = this.handleCopyTotpCode.bind(this);
     this.handleGoToUrlClick = this.handleGoToUrlClick.bind(this);
     this.handleUseOnThisTabClick = this.handleUseOnThisTabClick.bind(this);
+    this.handleUseOnThisTabAnywayClick = this.handleUseOnThisTabAnywayClick.bind(this);
+    this.handleMatchModeChange = this.handleMatchModeChange.bind(this);
   }
 
   initState() {
     this.state = {
       resource: {},
+      matchMode: UrlMatcher.MODES.DOMAIN,
       passphrase: "",
       usingOnThisTab: false,
       copySecretState: "default",
       copyLoginState: "default",
-      useOnThisTabError: ""
+      clipboardClearCountdown: 0,
+      useOnThisTabError: "",
+      // The origin of the page the user is warned about, the user can confirm to fill it anyway.
+      unsafeOrigin: null
     };
   }
 
@@ -48,13 +65,42 @@ class ResourceViewPage extends React.Component {
   }
 
   async loadResource() {
-    const storageData = await browser.storage.local.get("resources");
+    const storageData = await browser.storage.local.get(["resources", "resourcesMatchModes"]);
     const resource = storageData.resources.find(item => item.id == this.props.match.params.id);
-    this.setState({ resource });
+    const matchModes = storageData.resourcesMatchModes || {};
+    this.setState({ resource, matchMode: matchModes[resource.id] || UrlMatcher.MODES.DOMAIN });
+  }
+
+  async loadClipboardPendingClear() {
+    try {
+      const pendingClear = await passbolt.request('passbolt.clipboard.get-pending-clear');
+      this.startClipboardClearCountdown(pendingClear.expiresAt);
+    } catch (error) {
+      console.error('An unexpected error occured', error);
+    }
+  }
+
+  /**
+   * Display the seconds left before the clipboard is cleared.
+   * @param {int|null} expiresAt The timestamp in milliseconds the clipboard is cleared at, null if no clear is pending
+   */
+  startClipboardClearCountdown(expiresAt) {
+    clearInterval(this.clipboardCountdownInterval);
+    const updateCountdown = () => {
+      const clipboardClearCountdown = expiresAt ? Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000)) : 0;
+      this.setState({ clipboardClearCountdown });
+      if (!clipboardClearCountdown) {
+        clearInterval(this.clipboardCountdownInterval);
+      }
+    };
+    if (expiresAt) {
+      this.clipboardCountdownInterval = setInterval(updateCountdown, 1000);
+    }
+    updateCountdown();
   }
 
   resetError() {
-    this.setState({ useOnThisTabError: "" });
+    this.setState({ useOnThisTabError: "", unsafeOrigin: null });
   }
 
   async handleCopyLoginClick(event) {
@@ -83,6 +129,8 @@ class ResourceViewPage extends React.Component {
       this.setState({ copySecretState: 'processing' });
       const message = await passbolt.request('passbolt.secret-edit.decrypt', this.state.resource.id);
       await navigator.clipboard.writeText(message);
+      const pendingClear = await passbolt.request('passbolt.clipboard.schedule-clear', message);
+      this.startClipboardClearCountdown(pendingClear.expiresAt);
       this.setState({ copySecretState: 'done' });
       setTimeout(() => {
         this.setState({ copySecretState: 'default' });
@@ -96,6 +144,11 @@ class ResourceViewPage extends React.Component {
     }
   }
 
+  handleCopyTotpCode(pendingClear) {
+    this.resetError();
+    this.startClipboardClearCountdown(pendingClear.expiresAt);
+  }
+
   handleGoToUrlClick(event) {
     this.resetError();
     if (!this.sanitizeResourceUrl()) {
@@ -103,15 +156,50 @@ class ResourceViewPage extends React.Component {
     }
   }
 
+  async handleMatchModeChange(event) {
+    const matchMode = event.target.value;
+    this.resetError();
+    this.setState({ matchMode });
+    try {
+      await passbolt.request('passbolt.resources.set-match-mode', this.state.resource.id, matchMode);
+    } catch (error) {
+      console.error('An unexpected error occured', error);
+    }
+  }
+
   async handleUseOnThisTabClick(event) {
     event.preventDefault();
-    this.setState({ usingOnThisTab: true });
+    await this.useOnThisTab({});
+  }
+
+  async handleUseOnThisTabAnywayClick(event) {
+    event.preventDefault();
+    await this.useOnThisTab({ confirmedOrigin: this.state.unsafeOrigin });
+  }
+
+  /**
+   * Fill the resource on the current tab.
+   * @param {object} options The options, see passbolt.quickaccess.use-resource-on-current-tab
+   */
+  async useOnThisTab(options) {
+    this.setState({ usingOnThisTab: true, useOnThisTabError: "", unsafeOrigin: null });
     try {
-      await passbolt.request('passbolt.quickaccess.use-resource-on-current-tab', this.state.resource.id, this.state.resource.username);
+      await passbolt.request('passbolt.quickaccess.use-resource-on-current-tab', this.state.resource.id, options);
       window.close();
     } catch (error) {
       if (error.name == "UserAbortsOperationError") {
         this.setState({ usingOnThisTab: false });
+      } else if (error.name == "UnsafeFillFormError") {
+        this.setState({
+          usingOnThisTab: false,
+          useOnThisTabError: error.message,
+          unsafeOrigin: error.data.origin
+        });
+      } else if (error.name == "FillFormError") {
+        this.setState({
+          usingOnThisTab: false,
+          useOnThisTabError: error.message
+        });
       } else {
         console.error('An error occured', error);
         this.setState({
@@ -230,7 +318,13 @@ class ResourceViewPage extends React.Component {
             <a href="#" role="button" className="secret-copy property-value" onClick={this.handleCopyPasswordClick}>
               <span className="visually-hidden">Copy to clipboard</span>
             </a>
+            {this.state.clipboardClearCountdown > 0 &&
+              <span className="property-value clipboard-countdown">
+                clipboard cleared in {this.state.clipboardClearCountdown}s
+              </span>
+            }
           </li>
+          <ResourceTotp resourceId={this.props.match.params.id} onCopy={this.handleCopyTotpCode} />
           <li className="property">
             <a href={`${sanitizeResourceUrl ? sanitizeResourceUrl : "#"}`} role="button" className={`button button-icon property-action ${!sanitizeResourceUrl ? "disabled" : ""}`}
               onClick={this.handleGoToUrlClick} target="_blank" rel="noopener noreferrer" title="open in a new tab">
@@ -256,12 +350,26 @@ class ResourceViewPage extends React.Component {
               </span>
             }
           </li>
+          <li className="property match-mode">
+            <label htmlFor="match-mode" className="property-name">Suggest on</label>
+            <select id="match-mode" className="property-value" value={this.state.matchMode} onChange={this.handleMatchModeChange} disabled={!this.state.resource.uri}>
+              <option value={UrlMatcher.MODES.DOMAIN}>the pages of the same domain</option>
+              <option value={UrlMatcher.MODES.HOST}>the pages of the same host</option>
+              <option value={UrlMatcher.MODES.URL}>the pages of this url</option>
+              <option value={UrlMatcher.MODES.NEVER}>no page</option>
+            </select>
+          </li>
         </ul>
         <div className="submit-wrapper input">
           <a href="#" id="popupAction" className={`button primary big full-width ${this.state.usingOnThisTab ? "processing" : ""}`} role="button" onClick={this.handleUseOnThisTabClick}>
             use on this page
           </a>
           <div className="error-message">{this.state.useOnThisTabError}</div>
+          {this.state.unsafeOrigin &&
+            <a href="#" role="button" className="use-anyway" onClick={this.handleUseOnThisTabAnywayClick}>
+              I understand the risks, fill {this.state.unsafeOrigin} anyway
+            </a>
+          }
         </div>
       </div>
     );
@@ -0,0 +1,188 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import SimpleBar from "../SimpleBar/SimpleBar";
+
+class SaveCredentialsPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.initEventHandlers();
+    this.initState();
+  }
+
+  componentDidMount() {
+    this.loadSubmittedCredentials();
+  }
+
+  initEventHandlers() {
+    this.handleGoBackClick = this.handleGoBackClick.bind(this);
+    this.handleDismissClick = this.handleDismissClick.bind(this);
+    this.handleFormSubmit = this.handleFormSubmit.bind(this);
+    this.handleInputChange = this.handleInputChange.bind(this);
+  }
+
+  initState() {
+    this.state = {
+      credentials: null,
+      processing: false,
+      error: "",
+      name: "",
+      nameError: "",
+      // The resource to update, or "new" to create a new resource.
+      target: "new"
+    };
+  }
+
+  async loadSubmittedCredentials() {
+    let credentials = null;
+
+    try {
+      credentials = await passbolt.request("passbolt.quickaccess.get-submitted-credentials");
+    } catch (error) {
+      console.error(error);
+    }
+
+    if (!credentials) {
+      this.props.history.replace("/data/quickaccess.html");
+      return;
+    }
+
+    const name = (credentials.host || "").substring(0, 64);
+    const target = credentials.matchingResources.length ? credentials.matchingResources[0].id : "new";
+    this.setState({ credentials, name, target });
+  }
+
+  handleGoBackClick(event) {
+    event.preventDefault();
+    this.props.history.goBack();
+  }
+
+  async handleDismissClick(event) {
+    event.preventDefault();
+    if (this.state.processing) {
+      return;
+    }
+
+    await passbolt.request("passbolt.quickaccess.dismiss-submitted-credentials");
+    this.props.history.push("/data/quickaccess.html");
+  }
+
+  handleInputChange(event) {
+    const target = event.target;
+    this.setState({
+      [target.name]: target.value
+    });
+  }
+
+  async handleFormSubmit(event) {
+    event.preventDefault();
+    this.setState({
+      processing: true,
+      error: "",
+      nameError: ""
+    });
+
+    const options = this.state.target === "new" ? { name: this.state.name } : { resourceId: this.state.target };
+
+    try {
+      const resource = await passbolt.request("passbolt.quickaccess.save-submitted-credentials", options);
+      // The view component should not goback on the save component.
+      const goToComponentState = {
+        goBackEntriesCount: -2
+      };
+      this.props.history.push(`/data/quickaccess/resources/view/${resource.id}`, goToComponentState);
+    } catch (error) {
+      this.handleSubmitError(error);
+    }
+  }
+
+  handleSubmitError(error) {
+    if (error.name === "UserAbortsOperationError") {
+      this.setState({ processing: false });
+    } else if (error.name === "PassboltApiFetchError"
+      && error.data.code === 400 && error.data.body && error.data.body.name) {
+      // Could not validate resource data.
+      this.setState({
+        nameError: Object.values(error.data.body.name).join(', '),
+        processing: false
+      });
+    } else {
+      // An unexpected error occured.
+      this.setState({
+        error: error.message,
+        processing: false
+      });
+    }
+  }
+
+  render() {
+    const isReady = this.state.credentials !== null;
+
+    return (
+      <div className="resource-create save-credentials">
+        <div className="back-link">
+          <a href="#" className="primary-action" onClick={this.handleGoBackClick} title="Go back">
+            <span className="icon fa">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 320 512"><path d="M34.52 239.03L228.87 44.69c9.37-9.37 24.57-9.37 33.94 0l22.67 22.67c9.36 9.36 9.37 24.52.04 33.9L131.49 256l154.02 154.75c9.34 9.38 9.32 24.54-.04 33.9l-22.67 22.67c-9.37 9.37-24.57 9.37-33.94 0L34.52 272.97c-9.37-9.37-9.37-24.57 0-33.94z" /></svg>
+            </span>
+            <span className="primary-action-title">Save password</span>
+          </a>
+          <Link to="/data/quickaccess.html" className="secondary-action button-icon button" title="Cancel">
+            <span className="fa icon">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 352 512"><path d="M242.72 256l100.07-100.07c12.28-12.28 12.28-32.19 0-44.48l-22.24-22.24c-12.28-12.28-32.19-12.28-44.48 0L176 189.28 75.93 89.21c-12.28-12.28-32.19-12.28-44.48 0L9.21 111.45c-12.28 12.28-12.28 32.19 0 44.48L109.28 256 9.21 356.07c-12.28 12.28-12.28 32.19 0 44.48l22.24 22.24c12.28 12.28 32.2 12.28 44.48 0L176 322.72l100.07 100.07c12.28 12.28 32.2 12.28 44.48 0l22.24-22.24c12.28-12.28 12.28-32.19 0-44.48L242.72 256z" /></svg>
+            </span>
+            <span className="visually-hidden">cancel</span>
+          </Link>
+        </div>
+        {!isReady &&
+          <div className="processing-wrapper">
+            <p className="processing-text">Retrieving the submitted credentials</p>
+          </div>
+        }
+        {isReady &&
+          <form onSubmit={this.handleFormSubmit}>
+            <SimpleBar className="resource-create-form">
+              <div className="form-container">
+                <p>
+                  Do you want to save the password you just used on <strong>{this.state.credentials.host}</strong>
+                  {this.state.credentials.username && <React.Fragment> for <strong>{this.state.credentials.username}</strong></React.Fragment>}?
+                </p>
+                {this.state.credentials.matchingResources.map(resource => (
+                  <div className="input radio" key={resource.id}>
+                    <input type="radio" name="target" value={resource.id} id={`target-${resource.id}`} onChange={this.handleInputChange}
+                      checked={this.state.target === resource.id} disabled={this.state.processing} />
+                    <label htmlFor={`target-${resource.id}`}>Update the password of {resource.name}</label>
+                  </div>
+                ))}
+                {this.state.credentials.matchingResources.length > 0 &&
+                  <div className="input radio">
+                    <input type="radio" name="target" value="new" id="target-new" onChange={this.handleInputChange}
+                      checked={this.state.target === "new"} disabled={this.state.processing} />
+                    <label htmlFor="target-new">Save as a new password</label>
+                  </div>
+                }
+                {this.state.target === "new" &&
+                  <div className={`input text required ${this.state.nameError ? "error" : ""}`}>
+                    <label htmlFor="name">Name</label>
+                    <input name="name" value={this.state.name} onChange={this.handleInputChange} disabled={this.state.processing}
+                      className="required fluid" maxLength="64" type="text" id="name" required="required" autoComplete="off" />
+                    <div className="error-message">{this.state.nameError}</div>
+                  </div>
+                }
+              </div>
+            </SimpleBar>
+            <div className="submit-wrapper input">
+              <input type="submit" className={`button primary big full-width ${this.state.processing ? "processing" : ""}`} role="button"
+                value={this.state.target === "new" ? "save" : "update"} disabled={this.state.processing} />
+              <a href="#" className={`button big full-width ${this.state.processing ? "disabled" : ""}`} role="button" onClick={this.handleDismissClick}>
+                not now
+              </a>
+              <div className="error-message">{this.state.error}</div>
+            </div>
+          </form>
+        }
+      </div>
+    );
+  }
+}
+
+export default SaveCredentialsPage;
@@ -0,0 +1,139 @@
+import React from "react";
+import { render, fireEvent, wait, cleanup } from 'react-testing-library';
+import { StaticRouter } from 'react-router';
+import SaveCredentialsPage from "./SaveCredentialsPage";
+
+// Reset the modules before each test.
+beforeEach(() => {
+  jest.resetModules();
+});
+
+// Cleanup after each test.
+afterEach(() => {
+  cleanup();
+  delete window.passbolt;
+});
+
+describe("SaveCredentialsPage", () => {
+
+  describe("Form initialization", () => {
+
+    it("should initialize the name with the host the credentials were submitted on", async () => {
+      // Mock the passbolt messaging layer.
+      window.passbolt = {
+        request: (event) => new Promise(resolve => {
+          if (event == "passbolt.quickaccess.get-submitted-credentials") {
+            resolve({
+              username: "ada@passbolt.com",
+              url: "https://www.passbolt.com/login",
+              host: "passbolt.com",
+              matchingResources: []
+            });
+          }
+        })
+      };
+
+      const context = {};
+      const component = render(
+        <StaticRouter context={context}>
+          <SaveCredentialsPage />
+        </StaticRouter>
+      );
+
+      // Wait the passbolt.request executed in the ComponentDidMount is resolved.
+      await wait();
+
+      // Assert the form.
+      const nameInput = component.container.querySelector('[name="name"]');
+      expect(nameInput.value).toBe("passbolt.com");
+      expect(component.container.querySelectorAll('[name="target"]').length).toBe(0);
+    });
+
+    it("should select the first matching resource to update by default", async () => {
+      // Mock the passbolt messaging layer.
+      window.passbolt = {
+        request: (event) => new Promise(resolve => {
+          if (event == "passbolt.quickaccess.get-submitted-credentials") {
+            resolve({
+              username: "ada@passbolt.com",
+              url: "https://www.passbolt.com/login",
+              host: "passbolt.com",
+              matchingResources: [{ id: "existing-resource-id", name: "passbolt" }]
+            });
+          }
+        })
+      };
+
+      const context = {};
+      const component = render(
+        <StaticRouter context={context}>
+          <SaveCredentialsPage />
+        </StaticRouter>
+      );
+
+      // Wait the passbolt.request executed in the ComponentDidMount is resolved.
+      await wait();
+
+      // Assert the form.
+      const targetRadio = component.container.querySelector('[name="target"][value="existing-resource-id"]');
+      expect(targetRadio.checked).toBe(true);
+      expect(component.container.querySelector('[name="name"]')).toBeNull();
+    });
+
+  });
+
+  describe("Form submition", () => {
+
+    it("should request to save the submitted credentials as a new password on submit", async () => {
+      const saveEventMockCallback = jest.fn();
+
+      // Mock the passbolt messaging layer.
+      window.passbolt = {
+        request: function (event) {
+          return new Promise(resolve => {
+            if (event === "passbolt.quickaccess.get-submitted-credentials") {
+              resolve({
+                username: "ada@passbolt.com",
+                url: "https://www.passbolt.com/login",
+                host: "passbolt.com",
+                matchingResources: [{ id: "existing-resource-id", name: "passbolt" }]
+              });
+            } else if (event === "passbolt.quickaccess.save-submitted-credentials") {
+              saveEventMockCallback(arguments[1]);
+              resolve({
+                id: "newly-created-resource-id"
+              });
+            }
+          });
+        }
+      };
+
+      const context = {};
+      const component = render(
+        <StaticRouter context={context}>
+          <SaveCredentialsPage history={{ push: jest.fn() }} />
+        </StaticRouter>
+      );
+
+      // Wait the passbolt.request executed in the ComponentDidMount is resolved.
+      await wait();
+
+      // Choose to save the credentials as a new password.
+      const newRadio = component.container.querySelector('[name="target"][value="new"]');
+      fireEvent.click(newRadio);
+      const nameInput = component.container.querySelector('[name="name"]');
+      fireEvent.change(nameInput, { target: { value: "Passbolt website" } });
+
+      // Submit the form.
+      const submitButton = component.container.querySelector('input[type="submit"]');
+      fireEvent.click(submitButton, { button: 0 });
+
+      // Wait the passbolt.request that request the addon code to save the credentials is completed.
+      await wait();
+
+      expect(saveEventMockCallback).toHaveBeenCalledWith({ name: "Passbolt website" });
+    });
+
+  });
+
+});
@@ -12,48 +12,304 @@ $(function() {
 
     passbolt.quickaccess.bootstrap = function() {
         passbolt.message.on('passbolt.quickaccess.fill-form', fillForm);
+        passbolt.message.on('passbolt.quickaccess.fill-totp', fillTotp);
+        observeFormsSubmission();
     };
 
+    /**
+     * The time to wait for the password field of a username-first flow to appear, in ms.
+     */
+    const PASSWORD_STEP_TIMEOUT = 30000;
+
+    /**
+     * The password filled by passbolt on this page if any.
+     * Credentials filled by passbolt are not offered to be saved.
+     */
+    let filledSecret = null;
+
+    /**
+     * The pending wait for the password step of a username-first flow if any {promise, abandon}.
+     */
+    let passwordStep = null;
+
+    /**
+     * The username submitted on the first step of a username-first flow.
+     */
+    let submittedUsername = null;
+
+    /**
+     * The last credentials notified to the addon-code, to not notify them twice.
+     */
+    let notifiedCredentials = null;
+
+    /**
+     * Fill the login form of the page with the given credentials.
+     * Respond to the request with the report of the filled fields {username: boolean, password: boolean}.
+     *
+     * @param {string} requestId The request identifier
+     * @param {string} username The username to fill
+     * @param {string} secret The password to fill
+     */
     const fillForm = function(requestId, username, secret) {
         try {
-            const passwordElement = getPasswordElement();
-            const usernameElement = getUsernameElement(passwordElement);
-            if (usernameElement) {
-                fireEvent.change(usernameElement, { target: { value: username } });
+            const loginForm = passbolt.quickaccess.formDetection.findLoginForm(document);
+            if (!loginForm || (!loginForm.passwordField && !username)) {
+                throw new Error('No login form found on the page');
+            }
+
+            abandonPasswordStep();
+            const report = {username: false, password: false};
+            if (loginForm.usernameField && username) {
+                fillField(loginForm.usernameField, username);
+                report.username = true;
+            }
+            filledSecret = secret;
+            if (loginForm.passwordField) {
+                fillField(loginForm.passwordField, secret);
+                report.password = true;
+            } else {
+                // Username-first flow, fill the password once the user reaches the password step.
+                fillPasswordStep(loginForm.usernameField.ownerDocument, secret);
             }
-            fireEvent.change(passwordElement, { target: { value: secret } });
-            passbolt.message.emit(requestId, 'SUCCESS');
+
+            passbolt.message.emit(requestId, 'SUCCESS', report);
         } catch (error) {
             console.error(error);
             passbolt.message.emit(requestId, 'ERROR', { name: "Error", message: error.message });
         }
     };
 
-    const getPasswordElement = function() {
-        const passwordElement = $(document).find('input').filter(":input[type='password']:visible:enabled")[0];
-        if (!passwordElement) {
-            throw new Error('No password element found on the page');
+    /**
+     * Fill the TOTP field of the page with the given code.
+     *
+     * @param {string} requestId The request identifier
+     * @param {string} code The TOTP code to fill
+     */
+    const fillTotp = function(requestId, code) {
+        const totpField = passbolt.quickaccess.formDetection.findTotpField(document);
+        if (!totpField) {
+            passbolt.message.emit(requestId, 'ERROR', { name: "Error", message: 'No TOTP field found on the page' });
+            return;
         }
+        fillField(totpField, code);
+        passbolt.message.emit(requestId, 'SUCCESS');
+    };
 
-        return passwordElement;
-    }
+    /**
+     * Fill a field and notify the page about the change.
+     * @param {HTMLInputElement} field The field to fill
+     * @param {string} value The value to fill with
+     */
+    const fillField = function(field, value) {
+        fireEvent.focus(field);
+        fireEvent.input(field, { target: { value: value } });
+        fireEvent.change(field, { target: { value: value } });
+        fireEvent.blur(field);
+    };
 
-    const getUsernameElement = function(element) {
-        const parentElement = element.parentElement;
-        if (!parentElement) {
-            return false;
+    /**
+     * Fill the password field of a username-first flow when it appears.
+     * The password is forgotten if the field does not appear in time.
+     * @param {Document} doc The document hosting the login form
+     * @param {string} secret The password to fill
+     */
+    const fillPasswordStep = function(doc, secret) {
+        const wait = passbolt.quickaccess.formDetection.waitForPasswordField(doc, PASSWORD_STEP_TIMEOUT);
+        passwordStep = wait;
+        wait.promise
+            .then(passwordField => fillField(passwordField, secret))
+            .catch(error => {
+                console.warn(error.message);
+                // Forget the password, unless another fill replaced it already.
+                if (passwordStep === wait) {
+                    filledSecret = null;
+                }
+            })
+            .then(() => {
+                if (passwordStep === wait) {
+                    passwordStep = null;
+                }
+            });
+    };
+
+    /**
+     * Abandon the pending password step of a username-first flow if any.
+     */
+    const abandonPasswordStep = function() {
+        if (passwordStep) {
+            passwordStep.abandon();
+            passwordStep = null;
         }
+    };
+
+    /**
+     * The selector of the buttons submitting a form.
+     */
+    const SUBMIT_BUTTON_SELECTOR = "button:not([type]), button[type='submit'], input[type='submit'], input[type='image']";
+
+    /**
+     * The selector of the elements a page can submit its login fields with when they are not in a form.
+     */
+    const BUTTON_SELECTOR = "button, input[type='submit'], input[type='image'], input[type='button'], [role='button']";
+
+    /**
+     * The selector of the frames.
+     */
+    const FRAME_SELECTOR = 'iframe, frame';
+
+    /**
+     * The documents and the frames already observed.
+     */
+    const observedDocuments = new WeakSet();
+    const observedFrames = new WeakSet();
 
-        let usernameElement = $(parentElement).find('input').filter(":input[type='email']:visible:enabled")[0];
-        if (!usernameElement) {
-            usernameElement = $(parentElement).find('input').filter(":input[type='text']:visible:enabled")[0];
+    /**
+     * Observe the submission of the login forms of the page, and of its same-origin frames.
+     * A lot of pages submit their login forms with javascript and cancel the form submit event, the clicks on the submit
+     * buttons of the forms are observed as well. The pages not wrapping their login fields into a form are observed
+     * through the clicks on their buttons and the enter key in their password fields.
+     */
+    const observeFormsSubmission = function() {
+        // Do not observe the passbolt application pages.
+        if ($('html.passbolt').length) {
+            return;
         }
+        observeDocument(document);
+    };
+
+    /**
+     * Observe the submission of the login forms of a document.
+     * The frames added later to the document, such as the login frames of a lot of pages, are observed as well.
+     * @param {Document} doc The document
+     */
+    const observeDocument = function(doc) {
+        if (observedDocuments.has(doc)) {
+            return;
+        }
+        observedDocuments.add(doc);
+
+        doc.addEventListener('submit', event => handleSubmission(event.target), true);
+        doc.addEventListener('click', event => {
+            const button = $(event.target).closest(BUTTON_SELECTOR)[0];
+            if (!button) {
+                return;
+            }
+            if (!button.form) {
+                handleSubmission(getFormlessElement(doc));
+            } else if (button.matches(SUBMIT_BUTTON_SELECTOR)) {
+                handleSubmission(button.form);
+            }
+        }, true);
+        doc.addEventListener('keydown', event => {
+            const field = event.target;
+            if (event.key === 'Enter' && field.matches && field.matches("input[type='password']") && !field.form) {
+                handleSubmission(getFormlessElement(doc));
+            }
+        }, true);
+
+        doc.querySelectorAll(FRAME_SELECTOR).forEach(observeFrame);
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) {
+                        return;
+                    }
+                    if (node.matches(FRAME_SELECTOR)) {
+                        observeFrame(node);
+                    }
+                    node.querySelectorAll(FRAME_SELECTOR).forEach(observeFrame);
+                });
+            });
+        });
+        observer.observe(doc.documentElement, {childList: true, subtree: true});
+    };
+
+    /**
+     * Observe the submission of the login forms of a frame, each time a document is loaded in it.
+     * The cross-origin frames cannot be accessed and are ignored.
+     * @param {HTMLIFrameElement} frame The frame
+     */
+    const observeFrame = function(frame) {
+        if (observedFrames.has(frame)) {
+            return;
+        }
+        observedFrames.add(frame);
+
+        const observeFrameDocument = function() {
+            let frameDocument = null;
+            try {
+                frameDocument = frame.contentDocument;
+            } catch (error) {
+                // Cross-origin frame.
+            }
+            if (frameDocument && frameDocument.documentElement) {
+                observeDocument(frameDocument);
+            }
+        };
+        frame.addEventListener('load', observeFrameDocument);
+        observeFrameDocument();
+    };
+
+    /**
+     * Get the element of the virtual form grouping the login fields of a document that are not in a form.
+     * See passbolt.quickaccess.formDetection.findLoginForm.
+     * @param {Document} doc The document
+     * @return {HTMLElement}
+     */
+    const getFormlessElement = function(doc) {
+        return doc.body || doc.documentElement;
+    };
+
+    /**
+     * Handle the submission of a form.
+     * Notify the addon-code about the credentials typed by the user, so it can offer to save them in passbolt.
+     * @param {HTMLElement} form The submitted form, or the element of the virtual form of the fields not in a form
+     */
+    const handleSubmission = function(form) {
+        const loginForm = passbolt.quickaccess.formDetection.findLoginForm(document);
+        if (!loginForm || loginForm.element !== form) {
+            return;
+        }
+
+        // First step of a username-first flow, remember the username for the password step.
+        if (!loginForm.passwordField) {
+            if (loginForm.usernameField.value) {
+                submittedUsername = loginForm.usernameField.value;
+            }
+            return;
+        }
+
+        const password = getSubmittedPassword(loginForm);
+        if (!password || password === filledSecret) {
+            return;
+        }
+        const username = loginForm.usernameField && loginForm.usernameField.value ? loginForm.usernameField.value : submittedUsername;
+        if (notifiedCredentials && notifiedCredentials.username === username && notifiedCredentials.password === password) {
+            return;
+        }
+
+        notifiedCredentials = {username, password};
+        passbolt.message.emit('passbolt.quickaccess.credentials-submitted', {
+            username: username || '',
+            password: password,
+            url: window.location.href
+        });
+    };
 
-        if (!usernameElement) {
-            return getUsernameElement(parentElement);
+    /**
+     * Get the password submitted with a login form.
+     * On forms having several password fields (sign up or change password), the new password is the one to save.
+     * @param {object} loginForm The login form
+     * @return {string}
+     */
+    const getSubmittedPassword = function(loginForm) {
+        const passwordFields = loginForm.passwordFields;
+        if (passwordFields.length > 1) {
+            const newPasswordField = passwordFields.find(field => field.getAttribute('autocomplete') === 'new-password') || passwordFields[1];
+            return newPasswordField.value;
         }
 
-        return usernameElement;
+        return loginForm.passwordField.value;
     };
 
 });
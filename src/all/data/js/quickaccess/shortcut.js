@@ -0,0 +1,89 @@
+/**
+ * Quickaccess shortcut dialog.
+ *
+ * Let the user choose the resource to use when several resources match the page, or display the result of a
+ * keyboard shortcut.
+ *
+ * @copyright (c) 2019 Passbolt SA
+ * @licence GNU Affero General Public License http://www.gnu.org/licenses/agpl-3.0.en.html
+ */
+
+$(function () {
+
+  /**
+   * The delay after which a dialog displaying a message is closed, in ms.
+   */
+  const MESSAGE_CLOSE_DELAY = 4000;
+
+  /**
+   * Initialize the dialog.
+   */
+  const init = async function () {
+    try {
+      const dialog = await passbolt.request('passbolt.quickaccess-shortcut.get');
+      await passbolt.html.loadTemplate('body', 'quickaccess/shortcut.ejs', 'html', dialog);
+      initEventsListeners();
+      if (dialog.message && !dialog.error) {
+        setTimeout(close, MESSAGE_CLOSE_DELAY);
+      }
+      $('.js-use-resource, .js-dialog-close').first().focus();
+    } catch (error) {
+      console.error(error);
+      close();
+    }
+  };
+
+  /**
+   * Init the events listeners.
+   */
+  const initEventsListeners = function () {
+    $('.js-dialog-close').on('click', function (event) {
+      event.preventDefault();
+      close();
+    });
+    $('.js-use-resource').on('click', function (event) {
+      event.preventDefault();
+      useResource($(this).data('id'));
+    });
+    $(document).on('keydown', handleKeyDown);
+  };
+
+  /**
+   * Navigate in the resources list with the arrow keys, close the dialog with escape.
+   * @param {KeyboardEvent} event
+   */
+  const handleKeyDown = function (event) {
+    if (event.key === 'Escape') {
+      close();
+      return;
+    }
+    if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') {
+      return;
+    }
+    event.preventDefault();
+    const $resources = $('.js-use-resource');
+    const index = $resources.index(document.activeElement);
+    const next = event.key === 'ArrowDown' ? index + 1 : index - 1;
+    $resources.eq((next + $resources.length) % $resources.length).focus();
+  };
+
+  /**
+   * Use the resource chosen by the user.
+   * @param {string} resourceId The resource identifier
+   */
+  const useResource = function (resourceId) {
+    $('.js-use-resource').addClass('disabled').off('click');
+    passbolt.request('passbolt.quickaccess-shortcut.use-resource', resourceId)
+      .catch(error => console.error(error));
+  };
+
+  /**
+   * Close the dialog.
+   */
+  const close = function () {
+    passbolt.message.emit('passbolt.quickaccess-shortcut.close');
+  };
+
+  init();
+
+});
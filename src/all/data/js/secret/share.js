@@ -16,13 +16,24 @@ $(function () {
   // The current search for aros timeout reference.
   let currentSearchTimeout = null;
 
+  // The current search for resources to copy the permissions from timeout reference.
+  let currentCopySearchTimeout = null;
+
+  // The permission templates.
+  let templates = [];
+
   // DOM Elements (jQuery objects).
   let $permissions,
     $searchInput,
     $autocompleteWrapper,
     $autocompleteContent,
     $feedbacks,
-    $save;
+    $save,
+    $templateSelect,
+    $templateName,
+    $copyInput,
+    $copyAutocompleteWrapper,
+    $copyAutocompleteContent;
 
   // The latest search aros result.
   let searchArosResult = [];
@@ -47,15 +58,60 @@ $(function () {
 
   /**
    * Submit changes.
+   * If some passwords could not be shared, the report of the operation is displayed.
    * @return {Promise}
    */
   const submitChanges = async function() {
     return passbolt.request('passbolt.share.submit', shareChanges._changes)
-      .then(null, (error) => {
+      .then(report => handleShareReport(report), (error) => {
         console.error('error', error);
+        showErrorFeedback(error.message);
       });
   };
 
+  /**
+   * Handle the report of a share operation.
+   * @param {array} report The report, one entry per password
+   * @return {Promise}
+   */
+  const handleShareReport = async function(report) {
+    $('#js-share-report').remove();
+    if (report.every(item => item.success)) {
+      return;
+    }
+    await loadReportTemplate(report);
+  };
+
+  /**
+   * Load the share report dialog.
+   * The failed passwords can be retried, the applied changes can be reverted.
+   * @param {array} report The report, one entry per password
+   * @return {Promise}
+   */
+  const loadReportTemplate = async function(report) {
+    await passbolt.html.loadTemplate('body', 'resource/shareReport.ejs', 'append', {report});
+    const $report = $('#js-share-report');
+    $('.js-dialog-close, .js-dialog-cancel', $report).on('click', () => passbolt.message.emit('passbolt.share.close-report'));
+    $('#js-share-report-retry', $report).on('click', () => {
+      passbolt.request('passbolt.share.retry')
+        .then(report => handleShareReport(report), error => console.error('error', error));
+    });
+    $('#js-share-report-revert', $report).on('click', () => {
+      passbolt.request('passbolt.share.revert')
+        .then(report => loadRevertedReport(report), error => console.error('error', error));
+    });
+  };
+
+  /**
+   * Display the report once the applied changes are reverted.
+   * @param {array} report The report, one entry per password
+   * @return {Promise}
+   */
+  const loadRevertedReport = async function(report) {
+    $('#js-share-report').remove();
+    await loadReportTemplate(report);
+  };
+
   /**
    * Close the share dialog.
    */
@@ -129,6 +185,7 @@ $(function () {
       $autocompleteContent = $('.share-password-dialog .autocomplete-content');
       $searchInput.bind('input', () => handleSearchArosChange());
       $autocompleteContent.on('click', 'li', event => handleAddAroPermissions(event));
+      initPermissionsTools();
     } else {
       let text = 'Only the owner of a password can share it.';
       $feedbacks.text(text);
@@ -137,6 +194,38 @@ $(function () {
   };
 
   /**
+   * Initialize the permission templates and the copy of permissions from another password.
+   * @return {Promise}
+   */
+  const initPermissionsTools = async function() {
+    $templateSelect = $('.share-password-dialog #js-share-template-select');
+    $templateName = $('.share-password-dialog #js-share-template-name');
+    $copyInput = $('.share-password-dialog #js-share-copy-input');
+    $copyAutocompleteWrapper = $('.share-password-dialog #js-share-copy-autocomplete');
+    $copyAutocompleteContent = $('.autocomplete-content', $copyAutocompleteWrapper);
+    $templateSelect.on('change', () => handleApplyTemplate());
+    $('.share-password-dialog #js-share-template-delete').on('click', () => handleDeleteTemplate());
+    $('.share-password-dialog #js-share-template-save').on('click', () => handleSaveTemplate());
+    $copyInput.bind('input', () => handleSearchCopyResourcesChange());
+    $copyAutocompleteContent.on('click', 'li[id]', event => handleCopyResourcePermissions(event));
+    await loadTemplates();
+  };
+
+  /**
+   * Load the permission templates in the templates select.
+   * @return {Promise}
+   */
+  const loadTemplates = async function() {
+    templates = await passbolt.request('passbolt.share.templates.find-all');
+    $('option[value!=""]', $templateSelect).remove();
+    templates.forEach(template => $templateSelect.append($('<option>').val(template.name).text(template.name)));
+    $('.share-password-dialog #js-share-template-delete').addClass('disabled');
+  };
+
+  /**
+   * Update title
+   * @param {array} resources List of edited resources
+   */  /**
    * Update title
    * @param {array} resources List of edited resources
    */
@@ -255,6 +344,146 @@ $(function () {
   };
 
   /**
+   * Handle the selection of a permission template.
+   * @return {Promise}
+   */
+  const handleApplyTemplate = async function() {
+    const template = templates.find(template => template.name == $templateSelect.val());
+    $('.share-password-dialog #js-share-template-delete').toggleClass('disabled', !template);
+    if (template) {
+      await applyArosPermissions(template.arosPermissions);
+    }
+  };
+
+  /**
+   * Handle the deletion of the selected permission template.
+   * @return {Promise}
+   */
+  const handleDeleteTemplate = async function() {
+    const name = $templateSelect.val();
+    if (!name) {
+      return;
+    }
+    try {
+      await passbolt.request('passbolt.share.templates.delete', name);
+      await loadTemplates();
+    } catch (error) {
+      showErrorFeedback(error.message);
+    }
+  };
+
+  /**
+   * Handle the save of the current permissions as a template.
+   * @return {Promise}
+   */
+  const handleSaveTemplate = async function() {
+    try {
+      const template = await passbolt.request('passbolt.share.templates.save', $templateName.val(), shareChanges.getArosPermissions());
+      $templateName.val('');
+      await loadTemplates();
+      $templateSelect.val(template.name);
+      $('.share-password-dialog #js-share-template-delete').removeClass('disabled');
+    } catch (error) {
+      showErrorFeedback(error.message);
+    }
+  };
+
+  /**
+   * Handle search of the resources to copy the permissions from.
+   */
+  const handleSearchCopyResourcesChange = function () {
+    const keywords = $copyInput.val();
+
+    if (currentCopySearchTimeout != null) {
+      clearTimeout(currentCopySearchTimeout);
+    }
+
+    if (keywords.trim() == '') {
+      resetSearchCopyResources();
+      return;
+    }
+
+    currentCopySearchTimeout = setTimeout(async () => {
+      $copyAutocompleteContent.empty().addClass('loading');
+      $copyAutocompleteWrapper.removeClass('hidden');
+      try {
+        const resources = await passbolt.request('passbolt.share.search-resources', keywords);
+        $copyAutocompleteContent.empty().removeClass('loading');
+        $copyAutocompleteWrapper.addClass('ready');
+        await passbolt.html.loadTemplate($copyAutocompleteContent, 'resource/shareCopyAutocomplete.ejs', 'append', {resources});
+      } catch (error) {
+        resetSearchCopyResources();
+        showErrorFeedback(error.message);
+      }
+    }, 300);
+  };
+
+  /**
+   * Handle the copy of the permissions of a resource.
+   * @param {DomEvent} event
+   * @return {Promise}
+   */
+  const handleCopyResourcePermissions = async function(event) {
+    const resourceId = $(event.currentTarget).attr('id');
+    resetSearchCopyResources();
+    try {
+      const arosPermissions = await passbolt.request('passbolt.share.get-resource-aros-permissions', resourceId);
+      await applyArosPermissions(arosPermissions);
+    } catch (error) {
+      showErrorFeedback(error.message);
+    }
+  };
+
+  /**
+   * Reset the search of the resources to copy the permissions from.
+   */
+  const resetSearchCopyResources = function () {
+    $copyInput.val('');
+    $copyAutocompleteWrapper.addClass('hidden').removeClass('ready');
+    $copyAutocompleteContent.empty();
+  };
+
+  /**
+   * Apply a set of users and groups permissions to the shared passwords.
+   * The resulting changes are validated by simulating them, they are discarded if they cannot be applied.
+   * @param {array} arosPermissions The permissions to apply, array of {aro, type}
+   * @return {Promise}
+   */
+  const applyArosPermissions = async function(arosPermissions) {
+    const state = shareChanges.getState();
+    const addedArosPermissions = shareChanges.applyArosPermissions(arosPermissions);
+    let report;
+
+    $feedbacks.text('Validating the permissions...');
+    $feedbacks.addClass('warning').removeClass('error hidden');
+    try {
+      report = await passbolt.request('passbolt.share.simulate', shareChanges._changes);
+    } catch (error) {
+      shareChanges.restoreState(state);
+      showErrorFeedback(error.message);
+      return;
+    }
+    const failures = report.filter(item => !item.success);
+    if (failures.length) {
+      shareChanges.restoreState(state);
+      showErrorFeedback(`The permissions cannot be applied. ${failures.map(item => `${item.name}: ${item.error}`).join(' ')}`);
+      return;
+    }
+
+    for (const aroPermissions of addedArosPermissions) {
+      await insertAroPermissions(aroPermissions, true);
+    }
+    arosPermissions.forEach(aroPermissions => {
+      const $select = $(`#${aroPermissions.aro.id} select`, $permissions);
+      $('option[value="-1"]', $select).remove();
+      $select.val(aroPermissions.type);
+      markAroPermissionsAsChange(aroPermissions.aro.id);
+    });
+    validateChanges();
+  };
+
+  /**
+   * Handle the aro permissions tooltip.  /**
    * Handle the aro permissions tooltip.
    * As the tooltip is associated to an element in a overflow div, the tooltip text has to be moved to be aligned.
    * @param {DomEvent} event
@@ -355,6 +584,15 @@ $(function () {
     $feedbacks.addClass('error').removeClass('warning hidden');
   };
 
+  /**
+   * Display an error feedback
+   * @param {string} message The error message
+   */
+  const showErrorFeedback = function(message) {
+    $feedbacks.text(message);
+    $feedbacks.addClass('error').removeClass('warning hidden');
+  };
+
   /**
    * Display the apply feedback
    */
@@ -188,6 +188,68 @@ class ShareChanges {
     delete this._aros[aroId];
   }
 
+  /**
+   * Apply a set of users and groups permissions to all the resources.
+   * The users and groups already in the list get the new permission type, the others are added.
+   * @param {array} arosPermissions The permissions to apply, array of {aro, type}
+   * @return {array} The aros permissions added to the list, see addAroPermissions
+   */
+  applyArosPermissions(arosPermissions) {
+    const addedArosPermissions = [];
+    arosPermissions.forEach(aroPermissions => {
+      const aro = aroPermissions.aro;
+      if (!this._aros[aro.id]) {
+        this._aros[aro.id] = aro;
+        addedArosPermissions.push({id: aro.id, aro: aro, type: aroPermissions.type, permissions: []});
+      }
+      this.updateAroPermissions(aro.id, aroPermissions.type);
+    });
+
+    return addedArosPermissions;
+  }
+
+  /**
+   * Get the permission type of each aro once the changes are applied.
+   * The aros which permission type varies from a resource to another are not returned.
+   * @return {array} The permissions, array of {aro, type}
+   */
+  getArosPermissions() {
+    return Object.keys(this._aros).reduce((carry, aroId) => {
+      const types = this._resources.map(resource => {
+        const change = this._changes.find(change => change.aco_foreign_key == resource.id && change.aro_foreign_key == aroId);
+        if (change) {
+          return change.delete ? null : change.type;
+        }
+        const permission = this.getResourceAroPermission(resource, aroId);
+        return permission ? permission.type : null;
+      });
+      if (types[0] !== null && types.every(type => type == types[0])) {
+        carry.push({aro: this._aros[aroId], type: types[0]});
+      }
+      return carry;
+    }, []);
+  }
+
+  /**
+   * Get a copy of the changes, to restore them if the changes applied afterwards are rejected.
+   * @return {object}
+   */
+  getState() {
+    return {
+      changes: JSON.parse(JSON.stringify(this._changes)),
+      aros: Object.assign({}, this._aros)
+    };
+  }
+
+  /**
+   * Restore the changes.
+   * @param {object} state The changes, as returned by getState
+   */
+  restoreState(state) {
+    this._changes = state.changes;
+    this._aros = state.aros;
+  }
+
   /**
    * Get the permission for a given resource and a given aro
    * @param {object} resource The resource to get the aro permission for
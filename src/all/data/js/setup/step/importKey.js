@@ -17,7 +17,10 @@ $(function () {
     id: 'import_key',
     elts: {
       browseButton: '#js_setup_import_key_browse',
+      qrBrowseButton: '#js_setup_import_key_qr_browse',
       keyAscii: '#js_setup_import_key_text',
+      backup: '#js_setup_import_key_backup',
+      backupPassphrase: '#js_setup_import_key_backup_passphrase',
       errorFeedback: '#KeyErrorMessage',
       createButton: '#js_setup_goto_define_key'
     },
@@ -63,6 +66,9 @@ $(function () {
 
     // Bind the browse filepicker button.
     step.elts.$browseButton.click(step.onBrowseClick);
+
+    // Bind the paper backup QR codes filepicker button.
+    step.elts.$qrBrowseButton.click(step.onQrBrowseClick);
   };
 
   /**
@@ -77,7 +83,8 @@ $(function () {
 
     step.elts.$errorFeedback.addClass('hidden');
 
-    return step.extractKeyInfo()
+    return step.openEncryptedBackup()
+      .then(step.extractKeyInfo)
       .then(step.validatePrivateKey)
       .then(step.setPrivateKey)
       .then(step.extractPublicKey)
@@ -113,7 +120,23 @@ $(function () {
       });
   };
 
+  step.onQrBrowseClick = function (ev) {
+    ev.preventDefault();
+    step.browseQrCodes()
+      .then(function (dataUrls) {
+        return passbolt.request('passbolt.keyring.key.backup-read-qr-codes', dataUrls);
+      })
+      .then(function (armoredKey) {
+        step.elts.$keyAscii.val(armoredKey).change();
+        step.elts.$errorFeedback.addClass('hidden');
+      }, function (error) {
+        step.onError(error.message || error);
+      });
+  };
+
   step.onKeyInputChange = function () {
+    // An encrypted backup requires its backup passphrase.
+    step.elts.$backup.toggleClass('hidden', !step.isEncryptedBackup($(this).val()));
     if ($.trim($(this).val()) == '') {
       passbolt.setup.setActionState('submit', 'disabled');
     } else {
@@ -148,6 +171,63 @@ $(function () {
         });
   };
 
+  /**
+   * Browse the pictures of the paper backup QR codes.
+   * @returns {Promise} The pictures, as data urls
+   */
+  step.browseQrCodes = function () {
+    return new Promise(function(resolve, reject) {
+      var fileChooser = document.createElement('input');
+      fileChooser.type = 'file';
+      fileChooser.accept = 'image/*';
+      fileChooser.multiple = true;
+      fileChooser.addEventListener('change', function () {
+        var readers = Array.prototype.map.call(fileChooser.files, function (file) {
+          return new Promise(function(resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function () {
+              resolve(reader.result);
+            };
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
+          });
+        });
+        Promise.all(readers).then(resolve, reject);
+      });
+      fileChooser.click();
+    });
+  };
+
+  /**
+   * Check if a text is an encrypted backup, an armored key is an armored message once encrypted.
+   * @param text {string} The text
+   * @returns {boolean}
+   */
+  step.isEncryptedBackup = function (text) {
+    return typeof text === 'string' && text.indexOf('-----BEGIN PGP MESSAGE-----') !== -1;
+  };
+
+  /**
+   * Decrypt the key if an encrypted backup is given.
+   * @returns {Promise}
+   */
+  step.openEncryptedBackup = function () {
+    var text = step.data.privateKeyArmored;
+    if (!step.isEncryptedBackup(text)) {
+      return Promise.resolve();
+    }
+
+    return passbolt.request('passbolt.keyring.key.backup-decrypt', text, step.elts.$backupPassphrase.val())
+      .then(function (armoredKey) {
+        step.data.privateKeyArmored = armoredKey;
+        step.elts.$keyAscii.val(armoredKey);
+        step.elts.$backup.addClass('hidden');
+        step.elts.$backupPassphrase.val('');
+      }, function (error) {
+        return Promise.reject(error.message);
+      });
+  };
+
   /**
    * Extract key info from private key.
    * @returns Promise
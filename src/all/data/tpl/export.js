@@ -1,3 +1,4 @@
 window.templates = window.templates || {};
 window.templates.export = window.templates.export || {};
 window.templates.export.exportPasswordsMainDialog = require('./export/exportPasswordsMainDialog.js');
+window.templates.export.exportRecipientDialog = require('./export/exportRecipientDialog.js');
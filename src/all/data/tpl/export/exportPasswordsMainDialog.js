@@ -42,16 +42,16 @@ function encode_char(c) {
 };
 ;
 var __line = 1
-  , __lines = "<div class=\"dialog-wrapper ready\">\n    <div class=\"dialog export\">\n        <div class=\"dialog-header\">\n            <h2>Export passwords</h2>\n            <a class=\"dialog-close\" role=\"button\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form class=\"tab-content ready selected\" id=\"js_rs_export\">\n                <div class=\"form-content\">\n                    <div class=\"input select required\">\n                        <label for=\"\">Choose the export format (\n                            <a role=\"link\" data-tooltip=\"csv export format is compatible with the one of keepassx\">csv</a> and\n                            <a role=\"link\" data-tooltip=\"kdbx files are files generated by keepass v2.x\">kdbx</a> are supported)\n                        </label>\n                        <select class=\"export-format\" id=\"export-format\">\n                            <option value=\"kdbx\">kdbx (keepass / keepassx)</option>\n                            <option value=\"csv-kdbx\">csv (keepass / keepassx)</option>\n                            <option value=\"csv-lastpass\">csv (lastpass)</option>\n                            <option value=\"csv-1password\">csv (1password)</option>\n                        </select>\n                    </div>\n                    <p><br><em><?= count ?> passwords are going to be exported.</em></p>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Export\" type=\"submit\">\n                </div>\n            </form>\n        </div>\n    </div>\n</div>"
+  , __lines = "<div class=\"dialog-wrapper ready\">\n    <div class=\"dialog export\">\n        <div class=\"dialog-header\">\n            <h2>Export passwords</h2>\n            <a class=\"dialog-close\" role=\"button\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form class=\"tab-content ready selected\" id=\"js_rs_export\">\n                <div class=\"form-content\">\n                    <div class=\"input select required\">\n                        <label for=\"\">Choose the export format (\n                            <a role=\"link\" data-tooltip=\"csv export formats are compatible with keepass, lastpass, 1password, bitwarden, dashlane, keeper, enpass, chrome and firefox\">csv</a> and\n                            <a role=\"link\" data-tooltip=\"kdbx files are files generated by keepass v2.x\">kdbx</a> and\n                            <a role=\"link\" data-tooltip=\"passbolt files are encrypted exports including the tags and the permissions, they can be imported in another passbolt\">passbolt</a> are supported)\n                        </label>\n                        <select class=\"export-format\" id=\"export-format\">\n                            <option value=\"kdbx\">kdbx (keepass / keepassx)</option>\n                            <option value=\"csv-kdbx\">csv (keepass / keepassx)</option>\n                            <option value=\"csv-lastpass\">csv (lastpass)</option>\n                            <option value=\"csv-1password\">csv (1password)</option>\n                            <option value=\"csv-keepassxc\">csv (keepassxc)</option>\n                            <option value=\"csv-bitwarden\">csv (bitwarden)</option>\n                            <option value=\"csv-dashlane\">csv (dashlane)</option>\n                            <option value=\"csv-keeper\">csv (keeper)</option>\n                            <option value=\"csv-enpass\">csv (enpass)</option>\n                            <option value=\"csv-chromium\">csv (chrome / chromium)</option>\n                            <option value=\"csv-firefox\">csv (firefox)</option>\n                            <option value=\"passbolt\">passbolt (encrypted, with tags and permissions)</option>\n                        </select>\n                    </div>\n                    <p><br><em><?= count ?> passwords are going to be exported.</em></p>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Export\" type=\"submit\">\n                </div>\n            </form>\n        </div>\n    </div>\n</div>"
   , __filename = "src/all/data/ejs/export/exportPasswordsMainDialog.ejs";
 try {
   var __output = [], __append = __output.push.bind(__output);
   with (locals || {}) {
-    ; __append("<div class=\"dialog-wrapper ready\">\n    <div class=\"dialog export\">\n        <div class=\"dialog-header\">\n            <h2>Export passwords</h2>\n            <a class=\"dialog-close\" role=\"button\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form class=\"tab-content ready selected\" id=\"js_rs_export\">\n                <div class=\"form-content\">\n                    <div class=\"input select required\">\n                        <label for=\"\">Choose the export format (\n                            <a role=\"link\" data-tooltip=\"csv export format is compatible with the one of keepassx\">csv</a> and\n                            <a role=\"link\" data-tooltip=\"kdbx files are files generated by keepass v2.x\">kdbx</a> are supported)\n                        </label>\n                        <select class=\"export-format\" id=\"export-format\">\n                            <option value=\"kdbx\">kdbx (keepass / keepassx)</option>\n                            <option value=\"csv-kdbx\">csv (keepass / keepassx)</option>\n                            <option value=\"csv-lastpass\">csv (lastpass)</option>\n                            <option value=\"csv-1password\">csv (1password)</option>\n                        </select>\n                    </div>\n                    <p><br><em>")
-    ; __line = 24
+    ; __append("<div class=\"dialog-wrapper ready\">\n    <div class=\"dialog export\">\n        <div class=\"dialog-header\">\n            <h2>Export passwords</h2>\n            <a class=\"dialog-close\" role=\"button\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form class=\"tab-content ready selected\" id=\"js_rs_export\">\n                <div class=\"form-content\">\n                    <div class=\"input select required\">\n                        <label for=\"\">Choose the export format (\n                            <a role=\"link\" data-tooltip=\"csv export formats are compatible with keepass, lastpass, 1password, bitwarden, dashlane, keeper, enpass, chrome and firefox\">csv</a> and\n                            <a role=\"link\" data-tooltip=\"kdbx files are files generated by keepass v2.x\">kdbx</a> and\n                            <a role=\"link\" data-tooltip=\"passbolt files are encrypted exports including the tags and the permissions, they can be imported in another passbolt\">passbolt</a> are supported)\n                        </label>\n                        <select class=\"export-format\" id=\"export-format\">\n                            <option value=\"kdbx\">kdbx (keepass / keepassx)</option>\n                            <option value=\"csv-kdbx\">csv (keepass / keepassx)</option>\n                            <option value=\"csv-lastpass\">csv (lastpass)</option>\n                            <option value=\"csv-1password\">csv (1password)</option>\n                            <option value=\"csv-keepassxc\">csv (keepassxc)</option>\n                            <option value=\"csv-bitwarden\">csv (bitwarden)</option>\n                            <option value=\"csv-dashlane\">csv (dashlane)</option>\n                            <option value=\"csv-keeper\">csv (keeper)</option>\n                            <option value=\"csv-enpass\">csv (enpass)</option>\n                            <option value=\"csv-chromium\">csv (chrome / chromium)</option>\n                            <option value=\"csv-firefox\">csv (firefox)</option>\n                            <option value=\"passbolt\">passbolt (encrypted, with tags and permissions)</option>\n                        </select>\n                    </div>\n                    <p><br><em>")
+    ; __line = 33
     ; __append(escapeFn( count ))
     ; __append(" passwords are going to be exported.</em></p>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Export\" type=\"submit\">\n                </div>\n            </form>\n        </div>\n    </div>\n</div>")
-    ; __line = 32
+    ; __line = 41
   }
   return __output.join("");
 } catch (e) {
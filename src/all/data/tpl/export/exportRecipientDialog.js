@@ -0,0 +1,71 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<div class=\"dialog-wrapper\" id=\"export-recipient\">\n    <div class=\"dialog export\">\n        <div class=\"dialog-header\">\n            <h2>Choose who can open the export</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form id=\"js_rs_export_recipient\">\n                <div class=\"form-content\">\n                    <p>The export is encrypted with the key of the chosen user. Only this user will be able to import it, with their passphrase.</p>\n                    <div class=\"input select required\">\n                        <label for=\"js_field_recipient\">Encrypt for</label>\n                        <select id=\"js_field_recipient\">\n                            <? for (let i in this.recipients) { ?>\n                            <option value=\"<?= this.recipients[i].userId ?>\"><?= this.recipients[i].isCurrentUser ? 'Me' : this.recipients[i].name ?> &lt;<?= this.recipients[i].email ?>&gt;</option>\n                            <? } ?>\n                        </select>\n                    </div>\n                    <div class=\"input text\">\n                        <label>Key fingerprint</label>\n                        <p><code id=\"js_field_recipient_fingerprint\"></code></p>\n                    </div>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Continue export\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>\n"
+  , __filename = "src/all/data/ejs/export/exportRecipientDialog.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<div class=\"dialog-wrapper\" id=\"export-recipient\">\n    <div class=\"dialog export\">\n        <div class=\"dialog-header\">\n            <h2>Choose who can open the export</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form id=\"js_rs_export_recipient\">\n                <div class=\"form-content\">\n                    <p>The export is encrypted with the key of the chosen user. Only this user will be able to import it, with their passphrase.</p>\n                    <div class=\"input select required\">\n                        <label for=\"js_field_recipient\">Encrypt for</label>\n                        <select id=\"js_field_recipient\">\n                            ")
+    ; __line = 16
+    ;  for (let i in this.recipients) { 
+    ; __append("\n                            <option value=\"")
+    ; __line = 17
+    ; __append(escapeFn( this.recipients[i].userId ))
+    ; __append("\">")
+    ; __append(escapeFn( this.recipients[i].isCurrentUser ? 'Me' : this.recipients[i].name ))
+    ; __append(" &lt;")
+    ; __append(escapeFn( this.recipients[i].email ))
+    ; __append("&gt;</option>\n                            ")
+    ; __line = 18
+    ;  } 
+    ; __append("\n                        </select>\n                    </div>\n                    <div class=\"input text\">\n                        <label>Key fingerprint</label>\n                        <p><code id=\"js_field_recipient_fingerprint\"></code></p>\n                    </div>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Continue export\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>\n")
+    ; __line = 34
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
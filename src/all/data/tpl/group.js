@@ -4,3 +4,4 @@ window.templates.group.edit = require('./group/edit.js');
 window.templates.group.editAutocomplete = require('./group/editAutocomplete.js');
 window.templates.group.editAutocompleteItem = require('./group/editAutocompleteItem.js');
 window.templates.group.editAutocompleteItemEmpty = require('./group/editAutocompleteItemEmpty.js');
+window.templates.group.editPendingJob = require('./group/editPendingJob.js');
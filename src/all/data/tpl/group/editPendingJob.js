@@ -0,0 +1,62 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "The last update of this group was interrupted, <?= remaining ?> of <?= total ?> members have not been added yet.\n<a id=\"js_group_edit_resume_job\" href=\"#\">Resume the update</a>\n"
+  , __filename = "src/all/data/ejs/group/editPendingJob.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("The last update of this group was interrupted, ")
+    ; __append(escapeFn( remaining ))
+    ; __append(" of ")
+    ; __append(escapeFn( total ))
+    ; __append(" members have not been added yet.\n<a id=\"js_group_edit_resume_job\" href=\"#\">Resume the update</a>\n")
+    ; __line = 3
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
@@ -1,5 +1,8 @@
 window.templates = window.templates || {};
 window.templates.import = window.templates.import || {};
+window.templates.import.csvMappingDialog = require('./import/csvMappingDialog.js');
+window.templates.import.csvMappingPreview = require('./import/csvMappingPreview.js');
+window.templates.import.duplicatesDialog = require('./import/duplicatesDialog.js');
 window.templates.import.importPasswordsMainDialog = require('./import/importPasswordsMainDialog.js');
 window.templates.import.importPasswordsReportDialog = require('./import/importPasswordsReportDialog.js');
 window.templates.import.kdbxCredentials = require('./import/kdbxCredentials.js');
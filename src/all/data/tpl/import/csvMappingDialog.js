@@ -0,0 +1,90 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<div class=\"dialog-wrapper\" id=\"csv-mapping\">\n    <div class=\"dialog import\">\n        <div class=\"dialog-header\">\n            <h2>Map the CSV columns</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form id=\"js_rs_csv_mapping\">\n                <div class=\"form-content\">\n                    <p>The format of this csv file is not recognized. Select the column to import for each field.</p>\n                    <? for (let field in this.fields) { ?>\n                    <div class=\"input select <?= field === 'secretClear' ? 'required' : '' ?>\">\n                        <label for=\"js_field_mapping_<?= field ?>\"><?= this.fields[field] ?></label>\n                        <select class=\"js_field_mapping\" id=\"js_field_mapping_<?= field ?>\" data-field=\"<?= field ?>\">\n                            <option value=\"\">(not imported)</option>\n                            <? for (let i in this.headers) { ?>\n                            <option value=\"<?= this.headers[i] ?>\" <?= this.mapping[field] === this.headers[i] ? 'selected=\"selected\"' : '' ?>><?= this.headers[i] ?></option>\n                            <? } ?>\n                        </select>\n                    </div>\n                    <? } ?>\n                    <div class=\"input text\">\n                        <label for=\"js_field_format_name\">Save this mapping for the next imports as (optional)</label>\n                        <input id=\"js_field_format_name\" maxlength=\"64\" type=\"text\" placeholder=\"format name\">\n                    </div>\n                    <div class=\"csv-mapping-preview\"></div>\n                    <div id=\"js_field_mapping_feedback\" class=\"message\"></div>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Import\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>\n"
+  , __filename = "src/all/data/ejs/import/csvMappingDialog.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<div class=\"dialog-wrapper\" id=\"csv-mapping\">\n    <div class=\"dialog import\">\n        <div class=\"dialog-header\">\n            <h2>Map the CSV columns</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form id=\"js_rs_csv_mapping\">\n                <div class=\"form-content\">\n                    <p>The format of this csv file is not recognized. Select the column to import for each field.</p>\n                    ")
+    ; __line = 13
+    ;  for (let field in this.fields) { 
+    ; __append("\n                    <div class=\"input select ")
+    ; __line = 14
+    ; __append(escapeFn( field === 'secretClear' ? 'required' : '' ))
+    ; __append("\">\n                        <label for=\"js_field_mapping_")
+    ; __line = 15
+    ; __append(escapeFn( field ))
+    ; __append("\">")
+    ; __append(escapeFn( this.fields[field] ))
+    ; __append("</label>\n                        <select class=\"js_field_mapping\" id=\"js_field_mapping_")
+    ; __line = 16
+    ; __append(escapeFn( field ))
+    ; __append("\" data-field=\"")
+    ; __append(escapeFn( field ))
+    ; __append("\">\n                            <option value=\"\">(not imported)</option>\n                            ")
+    ; __line = 18
+    ;  for (let i in this.headers) { 
+    ; __append("\n                            <option value=\"")
+    ; __line = 19
+    ; __append(escapeFn( this.headers[i] ))
+    ; __append("\" ")
+    ; __append(escapeFn( this.mapping[field] === this.headers[i] ? 'selected="selected"' : '' ))
+    ; __append(">")
+    ; __append(escapeFn( this.headers[i] ))
+    ; __append("</option>\n                            ")
+    ; __line = 20
+    ;  } 
+    ; __append("\n                        </select>\n                    </div>\n                    ")
+    ; __line = 23
+    ;  } 
+    ; __append("\n                    <div class=\"input text\">\n                        <label for=\"js_field_format_name\">Save this mapping for the next imports as (optional)</label>\n                        <input id=\"js_field_format_name\" maxlength=\"64\" type=\"text\" placeholder=\"format name\">\n                    </div>\n                    <div class=\"csv-mapping-preview\"></div>\n                    <div id=\"js_field_mapping_feedback\" class=\"message\"></div>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Import\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>\n")
+    ; __line = 39
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
@@ -0,0 +1,82 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<p><strong>Preview</strong> of the first passwords to import:</p>\n<table class=\"table-info\">\n    <thead>\n        <tr>\n            <? for (let field in this.fields) { ?>\n            <th><?= this.fields[field] ?></th>\n            <? } ?>\n        </tr>\n    </thead>\n    <tbody>\n        <? for (let i in this.resources) { ?>\n        <tr>\n            <? for (let field in this.fields) { ?>\n            <td><?= field === 'secretClear' && this.resources[i][field] ? '********' : this.resources[i][field] ?></td>\n            <? } ?>\n        </tr>\n        <? } ?>\n    </tbody>\n</table>\n"
+  , __filename = "src/all/data/ejs/import/csvMappingPreview.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<p><strong>Preview</strong> of the first passwords to import:</p>\n<table class=\"table-info\">\n    <thead>\n        <tr>\n            ")
+    ; __line = 5
+    ;  for (let field in this.fields) { 
+    ; __append("\n            <th>")
+    ; __line = 6
+    ; __append(escapeFn( this.fields[field] ))
+    ; __append("</th>\n            ")
+    ; __line = 7
+    ;  } 
+    ; __append("\n        </tr>\n    </thead>\n    <tbody>\n        ")
+    ; __line = 11
+    ;  for (let i in this.resources) { 
+    ; __append("\n        <tr>\n            ")
+    ; __line = 13
+    ;  for (let field in this.fields) { 
+    ; __append("\n            <td>")
+    ; __line = 14
+    ; __append(escapeFn( field === 'secretClear' && this.resources[i][field] ? '********' : this.resources[i][field] ))
+    ; __append("</td>\n            ")
+    ; __line = 15
+    ;  } 
+    ; __append("\n        </tr>\n        ")
+    ; __line = 17
+    ;  } 
+    ; __append("\n    </tbody>\n</table>\n")
+    ; __line = 20
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<div class=\"dialog-wrapper\" id=\"import-duplicates\">\n    <div class=\"dialog import\">\n        <div class=\"dialog-header\">\n            <h2>Some passwords already exist</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form id=\"js_rs_import_duplicates\">\n                <div class=\"form-content\">\n                    <p><?= this.duplicates.length ?> passwords to import have the same name, username and url than existing passwords. Choose what to do with them.</p>\n                    <div class=\"input select\">\n                        <label for=\"js_field_duplicates_all\">For all the passwords</label>\n                        <select id=\"js_field_duplicates_all\">\n                            <option value=\"\">choose for each password</option>\n                            <option value=\"skip\">do not import</option>\n                            <option value=\"overwrite\">overwrite</option>\n                            <option value=\"keep\">keep both</option>\n                        </select>\n                    </div>\n                    <table class=\"table-info\">\n                        <thead>\n                            <tr>\n                                <th>Name</th>\n                                <th>Username</th>\n                                <th>URL</th>\n                                <th>Action</th>\n                            </tr>\n                        </thead>\n                        <tbody>\n                            <? for (let i in this.duplicates) { ?>\n                            <tr>\n                                <td><?= this.duplicates[i].name ?></td>\n                                <td><?= this.duplicates[i].username ?></td>\n                                <td><?= this.duplicates[i].uri ?></td>\n                                <td>\n                                    <select class=\"js_field_duplicate_resolution\" data-index=\"<?= this.duplicates[i].index ?>\">\n                                        <option value=\"skip\">do not import</option>\n                                        <option value=\"overwrite\">overwrite</option>\n                                        <option value=\"keep\">keep both</option>\n                                    </select>\n                                </td>\n                            </tr>\n                            <? } ?>\n                        </tbody>\n                    </table>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Continue import\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>\n"
+  , __filename = "src/all/data/ejs/import/duplicatesDialog.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<div class=\"dialog-wrapper\" id=\"import-duplicates\">\n    <div class=\"dialog import\">\n        <div class=\"dialog-header\">\n            <h2>Some passwords already exist</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <form id=\"js_rs_import_duplicates\">\n                <div class=\"form-content\">\n                    <p>")
+    ; __line = 12
+    ; __append(escapeFn( this.duplicates.length ))
+    ; __append(" passwords to import have the same name, username and url than existing passwords. Choose what to do with them.</p>\n                    <div class=\"input select\">\n                        <label for=\"js_field_duplicates_all\">For all the passwords</label>\n                        <select id=\"js_field_duplicates_all\">\n                            <option value=\"\">choose for each password</option>\n                            <option value=\"skip\">do not import</option>\n                            <option value=\"overwrite\">overwrite</option>\n                            <option value=\"keep\">keep both</option>\n                        </select>\n                    </div>\n                    <table class=\"table-info\">\n                        <thead>\n                            <tr>\n                                <th>Name</th>\n                                <th>Username</th>\n                                <th>URL</th>\n                                <th>Action</th>\n                            </tr>\n                        </thead>\n                        <tbody>\n                            ")
+    ; __line = 32
+    ;  for (let i in this.duplicates) { 
+    ; __append("\n                            <tr>\n                                <td>")
+    ; __line = 34
+    ; __append(escapeFn( this.duplicates[i].name ))
+    ; __append("</td>\n                                <td>")
+    ; __line = 35
+    ; __append(escapeFn( this.duplicates[i].username ))
+    ; __append("</td>\n                                <td>")
+    ; __line = 36
+    ; __append(escapeFn( this.duplicates[i].uri ))
+    ; __append("</td>\n                                <td>\n                                    <select class=\"js_field_duplicate_resolution\" data-index=\"")
+    ; __line = 38
+    ; __append(escapeFn( this.duplicates[i].index ))
+    ; __append("\">\n                                        <option value=\"skip\">do not import</option>\n                                        <option value=\"overwrite\">overwrite</option>\n                                        <option value=\"keep\">keep both</option>\n                                    </select>\n                                </td>\n                            </tr>\n                            ")
+    ; __line = 45
+    ;  } 
+    ; __append("\n                        </tbody>\n                    </table>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Continue import\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>\n")
+    ; __line = 57
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
@@ -42,19 +42,30 @@ function encode_char(c) {
 };
 ;
 var __line = 1
-  , __lines = "<div class=\"dialog-wrapper\" id=\"choose-file\">\n    <div class=\"dialog import\">\n        <div class=\"dialog-header\">\n            <h2>Import passwords</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n\n        </div>\n        <div class=\"dialog-content\">\n            <form id=\"js_rs_import\">\n                <div class=\"form-content\">\n                    <div class=\"input text required\">\n                        <label for=\"js_field_file\">\n                            Select a file to import\n                            (<a role=\"link\" data-tooltip=\"csv exports from keepassx, lastpass and 1password are supported\">csv</a>\n                            or <a role=\"link\" data-tooltip=\"kdbx files are files generated by keepass v2.x\">kdbx</a>)\n                        </label>\n                        <input name=\"passbolt.model.Import.file\"\n                               class=\"jfilestyle\"\n                               id=\"js_field_file\" placeholder=\"name\" type=\"file\"\n                               data-text=\"Choose a file\" data-placeholder=\"No file selected\">\n                        <div id=\"js_field_file_feedback\" class=\"message ready\"></div>\n                    </div>\n                    <? if(this.tagsIntegration !== undefined && this.tagsIntegration == true) { ?>\n                    <div class=\"input text\">\n                        <input type=\"checkbox\" name=\"passbolt.model.Import.category_as_tags\"\n                               id=\"js_field_category_as_tags\" checked=\"checked\"> <label>Import categories as tags</label>\n                    </div>\n                    <? } ?>\n\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Import\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>"
+  , __lines = "<div class=\"dialog-wrapper\" id=\"choose-file\">\n    <div class=\"dialog import\">\n        <div class=\"dialog-header\">\n            <h2>Import passwords</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n\n        </div>\n        <div class=\"dialog-content\">\n            <form id=\"js_rs_import\">\n                <div class=\"form-content\">\n                    <? if (this.pendingJob) { ?>\n                    <div class=\"message warning pending-import\">\n                        <p>\n                            A previous import was interrupted, <?= this.pendingJob.remaining ?> out of <?= this.pendingJob.total ?> passwords remain to be imported.\n                            <a role=\"link\" class=\"js-import-resume\">Resume the import</a> or <a role=\"link\" class=\"js-import-discard\">discard it</a>.\n                        </p>\n                    </div>\n                    <? } ?>\n                    <div class=\"input text required\">\n                        <label for=\"js_field_file\">\n                            Select a file to import\n                            (<a role=\"link\" data-tooltip=\"csv exports from keepass, keepassxc, lastpass, 1password, bitwarden, dashlane, keeper, enpass, chrome and firefox are supported\">csv</a>,\n                            <a role=\"link\" data-tooltip=\"kdbx files are files generated by keepass v2.x\">kdbx</a>,\n                            <a role=\"link\" data-tooltip=\"unencrypted json exports from bitwarden are supported\">json</a>,\n                            <a role=\"link\" data-tooltip=\"1pux files are exports generated by 1password\">1pux</a>\n                            or <a role=\"link\" data-tooltip=\"passbolt files are encrypted exports generated by passbolt, the tags and permissions are restored\">passbolt</a>)\n                        </label>\n                        <input name=\"passbolt.model.Import.file\"\n                               class=\"jfilestyle\"\n                               id=\"js_field_file\" placeholder=\"name\" type=\"file\"\n                               data-text=\"Choose a file\" data-placeholder=\"No file selected\">\n                        <div id=\"js_field_file_feedback\" class=\"message ready\"></div>\n                    </div>\n                    <div class=\"input select\">\n                        <label for=\"js_field_duplicates_strategy\">When a password already exists</label>\n                        <select id=\"js_field_duplicates_strategy\">\n                            <option value=\"ask\">ask me what to do</option>\n                            <option value=\"skip\">do not import it</option>\n                            <option value=\"overwrite\">overwrite the existing password</option>\n                            <option value=\"keep\">keep both</option>\n                        </select>\n                    </div>\n                    <div class=\"input text\">\n                        <input type=\"checkbox\" id=\"js_field_compare_secrets\"> <label for=\"js_field_compare_secrets\">Only consider passwords with the same secret as already existing (your passphrase will be requested)</label>\n                    </div>\n                    <? if(this.tagsIntegration !== undefined && this.tagsIntegration == true) { ?>\n                    <div class=\"input text\">\n                        <input type=\"checkbox\" name=\"passbolt.model.Import.category_as_tags\"\n                               id=\"js_field_category_as_tags\" checked=\"checked\"> <label>Import categories as tags</label>\n                    </div>\n                    <? } ?>\n\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Import\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>"
   , __filename = "src/all/data/ejs/import/importPasswordsMainDialog.ejs";
 try {
   var __output = [], __append = __output.push.bind(__output);
   with (locals || {}) {
-    ; __append("<div class=\"dialog-wrapper\" id=\"choose-file\">\n    <div class=\"dialog import\">\n        <div class=\"dialog-header\">\n            <h2>Import passwords</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n\n        </div>\n        <div class=\"dialog-content\">\n            <form id=\"js_rs_import\">\n                <div class=\"form-content\">\n                    <div class=\"input text required\">\n                        <label for=\"js_field_file\">\n                            Select a file to import\n                            (<a role=\"link\" data-tooltip=\"csv exports from keepassx, lastpass and 1password are supported\">csv</a>\n                            or <a role=\"link\" data-tooltip=\"kdbx files are files generated by keepass v2.x\">kdbx</a>)\n                        </label>\n                        <input name=\"passbolt.model.Import.file\"\n                               class=\"jfilestyle\"\n                               id=\"js_field_file\" placeholder=\"name\" type=\"file\"\n                               data-text=\"Choose a file\" data-placeholder=\"No file selected\">\n                        <div id=\"js_field_file_feedback\" class=\"message ready\"></div>\n                    </div>\n                    ")
-    ; __line = 25
+    ; __append("<div class=\"dialog-wrapper\" id=\"choose-file\">\n    <div class=\"dialog import\">\n        <div class=\"dialog-header\">\n            <h2>Import passwords</h2>\n            <a role=\"button\" class=\"dialog-close\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n\n        </div>\n        <div class=\"dialog-content\">\n            <form id=\"js_rs_import\">\n                <div class=\"form-content\">\n                    ")
+    ; __line = 13
+    ;  if (this.pendingJob) { 
+    ; __append("\n                    <div class=\"message warning pending-import\">\n                        <p>\n                            A previous import was interrupted, ")
+    ; __line = 16
+    ; __append(escapeFn( this.pendingJob.remaining ))
+    ; __append(" out of ")
+    ; __append(escapeFn( this.pendingJob.total ))
+    ; __append(" passwords remain to be imported.\n                            <a role=\"link\" class=\"js-import-resume\">Resume the import</a> or <a role=\"link\" class=\"js-import-discard\">discard it</a>.\n                        </p>\n                    </div>\n                    ")
+    ; __line = 20
+    ;  } 
+    ; __append("\n                    <div class=\"input text required\">\n                        <label for=\"js_field_file\">\n                            Select a file to import\n                            (<a role=\"link\" data-tooltip=\"csv exports from keepass, keepassxc, lastpass, 1password, bitwarden, dashlane, keeper, enpass, chrome and firefox are supported\">csv</a>,\n                            <a role=\"link\" data-tooltip=\"kdbx files are files generated by keepass v2.x\">kdbx</a>,\n                            <a role=\"link\" data-tooltip=\"unencrypted json exports from bitwarden are supported\">json</a>,\n                            <a role=\"link\" data-tooltip=\"1pux files are exports generated by 1password\">1pux</a>\n                            or <a role=\"link\" data-tooltip=\"passbolt files are encrypted exports generated by passbolt, the tags and permissions are restored\">passbolt</a>)\n                        </label>\n                        <input name=\"passbolt.model.Import.file\"\n                               class=\"jfilestyle\"\n                               id=\"js_field_file\" placeholder=\"name\" type=\"file\"\n                               data-text=\"Choose a file\" data-placeholder=\"No file selected\">\n                        <div id=\"js_field_file_feedback\" class=\"message ready\"></div>\n                    </div>\n                    <div class=\"input select\">\n                        <label for=\"js_field_duplicates_strategy\">When a password already exists</label>\n                        <select id=\"js_field_duplicates_strategy\">\n                            <option value=\"ask\">ask me what to do</option>\n                            <option value=\"skip\">do not import it</option>\n                            <option value=\"overwrite\">overwrite the existing password</option>\n                            <option value=\"keep\">keep both</option>\n                        </select>\n                    </div>\n                    <div class=\"input text\">\n                        <input type=\"checkbox\" id=\"js_field_compare_secrets\"> <label for=\"js_field_compare_secrets\">Only consider passwords with the same secret as already existing (your passphrase will be requested)</label>\n                    </div>\n                    ")
+    ; __line = 48
     ;  if(this.tagsIntegration !== undefined && this.tagsIntegration == true) { 
     ; __append("\n                    <div class=\"input text\">\n                        <input type=\"checkbox\" name=\"passbolt.model.Import.category_as_tags\"\n                               id=\"js_field_category_as_tags\" checked=\"checked\"> <label>Import categories as tags</label>\n                    </div>\n                    ")
-    ; __line = 30
+    ; __line = 53
     ;  } 
     ; __append("\n\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Import\" type=\"submit\">\n                    <a role=\"link\" class=\"js-dialog-cancel cancel\">cancel</a>\n                </div>\n            </form>\n        </div>\n    </div>\n</div>")
-    ; __line = 40
+    ; __line = 63
   }
   return __output.join("");
 } catch (e) {
@@ -42,7 +42,7 @@ function encode_char(c) {
 };
 ;
 var __line = 1
-  , __lines = "<?\nvar success = true;\nif(this.errorsList.length > 0) {\n    success = false;\n}\n?>\n<div class=\"dialog-wrapper\">\n    <div class=\"dialog report\">\n        <div class=\"dialog-header\">\n            <? if (success) { ?>\n            <h2>Success!</h2>\n            <? } else { ?>\n            <h2>Something went wrong!</h2>\n            <? } ?>\n            <a class=\"dialog-close\" role=\"button\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n\n            <form class=\"tab-content ready selected\" id=\"js_rs_import_report\">\n                <div class=\"form-content\">\n                    <? if (success) { ?>\n                    <p><strong><?= this.successList.length ?> passwords have been imported successfully.</strong></p>\n                    <? } else { ?>\n                    <p class=\"error inline-error\">There was an issue when importing the passwords:</p>\n                    <? } ?>\n                    <? if (!success) { ?>\n                    <p>\n                        <strong><?= this.successList.length ?> out of <?= this.resources.length ?></strong> passwords have been imported.\n                    </p>\n                    <? } ?>\n                    <? if(this.tagsIntegration === true) { ?>\n                    <p>You can find the newly imported passwords under the tag: '<?= this.importTag ?>'.</p>\n                    <? } ?>\n                    <? if (!success) { ?>\n                    <div class=\"accordion error-details closed\">\n                        <div class=\"accordion-header\">\n                            <a role=\"link\">Errors details</a>\n                        </div>\n                        <div class=\"accordion-content hidden\" style=\"display: none;\">\n                            <div class=\"input text\">\n                                <label for=\"js_field_debug\" class=\"visuallyhidden\">Errors details</label>\n                                <textarea id=\"js_field_debug\"><?= JSON.stringify(this.errorsList, null, 4); ?></textarea>\n                            </div>\n                        </div>\n                    </div>\n                    <? } ?>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Ok\" type=\"submit\">\n                </div>\n            </form>\n        </div>\n    </div>\n</div>"
+  , __lines = "<?\nvar success = true;\nif(this.errorsList.length > 0) {\n    success = false;\n}\n?>\n<div class=\"dialog-wrapper\">\n    <div class=\"dialog report\">\n        <div class=\"dialog-header\">\n            <? if (success) { ?>\n            <h2>Success!</h2>\n            <? } else { ?>\n            <h2>Something went wrong!</h2>\n            <? } ?>\n            <a class=\"dialog-close\" role=\"button\">\n                <i class=\"fa fa-close\"></i><span class=\"visuallyhidden\">close</span>\n            </a>\n\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n\n            <form class=\"tab-content ready selected\" id=\"js_rs_import_report\">\n                <div class=\"form-content\">\n                    <? if (success) { ?>\n                    <p><strong><?= this.successList.length ?> passwords have been imported successfully.</strong></p>\n                    <? } else { ?>\n                    <p class=\"error inline-error\">There was an issue when importing the passwords:</p>\n                    <? } ?>\n                    <? if (!success) { ?>\n                    <p>\n                        <strong><?= this.successList.length ?> out of <?= this.resources.length ?></strong> passwords have been imported.\n                    </p>\n                    <? } ?>\n                    <? if (this.duplicates.found > 0) { ?>\n                    <p>\n                        <?= this.duplicates.found ?> passwords already existed:\n                        <?= this.duplicates.skipped ?> skipped,\n                        <?= this.duplicates.overwritten ?> overwritten,\n                        <?= this.duplicates.kept ?> imported as new passwords.\n                    </p>\n                    <? } ?>\n                    <? if(this.tagsIntegration === true) { ?>\n                    <p>You can find the newly imported passwords under the tag: '<?= this.importTag ?>'.</p>\n                    <? } ?>\n                    <? if (this.unmappedItems.length > 0) { ?>\n                    <p>Some data could not be imported, passbolt does not support them yet.</p>\n                    <div class=\"accordion unmapped-details closed\">\n                        <div class=\"accordion-header\">\n                            <a role=\"link\">Data not imported</a>\n                        </div>\n                        <div class=\"accordion-content hidden\" style=\"display: none;\">\n                            <ul>\n                                <? for (let i in this.unmappedItems) { ?>\n                                <li><?= this.unmappedItems[i].resource ?>: <?= this.unmappedItems[i].name ?> (<?= this.unmappedItems[i].type ?>)</li>\n                                <? } ?>\n                            </ul>\n                        </div>\n                    </div>\n                    <? } ?>\n                    <? if (!success) { ?>\n                    <p><a role=\"link\" class=\"js-download-failed\">Download the passwords that could not be imported</a> (csv) to fix and import them again. <strong>The file contains the passwords in clear text</strong>, delete it once they are imported.</p>\n                    <div class=\"accordion error-details closed\">\n                        <div class=\"accordion-header\">\n                            <a role=\"link\">Errors details</a>\n                        </div>\n                        <div class=\"accordion-content hidden\" style=\"display: none;\">\n                            <div class=\"input text\">\n                                <label for=\"js_field_debug\" class=\"visuallyhidden\">Errors details</label>\n                                <textarea id=\"js_field_debug\"><?= JSON.stringify(this.errorsList, null, 4); ?></textarea>\n                            </div>\n                        </div>\n                    </div>\n                    <? } ?>\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Ok\" type=\"submit\">\n                </div>\n            </form>\n        </div>\n    </div>\n</div>"
   , __filename = "src/all/data/ejs/import/importPasswordsReportDialog.ejs";
 try {
   var __output = [], __append = __output.push.bind(__output);
@@ -88,24 +88,61 @@ if(this.errorsList.length > 0) {
     ;  } 
     ; __append("\n                    ")
     ; __line = 34
+    ;  if (this.duplicates.found > 0) { 
+    ; __append("\n                    <p>\n                        ")
+    ; __line = 36
+    ; __append(escapeFn( this.duplicates.found ))
+    ; __append(" passwords already existed:\n                        ")
+    ; __line = 37
+    ; __append(escapeFn( this.duplicates.skipped ))
+    ; __append(" skipped,\n                        ")
+    ; __line = 38
+    ; __append(escapeFn( this.duplicates.overwritten ))
+    ; __append(" overwritten,\n                        ")
+    ; __line = 39
+    ; __append(escapeFn( this.duplicates.kept ))
+    ; __append(" imported as new passwords.\n                    </p>\n                    ")
+    ; __line = 41
+    ;  } 
+    ; __append("\n                    ")
+    ; __line = 42
     ;  if(this.tagsIntegration === true) { 
     ; __append("\n                    <p>You can find the newly imported passwords under the tag: '")
-    ; __line = 35
+    ; __line = 43
     ; __append(escapeFn( this.importTag ))
     ; __append("'.</p>\n                    ")
-    ; __line = 36
+    ; __line = 44
     ;  } 
     ; __append("\n                    ")
-    ; __line = 37
-    ;  if (!success) { 
-    ; __append("\n                    <div class=\"accordion error-details closed\">\n                        <div class=\"accordion-header\">\n                            <a role=\"link\">Errors details</a>\n                        </div>\n                        <div class=\"accordion-content hidden\" style=\"display: none;\">\n                            <div class=\"input text\">\n                                <label for=\"js_field_debug\" class=\"visuallyhidden\">Errors details</label>\n                                <textarea id=\"js_field_debug\">")
     ; __line = 45
+    ;  if (this.unmappedItems.length > 0) { 
+    ; __append("\n                    <p>Some data could not be imported, passbolt does not support them yet.</p>\n                    <div class=\"accordion unmapped-details closed\">\n                        <div class=\"accordion-header\">\n                            <a role=\"link\">Data not imported</a>\n                        </div>\n                        <div class=\"accordion-content hidden\" style=\"display: none;\">\n                            <ul>\n                                ")
+    ; __line = 53
+    ;  for (let i in this.unmappedItems) { 
+    ; __append("\n                                <li>")
+    ; __line = 54
+    ; __append(escapeFn( this.unmappedItems[i].resource ))
+    ; __append(": ")
+    ; __append(escapeFn( this.unmappedItems[i].name ))
+    ; __append(" (")
+    ; __append(escapeFn( this.unmappedItems[i].type ))
+    ; __append(")</li>\n                                ")
+    ; __line = 55
+    ;  } 
+    ; __append("\n                            </ul>\n                        </div>\n                    </div>\n                    ")
+    ; __line = 59
+    ;  } 
+    ; __append("\n                    ")
+    ; __line = 60
+    ;  if (!success) { 
+    ; __append("\n                    <p><a role=\"link\" class=\"js-download-failed\">Download the passwords that could not be imported</a> (csv) to fix and import them again. <strong>The file contains the passwords in clear text</strong>, delete it once they are imported.</p>\n                    <div class=\"accordion error-details closed\">\n                        <div class=\"accordion-header\">\n                            <a role=\"link\">Errors details</a>\n                        </div>\n                        <div class=\"accordion-content hidden\" style=\"display: none;\">\n                            <div class=\"input text\">\n                                <label for=\"js_field_debug\" class=\"visuallyhidden\">Errors details</label>\n                                <textarea id=\"js_field_debug\">")
+    ; __line = 69
     ; __append(escapeFn( JSON.stringify(this.errorsList, null, 4) ))
     ; __append("</textarea>\n                            </div>\n                        </div>\n                    </div>\n                    ")
-    ; __line = 49
+    ; __line = 73
     ;  } 
     ; __append("\n                </div>\n                <div class=\"submit-wrapper clearfix\">\n                    <input class=\"button primary\" value=\"Ok\" type=\"submit\">\n                </div>\n            </form>\n        </div>\n    </div>\n</div>")
-    ; __line = 57
+    ; __line = 81
   }
   return __output.join("");
 } catch (e) {
@@ -0,0 +1,5 @@
+window.templates = window.templates || {};
+window.templates.keySettings = window.templates.keySettings || {};
+window.templates.keySettings.keyInfo = require('./keySettings/keyInfo.js');
+window.templates.keySettings.paperBackup = require('./keySettings/paperBackup.js');
+window.templates.keySettings.pins = require('./keySettings/pins.js');
@@ -0,0 +1,80 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<table class=\"table-info\">\n    <tr class=\"uid\">\n        <td>User id</td>\n        <td><? for (let i in keyInfo.userIds) { ?><?= keyInfo.userIds[i].name ?> &lt;<?= keyInfo.userIds[i].email ?>&gt;<? } ?></td>\n    </tr>\n    <tr class=\"fingerprint\">\n        <td>Fingerprint</td>\n        <td><?= keyInfo.fingerprint.toUpperCase() ?></td>\n    </tr>\n    <tr class=\"algorithm\">\n        <td>Algorithm</td>\n        <td><?= keyInfo.algorithm ?> <?= keyInfo.length ?></td>\n    </tr>\n    <tr class=\"created\">\n        <td>Created</td>\n        <td><?= keyInfo.created ?></td>\n    </tr>\n    <tr class=\"expires\">\n        <td>Expires</td>\n        <td><?= keyInfo.expires ?></td>\n    </tr>\n</table>\n"
+  , __filename = "src/all/data/ejs/keySettings/keyInfo.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<table class=\"table-info\">\n    <tr class=\"uid\">\n        <td>User id</td>\n        <td>")
+    ; __line = 4
+    ;  for (let i in keyInfo.userIds) { 
+    ; __append(escapeFn( keyInfo.userIds[i].name ))
+    ; __append(" &lt;")
+    ; __append(escapeFn( keyInfo.userIds[i].email ))
+    ; __append("&gt;")
+    ;  } 
+    ; __append("</td>\n    </tr>\n    <tr class=\"fingerprint\">\n        <td>Fingerprint</td>\n        <td>")
+    ; __line = 8
+    ; __append(escapeFn( keyInfo.fingerprint.toUpperCase() ))
+    ; __append("</td>\n    </tr>\n    <tr class=\"algorithm\">\n        <td>Algorithm</td>\n        <td>")
+    ; __line = 12
+    ; __append(escapeFn( keyInfo.algorithm ))
+    ; __append(" ")
+    ; __append(escapeFn( keyInfo.length ))
+    ; __append("</td>\n    </tr>\n    <tr class=\"created\">\n        <td>Created</td>\n        <td>")
+    ; __line = 16
+    ; __append(escapeFn( keyInfo.created ))
+    ; __append("</td>\n    </tr>\n    <tr class=\"expires\">\n        <td>Expires</td>\n        <td>")
+    ; __line = 20
+    ; __append(escapeFn( keyInfo.expires ))
+    ; __append("</td>\n    </tr>\n</table>\n")
+    ; __line = 23
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<div class=\"paper-backup\">\n    <h1>Passbolt private key backup</h1>\n    <table class=\"table-info\">\n        <tr>\n            <td>User id</td>\n            <td><? for (let i in keyInfo.userIds) { ?><?= keyInfo.userIds[i].name ?> &lt;<?= keyInfo.userIds[i].email ?>&gt;<? } ?></td>\n        </tr>\n        <tr>\n            <td>Fingerprint</td>\n            <td><code><?= keyInfo.fingerprint.toUpperCase().replace(/(.{4})/g, '$1 ').trim() ?></code></td>\n        </tr>\n        <tr>\n            <td>Printed</td>\n            <td><?= new Date().toISOString().slice(0, 10) ?></td>\n        </tr>\n    </table>\n    <p>The key is split into <?= qrCodes.length ?> QR codes. To recover your account, take a picture of each QR code and select the pictures in the recovery. The key is still protected with your passphrase, keep this paper in a safe place.</p>\n    <ol class=\"paper-backup-qr-codes\">\n        <? for (let i in qrCodes) { ?>\n        <li>\n            <img src=\"<?= qrCodes[i] ?>\" alt=\"QR code <?= parseInt(i) + 1 ?>\">\n            <span><?= parseInt(i) + 1 ?>/<?= qrCodes.length ?></span>\n        </li>\n        <? } ?>\n    </ol>\n</div>\n"
+  , __filename = "src/all/data/ejs/keySettings/paperBackup.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<div class=\"paper-backup\">\n    <h1>Passbolt private key backup</h1>\n    <table class=\"table-info\">\n        <tr>\n            <td>User id</td>\n            <td>")
+    ; __line = 6
+    ;  for (let i in keyInfo.userIds) { 
+    ; __append(escapeFn( keyInfo.userIds[i].name ))
+    ; __append(" &lt;")
+    ; __append(escapeFn( keyInfo.userIds[i].email ))
+    ; __append("&gt;")
+    ;  } 
+    ; __append("</td>\n        </tr>\n        <tr>\n            <td>Fingerprint</td>\n            <td><code>")
+    ; __line = 10
+    ; __append(escapeFn( keyInfo.fingerprint.toUpperCase().replace(/(.{4})/g, '$1 ').trim() ))
+    ; __append("</code></td>\n        </tr>\n        <tr>\n            <td>Printed</td>\n            <td>")
+    ; __line = 14
+    ; __append(escapeFn( new Date().toISOString().slice(0, 10) ))
+    ; __append("</td>\n        </tr>\n    </table>\n    <p>The key is split into ")
+    ; __line = 17
+    ; __append(escapeFn( qrCodes.length ))
+    ; __append(" QR codes. To recover your account, take a picture of each QR code and select the pictures in the recovery. The key is still protected with your passphrase, keep this paper in a safe place.</p>\n    <ol class=\"paper-backup-qr-codes\">\n        ")
+    ; __line = 19
+    ;  for (let i in qrCodes) { 
+    ; __append("\n        <li>\n            <img src=\"")
+    ; __line = 21
+    ; __append(escapeFn( qrCodes[i] ))
+    ; __append("\" alt=\"QR code ")
+    ; __append(escapeFn( parseInt(i) + 1 ))
+    ; __append("\">\n            <span>")
+    ; __line = 22
+    ; __append(escapeFn( parseInt(i) + 1 ))
+    ; __append("/")
+    ; __append(escapeFn( qrCodes.length ))
+    ; __append("</span>\n        </li>\n        ")
+    ; __line = 24
+    ;  } 
+    ; __append("\n    </ol>\n</div>\n")
+    ; __line = 27
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
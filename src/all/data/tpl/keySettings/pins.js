@@ -0,0 +1,119 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<?\nconst formatFingerprint = function (fingerprint) {\n    return fingerprint.toUpperCase().replace(/(.{4})/g, '$1 ').trim();\n};\n?>\n<? if (!pins.length) { ?>\n<p>No key has been retrieved from the server yet.</p>\n<? } else { ?>\n<table class=\"table-info key-pins\">\n    <thead>\n    <tr>\n        <th>User</th>\n        <th>Trusted key</th>\n        <th>Key advertised by the server</th>\n        <th>Status</th>\n    </tr>\n    </thead>\n    <tbody>\n    <? for (let i in pins) { const pin = pins[i]; ?>\n    <tr class=\"key-pin <?= pin.changedFingerprint ? 'changed' : '' ?>\" data-user-id=\"<?= pin.userId ?>\">\n        <td><?= pin.name ?></td>\n        <td><code><?= formatFingerprint(pin.fingerprint) ?></code></td>\n        <td><code class=\"<?= pin.changedFingerprint ? 'error' : '' ?>\"><?= formatFingerprint(pin.changedFingerprint || pin.fingerprint) ?></code></td>\n        <td>\n            <? if (pin.changedFingerprint) { ?>\n            <div class=\"message error\">The key changed on <?= pin.changed ?>. Nothing is encrypted for this user until you trust the new key.</div>\n            <a href=\"#\" class=\"button js_pin_trust_new_key\">trust the new key</a>\n            <? } else if (pin.verified) { ?>\n            <div class=\"message success\">Verified on <?= pin.verified ?></div>\n            <? } else { ?>\n            <div class=\"message warning\">Not verified</div>\n            <div class=\"input text\">\n                <label for=\"js_pin_fingerprint_<?= pin.userId ?>\">Fingerprint given by the owner of the key</label>\n                <input type=\"text\" id=\"js_pin_fingerprint_<?= pin.userId ?>\" class=\"fluid js_pin_fingerprint\">\n            </div>\n            <a href=\"#\" class=\"button js_pin_verify\">verify</a>\n            <? } ?>\n        </td>\n    </tr>\n    <? } ?>\n    </tbody>\n</table>\n<? } ?>\n"
+  , __filename = "src/all/data/ejs/keySettings/pins.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; 
+const formatFingerprint = function (fingerprint) {
+    return fingerprint.toUpperCase().replace(/(.{4})/g, '$1 ').trim();
+};
+
+    ; __line = 5
+    ; __append("\n")
+    ; __line = 6
+    ;  if (!pins.length) { 
+    ; __append("\n<p>No key has been retrieved from the server yet.</p>\n")
+    ; __line = 8
+    ;  } else { 
+    ; __append("\n<table class=\"table-info key-pins\">\n    <thead>\n    <tr>\n        <th>User</th>\n        <th>Trusted key</th>\n        <th>Key advertised by the server</th>\n        <th>Status</th>\n    </tr>\n    </thead>\n    <tbody>\n    ")
+    ; __line = 19
+    ;  for (let i in pins) { const pin = pins[i]; 
+    ; __append("\n    <tr class=\"key-pin ")
+    ; __line = 20
+    ; __append(escapeFn( pin.changedFingerprint ? 'changed' : '' ))
+    ; __append("\" data-user-id=\"")
+    ; __append(escapeFn( pin.userId ))
+    ; __append("\">\n        <td>")
+    ; __line = 21
+    ; __append(escapeFn( pin.name ))
+    ; __append("</td>\n        <td><code>")
+    ; __line = 22
+    ; __append(escapeFn( formatFingerprint(pin.fingerprint) ))
+    ; __append("</code></td>\n        <td><code class=\"")
+    ; __line = 23
+    ; __append(escapeFn( pin.changedFingerprint ? 'error' : '' ))
+    ; __append("\">")
+    ; __append(escapeFn( formatFingerprint(pin.changedFingerprint || pin.fingerprint) ))
+    ; __append("</code></td>\n        <td>\n            ")
+    ; __line = 25
+    ;  if (pin.changedFingerprint) { 
+    ; __append("\n            <div class=\"message error\">The key changed on ")
+    ; __line = 26
+    ; __append(escapeFn( pin.changed ))
+    ; __append(". Nothing is encrypted for this user until you trust the new key.</div>\n            <a href=\"#\" class=\"button js_pin_trust_new_key\">trust the new key</a>\n            ")
+    ; __line = 28
+    ;  } else if (pin.verified) { 
+    ; __append("\n            <div class=\"message success\">Verified on ")
+    ; __line = 29
+    ; __append(escapeFn( pin.verified ))
+    ; __append("</div>\n            ")
+    ; __line = 30
+    ;  } else { 
+    ; __append("\n            <div class=\"message warning\">Not verified</div>\n            <div class=\"input text\">\n                <label for=\"js_pin_fingerprint_")
+    ; __line = 33
+    ; __append(escapeFn( pin.userId ))
+    ; __append("\">Fingerprint given by the owner of the key</label>\n                <input type=\"text\" id=\"js_pin_fingerprint_")
+    ; __line = 34
+    ; __append(escapeFn( pin.userId ))
+    ; __append("\" class=\"fluid js_pin_fingerprint\">\n            </div>\n            <a href=\"#\" class=\"button js_pin_verify\">verify</a>\n            ")
+    ; __line = 37
+    ;  } 
+    ; __append("\n        </td>\n    </tr>\n    ")
+    ; __line = 40
+    ;  } 
+    ; __append("\n    </tbody>\n</table>\n")
+    ; __line = 43
+    ;  } 
+    ; __append("\n")
+    ; __line = 44
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
@@ -7,5 +7,6 @@ window.templates.login.feedbackPassphraseOk = require('./login/feedbackPassphras
 window.templates.login.form = require('./login/form.js');
 window.templates.login.message = require('./login/message.js');
 window.templates.login.noconfig = require('./login/noconfig.js');
+window.templates.login.serverKeyChanged = require('./login/serverKeyChanged.js');
 window.templates.login.stage0 = require('./login/stage0.js');
 window.templates.login.wrongDomain = require('./login/wrongDomain.js');
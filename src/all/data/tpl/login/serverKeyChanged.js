@@ -0,0 +1,105 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<?\nconst formatFingerprint = function (fingerprint) {\n    return fingerprint.toUpperCase().replace(/(.{4})/g, '$1 ').trim();\n};\nconst keys = [{title: 'Trusted key', key: oldKey}, {title: 'New key advertised by the server', key: newKey}];\n?>\n<div class=\"feedback server-key-changed\">\n    <i class=\"fa fa-warning huge\"></i>\n    <p>The server key has changed. If your administrator did not announce it, the server may have been compromised: abort and contact them.</p>\n    <? for (let i in keys) { const key = keys[i].key; ?>\n    <h3><?= keys[i].title ?></h3>\n    <? if (key) { ?>\n    <table class=\"table-info\">\n        <tr><td>Fingerprint</td><td><code><?= formatFingerprint(key.fingerprint) ?></code></td></tr>\n        <tr><td>User id</td><td><? for (let j in key.userIds) { ?><?= key.userIds[j].name ?> &lt;<?= key.userIds[j].email ?>&gt; <? } ?></td></tr>\n        <tr><td>Created</td><td><?= key.created ?></td></tr>\n        <tr><td>Expires</td><td><?= key.expires ?></td></tr>\n        <tr><td>Algorithm</td><td><?= key.algorithm ?> <?= key.length ?></td></tr>\n    </table>\n    <? } else { ?>\n    <p>No key found.</p>\n    <? } ?>\n    <? } ?>\n</div>\n<div class=\"actions-wrapper center\">\n    <a id=\"js_server_key_accept\" class=\"button primary big\" href=\"#\">Accept the new key</a>\n    <a id=\"js_server_key_reject\" class=\"button big\" href=\"#\">Abort</a>\n</div>\n"
+  , __filename = "src/all/data/ejs/login/serverKeyChanged.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; 
+const formatFingerprint = function (fingerprint) {
+    return fingerprint.toUpperCase().replace(/(.{4})/g, '$1 ').trim();
+};
+const keys = [{title: 'Trusted key', key: oldKey}, {title: 'New key advertised by the server', key: newKey}];
+
+    ; __line = 6
+    ; __append("\n<div class=\"feedback server-key-changed\">\n    <i class=\"fa fa-warning huge\"></i>\n    <p>The server key has changed. If your administrator did not announce it, the server may have been compromised: abort and contact them.</p>\n    ")
+    ; __line = 10
+    ;  for (let i in keys) { const key = keys[i].key; 
+    ; __append("\n    <h3>")
+    ; __line = 11
+    ; __append(escapeFn( keys[i].title ))
+    ; __append("</h3>\n    ")
+    ; __line = 12
+    ;  if (key) { 
+    ; __append("\n    <table class=\"table-info\">\n        <tr><td>Fingerprint</td><td><code>")
+    ; __line = 14
+    ; __append(escapeFn( formatFingerprint(key.fingerprint) ))
+    ; __append("</code></td></tr>\n        <tr><td>User id</td><td>")
+    ; __line = 15
+    ;  for (let j in key.userIds) { 
+    ; __append(escapeFn( key.userIds[j].name ))
+    ; __append(" &lt;")
+    ; __append(escapeFn( key.userIds[j].email ))
+    ; __append("&gt; ")
+    ;  } 
+    ; __append("</td></tr>\n        <tr><td>Created</td><td>")
+    ; __line = 16
+    ; __append(escapeFn( key.created ))
+    ; __append("</td></tr>\n        <tr><td>Expires</td><td>")
+    ; __line = 17
+    ; __append(escapeFn( key.expires ))
+    ; __append("</td></tr>\n        <tr><td>Algorithm</td><td>")
+    ; __line = 18
+    ; __append(escapeFn( key.algorithm ))
+    ; __append(" ")
+    ; __append(escapeFn( key.length ))
+    ; __append("</td></tr>\n    </table>\n    ")
+    ; __line = 20
+    ;  } else { 
+    ; __append("\n    <p>No key found.</p>\n    ")
+    ; __line = 22
+    ;  } 
+    ; __append("\n    ")
+    ; __line = 23
+    ;  } 
+    ; __append("\n</div>\n<div class=\"actions-wrapper center\">\n    <a id=\"js_server_key_accept\" class=\"button primary big\" href=\"#\">Accept the new key</a>\n    <a id=\"js_server_key_reject\" class=\"button big\" href=\"#\">Abort</a>\n</div>\n")
+    ; __line = 29
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
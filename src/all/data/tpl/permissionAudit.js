@@ -0,0 +1,4 @@
+window.templates = window.templates || {};
+window.templates.permissionAudit = window.templates.permissionAudit || {};
+window.templates.permissionAudit.report = require('./permissionAudit/report.js');
+window.templates.permissionAudit.resources = require('./permissionAudit/resources.js');
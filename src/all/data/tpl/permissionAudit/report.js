@@ -0,0 +1,157 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<p>\n    <?= report.resources.length ?> passwords audited,\n    <?= report.resources.filter(resource => resource.singleOwner).length ?> with a single owner,\n    <?= report.resources.filter(resource => resource.largeGroups.length).length ?> shared with a group of <?= report.largeGroupMembersCount ?> members or more\n    (<?= report.usersCount ?> users in the organization).\n</p>\n<table class=\"table-info\">\n    <thead>\n        <tr>\n            <th>Password</th>\n            <th>User or group</th>\n            <th>Permission</th>\n        </tr>\n    </thead>\n    <tbody>\n        <? for (let i in report.resources) { ?>\n        <? const resource = report.resources[i]; ?>\n        <tr class=\"<?= resource.singleOwner || resource.largeGroups.length ? 'warning' : '' ?>\">\n            <td rowspan=\"<?= Math.max(1, resource.permissions.length) ?>\">\n                <strong><?= resource.name ?></strong>\n                <? if (resource.uri) { ?><br><?= resource.uri ?><? } ?>\n                <? if (resource.singleOwner) { ?><br><span class=\"warning\">Single owner</span><? } ?>\n                <? if (resource.largeGroups.length) { ?><br><span class=\"warning\">Shared with <?= resource.largeGroups.join(', ') ?></span><? } ?>\n            </td>\n            <? if (!resource.permissions.length) { ?>\n            <td colspan=\"2\">No permission could be retrieved</td>\n            <? } ?>\n        <? for (let j in resource.permissions) { ?>\n            <? const permission = resource.permissions[j]; ?>\n            <? if (j > 0) { ?><tr class=\"<?= resource.singleOwner || resource.largeGroups.length ? 'warning' : '' ?>\"><? } ?>\n            <td>\n                <? if (permission.aro === 'Group') { ?>\n                Group <?= permission.name ?> (<?= permission.membersCount ?> members)\n                <? } else { ?>\n                <?= permission.name ?> &lt;<?= permission.username ?>&gt;\n                <? } ?>\n            </td>\n            <td><?= permission.typeName ?></td>\n        </tr>\n        <? } ?>\n        <? if (!resource.permissions.length) { ?></tr><? } ?>\n        <? } ?>\n    </tbody>\n</table>\n"
+  , __filename = "src/all/data/ejs/permissionAudit/report.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<p>\n    ")
+    ; __line = 2
+    ; __append(escapeFn( report.resources.length ))
+    ; __append(" passwords audited,\n    ")
+    ; __line = 3
+    ; __append(escapeFn( report.resources.filter(resource => resource.singleOwner).length ))
+    ; __append(" with a single owner,\n    ")
+    ; __line = 4
+    ; __append(escapeFn( report.resources.filter(resource => resource.largeGroups.length).length ))
+    ; __append(" shared with a group of ")
+    ; __append(escapeFn( report.largeGroupMembersCount ))
+    ; __append(" members or more\n    (")
+    ; __line = 5
+    ; __append(escapeFn( report.usersCount ))
+    ; __append(" users in the organization).\n</p>\n<table class=\"table-info\">\n    <thead>\n        <tr>\n            <th>Password</th>\n            <th>User or group</th>\n            <th>Permission</th>\n        </tr>\n    </thead>\n    <tbody>\n        ")
+    ; __line = 16
+    ;  for (let i in report.resources) { 
+    ; __append("\n        ")
+    ; __line = 17
+    ;  const resource = report.resources[i]; 
+    ; __append("\n        <tr class=\"")
+    ; __line = 18
+    ; __append(escapeFn( resource.singleOwner || resource.largeGroups.length ? 'warning' : '' ))
+    ; __append("\">\n            <td rowspan=\"")
+    ; __line = 19
+    ; __append(escapeFn( Math.max(1, resource.permissions.length) ))
+    ; __append("\">\n                <strong>")
+    ; __line = 20
+    ; __append(escapeFn( resource.name ))
+    ; __append("</strong>\n                ")
+    ; __line = 21
+    ;  if (resource.uri) { 
+    ; __append("<br>")
+    ; __append(escapeFn( resource.uri ))
+    ;  } 
+    ; __append("\n                ")
+    ; __line = 22
+    ;  if (resource.singleOwner) { 
+    ; __append("<br><span class=\"warning\">Single owner</span>")
+    ;  } 
+    ; __append("\n                ")
+    ; __line = 23
+    ;  if (resource.largeGroups.length) { 
+    ; __append("<br><span class=\"warning\">Shared with ")
+    ; __append(escapeFn( resource.largeGroups.join(', ') ))
+    ; __append("</span>")
+    ;  } 
+    ; __append("\n            </td>\n            ")
+    ; __line = 25
+    ;  if (!resource.permissions.length) { 
+    ; __append("\n            <td colspan=\"2\">No permission could be retrieved</td>\n            ")
+    ; __line = 27
+    ;  } 
+    ; __append("\n        ")
+    ; __line = 28
+    ;  for (let j in resource.permissions) { 
+    ; __append("\n            ")
+    ; __line = 29
+    ;  const permission = resource.permissions[j]; 
+    ; __append("\n            ")
+    ; __line = 30
+    ;  if (j > 0) { 
+    ; __append("<tr class=\"")
+    ; __append(escapeFn( resource.singleOwner || resource.largeGroups.length ? 'warning' : '' ))
+    ; __append("\">")
+    ;  } 
+    ; __append("\n            <td>\n                ")
+    ; __line = 32
+    ;  if (permission.aro === 'Group') { 
+    ; __append("\n                Group ")
+    ; __line = 33
+    ; __append(escapeFn( permission.name ))
+    ; __append(" (")
+    ; __append(escapeFn( permission.membersCount ))
+    ; __append(" members)\n                ")
+    ; __line = 34
+    ;  } else { 
+    ; __append("\n                ")
+    ; __line = 35
+    ; __append(escapeFn( permission.name ))
+    ; __append(" &lt;")
+    ; __append(escapeFn( permission.username ))
+    ; __append("&gt;\n                ")
+    ; __line = 36
+    ;  } 
+    ; __append("\n            </td>\n            <td>")
+    ; __line = 38
+    ; __append(escapeFn( permission.typeName ))
+    ; __append("</td>\n        </tr>\n        ")
+    ; __line = 40
+    ;  } 
+    ; __append("\n        ")
+    ; __line = 41
+    ;  if (!resource.permissions.length) { 
+    ; __append("</tr>")
+    ;  } 
+    ; __append("\n        ")
+    ; __line = 42
+    ;  } 
+    ; __append("\n    </tbody>\n</table>\n")
+    ; __line = 45
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
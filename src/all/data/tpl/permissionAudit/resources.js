@@ -0,0 +1,82 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<ul>\n    <? for (let i in resources) { ?>\n    <li class=\"audit-resource\" data-search=\"<?= [resources[i].name, resources[i].username, resources[i].uri].join(' ').toLowerCase() ?>\">\n        <div class=\"input checkbox\">\n            <input type=\"checkbox\" id=\"js_audit_resource_<?= resources[i].id ?>\" class=\"js_audit_resource\" value=\"<?= resources[i].id ?>\">\n            <label for=\"js_audit_resource_<?= resources[i].id ?>\"><?= resources[i].name ?><? if (resources[i].username) { ?> (<?= resources[i].username ?>)<? } ?></label>\n        </div>\n    </li>\n    <? } ?>\n</ul>\n"
+  , __filename = "src/all/data/ejs/permissionAudit/resources.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<ul>\n    ")
+    ; __line = 2
+    ;  for (let i in resources) { 
+    ; __append("\n    <li class=\"audit-resource\" data-search=\"")
+    ; __line = 3
+    ; __append(escapeFn( [resources[i].name, resources[i].username, resources[i].uri].join(' ').toLowerCase() ))
+    ; __append("\">\n        <div class=\"input checkbox\">\n            <input type=\"checkbox\" id=\"js_audit_resource_")
+    ; __line = 5
+    ; __append(escapeFn( resources[i].id ))
+    ; __append("\" class=\"js_audit_resource\" value=\"")
+    ; __append(escapeFn( resources[i].id ))
+    ; __append("\">\n            <label for=\"js_audit_resource_")
+    ; __line = 6
+    ; __append(escapeFn( resources[i].id ))
+    ; __append("\">")
+    ; __append(escapeFn( resources[i].name ))
+    ;  if (resources[i].username) { 
+    ; __append(" (")
+    ; __append(escapeFn( resources[i].username ))
+    ; __append(")")
+    ;  } 
+    ; __append("</label>\n        </div>\n    </li>\n    ")
+    ; __line = 9
+    ;  } 
+    ; __append("\n</ul>\n")
+    ; __line = 11
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
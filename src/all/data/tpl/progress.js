@@ -1,3 +1,4 @@
 window.templates = window.templates || {};
 window.templates.progress = window.templates.progress || {};
 window.templates.progress.progress = require('./progress/progress.js');
+window.templates.progress.summary = require('./progress/summary.js');
@@ -0,0 +1,86 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<p><?= message ?></p>\n<? for (let i in sections) { ?>\n<? if (sections[i].items.length) { ?>\n<div class=\"progress-summary-section\">\n    <label><?= sections[i].title ?> (<?= sections[i].items.length ?>)</label>\n    <ul>\n        <? for (let j in sections[i].items) { ?>\n        <li><?= sections[i].items[j] ?></li>\n        <? } ?>\n    </ul>\n</div>\n<? } ?>\n<? } ?>\n"
+  , __filename = "src/all/data/ejs/progress/summary.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<p>")
+    ; __append(escapeFn( message ))
+    ; __append("</p>\n")
+    ; __line = 2
+    ;  for (let i in sections) { 
+    ; __append("\n")
+    ; __line = 3
+    ;  if (sections[i].items.length) { 
+    ; __append("\n<div class=\"progress-summary-section\">\n    <label>")
+    ; __line = 5
+    ; __append(escapeFn( sections[i].title ))
+    ; __append(" (")
+    ; __append(escapeFn( sections[i].items.length ))
+    ; __append(")</label>\n    <ul>\n        ")
+    ; __line = 7
+    ;  for (let j in sections[i].items) { 
+    ; __append("\n        <li>")
+    ; __line = 8
+    ; __append(escapeFn( sections[i].items[j] ))
+    ; __append("</li>\n        ")
+    ; __line = 9
+    ;  } 
+    ; __append("\n    </ul>\n</div>\n")
+    ; __line = 12
+    ;  } 
+    ; __append("\n")
+    ; __line = 13
+    ;  } 
+    ; __append("\n")
+    ; __line = 14
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
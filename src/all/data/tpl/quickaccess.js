@@ -0,0 +1,3 @@
+window.templates = window.templates || {};
+window.templates.quickaccess = window.templates.quickaccess || {};
+window.templates.quickaccess.shortcut = require('./quickaccess/shortcut.js');
@@ -0,0 +1,93 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<div id=\"js_quickaccess_shortcut\" class=\"dialog-wrapper quickaccess-shortcut-dialog\">\n    <div class=\"dialog\">\n        <div class=\"dialog-header\">\n            <h2><?= title ?></h2>\n            <a class=\"dialog-close js-dialog-close\" role=\"button\" href=\"#\">\n                <i class=\"fa fa-close\"></i>\n                <span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <div class=\"form-content\">\n<? if (message) { ?>\n                <p class=\"message <?= error ? 'error' : '' ?>\"><?= message ?></p>\n<? } else if (!resources.length) { ?>\n                <p class=\"message\">No password matches this page.</p>\n<? } else { ?>\n                <ul class=\"resources\">\n<? for (let i in resources) { ?>\n                    <li>\n                        <a class=\"js-use-resource resource\" role=\"button\" href=\"#\" data-id=\"<?= resources[i].id ?>\">\n                            <span class=\"name\"><?= resources[i].name ?></span>\n                            <span class=\"username\"><?= resources[i].username ?></span>\n                        </a>\n                    </li>\n<? } ?>\n                </ul>\n<? } ?>\n            </div>\n        </div>\n    </div>\n</div>\n"
+  , __filename = "src/all/data/ejs/quickaccess/shortcut.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<div id=\"js_quickaccess_shortcut\" class=\"dialog-wrapper quickaccess-shortcut-dialog\">\n    <div class=\"dialog\">\n        <div class=\"dialog-header\">\n            <h2>")
+    ; __line = 4
+    ; __append(escapeFn( title ))
+    ; __append("</h2>\n            <a class=\"dialog-close js-dialog-close\" role=\"button\" href=\"#\">\n                <i class=\"fa fa-close\"></i>\n                <span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <div class=\"form-content\">\n")
+    ; __line = 12
+    ;  if (message) { 
+    ; __append("\n                <p class=\"message ")
+    ; __line = 13
+    ; __append(escapeFn( error ? 'error' : '' ))
+    ; __append("\">")
+    ; __append(escapeFn( message ))
+    ; __append("</p>\n")
+    ; __line = 14
+    ;  } else if (!resources.length) { 
+    ; __append("\n                <p class=\"message\">No password matches this page.</p>\n")
+    ; __line = 16
+    ;  } else { 
+    ; __append("\n                <ul class=\"resources\">\n")
+    ; __line = 18
+    ;  for (let i in resources) { 
+    ; __append("\n                    <li>\n                        <a class=\"js-use-resource resource\" role=\"button\" href=\"#\" data-id=\"")
+    ; __line = 20
+    ; __append(escapeFn( resources[i].id ))
+    ; __append("\">\n                            <span class=\"name\">")
+    ; __line = 21
+    ; __append(escapeFn( resources[i].name ))
+    ; __append("</span>\n                            <span class=\"username\">")
+    ; __line = 22
+    ; __append(escapeFn( resources[i].username ))
+    ; __append("</span>\n                        </a>\n                    </li>\n")
+    ; __line = 25
+    ;  } 
+    ; __append("\n                </ul>\n")
+    ; __line = 27
+    ;  } 
+    ; __append("\n            </div>\n        </div>\n    </div>\n</div>\n")
+    ; __line = 32
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
@@ -2,6 +2,8 @@ window.templates = window.templates || {};
 window.templates.resource = window.templates.resource || {};
 window.templates.resource.shareAroPermissionsItem = require('./resource/shareAroPermissionsItem.js');
 window.templates.resource.shareAutocomplete = require('./resource/shareAutocomplete.js');
+window.templates.resource.shareCopyAutocomplete = require('./resource/shareCopyAutocomplete.js');
 window.templates.resource.shareBulkTitleTooltip = require('./resource/shareBulkTitleTooltip.js');
 window.templates.resource.shareDialog = require('./resource/shareDialog.js');
 window.templates.resource.shareFormAdd = require('./resource/shareFormAdd.js');
+window.templates.resource.shareReport = require('./resource/shareReport.js');
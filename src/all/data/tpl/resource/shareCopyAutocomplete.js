@@ -0,0 +1,79 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<ul>\n<? if (!resources.length) { ?>\n    <li>\n        <div class=\"row\">\n            <div class=\"main-cell-wrapper\">\n                <div class=\"main-cell\" style=\"font-size:16px;\">\n                    No password found\n                </div>\n            </div>\n        </div>\n    </li>\n<? } ?>\n<? for (let i in resources) { ?>\n    <li id=\"<?= resources[i].id ?>\">\n        <div class=\"row\">\n            <div class=\"main-cell-wrapper\">\n                <div class=\"main-cell\">\n                    <a>\n                        <span class=\"name\"><?= resources[i].name ?></span>\n                        <span class=\"details\"><?= [resources[i].username, resources[i].uri].filter(Boolean).join(' - ') ?></span>\n                    </a>\n                </div>\n            </div>\n        </div>\n    </li>\n<? } ?>\n</ul>\n"
+  , __filename = "src/all/data/ejs/resource/shareCopyAutocomplete.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<ul>\n")
+    ; __line = 2
+    ;  if (!resources.length) { 
+    ; __append("\n    <li>\n        <div class=\"row\">\n            <div class=\"main-cell-wrapper\">\n                <div class=\"main-cell\" style=\"font-size:16px;\">\n                    No password found\n                </div>\n            </div>\n        </div>\n    </li>\n")
+    ; __line = 12
+    ;  } 
+    ; __append("\n")
+    ; __line = 13
+    ;  for (let i in resources) { 
+    ; __append("\n    <li id=\"")
+    ; __line = 14
+    ; __append(escapeFn( resources[i].id ))
+    ; __append("\">\n        <div class=\"row\">\n            <div class=\"main-cell-wrapper\">\n                <div class=\"main-cell\">\n                    <a>\n                        <span class=\"name\">")
+    ; __line = 19
+    ; __append(escapeFn( resources[i].name ))
+    ; __append("</span>\n                        <span class=\"details\">")
+    ; __line = 20
+    ; __append(escapeFn( [resources[i].username, resources[i].uri].filter(Boolean).join(' - ') ))
+    ; __append("</span>\n                    </a>\n                </div>\n            </div>\n        </div>\n    </li>\n")
+    ; __line = 26
+    ;  } 
+    ; __append("\n</ul>\n")
+    ; __line = 28
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
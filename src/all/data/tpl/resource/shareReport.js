@@ -0,0 +1,116 @@
+module.exports = function(locals, escapeFn, include, rethrow
+) {
+rethrow = rethrow || function rethrow(err, str, flnm, lineno, esc){
+  var lines = str.split('\n');
+  var start = Math.max(lineno - 3, 0);
+  var end = Math.min(lines.length, lineno + 3);
+  var filename = esc(flnm); // eslint-disable-line
+  // Error context
+  var context = lines.slice(start, end).map(function (line, i){
+    var curr = i + start + 1;
+    return (curr == lineno ? ' >> ' : '    ')
+      + curr
+      + '| '
+      + line;
+  }).join('\n');
+
+  // Alter exception message
+  err.path = filename;
+  err.message = (filename || 'ejs') + ':'
+    + lineno + '\n'
+    + context + '\n\n'
+    + err.message;
+
+  throw err;
+};
+escapeFn = escapeFn || function (markup) {
+  return markup == undefined
+    ? ''
+    : String(markup)
+      .replace(_MATCH_HTML, encode_char);
+};
+var _ENCODE_HTML_RULES = {
+      "&": "&amp;"
+    , "<": "&lt;"
+    , ">": "&gt;"
+    , '"': "&#34;"
+    , "'": "&#39;"
+    }
+  , _MATCH_HTML = /[&<>'"]/g;
+function encode_char(c) {
+  return _ENCODE_HTML_RULES[c] || c;
+};
+;
+var __line = 1
+  , __lines = "<div class=\"dialog-wrapper\" id=\"js-share-report\">\n    <div class=\"dialog share-report\">\n        <div class=\"dialog-header\">\n            <h2>Some passwords could not be shared</h2>\n            <a class=\"js-dialog-close dialog-close\">\n                <i class=\"fa fa-close\"></i>\n                <span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <div class=\"form-content\">\n                <p>\n                    <?= report.filter(item => item.success && !item.reverted).length ?> passwords shared,\n                    <?= report.filter(item => !item.success).length ?> failed<? if (report.some(item => item.reverted)) { ?>,\n                    <?= report.filter(item => item.reverted).length ?> reverted<? } ?>.\n                </p>\n                <table class=\"table-info\">\n                    <thead>\n                        <tr>\n                            <th>Password</th>\n                            <th>Status</th>\n                        </tr>\n                    </thead>\n                    <tbody>\n                        <? for (let i in report) { ?>\n                        <tr class=\"<?= report[i].success ? 'success' : 'error' ?>\">\n                            <td><?= report[i].name ?></td>\n                            <? if (!report[i].success) { ?>\n                            <td>failed: <?= report[i].error ?></td>\n                            <? } else if (report[i].reverted) { ?>\n                            <td>reverted</td>\n                            <? } else if (report[i].revertError) { ?>\n                            <td>shared, could not be reverted: <?= report[i].revertError ?></td>\n                            <? } else { ?>\n                            <td>shared</td>\n                            <? } ?>\n                        </tr>\n                        <? } ?>\n                    </tbody>\n                </table>\n            </div>\n        </div>\n        <div class=\"submit-wrapper clearfix\">\n            <? if (report.some(item => !item.success)) { ?>\n            <input id=\"js-share-report-retry\" type=\"submit\" value=\"Retry the failed passwords\" class=\"button primary\">\n            <? } ?>\n            <? if (report.some(item => item.success && !item.reverted)) { ?>\n            <input id=\"js-share-report-revert\" type=\"submit\" value=\"Cancel the changes applied\" class=\"button\">\n            <? } ?>\n            <a class=\"js-dialog-cancel cancel\">close</a>\n        </div>\n    </div>\n</div>\n"
+  , __filename = "src/all/data/ejs/resource/shareReport.ejs";
+try {
+  var __output = [], __append = __output.push.bind(__output);
+  with (locals || {}) {
+    ; __append("<div class=\"dialog-wrapper\" id=\"js-share-report\">\n    <div class=\"dialog share-report\">\n        <div class=\"dialog-header\">\n            <h2>Some passwords could not be shared</h2>\n            <a class=\"js-dialog-close dialog-close\">\n                <i class=\"fa fa-close\"></i>\n                <span class=\"visuallyhidden\">close</span>\n            </a>\n        </div>\n        <div class=\"js_dialog_content dialog-content\">\n            <div class=\"form-content\">\n                <p>\n                    ")
+    ; __line = 13
+    ; __append(escapeFn( report.filter(item => item.success && !item.reverted).length ))
+    ; __append(" passwords shared,\n                    ")
+    ; __line = 14
+    ; __append(escapeFn( report.filter(item => !item.success).length ))
+    ; __append(" failed")
+    ;  if (report.some(item => item.reverted)) { 
+    ; __append(",\n                    ")
+    ; __line = 15
+    ; __append(escapeFn( report.filter(item => item.reverted).length ))
+    ; __append(" reverted")
+    ;  } 
+    ; __append(".\n                </p>\n                <table class=\"table-info\">\n                    <thead>\n                        <tr>\n                            <th>Password</th>\n                            <th>Status</th>\n                        </tr>\n                    </thead>\n                    <tbody>\n                        ")
+    ; __line = 25
+    ;  for (let i in report) { 
+    ; __append("\n                        <tr class=\"")
+    ; __line = 26
+    ; __append(escapeFn( report[i].success ? 'success' : 'error' ))
+    ; __append("\">\n                            <td>")
+    ; __line = 27
+    ; __append(escapeFn( report[i].name ))
+    ; __append("</td>\n                            ")
+    ; __line = 28
+    ;  if (!report[i].success) { 
+    ; __append("\n                            <td>failed: ")
+    ; __line = 29
+    ; __append(escapeFn( report[i].error ))
+    ; __append("</td>\n                            ")
+    ; __line = 30
+    ;  } else if (report[i].reverted) { 
+    ; __append("\n                            <td>reverted</td>\n                            ")
+    ; __line = 32
+    ;  } else if (report[i].revertError) { 
+    ; __append("\n                            <td>shared, could not be reverted: ")
+    ; __line = 33
+    ; __append(escapeFn( report[i].revertError ))
+    ; __append("</td>\n                            ")
+    ; __line = 34
+    ;  } else { 
+    ; __append("\n                            <td>shared</td>\n                            ")
+    ; __line = 36
+    ;  } 
+    ; __append("\n                        </tr>\n                        ")
+    ; __line = 38
+    ;  } 
+    ; __append("\n                    </tbody>\n                </table>\n            </div>\n        </div>\n        <div class=\"submit-wrapper clearfix\">\n            ")
+    ; __line = 44
+    ;  if (report.some(item => !item.success)) { 
+    ; __append("\n            <input id=\"js-share-report-retry\" type=\"submit\" value=\"Retry the failed passwords\" class=\"button primary\">\n            ")
+    ; __line = 46
+    ;  } 
+    ; __append("\n            ")
+    ; __line = 47
+    ;  if (report.some(item => item.success && !item.reverted)) { 
+    ; __append("\n            <input id=\"js-share-report-revert\" type=\"submit\" value=\"Cancel the changes applied\" class=\"button\">\n            ")
+    ; __line = 49
+    ;  } 
+    ; __append("\n            <a class=\"js-dialog-cancel cancel\">close</a>\n        </div>\n    </div>\n</div>\n")
+    ; __line = 54
+  }
+  return __output.join("");
+} catch (e) {
+  rethrow(e, __lines, __filename, __line, escapeFn);
+}
+
+}
\ No newline at end of file
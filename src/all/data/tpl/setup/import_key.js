@@ -42,13 +42,13 @@ function encode_char(c) {
 };
 ;
 var __line = 1
-  , __lines = "<!-- left column -->\n<div class=\"col6 import-key-wrapper\">\n    <h3>Copy paste your private key below</h3>\n    <div class=\"input textarea gpgkey\">\n        <textarea name=\"data[Key][ascii]\" class=\"fluid code\" id=\"js_setup_import_key_text\"></textarea>\n    </div>\n    <div class=\"message error hidden\" id=\"KeyErrorMessage\"></div>\n    <div class=\"input file\">\n        <div class=\"input-wrapper\">\n            <div class=\"input-wrapper-2\">\n                <input name=\"data[Key][file]\" value=\"Browse...\" id=\"js_setup_import_key_browse\" type=\"submit\">\n                <span class=\"help-text\">Or select a file from your computer</span>\n            </div>\n        </div>\n    </div>\n</div>\n<div class=\"col4 last sideInfo\"></div>\n\n"
+  , __lines = "<!-- left column -->\n<div class=\"col6 import-key-wrapper\">\n    <h3>Copy paste your private key below</h3>\n    <div class=\"input textarea gpgkey\">\n        <textarea name=\"data[Key][ascii]\" class=\"fluid code\" id=\"js_setup_import_key_text\"></textarea>\n    </div>\n    <div class=\"input password hidden\" id=\"js_setup_import_key_backup\">\n        <label for=\"js_setup_import_key_backup_passphrase\">This is an encrypted backup, enter its backup passphrase</label>\n        <input type=\"password\" class=\"fluid\" id=\"js_setup_import_key_backup_passphrase\" autocomplete=\"off\">\n    </div>\n    <div class=\"message error hidden\" id=\"KeyErrorMessage\"></div>\n    <div class=\"input file\">\n        <div class=\"input-wrapper\">\n            <div class=\"input-wrapper-2\">\n                <input name=\"data[Key][file]\" value=\"Browse...\" id=\"js_setup_import_key_browse\" type=\"submit\">\n                <span class=\"help-text\">Or select a file from your computer</span>\n            </div>\n        </div>\n    </div>\n    <div class=\"input file\">\n        <div class=\"input-wrapper\">\n            <div class=\"input-wrapper-2\">\n                <input name=\"data[Key][qr_codes]\" value=\"Browse...\" id=\"js_setup_import_key_qr_browse\" type=\"submit\">\n                <span class=\"help-text\">Or select the pictures of the QR codes of a paper backup</span>\n            </div>\n        </div>\n    </div>\n</div>\n<div class=\"col4 last sideInfo\"></div>\n\n"
   , __filename = "src/all/data/ejs/setup/import_key.ejs";
 try {
   var __output = [], __append = __output.push.bind(__output);
   with (locals || {}) {
-    ; __append("<!-- left column -->\n<div class=\"col6 import-key-wrapper\">\n    <h3>Copy paste your private key below</h3>\n    <div class=\"input textarea gpgkey\">\n        <textarea name=\"data[Key][ascii]\" class=\"fluid code\" id=\"js_setup_import_key_text\"></textarea>\n    </div>\n    <div class=\"message error hidden\" id=\"KeyErrorMessage\"></div>\n    <div class=\"input file\">\n        <div class=\"input-wrapper\">\n            <div class=\"input-wrapper-2\">\n                <input name=\"data[Key][file]\" value=\"Browse...\" id=\"js_setup_import_key_browse\" type=\"submit\">\n                <span class=\"help-text\">Or select a file from your computer</span>\n            </div>\n        </div>\n    </div>\n</div>\n<div class=\"col4 last sideInfo\"></div>\n\n")
-    ; __line = 19
+    ; __append("<!-- left column -->\n<div class=\"col6 import-key-wrapper\">\n    <h3>Copy paste your private key below</h3>\n    <div class=\"input textarea gpgkey\">\n        <textarea name=\"data[Key][ascii]\" class=\"fluid code\" id=\"js_setup_import_key_text\"></textarea>\n    </div>\n    <div class=\"input password hidden\" id=\"js_setup_import_key_backup\">\n        <label for=\"js_setup_import_key_backup_passphrase\">This is an encrypted backup, enter its backup passphrase</label>\n        <input type=\"password\" class=\"fluid\" id=\"js_setup_import_key_backup_passphrase\" autocomplete=\"off\">\n    </div>\n    <div class=\"message error hidden\" id=\"KeyErrorMessage\"></div>\n    <div class=\"input file\">\n        <div class=\"input-wrapper\">\n            <div class=\"input-wrapper-2\">\n                <input name=\"data[Key][file]\" value=\"Browse...\" id=\"js_setup_import_key_browse\" type=\"submit\">\n                <span class=\"help-text\">Or select a file from your computer</span>\n            </div>\n        </div>\n    </div>\n    <div class=\"input file\">\n        <div class=\"input-wrapper\">\n            <div class=\"input-wrapper-2\">\n                <input name=\"data[Key][qr_codes]\" value=\"Browse...\" id=\"js_setup_import_key_qr_browse\" type=\"submit\">\n                <span class=\"help-text\">Or select the pictures of the QR codes of a paper backup</span>\n            </div>\n        </div>\n    </div>\n</div>\n<div class=\"col4 last sideInfo\"></div>\n\n")
+    ; __line = 31
   }
   return __output.join("");
 } catch (e) {
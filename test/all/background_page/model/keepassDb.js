@@ -0,0 +1,58 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ */
+var KeepassDb = require('../../../../src/all/background_page/model/keepassDb').KeepassDb;
+
+/**
+ * Load a kdbx database from its content.
+ * @param ArrayBuffer content
+ * @param string password
+ * @returns {Promise<Kdbx>}
+ */
+var loadDb = function(content, password) {
+  var credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString(password), null);
+  return kdbxweb.Kdbx.load(content, credentials);
+};
+
+describe("KeepassDb", () => {
+
+  describe("toResources() ", () => {
+    it('imports back the group path tags of an export', async () => {
+      var resources = [
+        {name: 'Nested', username: 'ada', secretClear: 'secret', uri: 'https://passbolt.com', description: '', tags: [{slug: '/a/b/c'}, {slug: 'urgent'}]},
+        {name: 'Parent', username: 'ada', secretClear: 'secret', uri: '', description: '', tags: ['/a']},
+        {name: 'Root', username: 'ada', secretClear: 'secret', uri: '', description: '', tags: []}
+      ];
+      var content = await new KeepassDb().fromResources(resources, 'passphrase');
+
+      var keepassDb = new KeepassDb();
+      var imported = await keepassDb.toResources(await loadDb(content, 'passphrase'));
+      var tags = {};
+      imported.forEach(resource => {
+        tags[resource.name] = resource.tags;
+      });
+      expect(tags['Nested']).to.deep.equal(['/a/b/c', 'urgent']);
+      expect(tags['Parent']).to.deep.equal(['/a']);
+      expect(tags['Root']).to.deep.equal([]);
+    });
+
+    it('keeps the root group in the tags of the databases not exported by passbolt', async () => {
+      var credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString('passphrase'), null);
+      var db = kdbxweb.Kdbx.create(credentials, 'Root');
+      var group = db.createGroup(db.getDefaultGroup(), 'a');
+      db.createEntry(group).fields.Title = 'Entry';
+
+      var imported = await new KeepassDb().toResources(db);
+      expect(imported[0].tags).to.deep.equal(['/Root/a']);
+    });
+  });
+});
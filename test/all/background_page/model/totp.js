@@ -0,0 +1,112 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ */
+var Totp = require('../../../../src/all/background_page/model/totp').Totp;
+
+/**
+ * The seeds of the RFC 6238 test vectors, base32 encoded.
+ */
+var SEEDS = {
+  SHA1: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+  SHA256: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA',
+  SHA512: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA'
+};
+
+/**
+ * The RFC 6238 test vectors (appendix B): the time in seconds and the expected 8 digits codes.
+ */
+var VECTORS = [
+  {time: 59, SHA1: '94287082', SHA256: '46119246', SHA512: '90693936'},
+  {time: 1111111109, SHA1: '07081804', SHA256: '68084774', SHA512: '25091201'},
+  {time: 1111111111, SHA1: '14050471', SHA256: '67062674', SHA512: '99943326'},
+  {time: 1234567890, SHA1: '89005924', SHA256: '91819424', SHA512: '93441116'},
+  {time: 2000000000, SHA1: '69279037', SHA256: '90698825', SHA512: '38618901'},
+  {time: 20000000000, SHA1: '65353130', SHA256: '77737706', SHA512: '47863826'}
+];
+
+describe("Totp", () => {
+
+  describe("generate() ", () => {
+    Object.keys(SEEDS).forEach(algorithm => {
+      it(`generates the RFC 6238 codes with ${algorithm}`, async () => {
+        var uri = Totp.buildUri({secret: SEEDS[algorithm], algorithm: algorithm, digits: 8, period: 30});
+        for (var i in VECTORS) {
+          var result = await Totp.generate(uri, VECTORS[i].time * 1000);
+          expect(result.code).to.equal(VECTORS[i][algorithm]);
+        }
+      });
+    });
+
+    it('returns the end of the period as expiration date', async () => {
+      var uri = Totp.buildUri({secret: SEEDS.SHA1});
+      var result = await Totp.generate(uri, 59 * 1000);
+      expect(result.code).to.equal('287082');
+      expect(result.expiresAt).to.equal(60 * 1000);
+    });
+  });
+
+  describe("fromKdbxFields() ", () => {
+    var label = {issuer: 'ACME', account: 'ada@passbolt.com'};
+
+    it('reads the KeePassXC otp field as an otpauth URI', () => {
+      var uri = Totp.fromKdbxFields({otp: 'otpauth://totp/Bank:ada?secret=jbswy3dpehpk3pxp&issuer=Bank&algorithm=SHA256&digits=8&period=60'}, label);
+      var totp = Totp.parseUri(uri);
+      expect(totp.secret).to.equal('JBSWY3DPEHPK3PXP');
+      expect(totp.algorithm).to.equal('SHA256');
+      expect(totp.digits).to.equal(8);
+      expect(totp.period).to.equal(60);
+      expect(totp.issuer).to.equal('Bank');
+      expect(totp.account).to.equal('ada');
+    });
+
+    it('reads the legacy KeePassXC otp field', () => {
+      var totp = Totp.parseUri(Totp.fromKdbxFields({otp: 'key=JBSWY3DPEHPK3PXP&step=60&size=8'}, label));
+      expect(totp.secret).to.equal('JBSWY3DPEHPK3PXP');
+      expect(totp.digits).to.equal(8);
+      expect(totp.period).to.equal(60);
+      expect(totp.issuer).to.equal('ACME');
+      expect(totp.account).to.equal('ada@passbolt.com');
+
+      totp = Totp.parseUri(Totp.fromKdbxFields({otp: 'JBSW Y3DP EHPK 3PXP'}, label));
+      expect(totp.secret).to.equal('JBSWY3DPEHPK3PXP');
+      expect(totp.digits).to.equal(Totp.DEFAULT_DIGITS);
+      expect(totp.period).to.equal(Totp.DEFAULT_PERIOD);
+    });
+
+    it('reads the KeePass TimeOtp fields', () => {
+      var totp = Totp.parseUri(Totp.fromKdbxFields({
+        'TimeOtp-Secret-Base32': 'JBSWY3DPEHPK3PXP',
+        'TimeOtp-Algorithm': 'HMAC-SHA-512',
+        'TimeOtp-Length': '7',
+        'TimeOtp-Period': '45'
+      }, label));
+      expect(totp.secret).to.equal('JBSWY3DPEHPK3PXP');
+      expect(totp.algorithm).to.equal('SHA512');
+      expect(totp.digits).to.equal(7);
+      expect(totp.period).to.equal(45);
+      expect(totp.issuer).to.equal('ACME');
+
+      totp = Totp.parseUri(Totp.fromKdbxFields({'TimeOtp-Secret-Base32': 'JBSWY3DPEHPK3PXP'}, label));
+      expect(totp.algorithm).to.equal(Totp.DEFAULT_ALGORITHM);
+      expect(totp.digits).to.equal(Totp.DEFAULT_DIGITS);
+      expect(totp.period).to.equal(Totp.DEFAULT_PERIOD);
+    });
+
+    it('returns null if the entry has no TOTP', () => {
+      expect(Totp.fromKdbxFields({Title: 'Bank'}, label)).to.be.null;
+    });
+
+    it('rejects the invalid secrets', () => {
+      expect(() => Totp.fromKdbxFields({otp: 'key=not-base32!'}, label)).to.throw('The TOTP secret should be base32 encoded');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Passbolt ~ Open source password manager for teams
+ * Copyright (c) Passbolt SA (https://www.passbolt.com)
+ *
+ * Licensed under GNU Affero General Public License version 3 of the or any later version.
+ * For full copyright and license information, please see the LICENSE.txt
+ * Redistributions of files must retain the above copyright notice.
+ *
+ * @copyright     Copyright (c) Passbolt SA (https://www.passbolt.com)
+ * @license       https://opensource.org/licenses/AGPL-3.0 AGPL License
+ * @link          https://www.passbolt.com Passbolt(tm)
+ */
+var UrlMatcher = require('../../../../src/all/background_page/model/urlMatcher').UrlMatcher;
+var SuggestedResources = require('../../../../src/all/background_page/model/suggestedResources').SuggestedResources;
+
+describe("UrlMatcher", () => {
+
+  describe("evaluate() ", () => {
+    it('does not match the lookalike domains', () => {
+      expect(UrlMatcher.evaluate('bank.com', 'https://evilbank.com.attacker.io/login')).to.equal(UrlMatcher.LEVELS.NONE);
+      expect(UrlMatcher.evaluate('bank.com', 'https://bank.com.attacker.io/login')).to.equal(UrlMatcher.LEVELS.NONE);
+      expect(UrlMatcher.evaluate('bank.com', 'https://attacker.io/bank.com')).to.equal(UrlMatcher.LEVELS.NONE);
+      expect(UrlMatcher.evaluate('https://user.github.io', 'https://attacker.github.io')).to.equal(UrlMatcher.LEVELS.NONE);
+      expect(UrlMatcher.evaluate('co.uk', 'https://bank.co.uk')).to.equal(UrlMatcher.LEVELS.NONE);
+    });
+
+    it('evaluates the match levels', () => {
+      expect(UrlMatcher.evaluate('mail.google.com', 'https://accounts.google.com')).to.equal(UrlMatcher.LEVELS.DOMAIN);
+      expect(UrlMatcher.evaluate('www.amazon.co.uk', 'https://signin.amazon.co.uk/ap/signin')).to.equal(UrlMatcher.LEVELS.SUBDOMAIN);
+      expect(UrlMatcher.evaluate('bank.com', 'https://www.bank.com/login')).to.equal(UrlMatcher.LEVELS.HOST);
+      expect(UrlMatcher.evaluate('https://bank.com/app', 'https://bank.com/application')).to.equal(UrlMatcher.LEVELS.HOST);
+      expect(UrlMatcher.evaluate('https://bank.com/app/', 'https://bank.com/app/login')).to.equal(UrlMatcher.LEVELS.PATH);
+      expect(UrlMatcher.evaluate('192.168.1.1', 'http://192.168.1.1/admin')).to.equal(UrlMatcher.LEVELS.HOST);
+    });
+
+    it('compares the protocols and the ports', () => {
+      expect(UrlMatcher.evaluate('https://bank.com', 'http://bank.com')).to.equal(UrlMatcher.LEVELS.NONE);
+      expect(UrlMatcher.evaluate('http://bank.com', 'https://bank.com')).to.equal(UrlMatcher.LEVELS.HOST);
+      expect(UrlMatcher.evaluate('bank.com:8443', 'https://bank.com')).to.equal(UrlMatcher.LEVELS.NONE);
+      expect(UrlMatcher.evaluate('bank.com:8443', 'https://bank.com:8443')).to.equal(UrlMatcher.LEVELS.HOST);
+      expect(UrlMatcher.evaluate('bank.com', 'file:///bank.com')).to.equal(UrlMatcher.LEVELS.NONE);
+    });
+  });
+
+  describe("isMatching() ", () => {
+    it('applies the match modes', () => {
+      expect(UrlMatcher.isMatching('mail.google.com', 'https://accounts.google.com')).to.be.true;
+      expect(UrlMatcher.isMatching('mail.google.com', 'https://accounts.google.com', UrlMatcher.MODES.HOST)).to.be.false;
+      expect(UrlMatcher.isMatching('https://bank.com/app', 'https://bank.com/login', UrlMatcher.MODES.URL)).to.be.false;
+      expect(UrlMatcher.isMatching('https://bank.com', 'https://bank.com/login', UrlMatcher.MODES.URL)).to.be.true;
+      expect(UrlMatcher.isMatching('https://bank.com', 'https://bank.com/login', UrlMatcher.MODES.NEVER)).to.be.false;
+    });
+  });
+});
+
+describe("SuggestedResources", () => {
+
+  describe("find() ", () => {
+    it('ranks the resources by match quality', () => {
+      const resources = [
+        {id: '1', name: 'amazon', uri: 'amazon.com'},
+        {id: '2', name: 'aws', uri: 'https://signin.aws.amazon.com'},
+        {id: '3', name: 'aws console', uri: 'https://signin.aws.amazon.com/console'},
+        {id: '4', name: 'lookalike', uri: 'aws.amazon.com.attacker.io'},
+        {id: '5', name: 'hidden', uri: 'https://signin.aws.amazon.com'}
+      ];
+      const matchModes = {'5': UrlMatcher.MODES.NEVER};
+      const suggestedResources = SuggestedResources.find(resources, 'https://signin.aws.amazon.com/console/home', {matchModes});
+      expect(suggestedResources.map(resource => resource.id)).to.deep.equal(['3', '2', '1']);
+      expect(SuggestedResources.find(resources, 'https://signin.aws.amazon.com/console', {limit: 1, matchModes}).length).to.equal(1);
+    });
+  });
+});
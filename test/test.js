@@ -24,7 +24,10 @@ var storage = require('../src/all/background_page/sdk/storage').storage;
 glbl.storage = storage;
 
 // Test-suites
+require('./all/background_page/model/keepassDb');
 require('./all/background_page/model/keyring');
+require('./all/background_page/model/totp');
+require('./all/background_page/model/urlMatcher');
 
 // Run the tests
 mocha.checkLeaks();